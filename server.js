@@ -1,10 +1,16 @@
 const app = require('./src/app');
 const connectDB = require('./src/config/database');
+const { startJobs } = require('./src/jobs');
+const realtimeService = require('./src/services/realtimeService');
 
 const PORT = process.env.PORT || 5000;
 
-// Connect to MongoDB
-connectDB();
+// Connect to MongoDB, then start scheduled jobs
+connectDB().then((conn) => {
+	if (conn) {
+		startJobs();
+	}
+});
 
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err, promise) => {
@@ -18,3 +24,6 @@ process.on('unhandledRejection', (err, promise) => {
 const server = app.listen(PORT, () => {
 	console.log(`🚀 Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
 });
+
+// Socket.IO realtime events share the HTTP server with the REST API
+realtimeService.init(server);
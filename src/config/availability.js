@@ -0,0 +1,13 @@
+// Trạng thái online của driver và tìm driver gần passenger
+const availabilityConfig = {
+	// Driver online không gửi vị trí trong khoảng này (phút) bị coi là mất kết nối và chuyển sang offline
+	offlineAfterMinutes: parseInt(process.env.DRIVER_OFFLINE_AFTER_MINUTES, 10) || 10,
+	// Bán kính mặc định và tối đa (km) khi passenger tìm driver gần mình
+	nearbyRadiusKm: parseFloat(process.env.NEARBY_DRIVER_RADIUS_KM) || 3,
+	maxNearbyRadiusKm: parseFloat(process.env.NEARBY_DRIVER_MAX_RADIUS_KM) || 20,
+	maxNearbyResults: 50,
+	// Driver xem booking request đang chờ trong bán kính này (km) quanh vị trí của mình
+	bookingRadiusKm: parseFloat(process.env.DRIVER_BOOKING_RADIUS_KM) || 10,
+};
+
+module.exports = availabilityConfig;
@@ -0,0 +1,29 @@
+// Chính sách hoàn tiền khi hủy chuyến đã thanh toán
+// tiers: passenger hủy trước giờ khởi hành ít nhất minHoursBeforeDeparture giờ thì được hoàn refundPercent %
+// CANCELLATION_POLICY_TIERS ghi đè bằng JSON, vd: [{"minHoursBeforeDeparture":12,"refundPercent":100}]
+const DEFAULT_TIERS = [
+	{ minHoursBeforeDeparture: 24, refundPercent: 100 },
+	{ minHoursBeforeDeparture: 2, refundPercent: 50 },
+];
+
+const parseTiers = (value) => {
+	if (!value) return DEFAULT_TIERS;
+	try {
+		return JSON.parse(value);
+	} catch (error) {
+		console.error('⚠️ Invalid CANCELLATION_POLICY_TIERS, using defaults:', error.message);
+		return DEFAULT_TIERS;
+	}
+};
+
+const cancellationPolicy = {
+	tiers: parseTiers(process.env.CANCELLATION_POLICY_TIERS).sort(
+		(a, b) => b.minHoursBeforeDeparture - a.minHoursBeforeDeparture
+	),
+	// Hủy muộn hơn mọi mức trên
+	lateCancellationRefundPercent: parseFloat(process.env.LATE_CANCELLATION_REFUND_PERCENT) || 0,
+	// Chuyến bị hủy bởi bên khác (driver, admin, hệ thống) luôn được hoàn toàn bộ
+	fullRefundCancelledBy: ['driver', 'admin', 'system'],
+};
+
+module.exports = cancellationPolicy;
@@ -0,0 +1,28 @@
+// Hoa hồng nền tảng trên mỗi chuyến hoàn thành (% trên số tiền passenger đã thanh toán, trừ phần đã hoàn)
+// COMMISSION_PERCENT_BY_VEHICLE ghi đè theo loại xe bằng JSON, vd: {"motorcycle":10,"luxury":20}
+const parseRates = (value) => {
+	if (!value) return {};
+	try {
+		return JSON.parse(value);
+	} catch (error) {
+		console.error('⚠️ Invalid COMMISSION_PERCENT_BY_VEHICLE, ignoring:', error.message);
+		return {};
+	}
+};
+
+// 0 là giá trị hợp lệ (không thu hoa hồng), chỉ dùng mặc định khi chưa cấu hình hoặc không phải số
+const parsePercent = (value, fallback) => {
+	const percent = parseFloat(value);
+	return Number.isFinite(percent) ? percent : fallback;
+};
+
+const commissionConfig = {
+	defaultPercent: parsePercent(process.env.PLATFORM_COMMISSION_PERCENT, 15),
+	byVehicleType: parseRates(process.env.COMMISSION_PERCENT_BY_VEHICLE),
+	// Driver chỉ được đưa vào đợt chi trả khi tổng thu nhập chờ chi trả đạt mức tối thiểu
+	minPayoutAmount: parseInt(process.env.MIN_PAYOUT_AMOUNT, 10) || 50000,
+	// Thu nhập chỉ được chi trả sau khi chuyến hoàn thành một khoảng thời gian (để xử lý khiếu nại/hoàn tiền)
+	payoutDelayHours: parseInt(process.env.PAYOUT_DELAY_HOURS, 10) || 24,
+};
+
+module.exports = commissionConfig;
@@ -0,0 +1,15 @@
+// Gửi booking request mới tới driver online gần điểm đón theo từng đợt
+const dispatchConfig = {
+	enabled: process.env.DISPATCH_ENABLED !== 'false',
+	// Bán kính đợt đầu, mức nới rộng mỗi đợt sau và bán kính tối đa (km)
+	initialRadiusKm: parseFloat(process.env.DISPATCH_INITIAL_RADIUS_KM) || 2,
+	radiusStepKm: parseFloat(process.env.DISPATCH_RADIUS_STEP_KM) || 2,
+	maxRadiusKm: parseFloat(process.env.DISPATCH_MAX_RADIUS_KM) || 10,
+	// Số driver gần nhất được báo trong mỗi đợt
+	driversPerWave: parseInt(process.env.DISPATCH_DRIVERS_PER_WAVE, 10) || 5,
+	// Khoảng cách giữa các đợt (giây) và số đợt tối đa
+	waveIntervalSeconds: parseInt(process.env.DISPATCH_WAVE_INTERVAL_SECONDS, 10) || 60,
+	maxWaves: parseInt(process.env.DISPATCH_MAX_WAVES, 10) || 5,
+};
+
+module.exports = dispatchConfig;
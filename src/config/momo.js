@@ -0,0 +1,13 @@
+// MoMo Configuration (API v2, requestType captureWallet)
+const momoConfig = {
+	partnerCode: process.env.MOMO_PARTNER_CODE || 'MOMO',
+	accessKey: process.env.MOMO_ACCESS_KEY || 'F8BBA842ECF85',
+	secretKey: process.env.MOMO_SECRET_KEY || 'K951B6PE1waDMi640xX08PD3vg6EkVlz',
+	endpoint: process.env.MOMO_ENDPOINT || 'https://test-payment.momo.vn/v2/gateway/api',
+	requestType: process.env.MOMO_REQUEST_TYPE || 'captureWallet',
+	lang: process.env.MOMO_LANG || 'vi',
+	// URL MoMo gọi IPN (mặc định suy ra từ host của request tạo payment)
+	ipnUrl: process.env.MOMO_IPN_URL,
+};
+
+module.exports = momoConfig;
@@ -0,0 +1,17 @@
+// Payment gateway configuration
+// PAYMENT_GATEWAYS: các cổng thanh toán được bật, phân cách bằng dấu phẩy (vnpay, momo, zalopay)
+const paymentGatewaysConfig = {
+	enabled: (process.env.PAYMENT_GATEWAYS || 'vnpay,momo,zalopay')
+		.split(',')
+		.map((name) => name.trim().toLowerCase())
+		.filter(Boolean),
+	defaultProvider: process.env.DEFAULT_PAYMENT_GATEWAY || 'vnpay',
+	timeout: parseInt(process.env.PAYMENT_GATEWAY_TIMEOUT_MS || process.env.VNP_API_TIMEOUT_MS, 10) || 10000,
+	// Trang kết quả thanh toán của frontend (nhận status, provider, paymentId... qua query string)
+	frontendReturnUrl:
+		process.env.PAYMENT_FRONTEND_RETURN_URL ||
+		process.env.VNP_FRONTEND_RETURN_URL ||
+		'http://localhost:3000/vnpay-return',
+};
+
+module.exports = paymentGatewaysConfig;
@@ -0,0 +1,13 @@
+// Mã PIN đón khách: passenger đọc cho driver, driver nhập để bắt đầu chuyến
+const pickupPinConfig = {
+	// Số chữ số của PIN
+	length: 4,
+	// Số lần nhập sai liên tiếp trước khi bị khóa
+	maxAttempts: parseInt(process.env.PICKUP_PIN_MAX_ATTEMPTS, 10) || 5,
+	// Thời gian khóa (phút) sau khi nhập sai quá số lần cho phép
+	lockMinutes: parseInt(process.env.PICKUP_PIN_LOCK_MINUTES, 10) || 10,
+	// Số lần nhập sai gần nhất được lưu lại trên trip
+	maxLoggedAttempts: 20,
+};
+
+module.exports = pickupPinConfig;
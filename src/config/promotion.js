@@ -0,0 +1,12 @@
+// Khuyến mãi: mã giảm giá áp dụng khi thanh toán online và thưởng giới thiệu (VND, cộng vào ví)
+const promotionConfig = {
+	// Số tiền tối thiểu còn phải thanh toán sau khi giảm giá (cổng thanh toán không nhận giao dịch 0đ)
+	minPayableAmount: parseInt(process.env.PROMO_MIN_PAYABLE_AMOUNT, 10) || 5000,
+	referral: {
+		// Thưởng cho người được giới thiệu và người giới thiệu sau chuyến hoàn thành đầu tiên của người được giới thiệu
+		refereeBonus: parseInt(process.env.REFERRAL_REFEREE_BONUS, 10) || 20000,
+		referrerBonus: parseInt(process.env.REFERRAL_REFERRER_BONUS, 10) || 20000,
+	},
+};
+
+module.exports = promotionConfig;
@@ -0,0 +1,12 @@
+// Hóa đơn/biên nhận chuyến đi: thông tin đơn vị bán và thuế GTGT (giá chuyến đã bao gồm VAT)
+const receiptConfig = {
+	vatPercent: process.env.RECEIPT_VAT_PERCENT !== undefined ? Number(process.env.RECEIPT_VAT_PERCENT) : 10,
+	seller: {
+		name: process.env.RECEIPT_SELLER_NAME || 'Carpooling App',
+		taxCode: process.env.RECEIPT_SELLER_TAX_CODE || '',
+		address: process.env.RECEIPT_SELLER_ADDRESS || '',
+		email: process.env.RECEIPT_SELLER_EMAIL || 'support@carpooling.com',
+	},
+};
+
+module.exports = receiptConfig;
@@ -0,0 +1,13 @@
+// Xử lý refund chưa có kết quả cuối cùng (job settle-refunds)
+const refundConfig = {
+	// Refund processing quá N phút (timeout, lỗi mạng khi gửi) được kiểm tra lại với cổng thanh toán
+	checkAfterMinutes: parseInt(process.env.REFUND_CHECK_AFTER_MINUTES, 10) || 15,
+	// Refund của chuyến bị hủy bị từ chối được thử lại sau N phút, tối đa maxAttempts lần
+	retryAfterMinutes: parseInt(process.env.REFUND_RETRY_AFTER_MINUTES, 10) || 60,
+	maxAttempts: parseInt(process.env.REFUND_MAX_ATTEMPTS, 10) || 3,
+	// Không xử lý lại refund cũ hơn khoảng này (cần admin xử lý)
+	lookbackHours: parseInt(process.env.REFUND_LOOKBACK_HOURS, 10) || 72,
+	batchSize: 100,
+};
+
+module.exports = refundConfig;
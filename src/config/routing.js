@@ -0,0 +1,19 @@
+// Routing provider configuration
+// ROUTING_PROVIDER: haversine | osrm | graphhopper | offline
+// Mặc định haversine (khoảng cách đường chim bay, không gọi mạng), cấu hình osrm/graphhopper ở production
+// offline chỉ bật khi cần: ước tính đường bộ bằng đường chim bay nhân roadFactor, dùng cho dev/test
+const routingConfig = {
+	provider: process.env.ROUTING_PROVIDER || 'haversine',
+	osrmUrl: process.env.OSRM_URL || 'https://router.project-osrm.org',
+	osrmProfile: process.env.OSRM_PROFILE || 'driving',
+	graphhopperUrl: process.env.GRAPHHOPPER_URL || 'https://graphhopper.com/api/1',
+	graphhopperKey: process.env.GRAPHHOPPER_API_KEY,
+	graphhopperProfile: process.env.GRAPHHOPPER_PROFILE || 'car',
+	timeout: parseInt(process.env.ROUTING_TIMEOUT_MS, 10) || 5000,
+	// Tốc độ trung bình trong thành phố (km/h) khi không có dữ liệu thời gian thực tế
+	averageSpeedKmh: parseFloat(process.env.ROUTE_AVERAGE_SPEED_KMH) || 30,
+	// Hệ số quy đổi đường chim bay sang đường bộ cho provider offline
+	roadFactor: parseFloat(process.env.ROUTING_ROAD_FACTOR) || 1.3,
+};
+
+module.exports = routingConfig;
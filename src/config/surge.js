@@ -0,0 +1,22 @@
+// Surge pricing configuration
+const surgeConfig = {
+	enabled: process.env.SURGE_ENABLED !== 'false',
+	// Kích thước ô lưới (độ), 0.01 độ ~ 1.1km ở Việt Nam
+	cellSizeDeg: parseFloat(process.env.SURGE_CELL_SIZE_DEG) || 0.01,
+	// Cung/cầu được đếm trong ô hiện tại và các ô xung quanh (1 = lưới 3x3)
+	neighborRings: parseInt(process.env.SURGE_NEIGHBOR_RINGS, 10) || 1,
+	// Sliding window để đếm cung/cầu
+	windowMinutes: parseInt(process.env.SURGE_WINDOW_MINUTES, 10) || 15,
+	// Chỉ áp dụng surge cho chuyến khởi hành trong khoảng thời gian này (không áp dụng cho chuyến đặt trước)
+	horizonMinutes: parseInt(process.env.SURGE_HORIZON_MINUTES, 10) || 60,
+	// Số chuyến đang chờ tối thiểu trước khi bắt đầu surge
+	minDemand: parseInt(process.env.SURGE_MIN_DEMAND, 10) || 3,
+	// Tỉ lệ cầu/cung bắt đầu surge và mức tăng hệ số cho mỗi đơn vị tỉ lệ vượt ngưỡng
+	ratioThreshold: parseFloat(process.env.SURGE_RATIO_THRESHOLD) || 1,
+	sensitivity: parseFloat(process.env.SURGE_SENSITIVITY) || 0.25,
+	maxMultiplier: parseFloat(process.env.SURGE_MAX_MULTIPLIER) || 2,
+	// Thời gian cache hệ số của mỗi ô
+	cacheTtlSeconds: parseInt(process.env.SURGE_CACHE_TTL_SECONDS, 10) || 60,
+};
+
+module.exports = surgeConfig;
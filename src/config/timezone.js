@@ -0,0 +1,24 @@
+// Múi giờ kinh doanh: giờ cao điểm, lịch chuyến định kỳ... đều được tính theo múi giờ này
+// thay vì múi giờ của server (server thường chạy UTC)
+
+// CITY_TIMEZONES: JSON map tên thành phố -> múi giờ, vd: {"bangkok":"Asia/Bangkok"}
+const parseCityTimezones = (value) => {
+	if (!value) return {};
+	try {
+		const parsed = JSON.parse(value);
+		return Object.keys(parsed).reduce((map, city) => {
+			map[city.trim().toLowerCase()] = parsed[city];
+			return map;
+		}, {});
+	} catch (error) {
+		console.error('⚠️ Invalid CITY_TIMEZONES, ignoring:', error.message);
+		return {};
+	}
+};
+
+const timezoneConfig = {
+	businessTimezone: process.env.BUSINESS_TIMEZONE || 'Asia/Ho_Chi_Minh',
+	cityTimezones: parseCityTimezones(process.env.CITY_TIMEZONES),
+};
+
+module.exports = timezoneConfig;
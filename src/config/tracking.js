@@ -0,0 +1,17 @@
+// Vị trí driver trong chuyến: giới hạn lưu trữ và tần suất gửi
+const trackingConfig = {
+	// Các điểm GPS thô bị xóa sau số ngày này (lộ trình rút gọn vẫn được giữ trên trip đã hoàn thành)
+	retentionDays: parseInt(process.env.TRIP_LOCATION_RETENTION_DAYS, 10) || 30,
+	// Số điểm tối đa trong một lần gửi (app gửi gộp khi mất mạng)
+	maxBatchSize: parseInt(process.env.TRIP_LOCATION_MAX_BATCH, 10) || 100,
+	// Các điểm cách nhau ít hơn khoảng này (giây) chỉ giữ điểm đầu tiên
+	minIntervalSeconds: parseInt(process.env.TRIP_LOCATION_MIN_INTERVAL_SECONDS, 10) || 2,
+	// Số điểm tối đa của lộ trình lưu trên trip khi hoàn thành
+	maxTrackPoints: parseInt(process.env.TRIP_TRACK_MAX_POINTS, 10) || 500,
+	// Vị trí cũ hơn khoảng này (giây) được đánh dấu isStale
+	staleAfterSeconds: parseInt(process.env.TRIP_LOCATION_STALE_SECONDS, 10) || 120,
+	// Cho phép đồng hồ điện thoại lệch tối đa (giây) so với server
+	maxClockSkewSeconds: 60,
+};
+
+module.exports = trackingConfig;
@@ -1,5 +1,6 @@
 const crypto = require('crypto');
 const qs = require('qs');
+const { formatCompactDateTime } = require('../utils/timezone');
 
 // VNPay Configuration
 const vnpayConfig = {
@@ -13,6 +14,18 @@ const vnpayConfig = {
 	vnp_Command: process.env.VNP_COMMAND || 'pay',
 	vnp_CurrCode: process.env.VNP_CURR_CODE || 'VND',
 	vnp_Locale: process.env.VNP_LOCALE || 'vn',
+	// VNPay đọc vnp_CreateDate/vnp_ExpireDate theo giờ Việt Nam (GMT+7), không phụ thuộc múi giờ server
+	vnp_TimeZone: process.env.VNP_TIMEZONE || 'Asia/Ho_Chi_Minh',
+};
+
+// RspCode VNPay yêu cầu trong response của IPN
+const IPN_RESPONSES = {
+	success: { RspCode: '00', Message: 'Confirm Success' },
+	orderNotFound: { RspCode: '01', Message: 'Order not found' },
+	alreadyConfirmed: { RspCode: '02', Message: 'Order already confirmed' },
+	invalidAmount: { RspCode: '04', Message: 'Invalid amount' },
+	invalidSignature: { RspCode: '97', Message: 'Invalid signature' },
+	unknownError: { RspCode: '99', Message: 'Unknown error' },
 };
 
 // Helper functions
@@ -44,23 +57,17 @@ class VNPayHelper {
 	 * Verify secure hash từ VNPay response
 	 */
 	static verifySecureHash(params, secretKey) {
-		const { vnp_SecureHash, ...otherParams } = params;
+		// vnp_SecureHashType (nếu có) không nằm trong dữ liệu được ký
+		const { vnp_SecureHash, vnp_SecureHashType, ...otherParams } = params;
 		const calculatedHash = this.createSecureHash(otherParams, secretKey);
 		return calculatedHash === vnp_SecureHash;
 	}
 
 	/**
-	 * Format datetime cho VNPay (YYYYMMDDHHmmss)
+	 * Format datetime cho VNPay (YYYYMMDDHHmmss) theo múi giờ của VNPay
 	 */
 	static formatDateTime(date = new Date()) {
-		const year = date.getFullYear();
-		const month = String(date.getMonth() + 1).padStart(2, '0');
-		const day = String(date.getDate()).padStart(2, '0');
-		const hours = String(date.getHours()).padStart(2, '0');
-		const minutes = String(date.getMinutes()).padStart(2, '0');
-		const seconds = String(date.getSeconds()).padStart(2, '0');
-
-		return `${year}${month}${day}${hours}${minutes}${seconds}`;
+		return formatCompactDateTime(date, vnpayConfig.vnp_TimeZone);
 	}
 
 	/**
@@ -78,8 +85,8 @@ class VNPayHelper {
 	static createPaymentUrl(paymentData) {
 		const { amount, orderInfo, txnRef, returnUrl, ipAddr = '127.0.0.1' } = paymentData;
 
-		// Tạo expire time (15 phút từ bây giờ)
-		const expireDate = new Date(Date.now() + 15 * 60 * 1000);
+		// Tạo expire time (mặc định 15 phút từ bây giờ, hoặc theo expiredAt của payment)
+		const expireDate = paymentData.expireDate || new Date(Date.now() + 15 * 60 * 1000);
 
 		const vnpParams = {
 			vnp_Version: vnpayConfig.vnp_Version,
@@ -93,7 +100,7 @@ class VNPayHelper {
 			vnp_Amount: amount * 100, // VNPay yêu cầu amount * 100
 			vnp_ReturnUrl: returnUrl || vnpayConfig.vnp_ReturnUrl,
 			vnp_IpAddr: ipAddr,
-			vnp_CreateDate: this.formatDateTime(),
+			vnp_CreateDate: this.formatDateTime(paymentData.createDate),
 			vnp_ExpireDate: this.formatDateTime(expireDate),
 		};
 
@@ -113,6 +120,7 @@ class VNPayHelper {
 
 		return {
 			isValid,
+			tmnCode: vnpParams.vnp_TmnCode,
 			responseCode: vnpParams.vnp_ResponseCode,
 			transactionStatus: vnpParams.vnp_TransactionStatus,
 			txnRef: vnpParams.vnp_TxnRef,
@@ -127,6 +135,153 @@ class VNPayHelper {
 		};
 	}
 
+	/**
+	 * Chữ ký cho merchant_webapi: các giá trị nối bằng "|" theo thứ tự cố định, HMAC SHA512
+	 */
+	static createApiHash(values) {
+		const signData = values.map((value) => (value === undefined || value === null ? '' : value)).join('|');
+		const hmac = crypto.createHmac('sha512', vnpayConfig.vnp_HashSecret);
+		hmac.update(Buffer.from(signData, 'utf-8'));
+		return hmac.digest('hex');
+	}
+
+	/**
+	 * Tạo request body cho lệnh refund (merchant_webapi)
+	 * transactionType: '02' hoàn toàn phần, '03' hoàn một phần
+	 */
+	static createRefundRequest(refundData) {
+		const {
+			requestId,
+			txnRef,
+			amount,
+			transactionNo = '',
+			transactionDate,
+			transactionType,
+			createBy,
+			orderInfo,
+			ipAddr = '127.0.0.1',
+		} = refundData;
+
+		const params = {
+			vnp_RequestId: requestId,
+			vnp_Version: vnpayConfig.vnp_Version,
+			vnp_Command: 'refund',
+			vnp_TmnCode: vnpayConfig.vnp_TmnCode,
+			vnp_TransactionType: transactionType,
+			vnp_TxnRef: txnRef,
+			vnp_Amount: amount * 100, // VNPay yêu cầu amount * 100
+			vnp_TransactionNo: transactionNo,
+			vnp_TransactionDate: transactionDate,
+			vnp_CreateBy: createBy,
+			vnp_CreateDate: this.formatDateTime(),
+			vnp_IpAddr: ipAddr,
+			vnp_OrderInfo: orderInfo,
+		};
+
+		params.vnp_SecureHash = this.createApiHash([
+			params.vnp_RequestId,
+			params.vnp_Version,
+			params.vnp_Command,
+			params.vnp_TmnCode,
+			params.vnp_TransactionType,
+			params.vnp_TxnRef,
+			params.vnp_Amount,
+			params.vnp_TransactionNo,
+			params.vnp_TransactionDate,
+			params.vnp_CreateBy,
+			params.vnp_CreateDate,
+			params.vnp_IpAddr,
+			params.vnp_OrderInfo,
+		]);
+
+		return params;
+	}
+
+	/**
+	 * Verify chữ ký response của lệnh refund
+	 */
+	static verifyRefundResponse(response) {
+		const calculatedHash = this.createApiHash([
+			response.vnp_ResponseId,
+			response.vnp_Command,
+			response.vnp_ResponseCode,
+			response.vnp_Message,
+			response.vnp_TmnCode,
+			response.vnp_TxnRef,
+			response.vnp_Amount,
+			response.vnp_BankCode,
+			response.vnp_PayDate,
+			response.vnp_TransactionNo,
+			response.vnp_TransactionType,
+			response.vnp_TransactionStatus,
+			response.vnp_OrderInfo,
+		]);
+
+		return calculatedHash === response.vnp_SecureHash;
+	}
+
+	/**
+	 * Tạo request body cho lệnh truy vấn trạng thái giao dịch (querydr)
+	 */
+	static createQueryRequest(queryData) {
+		const { requestId, txnRef, transactionDate, transactionNo, orderInfo, ipAddr = '127.0.0.1' } = queryData;
+
+		const params = {
+			vnp_RequestId: requestId,
+			vnp_Version: vnpayConfig.vnp_Version,
+			vnp_Command: 'querydr',
+			vnp_TmnCode: vnpayConfig.vnp_TmnCode,
+			vnp_TxnRef: txnRef,
+			vnp_OrderInfo: orderInfo,
+			vnp_TransactionDate: transactionDate,
+			vnp_CreateDate: this.formatDateTime(),
+			vnp_IpAddr: ipAddr,
+		};
+
+		if (transactionNo) {
+			params.vnp_TransactionNo = transactionNo;
+		}
+
+		params.vnp_SecureHash = this.createApiHash([
+			params.vnp_RequestId,
+			params.vnp_Version,
+			params.vnp_Command,
+			params.vnp_TmnCode,
+			params.vnp_TxnRef,
+			params.vnp_TransactionDate,
+			params.vnp_CreateDate,
+			params.vnp_IpAddr,
+			params.vnp_OrderInfo,
+		]);
+
+		return params;
+	}
+
+	/**
+	 * Verify chữ ký response của lệnh querydr
+	 */
+	static verifyQueryResponse(response) {
+		const calculatedHash = this.createApiHash([
+			response.vnp_ResponseId,
+			response.vnp_Command,
+			response.vnp_ResponseCode,
+			response.vnp_Message,
+			response.vnp_TmnCode,
+			response.vnp_TxnRef,
+			response.vnp_Amount,
+			response.vnp_BankCode,
+			response.vnp_PayDate,
+			response.vnp_TransactionNo,
+			response.vnp_TransactionType,
+			response.vnp_TransactionStatus,
+			response.vnp_OrderInfo,
+			response.vnp_PromotionCode,
+			response.vnp_PromotionAmount,
+		]);
+
+		return calculatedHash === response.vnp_SecureHash;
+	}
+
 	/**
 	 * Get payment status message
 	 */
@@ -161,4 +316,5 @@ class VNPayHelper {
 module.exports = {
 	vnpayConfig,
 	VNPayHelper,
+	IPN_RESPONSES,
 };
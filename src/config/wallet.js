@@ -0,0 +1,10 @@
+// Ví trong app: giới hạn nạp tiền và số dư (VND)
+const walletConfig = {
+	currency: 'VND',
+	minTopup: parseInt(process.env.WALLET_MIN_TOPUP, 10) || 10000,
+	maxTopup: parseInt(process.env.WALLET_MAX_TOPUP, 10) || 10000000,
+	// Tổng số dư (khả dụng + đang giữ) tối đa của một ví
+	maxBalance: parseInt(process.env.WALLET_MAX_BALANCE, 10) || 50000000,
+};
+
+module.exports = walletConfig;
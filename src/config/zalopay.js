@@ -0,0 +1,13 @@
+// ZaloPay Configuration (API v2)
+const zalopayConfig = {
+	appId: process.env.ZALOPAY_APP_ID || '2553',
+	key1: process.env.ZALOPAY_KEY1 || 'PcY4iZIKFCIdgZvA6ueMcMHHUbRLYjPL', // Ký request gửi đi
+	key2: process.env.ZALOPAY_KEY2 || 'kLtgPl8HHhfvMuDHPwKfgfsY4Ydm9eIz', // Verify callback/redirect
+	endpoint: process.env.ZALOPAY_ENDPOINT || 'https://sb-openapi.zalopay.vn/v2',
+	// URL ZaloPay gọi callback (mặc định suy ra từ host của request tạo payment)
+	callbackUrl: process.env.ZALOPAY_CALLBACK_URL,
+	// app_trans_id bắt đầu bằng yymmdd theo giờ Việt Nam
+	timezone: process.env.ZALOPAY_TIMEZONE || 'Asia/Ho_Chi_Minh',
+};
+
+module.exports = zalopayConfig;
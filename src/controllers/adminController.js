@@ -3,6 +3,16 @@ const Trip = require('../models/Trip');
 const Feedback = require('../models/Feedback');
 const Rating = require('../models/Rating');
 const Notification = require('../models/Notification');
+const Payment = require('../models/Payment');
+const pricingService = require('../services/pricingService');
+const refundService = require('../services/refundService');
+const reconciliationService = require('../services/reconciliationService');
+const payoutService = require('../services/payoutService');
+const promoService = require('../services/promoService');
+const organizationService = require('../services/organizationService');
+const corporateBillingService = require('../services/corporateBillingService');
+const tripStateMachine = require('../services/tripStateMachine');
+const { DEFAULT_PRICING_RULE } = require('../utils/priceCalculator');
 
 // @desc    Get admin dashboard statistics
 // @route   GET /api/admin/stats
@@ -26,7 +36,8 @@ exports.getDashboardStats = async (req, res) => {
 
 		// Trip statistics
 		const totalTrips = await Trip.countDocuments();
-		const scheduledTrips = await Trip.countDocuments({ status: 'scheduled' });
+		// Chuyến đã có driver, chưa bắt đầu
+		const scheduledTrips = await Trip.countDocuments({ status: { $in: ['confirmed', 'paid'] } });
 		const inProgressTrips = await Trip.countDocuments({ status: 'in_progress' });
 		const completedTrips = await Trip.countDocuments({ status: 'completed' });
 		const cancelledTrips = await Trip.countDocuments({ status: 'cancelled' });
@@ -34,7 +45,7 @@ exports.getDashboardStats = async (req, res) => {
 		// Calculate total seats offered and occupied
 		const tripsWithPassengers = await Trip.aggregate([
 			{
-				$match: { status: { $in: ['scheduled', 'in_progress', 'completed'] } },
+				$match: { status: { $in: ['confirmed', 'paid', 'in_progress', 'completed'] } },
 			},
 			{
 				$project: {
@@ -67,6 +78,41 @@ exports.getDashboardStats = async (req, res) => {
 						totalSeatsOccupied: 0,
 					};
 
+		// Payment statistics theo cổng thanh toán (cash: tiền mặt driver đã xác nhận thu, wallet: trừ từ ví)
+		// Tiền nạp ví không tính vào doanh thu, chỉ tính khi được trừ cho chuyến đi
+		const paymentsByProvider = await Payment.aggregate([
+			{
+				$match: {
+					status: { $in: ['completed', 'partially_refunded', 'refunded'] },
+					purpose: { $ne: 'wallet_topup' },
+				},
+			},
+			{
+				$group: {
+					_id: '$provider',
+					count: { $sum: 1 },
+					amount: { $sum: '$amount' },
+					refundedAmount: { $sum: '$refundedAmount' },
+				},
+			},
+		]);
+
+		const paymentStats = paymentsByProvider.reduce(
+			(stats, item) => {
+				const provider = item._id || 'vnpay';
+				stats.byProvider[provider] = {
+					count: item.count,
+					amount: item.amount,
+					refundedAmount: item.refundedAmount,
+				};
+				stats.count += item.count;
+				stats.grossRevenue += item.amount;
+				stats.netRevenue += item.amount - item.refundedAmount;
+				return stats;
+			},
+			{ count: 0, grossRevenue: 0, netRevenue: 0, byProvider: {} }
+		);
+
 		// Feedback statistics
 		const totalFeedback = await Feedback.countDocuments();
 		const pendingFeedback = await Feedback.countDocuments({ status: 'pending' });
@@ -118,6 +164,7 @@ exports.getDashboardStats = async (req, res) => {
 							? Math.round((seatsStats.totalSeatsOccupied / seatsStats.totalSeatsOffered) * 100)
 							: 0,
 				},
+				payments: paymentStats,
 				feedback: {
 					total: totalFeedback,
 					pending: pendingFeedback,
@@ -649,54 +696,964 @@ exports.cancelTrip = async (req, res) => {
 			});
 		}
 
-		if (trip.status === 'cancelled') {
-			return res.status(400).json({
+		// Admin hủy: hoàn toàn bộ tiền đã thanh toán, trả lại tiền đang giữ trong ví và thông báo cho các bên
+		const { refund, releasedHolds } = await tripStateMachine.transition(trip, 'cancelled', {
+			actor: req.user,
+			actorRole: 'admin',
+			reason,
+			ipAddr: req.ip,
+		});
+		refund.releasedHolds = releasedHolds;
+
+		res.status(200).json({
+			success: true,
+			data: trip,
+			refund,
+		});
+	} catch (error) {
+		res.status(error.statusCode || 500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+};
+
+// @desc    Get pricing rules (admin)
+// @route   GET /api/admin/pricing-rules
+// @access  Private (Admin only)
+exports.getPricingRules = async (req, res) => {
+	try {
+		// Check if user is admin
+		if (req.user.role !== 'admin') {
+			return res.status(403).json({
+				success: false,
+				error: 'Only admins can access this resource',
+			});
+		}
+
+		// status: active (mặc định), superseded, inactive hoặc all
+		const rules = await pricingService.getRules(req.query.status || 'active');
+
+		res.status(200).json({
+			success: true,
+			count: rules.length,
+			data: rules,
+			// Bảng giá built-in được dùng khi không có bảng giá nào khớp
+			fallback: DEFAULT_PRICING_RULE,
+		});
+	} catch (error) {
+		res.status(error.statusCode || 500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+};
+
+// @desc    Get all versions of a pricing rule (admin)
+// @route   GET /api/admin/pricing-rules/:code/versions
+// @access  Private (Admin only)
+exports.getPricingRuleVersions = async (req, res) => {
+	try {
+		// Check if user is admin
+		if (req.user.role !== 'admin') {
+			return res.status(403).json({
+				success: false,
+				error: 'Only admins can access this resource',
+			});
+		}
+
+		const versions = await pricingService.getRuleVersions(req.params.code);
+
+		res.status(200).json({
+			success: true,
+			count: versions.length,
+			data: versions,
+		});
+	} catch (error) {
+		res.status(error.statusCode || 500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+};
+
+// @desc    Create pricing rule (admin)
+// @route   POST /api/admin/pricing-rules
+// @access  Private (Admin only)
+exports.createPricingRule = async (req, res) => {
+	try {
+		// Check if user is admin
+		if (req.user.role !== 'admin') {
+			return res.status(403).json({
+				success: false,
+				error: 'Only admins can access this resource',
+			});
+		}
+
+		const rule = await pricingService.createRule(req.body, req.user._id);
+
+		res.status(201).json({
+			success: true,
+			message: 'Pricing rule created',
+			data: rule,
+		});
+	} catch (error) {
+		res.status(error.statusCode || 500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+};
+
+// @desc    Update pricing rule by publishing a new version (admin)
+// @route   PUT /api/admin/pricing-rules/:code
+// @access  Private (Admin only)
+exports.updatePricingRule = async (req, res) => {
+	try {
+		// Check if user is admin
+		if (req.user.role !== 'admin') {
+			return res.status(403).json({
+				success: false,
+				error: 'Only admins can access this resource',
+			});
+		}
+
+		const rule = await pricingService.createRuleVersion(req.params.code, req.body, req.user._id);
+
+		res.status(200).json({
+			success: true,
+			message: `Pricing rule updated to version ${rule.version}`,
+			data: rule,
+		});
+	} catch (error) {
+		res.status(error.statusCode || 500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+};
+
+// @desc    Deactivate pricing rule (admin)
+// @route   DELETE /api/admin/pricing-rules/:code
+// @access  Private (Admin only)
+exports.deactivatePricingRule = async (req, res) => {
+	try {
+		// Check if user is admin
+		if (req.user.role !== 'admin') {
+			return res.status(403).json({
+				success: false,
+				error: 'Only admins can access this resource',
+			});
+		}
+
+		const rule = await pricingService.deactivateRule(req.params.code);
+
+		res.status(200).json({
+			success: true,
+			message: 'Pricing rule deactivated',
+			data: rule,
+		});
+	} catch (error) {
+		res.status(error.statusCode || 500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+};
+
+// @desc    Refund a payment manually, fully or partially (admin)
+// @route   POST /api/admin/payments/:id/refund
+// @access  Private (Admin only)
+exports.refundPayment = async (req, res) => {
+	try {
+		// Check if user is admin
+		if (req.user.role !== 'admin') {
+			return res.status(403).json({
 				success: false,
-				error: 'Trip is already cancelled',
+				error: 'Only admins can access this resource',
 			});
 		}
 
-		if (trip.status === 'completed') {
+		const { amount, reason } = req.body;
+
+		if (!reason) {
 			return res.status(400).json({
 				success: false,
-				error: 'Cannot cancel a completed trip',
+				error: 'Refund reason is required',
 			});
 		}
 
-		// Update trip status
-		trip.status = 'cancelled';
-		trip.cancellationReason = `[ADMIN] ${reason}`;
-		await trip.save();
+		const payment = await Payment.findById(req.params.id);
 
-		// Notify the driver
-		await Notification.create({
-			recipient: trip.driver,
-			title: 'Trip Cancelled by Admin',
-			message: `Your trip has been cancelled by an administrator. Reason: ${reason}`,
-			type: 'trip_cancelled',
-			relatedId: trip._id,
-			relatedModel: 'Trip',
+		if (!payment) {
+			return res.status(404).json({
+				success: false,
+				error: 'Payment not found',
+			});
+		}
+
+		// Không truyền amount: hoàn toàn bộ phần còn lại
+		const refund = await refundService.refundPayment(payment, {
+			amount: amount !== undefined ? Number(amount) : undefined,
+			reason: `[ADMIN] ${reason}`,
+			initiatedBy: req.user._id,
+			createBy: 'admin',
+			ipAddr: req.ip,
+		});
+
+		// Payment không áp dụng được cho chuyến (chờ admin xử lý) đã được hoàn tiền
+		if (payment.unapplied && payment.unapplied.requiresAction && refund.status !== 'failed') {
+			await Payment.updateOne(
+				{ _id: payment._id },
+				{ $set: { 'unapplied.requiresAction': false, 'unapplied.refund': refund._id } }
+			);
+		}
+
+		// processing: cổng thanh toán chưa trả kết quả rõ ràng, job settle-refunds sẽ kiểm tra lại
+		res.status({ failed: 502, processing: 202 }[refund.status] || 200).json({
+			success: refund.status !== 'failed',
+			data: refund,
+			...(refund.status === 'failed' && { error: refund.failureReason }),
+			...(refund.status === 'processing' && {
+				message: 'The refund result is not known yet and will be checked with the payment gateway',
+			}),
+		});
+	} catch (error) {
+		res.status(error.statusCode || 500).json({
+			success: false,
+			error: error.message,
 		});
+	}
+};
+
+// @desc    Reconcile a payment with its payment gateway now
+// @route   POST /api/admin/payments/:id/reconcile
+// @access  Private (Admin only)
+exports.reconcilePayment = async (req, res) => {
+	try {
+		// Check if user is admin
+		if (req.user.role !== 'admin') {
+			return res.status(403).json({
+				success: false,
+				error: 'Only admins can access this resource',
+			});
+		}
+
+		const payment = await Payment.findById(req.params.id);
 
-		// Notify all accepted passengers
-		const acceptedPassengers = trip.passengers.filter((p) => p.status === 'accepted');
-		for (const passenger of acceptedPassengers) {
-			await Notification.create({
-				recipient: passenger.user,
-				title: 'Trip Cancelled by Admin',
-				message: `A trip you were planning to join has been cancelled by an administrator. Reason: ${reason}`,
-				type: 'trip_cancelled',
-				relatedId: trip._id,
-				relatedModel: 'Trip',
+		if (!payment) {
+			return res.status(404).json({
+				success: false,
+				error: 'Payment not found',
 			});
 		}
 
+		const result = await reconciliationService.reconcilePayment(payment, { ipAddr: req.ip });
+
 		res.status(200).json({
 			success: true,
-			data: trip,
+			data: {
+				payment: result.payment,
+				previousStatus: result.previousStatus,
+				gatewayState: result.gatewayState,
+				gatewayAmount: result.gatewayAmount,
+				action: result.action,
+				gatewayResponse: result.data,
+			},
 		});
 	} catch (error) {
-		res.status(500).json({
+		res.status(error.statusCode || 500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+};
+
+// @desc    Get payments that could not be applied to their trip: trip or seat cancelled, fare share overpaid (admin)
+// @route   GET /api/admin/payments/unapplied
+// @access  Private (Admin only)
+exports.getUnappliedPayments = async (req, res) => {
+	try {
+		// Check if user is admin
+		if (req.user.role !== 'admin') {
+			return res.status(403).json({
+				success: false,
+				error: 'Only admins can access this resource',
+			});
+		}
+
+		// requiresAction=true: chỉ các payment chưa tự hoàn tiền được
+		const query = { 'unapplied.detectedAt': { $exists: true } };
+		if (req.query.requiresAction === 'true') {
+			query['unapplied.requiresAction'] = true;
+		}
+
+		const page = parseInt(req.query.page, 10) || 1;
+		const limit = parseInt(req.query.limit, 10) || 20;
+		const [payments, total] = await Promise.all([
+			Payment.find(query)
+				.populate('user', 'fullName email phone')
+				.populate('trip', 'status tripType departureTime')
+				.populate('unapplied.refund', 'status amount failureReason processedAt')
+				.sort({ 'unapplied.detectedAt': -1 })
+				.skip((page - 1) * limit)
+				.limit(limit),
+			Payment.countDocuments(query),
+		]);
+
+		res.status(200).json({
+			success: true,
+			count: payments.length,
+			total,
+			data: payments,
+		});
+	} catch (error) {
+		res.status(error.statusCode || 500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+};
+
+// @desc    Get daily reconciliation reports
+// @route   GET /api/admin/reconciliation/reports
+// @access  Private (Admin only)
+exports.getReconciliationReports = async (req, res) => {
+	try {
+		// Check if user is admin
+		if (req.user.role !== 'admin') {
+			return res.status(403).json({
+				success: false,
+				error: 'Only admins can access this resource',
+			});
+		}
+
+		const page = parseInt(req.query.page, 10) || 1;
+		const limit = parseInt(req.query.limit, 10) || 30;
+		const reports = await reconciliationService.getReports({ page, limit });
+
+		res.status(200).json({
+			success: true,
+			count: reports.length,
+			data: reports,
+		});
+	} catch (error) {
+		res.status(error.statusCode || 500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+};
+
+// @desc    Get a reconciliation report with its mismatches
+// @route   GET /api/admin/reconciliation/reports/:date
+// @access  Private (Admin only)
+exports.getReconciliationReport = async (req, res) => {
+	try {
+		// Check if user is admin
+		if (req.user.role !== 'admin') {
+			return res.status(403).json({
+				success: false,
+				error: 'Only admins can access this resource',
+			});
+		}
+
+		const report = await reconciliationService.getReport(req.params.date);
+
+		res.status(200).json({
+			success: true,
+			data: report,
+		});
+	} catch (error) {
+		res.status(error.statusCode || 500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+};
+
+// @desc    Generate (or regenerate) the reconciliation report of a day
+// @route   POST /api/admin/reconciliation/reports
+// @access  Private (Admin only)
+exports.generateReconciliationReport = async (req, res) => {
+	try {
+		// Check if user is admin
+		if (req.user.role !== 'admin') {
+			return res.status(403).json({
+				success: false,
+				error: 'Only admins can access this resource',
+			});
+		}
+
+		// Không truyền date: đối soát ngày hôm qua
+		const report = await reconciliationService.generateDailyReport({
+			date: req.body.date,
+			force: true,
+			generatedBy: req.user._id,
+		});
+
+		if (!report) {
+			return res.status(400).json({
+				success: false,
+				error: 'Yesterday cannot be reconciled yet. Please try again later',
+			});
+		}
+
+		res.status(201).json({
+			success: true,
+			data: report,
+			message: 'Reconciliation report generated successfully',
+		});
+	} catch (error) {
+		res.status(error.statusCode || 500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+};
+
+// @desc    Get driver payout batches
+// @route   GET /api/admin/payouts
+// @access  Private (Admin only)
+exports.getPayoutBatches = async (req, res) => {
+	try {
+		// Check if user is admin
+		if (req.user.role !== 'admin') {
+			return res.status(403).json({
+				success: false,
+				error: 'Only admins can access this resource',
+			});
+		}
+
+		const page = parseInt(req.query.page, 10) || 1;
+		const limit = parseInt(req.query.limit, 10) || 20;
+
+		const { batches, total } = await payoutService.getBatches({
+			status: req.query.status,
+			page,
+			limit,
+		});
+
+		res.status(200).json({
+			success: true,
+			count: batches.length,
+			total,
+			pagination: {
+				currentPage: page,
+				totalPages: Math.ceil(total / limit),
+				limit,
+			},
+			data: batches,
+		});
+	} catch (error) {
+		res.status(error.statusCode || 500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+};
+
+// @desc    Create a payout batch from pending driver earnings
+// @route   POST /api/admin/payouts
+// @access  Private (Admin only)
+exports.createPayoutBatch = async (req, res) => {
+	try {
+		// Check if user is admin
+		if (req.user.role !== 'admin') {
+			return res.status(403).json({
+				success: false,
+				error: 'Only admins can access this resource',
+			});
+		}
+
+		// Không truyền cutoff: lấy các thu nhập đã qua thời gian chờ PAYOUT_DELAY_HOURS
+		const batch = await payoutService.createBatch({
+			createdBy: req.user._id,
+			cutoff: req.body.cutoff,
+			note: req.body.note,
+		});
+
+		res.status(201).json({
+			success: true,
+			data: batch,
+			message: 'Payout batch created successfully',
+		});
+	} catch (error) {
+		res.status(error.statusCode || 500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+};
+
+// @desc    Get payout batch details
+// @route   GET /api/admin/payouts/:id
+// @access  Private (Admin only)
+exports.getPayoutBatch = async (req, res) => {
+	try {
+		// Check if user is admin
+		if (req.user.role !== 'admin') {
+			return res.status(403).json({
+				success: false,
+				error: 'Only admins can access this resource',
+			});
+		}
+
+		const batch = await payoutService.getBatch(req.params.id);
+
+		res.status(200).json({
+			success: true,
+			data: batch,
+		});
+	} catch (error) {
+		res.status(error.statusCode || 500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+};
+
+// @desc    Export the bank transfer file of a payout batch
+// @route   GET /api/admin/payouts/:id/export
+// @access  Private (Admin only)
+exports.exportPayoutBatch = async (req, res) => {
+	try {
+		// Check if user is admin
+		if (req.user.role !== 'admin') {
+			return res.status(403).json({
+				success: false,
+				error: 'Only admins can access this resource',
+			});
+		}
+
+		const { filename, content } = await payoutService.exportBatch(req.params.id);
+
+		res.set({
+			'Content-Type': 'text/csv; charset=utf-8',
+			'Content-Disposition': `attachment; filename="${filename}"`,
+		});
+		res.status(200).send(content);
+	} catch (error) {
+		res.status(error.statusCode || 500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+};
+
+// @desc    Mark a payout batch as transferred
+// @route   POST /api/admin/payouts/:id/complete
+// @access  Private (Admin only)
+exports.completePayoutBatch = async (req, res) => {
+	try {
+		// Check if user is admin
+		if (req.user.role !== 'admin') {
+			return res.status(403).json({
+				success: false,
+				error: 'Only admins can access this resource',
+			});
+		}
+
+		const { transferReference, failedDrivers = [] } = req.body;
+
+		if (!Array.isArray(failedDrivers)) {
+			return res.status(400).json({
+				success: false,
+				error: 'failedDrivers must be an array of driver ids',
+			});
+		}
+
+		const batch = await payoutService.completeBatch(req.params.id, {
+			completedBy: req.user._id,
+			transferReference,
+			failedDrivers,
+		});
+
+		res.status(200).json({
+			success: true,
+			data: batch,
+			message: 'Payout batch completed successfully',
+		});
+	} catch (error) {
+		res.status(error.statusCode || 500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+};
+
+// @desc    Cancel a payout batch that has not been transferred
+// @route   POST /api/admin/payouts/:id/cancel
+// @access  Private (Admin only)
+exports.cancelPayoutBatch = async (req, res) => {
+	try {
+		// Check if user is admin
+		if (req.user.role !== 'admin') {
+			return res.status(403).json({
+				success: false,
+				error: 'Only admins can access this resource',
+			});
+		}
+
+		const batch = await payoutService.cancelBatch(req.params.id, { note: req.body.note });
+
+		res.status(200).json({
+			success: true,
+			data: batch,
+			message: 'Payout batch cancelled successfully',
+		});
+	} catch (error) {
+		res.status(error.statusCode || 500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+};
+
+// @desc    Get promo codes
+// @route   GET /api/admin/promo-codes
+// @access  Private (Admin only)
+exports.getPromoCodes = async (req, res) => {
+	try {
+		// Check if user is admin
+		if (req.user.role !== 'admin') {
+			return res.status(403).json({
+				success: false,
+				error: 'Only admins can access this resource',
+			});
+		}
+
+		const page = parseInt(req.query.page, 10) || 1;
+		const limit = parseInt(req.query.limit, 10) || 20;
+
+		const { promoCodes, total } = await promoService.getPromoCodes({
+			isActive: req.query.isActive === undefined ? undefined : req.query.isActive === 'true',
+			page,
+			limit,
+		});
+
+		res.status(200).json({
+			success: true,
+			count: promoCodes.length,
+			total,
+			pagination: {
+				currentPage: page,
+				totalPages: Math.ceil(total / limit),
+				limit,
+			},
+			data: promoCodes,
+		});
+	} catch (error) {
+		res.status(error.statusCode || 500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+};
+
+// @desc    Create a promo code
+// @route   POST /api/admin/promo-codes
+// @access  Private (Admin only)
+exports.createPromoCode = async (req, res) => {
+	try {
+		// Check if user is admin
+		if (req.user.role !== 'admin') {
+			return res.status(403).json({
+				success: false,
+				error: 'Only admins can access this resource',
+			});
+		}
+
+		if (!req.body.code || !req.body.discountType || req.body.discountValue === undefined) {
+			return res.status(400).json({
+				success: false,
+				error: 'Please provide code, discountType and discountValue',
+			});
+		}
+
+		const promo = await promoService.createPromoCode(req.body, req.user._id);
+
+		res.status(201).json({
+			success: true,
+			data: promo,
+			message: 'Promo code created successfully',
+		});
+	} catch (error) {
+		res.status(error.statusCode || 500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+};
+
+// @desc    Update a promo code
+// @route   PUT /api/admin/promo-codes/:id
+// @access  Private (Admin only)
+exports.updatePromoCode = async (req, res) => {
+	try {
+		// Check if user is admin
+		if (req.user.role !== 'admin') {
+			return res.status(403).json({
+				success: false,
+				error: 'Only admins can access this resource',
+			});
+		}
+
+		const promo = await promoService.updatePromoCode(req.params.id, req.body);
+
+		res.status(200).json({
+			success: true,
+			data: promo,
+			message: 'Promo code updated successfully',
+		});
+	} catch (error) {
+		res.status(error.statusCode || 500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+};
+
+// @desc    Deactivate a promo code
+// @route   DELETE /api/admin/promo-codes/:id
+// @access  Private (Admin only)
+exports.deactivatePromoCode = async (req, res) => {
+	try {
+		// Check if user is admin
+		if (req.user.role !== 'admin') {
+			return res.status(403).json({
+				success: false,
+				error: 'Only admins can access this resource',
+			});
+		}
+
+		// Không xóa để vẫn tra được các payment đã dùng mã
+		const promo = await promoService.updatePromoCode(req.params.id, { isActive: false });
+
+		res.status(200).json({
+			success: true,
+			data: promo,
+			message: 'Promo code deactivated successfully',
+		});
+	} catch (error) {
+		res.status(error.statusCode || 500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+};
+
+// @desc    Get redemptions of a promo code
+// @route   GET /api/admin/promo-codes/:id/redemptions
+// @access  Private (Admin only)
+exports.getPromoRedemptions = async (req, res) => {
+	try {
+		// Check if user is admin
+		if (req.user.role !== 'admin') {
+			return res.status(403).json({
+				success: false,
+				error: 'Only admins can access this resource',
+			});
+		}
+
+		const page = parseInt(req.query.page, 10) || 1;
+		const limit = parseInt(req.query.limit, 10) || 20;
+
+		const { redemptions, total } = await promoService.getRedemptions(req.params.id, { page, limit });
+
+		res.status(200).json({
+			success: true,
+			count: redemptions.length,
+			total,
+			pagination: {
+				currentPage: page,
+				totalPages: Math.ceil(total / limit),
+				limit,
+			},
+			data: redemptions,
+		});
+	} catch (error) {
+		res.status(error.statusCode || 500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+};
+
+// @desc    Get organizations (corporate accounts)
+// @route   GET /api/admin/organizations
+// @access  Private (Admin only)
+exports.getOrganizations = async (req, res) => {
+	try {
+		// Check if user is admin
+		if (req.user.role !== 'admin') {
+			return res.status(403).json({
+				success: false,
+				error: 'Only admins can access this resource',
+			});
+		}
+
+		const page = parseInt(req.query.page, 10) || 1;
+		const limit = parseInt(req.query.limit, 10) || 20;
+
+		const { organizations, total } = await organizationService.getOrganizations({
+			isActive: req.query.isActive === undefined ? undefined : req.query.isActive === 'true',
+			search: req.query.search,
+			page,
+			limit,
+		});
+
+		res.status(200).json({
+			success: true,
+			count: organizations.length,
+			total,
+			pagination: {
+				currentPage: page,
+				totalPages: Math.ceil(total / limit),
+				limit,
+			},
+			data: organizations,
+		});
+	} catch (error) {
+		res.status(error.statusCode || 500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+};
+
+// @desc    Create an organization with its first admins
+// @route   POST /api/admin/organizations
+// @access  Private (Admin only)
+exports.createOrganization = async (req, res) => {
+	try {
+		// Check if user is admin
+		if (req.user.role !== 'admin') {
+			return res.status(403).json({
+				success: false,
+				error: 'Only admins can access this resource',
+			});
+		}
+
+		if (!req.body.name) {
+			return res.status(400).json({
+				success: false,
+				error: 'Please provide the organization name',
+			});
+		}
+
+		const organization = await organizationService.createOrganization(req.body, req.user._id);
+
+		res.status(201).json({
+			success: true,
+			data: organization,
+			message: 'Organization created successfully',
+		});
+	} catch (error) {
+		res.status(error.statusCode || 500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+};
+
+// @desc    Issue the monthly invoice of an organization
+// @route   POST /api/admin/organizations/:id/invoices
+// @access  Private (Admin only)
+exports.createCorporateInvoice = async (req, res) => {
+	try {
+		// Check if user is admin
+		if (req.user.role !== 'admin') {
+			return res.status(403).json({
+				success: false,
+				error: 'Only admins can access this resource',
+			});
+		}
+
+		const invoice = await corporateBillingService.generateInvoice(req.params.id, {
+			period: req.body.period || corporateBillingService.getMonthKeys().previous,
+			createdBy: req.user._id,
+		});
+
+		res.status(201).json({
+			success: true,
+			data: invoice,
+			message: `Invoice ${invoice.invoiceNumber} issued`,
+		});
+	} catch (error) {
+		res.status(error.statusCode || 500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+};
+
+// @desc    Get corporate invoices of all organizations
+// @route   GET /api/admin/corporate-invoices
+// @access  Private (Admin only)
+exports.getCorporateInvoices = async (req, res) => {
+	try {
+		// Check if user is admin
+		if (req.user.role !== 'admin') {
+			return res.status(403).json({
+				success: false,
+				error: 'Only admins can access this resource',
+			});
+		}
+
+		const page = parseInt(req.query.page, 10) || 1;
+		const limit = parseInt(req.query.limit, 10) || 20;
+
+		const { invoices, total } = await corporateBillingService.getInvoices({
+			organizationId: req.query.organization,
+			status: req.query.status,
+			page,
+			limit,
+		});
+
+		res.status(200).json({
+			success: true,
+			count: invoices.length,
+			total,
+			pagination: {
+				currentPage: page,
+				totalPages: Math.ceil(total / limit),
+				limit,
+			},
+			data: invoices,
+		});
+	} catch (error) {
+		res.status(error.statusCode || 500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+};
+
+// @desc    Mark a corporate invoice as paid
+// @route   POST /api/admin/corporate-invoices/:id/paid
+// @access  Private (Admin only)
+exports.markCorporateInvoicePaid = async (req, res) => {
+	try {
+		// Check if user is admin
+		if (req.user.role !== 'admin') {
+			return res.status(403).json({
+				success: false,
+				error: 'Only admins can access this resource',
+			});
+		}
+
+		const invoice = await corporateBillingService.markInvoicePaid(req.params.id, {
+			paymentReference: req.body.paymentReference,
+		});
+
+		res.status(200).json({
+			success: true,
+			data: invoice,
+			message: 'Invoice marked as paid',
+		});
+	} catch (error) {
+		res.status(error.statusCode || 500).json({
 			success: false,
 			error: error.message,
 		});
@@ -2,6 +2,7 @@ const Chat = require('../models/Chat');
 const User = require('../models/User');
 const Trip = require('../models/Trip');
 const Notification = require('../models/Notification');
+const realtimeService = require('../services/realtimeService');
 
 // @desc    Get all chats for the current user
 // @route   GET /api/chats
@@ -153,6 +154,7 @@ exports.sendMessage = async (req, res) => {
 
 		// Add the message
 		const message = await chat.addMessage(userId, content, attachment);
+		realtimeService.emitChatMessage(chat, message);
 
 		// Find the recipient (other participant)
 		const recipient = chat.participants.find((p) => p._id.toString() !== userId.toString());
@@ -1,5 +1,7 @@
 const User = require('../models/User');
 const Trip = require('../models/Trip');
+const driverEarningsService = require('../services/driverEarningsService');
+const driverAvailabilityService = require('../services/driverAvailabilityService');
 
 /**
  * @swagger
@@ -259,7 +261,7 @@ exports.getDriverProfile = async (req, res) => {
 		});
 		const activeTrips = await Trip.countDocuments({
 			driver: req.user._id,
-			status: 'scheduled',
+			status: { $in: ['confirmed', 'paid'] },
 			departureTime: { $gte: new Date() },
 		});
 
@@ -308,7 +310,7 @@ exports.getDriverProfile = async (req, res) => {
  *         name: status
  *         schema:
  *           type: string
- *           enum: [scheduled, in_progress, completed, cancelled]
+ *           enum: [confirmed, paid, in_progress, completed, cancelled]
  *         description: Filter by trip status
  *       - in: query
  *         name: page
@@ -428,8 +430,10 @@ exports.switchToPassenger = async (req, res) => {
 		// Check for active trips
 		const activeTrips = await Trip.countDocuments({
 			driver: req.user._id,
-			status: { $in: ['scheduled', 'in_progress'] },
-			departureTime: { $gte: new Date() },
+			$or: [
+				{ status: 'in_progress' },
+				{ status: { $in: ['confirmed', 'paid'] }, departureTime: { $gte: new Date() } },
+			],
 		});
 
 		if (activeTrips > 0) {
@@ -458,3 +462,395 @@ exports.switchToPassenger = async (req, res) => {
 		});
 	}
 };
+
+/**
+ * @swagger
+ * /drivers/earnings:
+ *   get:
+ *     summary: Get driver earnings dashboard
+ *     description: Gross fares, platform commission and net earnings grouped by day, ISO week or month (business timezone), plus the balance waiting for payout
+ *     tags: [Drivers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: period
+ *         schema:
+ *           type: string
+ *           enum: [daily, weekly, monthly]
+ *           default: daily
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Defaults to 30 days, 12 weeks or 12 months ago depending on the period
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: Earnings dashboard
+ *       400:
+ *         description: Invalid period or date range
+ *       403:
+ *         description: Not a driver
+ *       500:
+ *         description: Server error
+ */
+// @desc    Get driver earnings dashboard
+// @route   GET /api/drivers/earnings
+// @access  Private (Driver only)
+exports.getEarnings = async (req, res) => {
+	try {
+		if (!['driver', 'both'].includes(req.user.role)) {
+			return res.status(403).json({
+				success: false,
+				error: 'Only drivers can access this endpoint',
+			});
+		}
+
+		const dashboard = await driverEarningsService.getDashboard(req.user._id, {
+			period: req.query.period,
+			from: req.query.from,
+			to: req.query.to,
+		});
+
+		res.status(200).json({
+			success: true,
+			data: dashboard,
+		});
+	} catch (error) {
+		console.error('Get driver earnings error:', error);
+		res.status(error.statusCode || 500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+};
+
+/**
+ * @swagger
+ * /drivers/earnings/trips:
+ *   get:
+ *     summary: Get per-trip earnings
+ *     description: Earnings record of each completed trip with its commission and payout status
+ *     tags: [Drivers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, in_payout, paid_out]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: number
+ *     responses:
+ *       200:
+ *         description: Per-trip earnings
+ *       403:
+ *         description: Not a driver
+ *       500:
+ *         description: Server error
+ */
+// @desc    Get per-trip earnings
+// @route   GET /api/drivers/earnings/trips
+// @access  Private (Driver only)
+exports.getEarningTrips = async (req, res) => {
+	try {
+		if (!['driver', 'both'].includes(req.user.role)) {
+			return res.status(403).json({
+				success: false,
+				error: 'Only drivers can access this endpoint',
+			});
+		}
+
+		const page = parseInt(req.query.page, 10) || 1;
+		const limit = parseInt(req.query.limit, 10) || 10;
+
+		const { earnings, total } = await driverEarningsService.getEarnings(req.user._id, {
+			status: req.query.status,
+			page,
+			limit,
+		});
+
+		res.status(200).json({
+			success: true,
+			count: earnings.length,
+			total,
+			pagination: {
+				currentPage: page,
+				totalPages: Math.ceil(total / limit),
+				limit,
+			},
+			data: earnings,
+		});
+	} catch (error) {
+		console.error('Get driver earning trips error:', error);
+		res.status(500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+};
+
+/**
+ * @swagger
+ * /drivers/payout-account:
+ *   put:
+ *     summary: Update payout bank account
+ *     description: Bank account that receives earnings payouts. Drivers without one are skipped when a payout batch is created.
+ *     tags: [Drivers]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [bankCode, accountNumber, accountName]
+ *             properties:
+ *               bankCode:
+ *                 type: string
+ *                 example: "VCB"
+ *               bankName:
+ *                 type: string
+ *                 example: "Vietcombank"
+ *               accountNumber:
+ *                 type: string
+ *                 example: "0123456789"
+ *               accountName:
+ *                 type: string
+ *                 example: "NGUYEN VAN A"
+ *     responses:
+ *       200:
+ *         description: Payout account updated
+ *       400:
+ *         description: Missing or invalid account information
+ *       403:
+ *         description: Not a driver
+ *       500:
+ *         description: Server error
+ */
+// @desc    Update payout bank account
+// @route   PUT /api/drivers/payout-account
+// @access  Private (Driver only)
+exports.updatePayoutAccount = async (req, res) => {
+	try {
+		const user = await User.findById(req.user._id);
+
+		// Check if user is a driver
+		if (!['driver', 'both'].includes(user.role)) {
+			return res.status(403).json({
+				success: false,
+				error: 'Only drivers can update their payout account',
+			});
+		}
+
+		const { bankCode, bankName, accountNumber, accountName } = req.body;
+
+		if (!bankCode || !accountNumber || !accountName) {
+			return res.status(400).json({
+				success: false,
+				error: 'Please provide bankCode, accountNumber and accountName',
+			});
+		}
+
+		if (!/^\d{6,20}$/.test(String(accountNumber).trim())) {
+			return res.status(400).json({
+				success: false,
+				error: 'Account number must contain 6 to 20 digits',
+			});
+		}
+
+		user.payoutAccount = { bankCode, bankName, accountNumber, accountName };
+		await user.save();
+
+		res.status(200).json({
+			success: true,
+			message: 'Payout account updated successfully',
+			data: user.payoutAccount,
+		});
+	} catch (error) {
+		console.error('Update payout account error:', error);
+		res.status(500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+};
+
+/**
+ * @swagger
+ * /drivers/availability:
+ *   get:
+ *     summary: Get my availability
+ *     description: Current availability status (offline, online or busy) and last known location of the driver
+ *     tags: [Drivers]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Availability
+ *       403:
+ *         description: Not a driver
+ *       500:
+ *         description: Server error
+ */
+// @desc    Get driver availability
+// @route   GET /api/drivers/availability
+// @access  Private (Driver only)
+exports.getAvailability = async (req, res) => {
+	try {
+		const availability = await driverAvailabilityService.getAvailability(req.user._id);
+
+		res.status(200).json({
+			success: true,
+			data: availability,
+		});
+	} catch (error) {
+		res.status(error.statusCode || 500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+};
+
+/**
+ * @swagger
+ * /drivers/availability:
+ *   patch:
+ *     summary: Go online/offline or update my location
+ *     description: Drivers go online with their current location to appear in nearby searches and see booking requests around them. Send lat/lng periodically while online; drivers that stop sending it are switched offline. While a trip is in progress the status is busy and changes back to online automatically when the trip ends.
+ *     tags: [Drivers]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [online, offline]
+ *               lat:
+ *                 type: number
+ *                 example: 10.7769
+ *               lng:
+ *                 type: number
+ *                 example: 106.7009
+ *     responses:
+ *       200:
+ *         description: Availability updated
+ *       400:
+ *         description: Invalid status or location, missing vehicle information, or trip in progress
+ *       403:
+ *         description: Not a driver
+ *       500:
+ *         description: Server error
+ */
+// @desc    Update driver availability and location
+// @route   PATCH /api/drivers/availability
+// @access  Private (Driver only)
+exports.updateAvailability = async (req, res) => {
+	try {
+		const { status, lat, lng } = req.body;
+		const availability = await driverAvailabilityService.updateAvailability(req.user._id, { status, lat, lng });
+
+		res.status(200).json({
+			success: true,
+			message: `You are ${availability.status}`,
+			data: availability,
+		});
+	} catch (error) {
+		res.status(error.statusCode || 500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+};
+
+/**
+ * @swagger
+ * /drivers/nearby:
+ *   get:
+ *     summary: Find online drivers nearby
+ *     description: Online drivers around a location, nearest first. Drivers who are busy, offline or have not sent their location recently are not listed.
+ *     tags: [Drivers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: lat
+ *         required: true
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: lng
+ *         required: true
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: radius
+ *         schema:
+ *           type: number
+ *           default: 3
+ *         description: Search radius in km (capped at NEARBY_DRIVER_MAX_RADIUS_KM)
+ *       - in: query
+ *         name: vehicleType
+ *         schema:
+ *           type: string
+ *           enum: [motorcycle, car, suv, luxury]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: number
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Nearby drivers with their distance
+ *       400:
+ *         description: Missing or invalid location or vehicle type
+ *       500:
+ *         description: Server error
+ */
+// @desc    Find online drivers near a location
+// @route   GET /api/drivers/nearby
+// @access  Private
+exports.getNearbyDrivers = async (req, res) => {
+	try {
+		const { lat, lng, radius, vehicleType, limit } = req.query;
+		const result = await driverAvailabilityService.getNearbyDrivers({
+			lat,
+			lng,
+			radiusKm: radius,
+			vehicleType,
+			limit,
+			excludeUserId: req.user._id,
+		});
+
+		res.status(200).json({
+			success: true,
+			count: result.count,
+			radiusKm: result.radiusKm,
+			data: result.drivers,
+		});
+	} catch (error) {
+		res.status(error.statusCode || 500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+};
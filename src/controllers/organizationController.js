@@ -0,0 +1,721 @@
+const Trip = require('../models/Trip');
+const organizationService = require('../services/organizationService');
+const corporateBillingService = require('../services/corporateBillingService');
+
+/**
+ * @swagger
+ * /organizations:
+ *   get:
+ *     summary: Get my organizations
+ *     description: Organizations you belong to (with your role and membership status), plus active organizations you can ask to join because your account email is on one of their domains
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Organizations and joinable organizations
+ *       500:
+ *         description: Server error
+ */
+// @desc    Get my organizations
+// @route   GET /api/organizations
+// @access  Private
+exports.getMyOrganizations = async (req, res) => {
+	try {
+		const [organizations, domainMatches] = await Promise.all([
+			organizationService.getMyOrganizations(req.user._id),
+			organizationService.findByEmailDomain(req.user.email),
+		]);
+
+		res.status(200).json({
+			success: true,
+			count: organizations.length,
+			data: {
+				organizations,
+				joinable: domainMatches.filter(
+					(organization) => !organizations.some((item) => item._id.equals(organization._id))
+				),
+			},
+		});
+	} catch (error) {
+		console.error('Get my organizations error:', error);
+		res.status(error.statusCode || 500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+};
+
+/**
+ * @swagger
+ * /organizations/{id}:
+ *   get:
+ *     summary: Get an organization
+ *     description: Organization details and ride policy. Organization admins also see the member list.
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Organization details
+ *       403:
+ *         description: Not a member of the organization
+ *       404:
+ *         description: Organization not found
+ *       500:
+ *         description: Server error
+ */
+// @desc    Get an organization
+// @route   GET /api/organizations/:id
+// @access  Private (Organization members)
+exports.getOrganization = async (req, res) => {
+	try {
+		const organization = await organizationService.getVisibleOrganization(req.params.id, req.user);
+		const canManage = req.user.role === 'admin' || organizationService.isOrgAdmin(organization, req.user);
+
+		if (canManage) {
+			await organization.populate('members.user', 'fullName phone email avatar');
+		}
+
+		const { members, ...details } = organization.toObject();
+
+		res.status(200).json({
+			success: true,
+			data: {
+				...details,
+				membership: organizationService.getMember(organization, req.user._id),
+				...(canManage && { members }),
+			},
+		});
+	} catch (error) {
+		console.error('Get organization error:', error);
+		res.status(error.statusCode || 500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+};
+
+/**
+ * @swagger
+ * /organizations/{id}:
+ *   put:
+ *     summary: Update an organization
+ *     description: Organization admins update the billing details and the ride policy. Name, tax code and email domains are managed by platform admins.
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               billingEmail:
+ *                 type: string
+ *               billingAddress:
+ *                 type: string
+ *               policy:
+ *                 type: object
+ *                 properties:
+ *                   allowedHours:
+ *                     type: array
+ *                     description: Allowed departure windows in the business timezone (an end before the start crosses midnight)
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         daysOfWeek:
+ *                           type: array
+ *                           items:
+ *                             type: number
+ *                           example: [1, 2, 3, 4, 5]
+ *                         start:
+ *                           type: string
+ *                           example: "06:00"
+ *                         end:
+ *                           type: string
+ *                           example: "22:00"
+ *                   maxFare:
+ *                     type: number
+ *                     example: 300000
+ *                   allowedVehicleTypes:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                       enum: [motorcycle, car, suv, luxury]
+ *     responses:
+ *       200:
+ *         description: Organization updated
+ *       400:
+ *         description: Invalid data
+ *       403:
+ *         description: Not an organization admin
+ *       404:
+ *         description: Organization not found
+ *       500:
+ *         description: Server error
+ */
+// @desc    Update an organization
+// @route   PUT /api/organizations/:id
+// @access  Private (Organization admins)
+exports.updateOrganization = async (req, res) => {
+	try {
+		const organization = await organizationService.updateOrganization(req.params.id, req.body, req.user);
+
+		res.status(200).json({
+			success: true,
+			message: 'Organization updated successfully',
+			data: organization,
+		});
+	} catch (error) {
+		console.error('Update organization error:', error);
+		res.status(error.statusCode || 500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+};
+
+/**
+ * @swagger
+ * /organizations/{id}/join:
+ *   post:
+ *     summary: Ask to join an organization
+ *     description: Employees whose account email is on one of the organization's domains can ask to join. An organization admin approves the request.
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       201:
+ *         description: Join request sent
+ *       400:
+ *         description: Already a member or already requested
+ *       403:
+ *         description: Email domain does not belong to the organization
+ *       404:
+ *         description: Organization not found
+ *       500:
+ *         description: Server error
+ */
+// @desc    Ask to join an organization by email domain
+// @route   POST /api/organizations/:id/join
+// @access  Private
+exports.joinOrganization = async (req, res) => {
+	try {
+		const organization = await organizationService.requestToJoin(req.params.id, req.user);
+
+		res.status(201).json({
+			success: true,
+			message: 'Your request has been sent to the organization admins',
+			data: {
+				_id: organization._id,
+				name: organization.name,
+				membership: organizationService.getMember(organization, req.user._id),
+			},
+		});
+	} catch (error) {
+		console.error('Join organization error:', error);
+		res.status(error.statusCode || 500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+};
+
+/**
+ * @swagger
+ * /organizations/{id}/members:
+ *   post:
+ *     summary: Add a member
+ *     description: Add a registered user to the organization by phone number (also approves a pending join request)
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [phone]
+ *             properties:
+ *               phone:
+ *                 type: string
+ *                 example: "0901234567"
+ *               role:
+ *                 type: string
+ *                 enum: [admin, member]
+ *                 default: member
+ *     responses:
+ *       201:
+ *         description: Member added
+ *       400:
+ *         description: Already a member or invalid role
+ *       403:
+ *         description: Not an organization admin
+ *       404:
+ *         description: Organization or user not found
+ *       500:
+ *         description: Server error
+ */
+// @desc    Add a member by phone number
+// @route   POST /api/organizations/:id/members
+// @access  Private (Organization admins)
+exports.addMember = async (req, res) => {
+	try {
+		if (!req.body.phone) {
+			return res.status(400).json({
+				success: false,
+				error: 'Please provide the phone number of the member to add',
+			});
+		}
+
+		const organization = await organizationService.addMember(req.params.id, req.user, req.body);
+
+		res.status(201).json({
+			success: true,
+			message: 'Member added successfully',
+			data: organization.members,
+		});
+	} catch (error) {
+		console.error('Add organization member error:', error);
+		res.status(error.statusCode || 500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+};
+
+/**
+ * @swagger
+ * /organizations/{id}/members/{userId}:
+ *   patch:
+ *     summary: Update a member
+ *     description: Approve a pending join request (status active) or change a member's role
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [admin, member]
+ *               status:
+ *                 type: string
+ *                 enum: [active]
+ *     responses:
+ *       200:
+ *         description: Member updated
+ *       400:
+ *         description: Invalid change or last admin
+ *       403:
+ *         description: Not an organization admin
+ *       404:
+ *         description: Member not found
+ *       500:
+ *         description: Server error
+ */
+// @desc    Approve a member or change their role
+// @route   PATCH /api/organizations/:id/members/:userId
+// @access  Private (Organization admins)
+exports.updateMember = async (req, res) => {
+	try {
+		const organization = await organizationService.updateMember(
+			req.params.id,
+			req.user,
+			req.params.userId,
+			req.body
+		);
+
+		res.status(200).json({
+			success: true,
+			message: 'Member updated successfully',
+			data: organization.members,
+		});
+	} catch (error) {
+		console.error('Update organization member error:', error);
+		res.status(error.statusCode || 500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+};
+
+/**
+ * @swagger
+ * /organizations/{id}/members/{userId}:
+ *   delete:
+ *     summary: Remove a member
+ *     description: Organization admins remove a member or decline a join request; members can remove themselves to leave
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Member removed
+ *       400:
+ *         description: Cannot remove the last admin
+ *       403:
+ *         description: Not an organization admin
+ *       404:
+ *         description: Member not found
+ *       500:
+ *         description: Server error
+ */
+// @desc    Remove a member or leave the organization
+// @route   DELETE /api/organizations/:id/members/:userId
+// @access  Private (Organization admins, or the member themselves)
+exports.removeMember = async (req, res) => {
+	try {
+		await organizationService.removeMember(req.params.id, req.user, req.params.userId);
+
+		res.status(200).json({
+			success: true,
+			message: 'Member removed successfully',
+		});
+	} catch (error) {
+		console.error('Remove organization member error:', error);
+		res.status(error.statusCode || 500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+};
+
+/**
+ * @swagger
+ * /organizations/{id}/trips:
+ *   get:
+ *     summary: Get trips billed to an organization
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: number
+ *     responses:
+ *       200:
+ *         description: Corporate trips
+ *       403:
+ *         description: Not an organization admin
+ *       404:
+ *         description: Organization not found
+ *       500:
+ *         description: Server error
+ */
+// @desc    Get trips billed to an organization
+// @route   GET /api/organizations/:id/trips
+// @access  Private (Organization admins)
+exports.getOrganizationTrips = async (req, res) => {
+	try {
+		const organization = await organizationService.getManagedOrganization(req.params.id, req.user);
+		const page = parseInt(req.query.page, 10) || 1;
+		const limit = parseInt(req.query.limit, 10) || 20;
+
+		const query = { organization: organization._id };
+		if (req.query.status) {
+			query.status = req.query.status;
+		}
+
+		const [trips, total] = await Promise.all([
+			Trip.find(query)
+				.select(
+					'requestedBy driver startLocation.address endLocation.address departureTime status price currency vehicleTypeUsed preferredVehicleType paidAt'
+				)
+				.populate('requestedBy', 'fullName phone')
+				.populate('driver', 'fullName vehicle.licensePlate')
+				.sort({ departureTime: -1 })
+				.skip((page - 1) * limit)
+				.limit(limit),
+			Trip.countDocuments(query),
+		]);
+
+		res.status(200).json({
+			success: true,
+			count: trips.length,
+			total,
+			pagination: {
+				currentPage: page,
+				totalPages: Math.ceil(total / limit),
+				limit,
+			},
+			data: trips,
+		});
+	} catch (error) {
+		console.error('Get organization trips error:', error);
+		res.status(error.statusCode || 500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+};
+
+/**
+ * @swagger
+ * /organizations/{id}/usage:
+ *   get:
+ *     summary: Get the usage report of an organization
+ *     description: Completed trips billed to the organization in a month, as JSON or as a CSV download
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: period
+ *         schema:
+ *           type: string
+ *           example: "2024-01"
+ *         description: Month (YYYY-MM), defaults to the current month
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: Usage report (JSON) or CSV file
+ *       400:
+ *         description: Invalid period
+ *       403:
+ *         description: Not an organization admin
+ *       404:
+ *         description: Organization not found
+ *       500:
+ *         description: Server error
+ */
+// @desc    Get the monthly usage report of an organization
+// @route   GET /api/organizations/:id/usage
+// @access  Private (Organization admins)
+exports.getOrganizationUsage = async (req, res) => {
+	try {
+		const organization = await organizationService.getManagedOrganization(req.params.id, req.user);
+		const { period, format = 'json' } = req.query;
+
+		if (format === 'csv') {
+			const { filename, content } = await corporateBillingService.exportUsageCsv(organization._id, { period });
+
+			res.set({
+				'Content-Type': 'text/csv; charset=utf-8',
+				'Content-Disposition': `attachment; filename="${filename}"`,
+			});
+			return res.status(200).send(content);
+		}
+
+		const usage = await corporateBillingService.getUsage(organization._id, { period });
+
+		res.status(200).json({
+			success: true,
+			data: usage,
+		});
+	} catch (error) {
+		console.error('Get organization usage error:', error);
+		res.status(error.statusCode || 500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+};
+
+/**
+ * @swagger
+ * /organizations/{id}/invoices:
+ *   get:
+ *     summary: Get the monthly invoices of an organization
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [issued, paid]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: number
+ *     responses:
+ *       200:
+ *         description: Invoices
+ *       403:
+ *         description: Not an organization admin
+ *       404:
+ *         description: Organization not found
+ *       500:
+ *         description: Server error
+ */
+// @desc    Get the monthly invoices of an organization
+// @route   GET /api/organizations/:id/invoices
+// @access  Private (Organization admins)
+exports.getOrganizationInvoices = async (req, res) => {
+	try {
+		const organization = await organizationService.getManagedOrganization(req.params.id, req.user);
+		const page = parseInt(req.query.page, 10) || 1;
+		const limit = parseInt(req.query.limit, 10) || 12;
+
+		const { invoices, total } = await corporateBillingService.getInvoices({
+			organizationId: organization._id,
+			status: req.query.status,
+			page,
+			limit,
+		});
+
+		res.status(200).json({
+			success: true,
+			count: invoices.length,
+			total,
+			pagination: {
+				currentPage: page,
+				totalPages: Math.ceil(total / limit),
+				limit,
+			},
+			data: invoices,
+		});
+	} catch (error) {
+		console.error('Get organization invoices error:', error);
+		res.status(error.statusCode || 500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+};
+
+/**
+ * @swagger
+ * /organizations/{id}/invoices/{invoiceId}:
+ *   get:
+ *     summary: Get a monthly invoice
+ *     description: Consolidated invoice with the trips it covers
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: invoiceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invoice with its trips
+ *       403:
+ *         description: Not an organization admin
+ *       404:
+ *         description: Invoice not found
+ *       500:
+ *         description: Server error
+ */
+// @desc    Get a monthly invoice with its trips
+// @route   GET /api/organizations/:id/invoices/:invoiceId
+// @access  Private (Organization admins)
+exports.getOrganizationInvoice = async (req, res) => {
+	try {
+		const organization = await organizationService.getManagedOrganization(req.params.id, req.user);
+		const invoice = await corporateBillingService.getInvoice(req.params.invoiceId);
+
+		if (!invoice.organization.equals(organization._id)) {
+			return res.status(404).json({
+				success: false,
+				error: 'Invoice not found',
+			});
+		}
+
+		res.status(200).json({
+			success: true,
+			data: invoice,
+		});
+	} catch (error) {
+		console.error('Get organization invoice error:', error);
+		res.status(error.statusCode || 500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+};
@@ -1,7 +1,46 @@
 const Payment = require('../models/Payment');
 const Trip = require('../models/Trip');
 const User = require('../models/User');
-const { VNPayHelper, vnpayConfig } = require('../config/vnpay');
+const paymentGatewaysConfig = require('../config/paymentGateways');
+const paymentGateways = require('../services/paymentGateways');
+const paymentSettlementService = require('../services/paymentSettlementService');
+const refundService = require('../services/refundService');
+const fareSplitService = require('../services/fareSplitService');
+const promoService = require('../services/promoService');
+const receiptService = require('../services/receiptService');
+const emailService = require('../services/emailService');
+
+// URL trang kết quả thanh toán của frontend kèm các query params
+const buildFrontendRedirect = (params) => {
+	const redirectUrl = new URL(paymentGatewaysConfig.frontendReturnUrl);
+	Object.entries(params).forEach(([key, value]) => {
+		if (value !== undefined && value !== null) {
+			redirectUrl.searchParams.append(key, value.toString());
+		}
+	});
+	return redirectUrl.toString();
+};
+
+/**
+ * @swagger
+ * /payments/gateways:
+ *   get:
+ *     summary: Get available payment gateways
+ *     description: List the payment providers that can be passed as `provider` when creating a payment
+ *     tags: [Payments]
+ *     responses:
+ *       200:
+ *         description: Available payment gateways
+ */
+// @desc    Get available payment gateways
+// @route   GET /api/payments/gateways
+// @access  Public
+exports.getPaymentGateways = async (req, res) => {
+	res.status(200).json({
+		success: true,
+		data: paymentGateways.list(),
+	});
+};
 
 /**
  * @swagger
@@ -23,12 +62,23 @@ const { VNPayHelper, vnpayConfig } = require('../config/vnpay');
  *               tripId:
  *                 type: string
  *                 description: ID of the trip to pay for
+ *               provider:
+ *                 type: string
+ *                 enum: [vnpay, momo, zalopay]
+ *                 description: Payment gateway (defaults to the configured default gateway)
  *               returnUrl:
  *                 type: string
  *                 description: URL to return after payment
  *               cancelUrl:
  *                 type: string
  *                 description: URL to redirect if payment is cancelled
+ *               coverRemainder:
+ *                 type: boolean
+ *                 description: Split fare only. The requester pays every share that has not been paid yet.
+ *               promoCode:
+ *                 type: string
+ *                 description: Promo code to apply. The discounted amount is charged and shown in the breakdown.
+ *                 example: "WELCOME50"
  *     responses:
  *       200:
  *         description: Payment URL created successfully
@@ -45,8 +95,17 @@ const { VNPayHelper, vnpayConfig } = require('../config/vnpay');
 exports.createPayment = async (req, res) => {
 	try {
 		const { tripId, returnUrl, cancelUrl } = req.body;
+		const provider = req.body.provider || paymentGateways.getDefaultProvider();
 		const userId = req.user._id;
 
+		if (!paymentGateways.isEnabled(provider)) {
+			return res.status(400).json({
+				success: false,
+				error: `Unsupported payment provider: ${provider}`,
+			});
+		}
+		const gateway = paymentGateways.get(provider);
+
 		// Tìm trip
 		const trip = await Trip.findById(tripId).populate('driver', 'fullName').populate('requestedBy', 'fullName');
 		if (!trip) {
@@ -64,14 +123,63 @@ exports.createPayment = async (req, res) => {
 			});
 		}
 
-		// Kiểm tra user phải là người tạo booking request
-		if (trip.requestedBy._id.toString() !== userId.toString()) {
+		// Chuyến offer: mỗi passenger đã được accept thanh toán phần ghế của mình
+		const seatBooking =
+			trip.tripType === 'offer'
+				? trip.passengers.find((p) => p.user.toString() === userId.toString() && p.status === 'accepted')
+				: null;
+
+		if (trip.tripType === 'offer') {
+			if (!seatBooking) {
+				return res.status(403).json({
+					success: false,
+					error: 'Only passengers accepted by the driver can pay for a seat on this trip',
+				});
+			}
+
+			if (seatBooking.paymentStatus === 'completed') {
+				return res.status(400).json({
+					success: false,
+					error: 'You have already paid for this trip',
+				});
+			}
+		}
+
+		// Chuyến chia tiền: requester và người được mời mỗi người trả phần của mình
+		const splitShares =
+			trip.tripType !== 'offer' && fareSplitService.hasSplit(trip)
+				? fareSplitService.getPayableShares(trip, userId, { coverRemainder: Boolean(req.body.coverRemainder) })
+				: null;
+
+		if (trip.tripType !== 'offer' && !splitShares && trip.requestedBy._id.toString() !== userId.toString()) {
+			// Kiểm tra user phải là người tạo booking request
 			return res.status(403).json({
 				success: false,
 				error: 'Only the trip requester can make payment',
 			});
 		}
 
+		// Booking tiền mặt được driver thu khi kết thúc chuyến, booking trả bằng ví hoặc tính cho tổ chức được xử lý tự động
+		const paymentMethod = seatBooking ? seatBooking.paymentMethod : trip.paymentMethod;
+		if (paymentMethod === 'cash') {
+			return res.status(400).json({
+				success: false,
+				error: 'This booking is paid in cash to the driver',
+			});
+		}
+		if (paymentMethod === 'wallet') {
+			return res.status(400).json({
+				success: false,
+				error: 'This booking is paid from your wallet',
+			});
+		}
+		if (paymentMethod === 'corporate') {
+			return res.status(400).json({
+				success: false,
+				error: 'This booking is billed to your organization',
+			});
+		}
+
 		// Kiểm tra trip chưa được thanh toán
 		if (trip.status === 'paid') {
 			return res.status(400).json({
@@ -80,11 +188,11 @@ exports.createPayment = async (req, res) => {
 			});
 		}
 
-		// Kiểm tra user chưa thanh toán cho trip này
+		// Kiểm tra user chưa thanh toán cho trip này (chuyến chia tiền: requester có thể trả thêm phần còn lại)
 		const existingPayment = await Payment.findOne({
 			user: userId,
 			trip: tripId,
-			status: { $in: ['pending', 'completed'] },
+			status: { $in: splitShares ? ['pending'] : ['pending', 'completed'] },
 		});
 
 		if (existingPayment) {
@@ -103,37 +211,90 @@ exports.createPayment = async (req, res) => {
 		}
 
 		// Tạo payment record
-		const txnRef = VNPayHelper.generateTxnRef();
-		const amount = trip.price;
+		let amount = seatBooking ? seatBooking.price : trip.price;
+		if (splitShares) {
+			amount = splitShares.reduce((sum, share) => sum + share.amount, 0);
+		}
 		const orderInfo = `Thanh toan chuyen di ${trip.startLocation.address} den ${trip.endLocation.address}`;
 
-		const payment = await Payment.create({
-			user: userId,
-			trip: tripId,
-			amount,
-			vnpTxnRef: txnRef,
-			vnpOrderInfo: orderInfo,
-			returnUrl,
-			cancelUrl,
-			status: 'pending',
-		});
+		// Mã khuyến mãi: giữ một lượt dùng, trả lại nếu payment thất bại/hết hạn/bị hủy
+		const promo = req.body.promoCode
+			? await promoService.reserve(req.body.promoCode, { userId, trip, amount })
+			: null;
+
+		let payment;
+		try {
+			payment = await Payment.create({
+				user: userId,
+				trip: tripId,
+				amount: promo ? promo.finalAmount : amount,
+				provider,
+				txnRef: gateway.generateTxnRef(),
+				orderInfo,
+				returnUrl,
+				cancelUrl,
+				status: 'pending',
+				...(promo && { promoCode: promo.promo.code, discountAmount: promo.discountAmount }),
+				...(splitShares && { metadata: { fareShares: splitShares.map((share) => share._id) } }),
+			});
+		} catch (error) {
+			if (promo) {
+				await promoService.releaseRedemption(promo.redemption);
+			}
+			throw error;
+		}
 
-		// Tạo VNPay payment URL
-		const paymentUrl = VNPayHelper.createPaymentUrl({
-			amount,
-			orderInfo,
-			txnRef,
-			returnUrl: returnUrl || `${req.protocol}://${req.get('host')}/api/payments/vnpay/return`,
-			ipAddr: req.ip || req.connection.remoteAddress || '127.0.0.1',
-		});
+		if (promo) {
+			promo.redemption.payment = payment._id;
+			await promo.redemption.save();
+		}
+
+		if (seatBooking) {
+			await Trip.updateOne(
+				{ _id: trip._id, 'passengers._id': seatBooking._id },
+				{ $set: { 'passengers.$.paymentId': payment._id, 'passengers.$.paymentStatus': 'pending' } }
+			);
+		}
+
+		// Tạo giao dịch trên cổng thanh toán
+		const baseUrl = `${req.protocol}://${req.get('host')}/api/payments/${provider}`;
+		let gatewayPayment;
+
+		try {
+			gatewayPayment = await gateway.createPayment({
+				payment,
+				returnUrl: returnUrl || `${baseUrl}/return`,
+				ipnUrl: `${baseUrl}/ipn`,
+				ipAddr: req.ip || req.connection.remoteAddress || '127.0.0.1',
+			});
+		} catch (error) {
+			await Payment.updateOne(
+				{ _id: payment._id, status: 'pending' },
+				{ $set: { status: 'failed', note: `Gateway error: ${error.message}` } }
+			);
+			await promoService.releaseForPayment(payment);
+			throw error;
+		}
+
+		// Lưu lại dữ liệu cần cho refund/query (vd: vnp_CreateDate, MoMo requestId)
+		payment.providerData = { ...payment.providerData, ...gatewayPayment.providerData };
+		await payment.save();
 
 		res.status(200).json({
 			success: true,
 			message: 'Payment URL created successfully',
 			data: {
 				paymentId: payment._id,
-				paymentUrl,
+				provider,
+				paymentUrl: gatewayPayment.paymentUrl,
+				...gatewayPayment.clientData,
 				amount: payment.formattedAmount,
+				breakdown: {
+					originalAmount: payment.originalAmount,
+					promoCode: payment.promoCode,
+					discountAmount: payment.discountAmount,
+					amount: payment.amount,
+				},
 				tripInfo: {
 					from: trip.startLocation.address,
 					to: trip.endLocation.address,
@@ -145,7 +306,7 @@ exports.createPayment = async (req, res) => {
 		});
 	} catch (error) {
 		console.error('Create payment error:', error);
-		res.status(500).json({
+		res.status(error.statusCode || 500).json({
 			success: false,
 			error: error.message,
 		});
@@ -154,104 +315,211 @@ exports.createPayment = async (req, res) => {
 
 /**
  * @swagger
- * /payments/vnpay/return:
+ * /payments/{provider}/return:
  *   get:
- *     summary: VNPay return URL handler
- *     description: Handle VNPay return after payment
+ *     summary: Payment gateway return URL handler
+ *     description: Handle the browser redirect back from VNPay, MoMo or ZaloPay after payment, then redirect to the frontend result page
  *     tags: [Payments]
  *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [vnpay, momo, zalopay]
+ *     responses:
+ *       302:
+ *         description: Redirect to the frontend with status, provider and paymentId
+ */
+// @desc    Handle payment gateway return
+// @route   GET /api/payments/:provider/return
+// @access  Public
+exports.paymentReturn = async (req, res) => {
+	const { provider } = req.params;
+
+	try {
+		console.log(`${provider} return params:`, req.query);
+
+		if (!paymentGateways.isEnabled(provider)) {
+			return res.redirect(
+				buildFrontendRedirect({ status: 'error', provider, message: 'Unsupported payment provider' })
+			);
+		}
+
+		// Verify và chuẩn hóa dữ liệu của gateway
+		const result = paymentGateways.get(provider).verifyReturn(req.query);
+
+		if (!result.isValid) {
+			// Redirect về frontend với lỗi signature
+			return res.redirect(
+				buildFrontendRedirect({ status: 'error', provider, message: 'Invalid payment response signature' })
+			);
+		}
+
+		// Ghi nhận kết quả (idempotent: IPN có thể đã xử lý giao dịch này trước đó)
+		const settlement = await paymentSettlementService.applyGatewayResult(provider, result);
+
+		if (settlement.code !== 'ok') {
+			// Redirect về frontend với lỗi payment not found / sai số tiền
+			return res.redirect(
+				buildFrontendRedirect({
+					status: 'error',
+					provider,
+					message: settlement.code === 'not_found' ? 'Payment not found' : 'Invalid payment amount',
+				})
+			);
+		}
+
+		const { payment } = settlement;
+
+		// Kiểm tra trạng thái cuối cùng của payment
+		if (payment.status === 'completed') {
+			// Redirect về frontend với thông tin thành công
+			res.redirect(
+				buildFrontendRedirect({
+					status: 'success',
+					provider,
+					paymentId: payment._id,
+					amount: payment.amount,
+					transactionNo: payment.providerTxnId || '',
+					tripId: payment.trip,
+					purpose: payment.purpose,
+					message: 'Payment completed successfully',
+				})
+			);
+		} else {
+			// Payment thất bại
+			res.redirect(
+				buildFrontendRedirect({
+					status: 'failed',
+					provider,
+					paymentId: payment._id,
+					responseCode: result.responseCode,
+					message: result.message,
+				})
+			);
+		}
+	} catch (error) {
+		console.error(`${provider} return error:`, error);
+
+		// Redirect về frontend với lỗi server
+		res.redirect(buildFrontendRedirect({ status: 'error', provider, message: 'Server error occurred' }));
+	}
+};
+
+/**
+ * @swagger
+ * /payments/{provider}/ipn:
+ *   post:
+ *     summary: Payment gateway IPN handler
+ *     description: Server-to-server notification from MoMo (IPN) or ZaloPay (callback); VNPay sends its IPN with GET. Verifies the signature, merchant code and amount, then settles the payment and trip exactly once. Responds in the format each gateway expects (VNPay RspCode JSON, MoMo HTTP 204, ZaloPay return_code JSON).
+ *     tags: [Payments]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [vnpay, momo, zalopay]
+ *     responses:
+ *       200:
+ *         description: Gateway acknowledgement
+ *       204:
+ *         description: Acknowledgement (MoMo)
+ *   get:
+ *     summary: VNPay IPN handler
+ *     description: Server-to-server notification from VNPay. Always responds 200 with the RspCode JSON VNPay expects.
+ *     tags: [Payments]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [vnpay]
  *       - in: query
  *         name: vnp_TxnRef
  *         required: true
  *         schema:
  *           type: string
  *       - in: query
- *         name: vnp_ResponseCode
+ *         name: vnp_SecureHash
  *         required: true
  *         schema:
  *           type: string
  *     responses:
  *       200:
- *         description: Payment processed
- *       400:
- *         description: Invalid payment data
- *       500:
- *         description: Server error
+ *         description: VNPay acknowledgement
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 RspCode:
+ *                   type: string
+ *                   example: "00"
+ *                 Message:
+ *                   type: string
+ *                   example: "Confirm Success"
  */
-// @desc    Handle VNPay return
-// @route   GET /api/payments/vnpay/return
-// @access  Public
-exports.vnpayReturn = async (req, res) => {
-	try {
-		console.log('VNPay return params:', req.query);
+// @desc    Handle payment gateway IPN (server-to-server)
+// @route   GET|POST /api/payments/:provider/ipn
+// @access  Public (payment gateway)
+exports.paymentIpn = async (req, res) => {
+	const { provider } = req.params;
+
+	if (!paymentGateways.isEnabled(provider)) {
+		return res.status(404).json({
+			success: false,
+			error: `Unsupported payment provider: ${provider}`,
+		});
+	}
 
-		// Verify và parse VNPay response
-		const vnpayData = VNPayHelper.verifyReturnData(req.query);
+	const gateway = paymentGateways.get(provider);
 
-		if (!vnpayData.isValid) {
-			// Redirect về frontend với lỗi signature
-			const redirectUrl = new URL(vnpayConfig.vnp_FrontendReturnUrl);
-			redirectUrl.searchParams.append('status', 'error');
-			redirectUrl.searchParams.append('message', 'Invalid VNPay response signature');
-			return res.redirect(redirectUrl.toString());
-		}
+	// Response theo định dạng gateway yêu cầu
+	const respond = (code) => {
+		const { status, body } = gateway.ipnResponse(code);
+		return body === undefined ? res.status(status).end() : res.status(status).json(body);
+	};
 
-		// Tìm payment record
-		const payment = await Payment.findOne({ vnpTxnRef: vnpayData.txnRef })
-			.populate('trip')
-			.populate('user', 'fullName phone');
+	try {
+		// VNPay gửi IPN bằng GET, MoMo/ZaloPay bằng POST JSON
+		const payload = req.method === 'GET' ? req.query : req.body;
+		console.log(`${provider} IPN payload:`, payload);
 
-		if (!payment) {
-			// Redirect về frontend với lỗi payment not found
-			const redirectUrl = new URL(vnpayConfig.vnp_FrontendReturnUrl);
-			redirectUrl.searchParams.append('status', 'error');
-			redirectUrl.searchParams.append('message', 'Payment not found');
-			return res.redirect(redirectUrl.toString());
+		const result = gateway.verifyIpn(payload);
+
+		if (!result.isValid) {
+			return respond('invalidSignature');
 		}
 
-		// Kiểm tra trạng thái giao dịch
-		if (VNPayHelper.isSuccessTransaction(vnpayData.responseCode, vnpayData.transactionStatus)) {
-			// Payment thành công
-			await payment.markAsCompleted(vnpayData.rawData);
+		// Giao dịch phải thuộc merchant của mình
+		if (!result.merchantMatched) {
+			console.warn(`⚠️ ${provider} IPN for an unexpected merchant`);
+			return respond('orderNotFound');
+		}
 
-			// Cập nhật trip status thành 'paid' và thời gian thanh toán
-			const trip = payment.trip;
-			trip.status = 'paid';
-			trip.paidAt = new Date();
-			await trip.save();
+		const settlement = await paymentSettlementService.applyGatewayResult(provider, result);
 
-			// Redirect về frontend với thông tin thành công
-			const redirectUrl = new URL(vnpayConfig.vnp_FrontendReturnUrl);
-			redirectUrl.searchParams.append('status', 'success');
-			redirectUrl.searchParams.append('paymentId', payment._id.toString());
-			redirectUrl.searchParams.append('amount', payment.amount.toString());
-			redirectUrl.searchParams.append('transactionNo', vnpayData.transactionNo || '');
-			redirectUrl.searchParams.append('tripId', trip._id.toString());
-			redirectUrl.searchParams.append('message', 'Payment completed successfully');
-
-			res.redirect(redirectUrl.toString());
-		} else {
-			// Payment thất bại
-			const errorMessage = VNPayHelper.getStatusMessage(vnpayData.responseCode);
-			await payment.markAsFailed(vnpayData.rawData, errorMessage);
+		if (settlement.code === 'not_found') {
+			return respond('orderNotFound');
+		}
 
-			// Redirect về frontend với thông tin lỗi
-			const redirectUrl = new URL(vnpayConfig.vnp_FrontendReturnUrl);
-			redirectUrl.searchParams.append('status', 'failed');
-			redirectUrl.searchParams.append('paymentId', payment._id.toString());
-			redirectUrl.searchParams.append('responseCode', vnpayData.responseCode);
-			redirectUrl.searchParams.append('message', errorMessage);
+		if (settlement.code === 'invalid_amount') {
+			return respond('invalidAmount');
+		}
 
-			res.redirect(redirectUrl.toString());
+		// Đã được return URL hoặc một IPN trước đó xử lý
+		if (!settlement.settled) {
+			return respond('alreadyConfirmed');
 		}
-	} catch (error) {
-		console.error('VNPay return error:', error);
 
-		// Redirect về frontend với lỗi server
-		const redirectUrl = new URL(vnpayConfig.vnp_FrontendReturnUrl);
-		redirectUrl.searchParams.append('status', 'error');
-		redirectUrl.searchParams.append('message', 'Server error occurred');
-		res.redirect(redirectUrl.toString());
+		respond('success');
+	} catch (error) {
+		console.error(`${provider} IPN error:`, error);
+		// Gateway sẽ gửi lại IPN khi nhận lỗi
+		respond('unknownError');
 	}
 };
 
@@ -297,7 +565,7 @@ exports.getPayment = async (req, res) => {
 		// Kiểm tra quyền truy cập (chỉ user thanh toán hoặc driver của trip)
 		if (
 			payment.user._id.toString() !== req.user._id.toString() &&
-			payment.trip.driver.toString() !== req.user._id.toString()
+			!(payment.trip && payment.trip.driver.toString() === req.user._id.toString())
 		) {
 			return res.status(403).json({
 				success: false,
@@ -318,6 +586,221 @@ exports.getPayment = async (req, res) => {
 	}
 };
 
+/**
+ * @swagger
+ * /payments/{id}/refunds:
+ *   get:
+ *     summary: Get refunds of a payment
+ *     description: List refunds issued for a payment, with the cancellation policy applied to each
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Refund list
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Payment not found
+ *       500:
+ *         description: Server error
+ */
+// @desc    Get refunds of a payment
+// @route   GET /api/payments/:id/refunds
+// @access  Private
+exports.getPaymentRefunds = async (req, res) => {
+	try {
+		const payment = await Payment.findById(req.params.id).populate('trip', 'driver');
+
+		if (!payment) {
+			return res.status(404).json({
+				success: false,
+				error: 'Payment not found',
+			});
+		}
+
+		// Kiểm tra quyền truy cập (user thanh toán, driver của trip hoặc admin)
+		const isOwner = payment.user.toString() === req.user._id.toString();
+		const isDriver =
+			payment.trip && payment.trip.driver && payment.trip.driver.toString() === req.user._id.toString();
+
+		if (!isOwner && !isDriver && req.user.role !== 'admin') {
+			return res.status(403).json({
+				success: false,
+				error: 'Access denied',
+			});
+		}
+
+		const refunds = await refundService.getRefundsForPayment(payment._id);
+
+		res.status(200).json({
+			success: true,
+			count: refunds.length,
+			data: {
+				paymentStatus: payment.status,
+				amount: payment.amount,
+				refundedAmount: payment.refundedAmount || 0,
+				refunds,
+			},
+		});
+	} catch (error) {
+		console.error('Get payment refunds error:', error);
+		res.status(500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+};
+
+/**
+ * @swagger
+ * /payments/{id}/receipt:
+ *   get:
+ *     summary: Get the receipt of a trip payment
+ *     description: Receipt of a paid trip once it has been completed (route, distance, driver, plate number, fare breakdown with VAT and the gateway transaction number), as JSON or as a PDF download
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, pdf]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: Receipt (JSON) or PDF file
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Payment is not paid, fully refunded or the trip is not completed yet
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Payment not found
+ *       500:
+ *         description: Server error
+ */
+// @desc    Get the receipt of a trip payment
+// @route   GET /api/payments/:id/receipt
+// @access  Private
+exports.getPaymentReceipt = async (req, res) => {
+	try {
+		const format = req.query.format || 'json';
+		if (!['json', 'pdf'].includes(format)) {
+			return res.status(400).json({
+				success: false,
+				error: 'format must be json or pdf',
+			});
+		}
+
+		const receipt = await receiptService.buildReceipt(req.params.id, req.user);
+
+		if (format === 'json') {
+			return res.status(200).json({
+				success: true,
+				data: receipt,
+			});
+		}
+
+		const pdf = await receiptService.renderPdf(receipt);
+		res.set({
+			'Content-Type': 'application/pdf',
+			'Content-Disposition': `attachment; filename="receipt-${receipt.receiptNumber}.pdf"`,
+			'Content-Length': pdf.length,
+		});
+		res.status(200).send(pdf);
+	} catch (error) {
+		console.error('Get payment receipt error:', error);
+		res.status(error.statusCode || 500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+};
+
+/**
+ * @swagger
+ * /payments/{id}/receipt/email:
+ *   post:
+ *     summary: Email the receipt of a trip payment
+ *     description: Send the receipt (PDF attached) to the given email address, or to the account email if none is given
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Receipt sent
+ *       400:
+ *         description: No email address, or no receipt for this payment yet
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Payment not found
+ *       500:
+ *         description: Server error
+ */
+// @desc    Email the receipt of a trip payment
+// @route   POST /api/payments/:id/receipt/email
+// @access  Private
+exports.emailPaymentReceipt = async (req, res) => {
+	try {
+		const receipt = await receiptService.buildReceipt(req.params.id, req.user);
+		const email = (req.body.email || receipt.customer.email || '').trim();
+
+		if (!/^\S+@\S+\.\S+$/.test(email)) {
+			return res.status(400).json({
+				success: false,
+				error: req.body.email ? 'Please provide a valid email address' : 'Please provide an email address',
+			});
+		}
+
+		const pdf = await receiptService.renderPdf(receipt);
+		await emailService.sendReceiptEmail(email, receipt.customer.fullName, receipt, pdf);
+
+		res.status(200).json({
+			success: true,
+			message: `Receipt ${receipt.receiptNumber} has been sent to ${email}`,
+		});
+	} catch (error) {
+		console.error('Email payment receipt error:', error);
+		res.status(error.statusCode || 500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+};
+
 /**
  * @swagger
  * /payments:
@@ -332,7 +815,7 @@ exports.getPayment = async (req, res) => {
  *         name: status
  *         schema:
  *           type: string
- *           enum: [pending, completed, failed, cancelled]
+ *           enum: [pending, completed, failed, cancelled, expired, partially_refunded, refunded]
  *         description: Filter by payment status
  *       - in: query
  *         name: page
@@ -450,13 +933,27 @@ exports.cancelPayment = async (req, res) => {
 			});
 		}
 
-		payment.status = 'cancelled';
-		await payment.save();
+		// Update có điều kiện để không ghi đè kết quả IPN đến cùng lúc
+		const cancelledPayment = await Payment.findOneAndUpdate(
+			{ _id: payment._id, status: 'pending' },
+			{ $set: { status: 'cancelled' } },
+			{ new: true }
+		);
+
+		if (!cancelledPayment) {
+			return res.status(400).json({
+				success: false,
+				error: 'Can only cancel pending payments',
+			});
+		}
+
+		// Trả lại lượt dùng mã khuyến mãi
+		await promoService.releaseForPayment(cancelledPayment);
 
 		res.status(200).json({
 			success: true,
 			message: 'Payment cancelled successfully',
-			data: payment,
+			data: cancelledPayment,
 		});
 	} catch (error) {
 		console.error('Cancel payment error:', error);
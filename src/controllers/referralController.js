@@ -0,0 +1,94 @@
+const referralService = require('../services/referralService');
+
+/**
+ * @swagger
+ * /referrals:
+ *   get:
+ *     summary: Get my referral code
+ *     description: Referral code to share (created on first access), how many people used it and the bonuses earned. Both the referrer and the referee receive a wallet bonus after the referee's first completed trip.
+ *     tags: [Referrals]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Referral summary
+ *       500:
+ *         description: Server error
+ */
+// @desc    Get referral code and stats
+// @route   GET /api/referrals
+// @access  Private
+exports.getReferralSummary = async (req, res) => {
+	try {
+		const summary = await referralService.getSummary(req.user._id);
+
+		res.status(200).json({
+			success: true,
+			data: summary,
+		});
+	} catch (error) {
+		console.error('Get referral summary error:', error);
+		res.status(error.statusCode || 500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+};
+
+/**
+ * @swagger
+ * /referrals/apply:
+ *   post:
+ *     summary: Apply a referral code
+ *     description: Enter the referral code of the person who invited you. Only possible once and before your first completed trip.
+ *     tags: [Referrals]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "K7M2Q9XA"
+ *     responses:
+ *       200:
+ *         description: Referral code applied
+ *       400:
+ *         description: Own code, already referred or already completed a trip
+ *       404:
+ *         description: Referral code not found
+ *       500:
+ *         description: Server error
+ */
+// @desc    Apply a referral code
+// @route   POST /api/referrals/apply
+// @access  Private
+exports.applyReferralCode = async (req, res) => {
+	try {
+		if (!req.body.code) {
+			return res.status(400).json({
+				success: false,
+				error: 'Please provide a referral code',
+			});
+		}
+
+		const result = await referralService.applyCode(req.user._id, req.body.code);
+
+		res.status(200).json({
+			success: true,
+			message: 'Referral code applied successfully',
+			data: result,
+		});
+	} catch (error) {
+		console.error('Apply referral code error:', error);
+		res.status(error.statusCode || 500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+};
@@ -2,7 +2,63 @@ const Trip = require('../models/Trip');
 const User = require('../models/User');
 const Notification = require('../models/Notification');
 const mongoose = require('mongoose');
-const { calculatePrice, VEHICLE_TYPES } = require('../utils/priceCalculator');
+const { VEHICLE_TYPES, getVehicleTypeFromVehicle, getVehicleRate } = require('../utils/priceCalculator');
+const pricingService = require('../services/pricingService');
+const recurringTripService = require('../services/recurringTripService');
+const routeMatchingService = require('../services/routeMatchingService');
+const routingService = require('../services/routing');
+const refundService = require('../services/refundService');
+const cashPaymentService = require('../services/cashPaymentService');
+const walletService = require('../services/walletService');
+const fareSplitService = require('../services/fareSplitService');
+const promoService = require('../services/promoService');
+const organizationService = require('../services/organizationService');
+const realtimeService = require('../services/realtimeService');
+const trackingService = require('../services/trackingService');
+const dispatchService = require('../services/dispatchService');
+const tripStateMachine = require('../services/tripStateMachine');
+const pickupPinService = require('../services/pickupPinService');
+const availabilityConfig = require('../config/availability');
+
+// Hình thức thanh toán passenger chọn khi đặt chuyến
+const PAYMENT_METHODS = ['online', 'cash', 'wallet'];
+// Booking request còn có thể tính tiền cho tổ chức của passenger
+const BOOKING_PAYMENT_METHODS = [...PAYMENT_METHODS, 'corporate'];
+// Trạng thái driver cập nhật qua PATCH /api/trips/:id/status
+const DRIVER_STATUS_UPDATES = ['in_progress', 'completed', 'cancelled'];
+
+// Chuyển location dạng { address, coordinates: { lat, lng } } sang GeoJSON Point
+const formatLocation = (location) => {
+	if (!location || !location.coordinates || location.coordinates.type === 'Point') {
+		return location;
+	}
+
+	return {
+		...location,
+		coordinates: {
+			type: 'Point',
+			coordinates: [location.coordinates.lng, location.coordinates.lat], // [longitude, latitude]
+		},
+	};
+};
+
+// Lộ trình đường bộ qua điểm đi, các điểm dừng và điểm đến (tọa độ dạng { lat, lng })
+const getTripRoute = (startLocation, endLocation, stops = []) =>
+	routingService.getRoute([
+		startLocation.coordinates,
+		...stops.map((stop) => stop.coordinates),
+		endLocation.coordinates,
+	]);
+
+// Dữ liệu lộ trình lưu trên Trip: polyline đường bộ và quãng đường/thời gian
+const buildRouteFields = (route) => ({
+	...(route.geometry && { routePath: route.geometry }),
+	routeInfo: {
+		distanceKm: route.distanceKm,
+		durationMinutes: route.durationMinutes,
+		provider: route.provider,
+	},
+});
 
 /**
  * @swagger
@@ -76,6 +132,14 @@ const { calculatePrice, VEHICLE_TYPES } = require('../utils/priceCalculator');
  *                 type: string
  *                 description: Special note or request from passenger
  *                 example: "Cần đi gấp, tôi sẽ chờ ở tầng 1"
+ *               paymentMethod:
+ *                 type: string
+ *                 enum: [online, cash, wallet, corporate]
+ *                 default: online
+ *                 description: cash = no online payment, the driver confirms collecting the fare at the end of the trip; wallet = the fare is held in the in-app wallet when the booking is confirmed and charged when the trip completes; corporate = the fare is billed to your organization (the ride must follow its ride policy)
+ *               organizationId:
+ *                 type: string
+ *                 description: Organization to bill when paymentMethod is corporate (only needed if you belong to several organizations)
  *               estimatedArrivalTime:
  *                 type: string
  *                 format: date-time
@@ -178,6 +242,24 @@ const { calculatePrice, VEHICLE_TYPES } = require('../utils/priceCalculator');
  *                     currency:
  *                       type: string
  *                       example: "VND"
+ *                 series:
+ *                   type: object
+ *                   description: Only present for recurring booking requests
+ *                   properties:
+ *                     pattern:
+ *                       type: string
+ *                       example: "weekdays"
+ *                     endDate:
+ *                       type: string
+ *                       format: date-time
+ *                     occurrencesCreated:
+ *                       type: number
+ *                       example: 9
+ *                     generatedUntil:
+ *                       type: string
+ *                       format: date-time
+ *       400:
+ *         description: Invalid recurring endDate
  *       401:
  *         description: Unauthorized
  *       500:
@@ -201,24 +283,62 @@ exports.createTrip = async (req, res) => {
 			currency,
 			recurring,
 			estimatedArrivalTime,
+			paymentMethod,
+			organizationId,
 		} = req.body;
 
+		if (paymentMethod && !BOOKING_PAYMENT_METHODS.includes(paymentMethod)) {
+			return res.status(400).json({
+				success: false,
+				error: `Payment method must be one of: ${BOOKING_PAYMENT_METHODS.join(', ')}`,
+			});
+		}
+
+		// Tính tiền cho tổ chức: phải là thành viên và chuyến phải theo chính sách đi lại (giá được kiểm tra khi chốt driver)
+		let organization = null;
+		if (paymentMethod === 'corporate') {
+			organization = await organizationService.resolveForBooking(req.user._id, organizationId);
+			organizationService.checkPolicy(organization, {
+				departureTime,
+				vehicleType: preferredVehicleType || 'car',
+			});
+		}
+
+		const isRecurring = Boolean(recurring && recurring.isRecurring);
+
+		// Recurring trip phải kết thúc sau chuyến đầu tiên
+		if (isRecurring && recurring.endDate && new Date(recurring.endDate) <= new Date(departureTime)) {
+			return res.status(400).json({
+				success: false,
+				error: 'Recurring endDate must be after departureTime',
+			});
+		}
+
+		// Quãng đường và thời gian thực tế theo đường bộ
+		const route = await getTripRoute(startLocation, endLocation, stops || []);
+		const arrivalTimes = routingService.getArrivalTimes(departureTime, route);
+
 		// Tính giá ước tính dựa trên loại xe passenger mong muốn
-		const estimatedPriceData = calculatePrice(
+		const estimatedPriceData = await pricingService.calculatePrice(
 			startLocation.coordinates,
 			endLocation.coordinates,
 			{
 				type: preferredVehicleType || 'car',
 				year: new Date().getFullYear() - 3, // Giả định xe 3 năm tuổi
 			},
-			departureTime
+			departureTime,
+			route,
+			startLocation.city
 		);
 
 		// Giá ước tính cho passenger tham khảo
 		const estimatedPrice = estimatedPriceData.price;
 
-		// Nếu passenger không set maxPrice, dùng giá ước tính + 20% buffer
-		const finalMaxPrice = maxPrice || Math.ceil(estimatedPrice * 1.2);
+		// Nếu passenger không set maxPrice, dùng giá ước tính + 20% buffer (không vượt giá tối đa của tổ chức)
+		let finalMaxPrice = maxPrice || Math.ceil(estimatedPrice * 1.2);
+		if (organization && organization.policy.maxFare) {
+			finalMaxPrice = Math.min(finalMaxPrice, organization.policy.maxFare);
+		}
 
 		// Format coordinates as GeoJSON points
 		if (startLocation && startLocation.coordinates) {
@@ -243,7 +363,9 @@ exports.createTrip = async (req, res) => {
 
 		// Format stops coordinates if present
 		if (stops && Array.isArray(stops)) {
-			stops = stops.map((stop) => {
+			stops = stops.map((stop, index) => {
+				// ETA tại điểm dừng được tính từ routing nếu passenger không nhập
+				const estimatedStopArrival = stop.estimatedArrivalTime || arrivalTimes.stops[index];
 				if (stop.coordinates) {
 					return {
 						...stop,
@@ -251,6 +373,7 @@ exports.createTrip = async (req, res) => {
 							type: 'Point',
 							coordinates: [stop.coordinates.lng, stop.coordinates.lat], // [longitude, latitude]
 						},
+						estimatedArrivalTime: estimatedStopArrival,
 					};
 				}
 				return stop;
@@ -270,13 +393,42 @@ exports.createTrip = async (req, res) => {
 			preferredVehicleType: preferredVehicleType || 'car',
 			maxPrice: finalMaxPrice,
 			requestNote,
+			paymentMethod: paymentMethod || 'online',
+			organization: organization ? organization._id : null,
 			price: 0, // Sẽ được set khi driver accept
+			priceBreakdown: estimatedPriceData.breakdown,
+			surge: estimatedPriceData.surge,
 			currency: currency || 'VND',
-			recurring: recurring || { isRecurring: false },
-			estimatedArrivalTime,
+			// Chỉ nhận các field passenger chọn (generatedUntil, timezone do server quản lý)
+			// Pattern được tính theo múi giờ của bảng giá tại điểm đón
+			recurring: isRecurring
+				? {
+						isRecurring: true,
+						pattern: recurring.pattern,
+						endDate: recurring.endDate,
+						timezone: estimatedPriceData.breakdown.timezone,
+					}
+				: { isRecurring: false },
+			occurrenceDate: isRecurring ? departureTime : undefined,
+			estimatedArrivalTime: estimatedArrivalTime || arrivalTimes.arrival,
+			...buildRouteFields(route),
 			status: 'pending_driver',
 		});
 
+		// Sinh các occurrence tiếp theo cho recurring trip
+		// Lỗi ở bước này không làm hỏng booking đã tạo (client retry sẽ tạo trùng), job recurring sẽ sinh bù
+		let occurrences = [];
+		if (isRecurring) {
+			try {
+				occurrences = await recurringTripService.materializeSeries(trip);
+			} catch (error) {
+				console.error(`❌ Failed to materialize recurring trip ${trip._id}:`, error.message);
+			}
+		}
+
+		// Báo cho driver online gần điểm đón (đợt đầu gửi ngay, các đợt sau do job gửi với bán kính rộng dần)
+		const dispatch = await dispatchService.startDispatch(trip);
+
 		// Debug logging
 		console.log('✅ Trip Created:', {
 			tripId: trip._id,
@@ -297,10 +449,19 @@ exports.createTrip = async (req, res) => {
 				preferredVehicleType: preferredVehicleType || 'car',
 				currency: currency || 'VND',
 			},
+			dispatch,
+			...(isRecurring && {
+				series: {
+					pattern: trip.recurring.pattern,
+					endDate: trip.recurring.endDate,
+					occurrencesCreated: occurrences.length,
+					generatedUntil: trip.recurring.generatedUntil,
+				},
+			}),
 		});
 	} catch (error) {
 		console.error('Create trip error:', error);
-		res.status(500).json({
+		res.status(error.statusCode || 500).json({
 			success: false,
 			error: error.message,
 		});
@@ -331,6 +492,12 @@ exports.createTrip = async (req, res) => {
  *           - passenger: Show user's own booking requests
  *           - driver: Show available booking requests to accept
  *       - in: query
+ *         name: tripType
+ *         schema:
+ *           type: string
+ *           enum: [offer]
+ *         description: Set to "offer" to browse trips published by drivers that still have free seats (overrides role)
+ *       - in: query
  *         name: status
  *         schema:
  *           type: string
@@ -418,18 +585,50 @@ exports.getTrips = async (req, res) => {
 		// If user is driver, show available booking requests by default
 		const userRole = req.query.role || 'passenger';
 
-		if (userRole === 'passenger') {
+		if (req.query.tripType === 'offer') {
+			// Passenger tìm chuyến do driver khác đăng và còn ghế trống
+			query.tripType = 'offer';
+			query.status = 'confirmed';
+			query.driver = { $ne: req.user._id };
+			query.$expr = { $lt: ['$bookedSeats', '$availableSeats'] };
+		} else if (userRole === 'passenger') {
 			// Show passenger's own booking requests (support both old and new schema)
 			query.$or = [
 				{ requestedBy: req.user._id }, // New schema
 				{ driver: req.user._id, passengers: { $size: 0 } }, // Old schema - trips user created as driver
 			];
 		} else if (userRole === 'driver') {
-			// Show available booking requests that need drivers (support both schemas)
-			query.$or = [
-				{ status: { $in: ['pending_driver'] } }, // New schema - pending requests
-				{ status: 'scheduled', driver: { $ne: req.user._id } }, // Old schema - scheduled trips by others
-			];
+			// Chỉ driver đang nhận chuyến (online/busy) mới thấy booking request, mặc định trong bán kính quanh vị trí của mình
+			if (!['driver', 'both'].includes(req.user.role)) {
+				return res.status(403).json({
+					success: false,
+					error: 'Only drivers can browse booking requests',
+				});
+			}
+
+			const availability = req.user.availability || {};
+			if (!['online', 'busy'].includes(availability.status)) {
+				return res.status(400).json({
+					success: false,
+					error: 'Go online to see booking requests near you',
+				});
+			}
+
+			// Show available booking requests that need drivers
+			query.status = 'pending_driver';
+			query.requestedBy = { $ne: req.user._id };
+
+			const driverLocation = availability.location && availability.location.coordinates;
+			if (!(req.query.startLat && req.query.startLng) && driverLocation && driverLocation.length === 2) {
+				query['startLocation.coordinates'] = {
+					$geoWithin: {
+						$centerSphere: [
+							[driverLocation[0], driverLocation[1]],
+							availabilityConfig.bookingRadiusKm / 6378.1,
+						],
+					},
+				};
+			}
 		}
 
 		// Filter by status (override role-based status if explicitly provided)
@@ -535,13 +734,13 @@ exports.getTrips = async (req, res) => {
 		// Show current time for comparison
 		console.log(`  Current time: ${new Date()}`);
 
-		// Test scheduled trips specifically for drivers
+		// Test pending booking requests specifically for drivers
 		if (userRole === 'driver') {
-			const scheduledCount = await Trip.countDocuments({
-				status: 'scheduled',
-				driver: { $ne: req.user._id },
+			const pendingCount = await Trip.countDocuments({
+				status: 'pending_driver',
+				requestedBy: { $ne: req.user._id },
 			});
-			console.log(`  Scheduled trips (not by user): ${scheduledCount}`);
+			console.log(`  Pending booking requests (not by user): ${pendingCount}`);
 		}
 
 		// Sort options
@@ -610,6 +809,117 @@ exports.getTrips = async (req, res) => {
 	}
 };
 
+/**
+ * @swagger
+ * /trips/match:
+ *   get:
+ *     summary: Find driver trips passing along your route
+ *     description: |
+ *       Find trips offered by drivers whose route (start, stops, end) passes within `radius` metres of the pickup point
+ *       and later, in the driving direction, within `radius` metres of the dropoff point.
+ *       Results are sorted by the detour the driver has to make.
+ *     tags: [Trips]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: pickupLat
+ *         required: true
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: pickupLng
+ *         required: true
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: dropoffLat
+ *         required: true
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: dropoffLng
+ *         required: true
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: radius
+ *         schema:
+ *           type: number
+ *           default: 1000
+ *         description: Max distance in meters from the route (max 10000)
+ *       - in: query
+ *         name: fromDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Earliest departure time (default now)
+ *       - in: query
+ *         name: toDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Latest departure time
+ *       - in: query
+ *         name: seats
+ *         schema:
+ *           type: number
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: number
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Matching trips with pickup/dropoff distance and detour distance/time
+ *       400:
+ *         description: Missing or invalid coordinates
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+// @desc    Find driver trips passing near a pickup and then a dropoff point
+// @route   GET /api/trips/match
+// @access  Private
+exports.matchTrips = async (req, res) => {
+	try {
+		const pickup = { lat: parseFloat(req.query.pickupLat), lng: parseFloat(req.query.pickupLng) };
+		const dropoff = { lat: parseFloat(req.query.dropoffLat), lng: parseFloat(req.query.dropoffLng) };
+
+		if ([pickup.lat, pickup.lng, dropoff.lat, dropoff.lng].some((value) => Number.isNaN(value))) {
+			return res.status(400).json({
+				success: false,
+				error: 'pickupLat, pickupLng, dropoffLat and dropoffLng are required',
+			});
+		}
+
+		const matches = await routeMatchingService.findTripsAlongRoute({
+			pickup,
+			dropoff,
+			radius: req.query.radius ? parseInt(req.query.radius, 10) : undefined,
+			departureFrom: req.query.fromDate ? new Date(req.query.fromDate) : undefined,
+			departureTo: req.query.toDate ? new Date(req.query.toDate) : undefined,
+			seats: parseInt(req.query.seats, 10) || 1,
+			excludeUser: req.user._id,
+			limit: parseInt(req.query.limit, 10) || 20,
+		});
+
+		res.status(200).json({
+			success: true,
+			count: matches.length,
+			data: matches,
+		});
+	} catch (error) {
+		console.error('Match trips error:', error);
+		res.status(500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+};
+
 /**
  * @swagger
  * /trips/{id}:
@@ -777,7 +1087,51 @@ exports.updateTrip = async (req, res) => {
 			});
 		}
 
-		trip = await Trip.findByIdAndUpdate(req.params.id, req.body, {
+		// Không giảm số ghế xuống dưới số ghế đã được đặt
+		if (req.body.availableSeats !== undefined && req.body.availableSeats < (trip.bookedSeats || 0)) {
+			return res.status(400).json({
+				success: false,
+				error: `Cannot reduce seats below the ${trip.bookedSeats} seat(s) already booked`,
+			});
+		}
+
+		// Giá đã được chia cho người đi cùng
+		if (req.body.price !== undefined && req.body.price !== trip.price && fareSplitService.hasSplit(trip)) {
+			return res.status(400).json({
+				success: false,
+				error: 'Cannot change the price of a trip whose fare is being split',
+			});
+		}
+
+		// Tổ chức trả tiền chỉ được chọn khi tạo booking
+		if (
+			req.body.paymentMethod !== undefined &&
+			req.body.paymentMethod !== trip.paymentMethod &&
+			[req.body.paymentMethod, trip.paymentMethod].includes('corporate')
+		) {
+			return res.status(400).json({
+				success: false,
+				error: 'Billing a trip to an organization can only be chosen when creating the booking',
+			});
+		}
+
+		// Chuyến tính tiền cho tổ chức: giờ đi và giá sau khi sửa vẫn phải theo chính sách đi lại của tổ chức
+		if (
+			trip.paymentMethod === 'corporate' &&
+			(req.body.departureTime !== undefined || req.body.price !== undefined)
+		) {
+			const organization = await organizationService.getOrganization(trip.organization);
+			organizationService.checkPolicy(organization, {
+				departureTime: req.body.departureTime || trip.departureTime,
+				fare: req.body.price,
+			});
+		}
+
+		// Ghế đã đặt chỉ được thay đổi qua luồng accept/cancel của passenger, phần chia tiền qua luồng chia tiền,
+		// trạng thái chỉ qua tripStateMachine (PATCH /api/trips/:id/status, cancel)
+		const { bookedSeats, passengers, fareSplit, organization, status, statusHistory, ...updates } = req.body;
+
+		trip = await Trip.findByIdAndUpdate(req.params.id, updates, {
 			new: true,
 			runValidators: true,
 		}).populate({
@@ -806,7 +1160,7 @@ exports.updateTrip = async (req, res) => {
 			data: trip,
 		});
 	} catch (error) {
-		res.status(500).json({
+		res.status(error.statusCode || 500).json({
 			success: false,
 			error: error.message,
 		});
@@ -875,7 +1229,20 @@ exports.deleteTrip = async (req, res) => {
 			}
 		} else if (trip.status === 'confirmed') {
 			// Either requester or driver can delete confirmed but unpaid trips
-			// No additional check needed
+			// Chuyến offer đã có passenger được nhận ghế: phải hủy chuyến để báo và hoàn tiền cho họ
+			if (trip.passengers.some((passenger) => passenger.status === 'accepted')) {
+				return res.status(400).json({
+					success: false,
+					error: 'Some passengers have already booked seats on this trip. Cancel the trip instead.',
+				});
+			}
+			// Người đi cùng đã trả phần của mình: phải hủy chuyến để được hoàn tiền
+			if (fareSplitService.hasSplit(trip) && trip.fareSplit.shares.some((share) => share.status === 'paid')) {
+				return res.status(400).json({
+					success: false,
+					error: 'Some riders have already paid their share. Cancel the trip instead.',
+				});
+			}
 		} else if (['paid', 'in_progress', 'completed'].includes(trip.status)) {
 			// Cannot delete paid or active trips, must cancel instead
 			return res.status(400).json({
@@ -884,7 +1251,10 @@ exports.deleteTrip = async (req, res) => {
 			});
 		}
 
-		await trip.remove();
+		await trip.deleteOne();
+
+		// Booking đã xác nhận thanh toán bằng ví: chỉ trả lại tiền đang giữ sau khi đã xóa chuyến
+		await walletService.releaseTripHolds(trip);
 
 		res.status(200).json({
 			success: true,
@@ -898,9 +1268,9 @@ exports.deleteTrip = async (req, res) => {
 	}
 };
 
-// @desc    Cancel a trip
+// @desc    Cancel a trip (paid trips are refunded according to the cancellation policy)
 // @route   PATCH /api/trips/:id/cancel
-// @access  Private (Driver only)
+// @access  Private (Driver or booking requester)
 exports.cancelTrip = async (req, res) => {
 	try {
 		const { reason } = req.body;
@@ -914,55 +1284,32 @@ exports.cancelTrip = async (req, res) => {
 			});
 		}
 
-		// Check if user is the trip driver
-		if (trip.driver.toString() !== req.user._id.toString()) {
+		// Driver hoặc passenger tạo booking request được hủy chuyến
+		const isDriver = trip.driver && trip.driver.toString() === req.user._id.toString();
+		const isRequester = trip.requestedBy && trip.requestedBy.toString() === req.user._id.toString();
+
+		if (!isDriver && !isRequester) {
 			return res.status(403).json({
 				success: false,
 				error: 'Not authorized to cancel this trip',
 			});
 		}
 
-		// Can't cancel a completed or already cancelled trip
-		if (trip.status === 'completed') {
-			return res.status(400).json({
-				success: false,
-				error: 'Cannot cancel a completed trip',
-			});
-		}
-
-		if (trip.status === 'cancelled') {
-			return res.status(400).json({
-				success: false,
-				error: 'Trip is already cancelled',
-			});
-		}
-
-		trip.status = 'cancelled';
-		trip.cancellationReason = reason;
-		await trip.save();
-
-		// Notify all passengers about the cancellation
-		if (trip.passengers && trip.passengers.length > 0) {
-			const acceptedPassengers = trip.passengers.filter((p) => p.status === 'accepted');
-
-			for (const passenger of acceptedPassengers) {
-				await Notification.create({
-					recipient: passenger.user,
-					title: 'Trip Cancelled',
-					message: `A trip you were planning to join has been cancelled by the driver.`,
-					type: 'trip_cancelled',
-					relatedId: trip._id,
-					relatedModel: 'Trip',
-				});
-			}
-		}
+		// Kiểm tra trạng thái, hoàn tiền, trả lại tiền giữ trong ví và thông báo cho các bên theo tripStateMachine
+		const { refund, releasedHolds } = await tripStateMachine.transition(trip, 'cancelled', {
+			actor: req.user,
+			reason,
+			ipAddr: req.ip,
+		});
 
 		res.status(200).json({
 			success: true,
 			data: trip,
+			refund,
+			releasedHolds,
 		});
 	} catch (error) {
-		res.status(500).json({
+		res.status(error.statusCode || 500).json({
 			success: false,
 			error: error.message,
 		});
@@ -971,56 +1318,265 @@ exports.cancelTrip = async (req, res) => {
 
 /**
  * @swagger
- * /trips/{id}/join:
+ * /trips/offers:
  *   post:
- *     summary: Request to join a trip
- *     description: Request to join a trip as a passenger
+ *     summary: Publish a trip offer
+ *     description: Publish a trip as a driver with a number of seats. Passengers request seats with their own pickup and dropoff points and pay per seat once accepted.
  *     tags: [Trips]
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *         description: Trip ID
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
+ *             required: [startLocation, endLocation, departureTime, availableSeats]
  *             properties:
- *               seats:
- *                 type: number
- *                 default: 1
- *               pickupLocation:
+ *               startLocation:
  *                 type: object
- *               dropoffLocation:
+ *                 properties:
+ *                   address:
+ *                     type: string
+ *                   coordinates:
+ *                     type: object
+ *                     properties:
+ *                       lat:
+ *                         type: number
+ *                       lng:
+ *                         type: number
+ *               endLocation:
  *                 type: object
- *               note:
+ *                 properties:
+ *                   address:
+ *                     type: string
+ *                   coordinates:
+ *                     type: object
+ *                     properties:
+ *                       lat:
+ *                         type: number
+ *                       lng:
+ *                         type: number
+ *               departureTime:
+ *                 type: string
+ *                 format: date-time
+ *               availableSeats:
+ *                 type: number
+ *                 example: 3
+ *               pricePerSeat:
+ *                 type: number
+ *                 description: Price per seat. Defaults to the estimated trip price split across the seats.
+ *                 example: 40000
+ *               notes:
+ *                 type: string
+ *               stops:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *               currency:
  *                 type: string
+ *                 default: VND
  *     responses:
- *       200:
- *         description: Join request submitted
+ *       201:
+ *         description: Trip offer published
  *       400:
- *         description: Trip full or invalid request
- *       404:
- *         description: Trip not found
- *       401:
- *         description: Unauthorized
+ *         description: Missing fields, past departure time or vehicle information incomplete
+ *       403:
+ *         description: Driver access required
  *       500:
  *         description: Server error
  */
-// @desc    Request to join a trip
-// @route   POST /api/trips/:id/join
-// @access  Private (Passenger)
-exports.joinTrip = async (req, res) => {
+// @desc    Publish a trip offer with seats for passengers
+// @route   POST /api/trips/offers
+// @access  Private (Driver only)
+exports.createTripOffer = async (req, res) => {
 	try {
-		const { pickupLocation, dropoffLocation, note } = req.body;
-
-		const trip = await Trip.findById(req.params.id);
+		const { startLocation, endLocation, departureTime, availableSeats, pricePerSeat, notes, stops, currency } =
+			req.body;
+
+		if (!startLocation || !endLocation || !departureTime || !availableSeats) {
+			return res.status(400).json({
+				success: false,
+				error: 'startLocation, endLocation, departureTime and availableSeats are required',
+			});
+		}
+
+		if (new Date(departureTime) < new Date()) {
+			return res.status(400).json({
+				success: false,
+				error: 'Departure time must be in the future',
+			});
+		}
+
+		const driver = await User.findById(req.user._id);
+
+		if (!driver.vehicle || !driver.vehicle.licensePlate) {
+			return res.status(400).json({
+				success: false,
+				error: 'Please complete your vehicle information first',
+			});
+		}
+
+		// Không bán quá số ghế của xe (trừ ghế tài xế)
+		if (driver.vehicle.seats && availableSeats > driver.vehicle.seats - 1) {
+			return res.status(400).json({
+				success: false,
+				error: `Your vehicle can offer at most ${driver.vehicle.seats - 1} seat(s)`,
+			});
+		}
+
+		const vehicleType = getVehicleTypeFromVehicle(driver.vehicle);
+
+		const route = await getTripRoute(startLocation, endLocation, stops || []);
+		const arrivalTimes = routingService.getArrivalTimes(departureTime, route);
+
+		// Nếu driver không đặt giá, chia đều giá ước tính cho số ghế
+		let price = pricePerSeat;
+		let priceBreakdown;
+		let surge;
+		if (price === undefined) {
+			const estimatedPriceData = await pricingService.calculatePrice(
+				startLocation.coordinates,
+				endLocation.coordinates,
+				{ type: vehicleType, year: driver.vehicle.year },
+				departureTime,
+				route,
+				startLocation.city
+			);
+			price = Math.ceil(estimatedPriceData.price / availableSeats / 1000) * 1000;
+			priceBreakdown = estimatedPriceData.breakdown;
+			surge = estimatedPriceData.surge;
+		}
+
+		const trip = await Trip.create({
+			tripType: 'offer',
+			driver: driver._id,
+			startLocation: formatLocation(startLocation),
+			endLocation: formatLocation(endLocation),
+			departureTime,
+			estimatedArrivalTime: arrivalTimes.arrival,
+			availableSeats,
+			notes,
+			stops: (stops || []).map((stop, index) => ({
+				...formatLocation(stop),
+				estimatedArrivalTime: stop.estimatedArrivalTime || arrivalTimes.stops[index],
+			})),
+			...buildRouteFields(route),
+			price,
+			priceBreakdown,
+			surge,
+			currency: currency || 'VND',
+			vehicleTypeUsed: vehicleType,
+			status: 'confirmed', // Driver đã có sẵn, mở cho passenger đặt ghế
+			confirmedAt: new Date(),
+		});
+
+		res.status(201).json({
+			success: true,
+			message: 'Trip offer published. Passengers can now request seats.',
+			data: trip,
+		});
+	} catch (error) {
+		console.error('Create trip offer error:', error);
+		res.status(500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+};
+
+/**
+ * @swagger
+ * /trips/{id}/join:
+ *   post:
+ *     summary: Request seats on a driver-offered trip
+ *     description: Request one or more seats on a trip published by a driver, with your own pickup and dropoff points. The driver accepts or declines the request.
+ *     tags: [Trips]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Trip ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               seats:
+ *                 type: number
+ *                 default: 1
+ *               pickupLocation:
+ *                 type: object
+ *                 properties:
+ *                   address:
+ *                     type: string
+ *                   coordinates:
+ *                     type: object
+ *                     properties:
+ *                       lat:
+ *                         type: number
+ *                       lng:
+ *                         type: number
+ *               dropoffLocation:
+ *                 type: object
+ *                 properties:
+ *                   address:
+ *                     type: string
+ *                   coordinates:
+ *                     type: object
+ *                     properties:
+ *                       lat:
+ *                         type: number
+ *                       lng:
+ *                         type: number
+ *               note:
+ *                 type: string
+ *               paymentMethod:
+ *                 type: string
+ *                 enum: [online, cash, wallet]
+ *                 default: online
+ *                 description: cash = pay the driver at the end of the trip; wallet = pay from the in-app wallet (held on acceptance, charged on completion)
+ *     responses:
+ *       200:
+ *         description: Join request submitted
+ *       400:
+ *         description: Trip full or invalid request
+ *       404:
+ *         description: Trip not found
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+// @desc    Request to join a trip
+// @route   POST /api/trips/:id/join
+// @access  Private (Passenger)
+exports.joinTrip = async (req, res) => {
+	try {
+		const { pickupLocation, dropoffLocation, note, paymentMethod = 'online' } = req.body;
+		const seats = req.body.seats === undefined ? 1 : parseInt(req.body.seats, 10);
+
+		if (!Number.isInteger(seats) || seats < 1) {
+			return res.status(400).json({
+				success: false,
+				error: 'Please request at least one seat',
+			});
+		}
+
+		if (!PAYMENT_METHODS.includes(paymentMethod)) {
+			return res.status(400).json({
+				success: false,
+				error: `Payment method must be one of: ${PAYMENT_METHODS.join(', ')}`,
+			});
+		}
+
+		const trip = await Trip.findById(req.params.id);
 
 		if (!trip) {
 			return res.status(404).json({
@@ -1029,8 +1585,16 @@ exports.joinTrip = async (req, res) => {
 			});
 		}
 
+		// Chỉ chuyến do driver đăng mới nhận đặt ghế
+		if (trip.tripType !== 'offer') {
+			return res.status(400).json({
+				success: false,
+				error: 'Seats can only be requested on trips offered by drivers',
+			});
+		}
+
 		// Check if user is not the driver of this trip
-		if (trip.driver.toString() === req.user._id.toString()) {
+		if (trip.driver && trip.driver.toString() === req.user._id.toString()) {
 			return res.status(400).json({
 				success: false,
 				error: 'You cannot join your own trip',
@@ -1038,7 +1602,7 @@ exports.joinTrip = async (req, res) => {
 		}
 
 		// Check if trip is open for joining
-		if (trip.status !== 'scheduled') {
+		if (trip.status !== 'confirmed') {
 			return res.status(400).json({
 				success: false,
 				error: `Cannot join a trip with status: ${trip.status}`,
@@ -1053,42 +1617,73 @@ exports.joinTrip = async (req, res) => {
 			});
 		}
 
-		// Check if user already requested to join
-		const existingRequest = trip.passengers.find((p) => p.user.toString() === req.user._id.toString());
-
-		if (existingRequest) {
+		// Check if seats are available
+		if ((trip.bookedSeats || 0) + seats > trip.availableSeats) {
 			return res.status(400).json({
 				success: false,
-				error: `You have already requested to join this trip (status: ${existingRequest.status})`,
+				error: 'Not enough seats available on this trip',
 			});
 		}
 
-		// Check if seats are available
-		const acceptedPassengers = trip.passengers.filter((p) => p.status === 'accepted').length;
-		if (acceptedPassengers >= trip.availableSeats) {
+		// Tiền chỉ bị giữ khi driver accept, nhưng báo sớm nếu ví hiện không đủ số dư
+		if (paymentMethod === 'wallet') {
+			const wallet = await walletService.getWallet(req.user._id);
+			if (wallet.balance < trip.price * seats) {
+				return res.status(400).json({
+					success: false,
+					error: 'Insufficient wallet balance. Please top up your wallet',
+				});
+			}
+		}
+
+		// Quãng đường driver phải đi vòng để đón/trả passenger
+		const detour = routeMatchingService.getDetour(
+			trip,
+			pickupLocation && pickupLocation.coordinates,
+			dropoffLocation && dropoffLocation.coordinates
+		);
+
+		// Add passenger request (atomic: không cho phép 2 request đang hoạt động của cùng một user)
+		const updatedTrip = await Trip.findOneAndUpdate(
+			{
+				_id: trip._id,
+				passengers: {
+					$not: { $elemMatch: { user: req.user._id, status: { $in: ['pending', 'accepted'] } } },
+				},
+			},
+			{
+				$push: {
+					passengers: {
+						user: req.user._id,
+						status: 'pending',
+						seats,
+						price: trip.price * seats,
+						paymentMethod,
+						pickupLocation: formatLocation(pickupLocation),
+						dropoffLocation: formatLocation(dropoffLocation),
+						detour: detour
+							? { distanceKm: detour.detourDistanceKm, minutes: detour.detourMinutes }
+							: undefined,
+						note,
+						requestedAt: new Date(),
+					},
+				},
+			},
+			{ new: true, runValidators: true }
+		);
+
+		if (!updatedTrip) {
 			return res.status(400).json({
 				success: false,
-				error: 'No seats available on this trip',
+				error: 'You have already requested to join this trip',
 			});
 		}
 
-		// Add passenger request
-		trip.passengers.push({
-			user: req.user._id,
-			status: 'pending',
-			pickupLocation,
-			dropoffLocation,
-			note,
-			requestedAt: new Date(),
-		});
-
-		await trip.save();
-
 		// Notify the driver about the join request
 		await Notification.create({
 			recipient: trip.driver,
 			title: 'New Trip Request',
-			message: `Someone has requested to join your trip from ${trip.startLocation.address} to ${trip.endLocation.address}.`,
+			message: `Someone has requested ${seats} seat(s) on your trip from ${trip.startLocation.address} to ${trip.endLocation.address}.`,
 			type: 'trip_request',
 			relatedId: trip._id,
 			relatedModel: 'Trip',
@@ -1098,7 +1693,7 @@ exports.joinTrip = async (req, res) => {
 			success: true,
 			data: {
 				message: 'Request to join trip submitted successfully',
-				trip,
+				trip: updatedTrip,
 			},
 		});
 	} catch (error) {
@@ -1149,39 +1744,65 @@ exports.cancelJoinRequest = async (req, res) => {
 			});
 		}
 
-		// Find passenger request
-		const passengerIndex = trip.passengers.findIndex((p) => p.user.toString() === req.user._id.toString());
+		// Find the active passenger request
+		const passenger = trip.passengers.find(
+			(p) => p.user.toString() === req.user._id.toString() && ['pending', 'accepted'].includes(p.status)
+		);
 
-		if (passengerIndex === -1) {
+		if (!passenger) {
 			return res.status(404).json({
 				success: false,
 				error: 'You have not requested to join this trip',
 			});
 		}
 
-		const passenger = trip.passengers[passengerIndex];
-
-		// Can only cancel pending requests or leave accepted trips before departure
-		if (!['pending', 'accepted'].includes(passenger.status)) {
+		// Don't allow leaving a trip that's already in progress
+		if (passenger.status === 'accepted' && trip.status === 'in_progress') {
 			return res.status(400).json({
 				success: false,
-				error: `Cannot cancel request with status: ${passenger.status}`,
+				error: 'Cannot leave a trip that is already in progress',
 			});
 		}
 
-		// Don't allow leaving a trip that's already in progress
-		if (passenger.status === 'accepted' && trip.status === 'in_progress') {
+		// Update request status to cancelled and release the seats if they were reserved
+		const update = {
+			$set: {
+				'passengers.$.status': 'cancelled',
+				'passengers.$.updatedAt': new Date(),
+			},
+		};
+		if (passenger.status === 'accepted') {
+			update.$inc = { bookedSeats: -(passenger.seats || 1) };
+		}
+
+		const updatedTrip = await Trip.findOneAndUpdate(
+			{ _id: trip._id, passengers: { $elemMatch: { _id: passenger._id, status: passenger.status } } },
+			update,
+			{ new: true }
+		);
+
+		if (!updatedTrip) {
 			return res.status(400).json({
 				success: false,
-				error: 'Cannot leave a trip that is already in progress',
+				error: 'Your request has just been updated by the driver. Please try again.',
 			});
 		}
 
-		// Update request status to cancelled
-		trip.passengers[passengerIndex].status = 'cancelled';
-		trip.passengers[passengerIndex].updatedAt = new Date();
-
-		await trip.save();
+		// Ghế đã thanh toán được hoàn tiền theo chính sách hủy
+		const refund =
+			passenger.paymentStatus === 'completed'
+				? await refundService.refundTripPayments(trip, {
+						cancelledBy: 'passenger',
+						initiatedBy: req.user._id,
+						userId: req.user._id,
+						reason: 'Passenger left the trip',
+						ipAddr: req.ip,
+					})
+				: undefined;
+		const releasedHolds =
+			passenger.paymentMethod === 'wallet'
+				? await walletService.releaseTripHolds(trip, { userId: req.user._id })
+				: [];
 
 		// Notify the driver
 		await Notification.create({
@@ -1203,7 +1824,9 @@ exports.cancelJoinRequest = async (req, res) => {
 					passenger.status === 'pending'
 						? 'Join request cancelled successfully'
 						: 'You have left the trip successfully',
-				trip,
+				trip: updatedTrip,
+				refund,
+				releasedHolds,
 			},
 		});
 	} catch (error) {
@@ -1252,7 +1875,9 @@ exports.cancelJoinRequest = async (req, res) => {
  *                 description: Optional message to passenger
  *     responses:
  *       200:
- *         description: Passenger status updated
+ *         description: Passenger status updated (seats are reserved atomically on accept)
+ *       400:
+ *         description: Invalid status or not enough seats available
  *       404:
  *         description: Trip or passenger not found
  *       401:
@@ -1267,6 +1892,13 @@ exports.updatePassengerStatus = async (req, res) => {
 	try {
 		const { status, message } = req.body;
 
+		if (!['accepted', 'declined'].includes(status)) {
+			return res.status(400).json({
+				success: false,
+				error: 'Status must be either accepted or declined',
+			});
+		}
+
 		const trip = await Trip.findById(req.params.id);
 
 		if (!trip) {
@@ -1277,39 +1909,87 @@ exports.updatePassengerStatus = async (req, res) => {
 		}
 
 		// Check if user is the trip driver
-		if (trip.driver.toString() !== req.user._id.toString()) {
+		if (!trip.driver || trip.driver.toString() !== req.user._id.toString()) {
 			return res.status(403).json({
 				success: false,
 				error: 'Not authorized to update passenger status',
 			});
 		}
 
-		// Find passenger request
-		const passengerIndex = trip.passengers.findIndex((p) => p.user.toString() === req.params.passengerId);
+		// Find pending passenger request
+		const passenger = trip.passengers.find(
+			(p) => p.user.toString() === req.params.passengerId && p.status === 'pending'
+		);
 
-		if (passengerIndex === -1) {
+		if (!passenger) {
 			return res.status(404).json({
 				success: false,
-				error: 'Passenger request not found',
+				error: 'Pending passenger request not found',
 			});
 		}
 
-		const passenger = trip.passengers[passengerIndex];
+		const seats = passenger.seats || 1;
+		const conditions = {
+			_id: trip._id,
+			passengers: { $elemMatch: { _id: passenger._id, status: 'pending' } },
+		};
+		const update = {
+			$set: {
+				'passengers.$.status': status,
+				'passengers.$.updatedAt': new Date(),
+				'passengers.$.responseMessage': message,
+			},
+		};
+
+		if (status === 'accepted') {
+			// Giữ ghế atomic: chỉ accept khi số ghế còn lại đủ cho request này
+			conditions.$expr = { $lte: [{ $add: ['$bookedSeats', seats] }, '$availableSeats'] };
+			update.$inc = { bookedSeats: seats };
+			update.$set['passengers.$.paymentStatus'] = passenger.price > 0 ? 'pending' : 'not_required';
+		}
+
+		// Thanh toán bằng ví: giữ tiền trước khi nhận ghế, không đủ số dư thì không accept được
+		const paysFromWallet = status === 'accepted' && passenger.paymentMethod === 'wallet';
+		if (paysFromWallet) {
+			try {
+				await walletService.holdForBooking(trip, {
+					userId: passenger.user,
+					amount: passenger.price,
+					bookingId: passenger._id,
+				});
+			} catch (error) {
+				return res.status(error.statusCode || 500).json({
+					success: false,
+					error:
+						error.statusCode === 400
+							? "The passenger's wallet balance is not enough for this booking"
+							: error.message,
+				});
+			}
+		}
+
+		const updatedTrip = await Trip.findOneAndUpdate(conditions, update, { new: true });
+
+		if (!updatedTrip) {
+			if (paysFromWallet) {
+				await walletService.releaseTripHolds(trip, { userId: passenger.user });
+			}
 
-		// Check if request is pending
-		if (passenger.status !== 'pending') {
 			return res.status(400).json({
 				success: false,
-				error: `Cannot respond to a request with status: ${passenger.status}`,
+				error:
+					status === 'accepted'
+						? 'Not enough seats available to accept this request'
+						: 'This request has already been responded to',
 			});
 		}
 
-		// Update passenger status
-		passenger.status = status;
-		passenger.updatedAt = new Date();
-		passenger.responseMessage = message;
-
-		await trip.save();
+		const paysInCash = passenger.paymentMethod === 'cash';
+		const paymentNote = paysInCash
+			? 'Please pay the driver in cash at the end of the trip.'
+			: paysFromWallet
+				? 'The fare is held in your wallet and will be charged when the trip completes.'
+				: 'Please proceed to payment.';
 
 		// Notify the passenger
 		await Notification.create({
@@ -1317,7 +1997,7 @@ exports.updatePassengerStatus = async (req, res) => {
 			title: status === 'accepted' ? 'Trip Request Accepted' : 'Trip Request Declined',
 			message:
 				status === 'accepted'
-					? `Your request to join a trip has been accepted. ${message ? `Reason: ${message}` : ''}`
+					? `Your request to join a trip has been accepted. ${paymentNote} ${message ? `Message: ${message}` : ''}`
 					: `Your request to join a trip has been declined. ${message ? `Reason: ${message}` : ''}`,
 			type: status === 'accepted' ? 'request_accepted' : 'request_declined',
 			relatedId: trip._id,
@@ -1328,7 +2008,8 @@ exports.updatePassengerStatus = async (req, res) => {
 			success: true,
 			data: {
 				message: `Passenger request ${status} successfully`,
-				trip,
+				needsPayment: status === 'accepted' && passenger.price > 0 && passenger.paymentMethod === 'online',
+				trip: updatedTrip,
 			},
 		});
 	} catch (error) {
@@ -1523,9 +2204,12 @@ exports.getMyTrips = async (req, res) => {
 // @access  Private
 exports.getMyJoinedTrips = async (req, res) => {
 	try {
-		// Build query based on filters
+		// Build query based on filters (ghế đã đặt trên chuyến offer, hoặc booking được mời chia tiền)
 		const query = {
-			'passengers.user': req.user._id,
+			$or: [
+				{ 'passengers.user': req.user._id },
+				{ 'fareSplit.shares.user': req.user._id, requestedBy: { $ne: req.user._id } },
+			],
 		};
 
 		// Filter by status
@@ -1632,6 +2316,40 @@ exports.getMyJoinedTrips = async (req, res) => {
 // @route   POST /api/trips/:id/leave
 // @access  Private
 exports.leaveTrip = async (req, res) => {
+	// Same behaviour as cancelling the join request
+	return exports.cancelJoinRequest(req, res);
+};
+
+/**
+ * @swagger
+ * /trips/{id}/complete:
+ *   post:
+ *     summary: Mark a trip as completed
+ *     description: Mark a trip as completed (driver only)
+ *     tags: [Trips]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Trip ID
+ *     responses:
+ *       200:
+ *         description: Trip marked as completed
+ *       404:
+ *         description: Trip not found
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+// @desc    Complete a trip
+// @route   POST /api/trips/:id/complete
+// @access  Private (Driver only)
+exports.completeTrip = async (req, res) => {
 	try {
 		const trip = await Trip.findById(req.params.id);
 
@@ -1642,77 +2360,162 @@ exports.leaveTrip = async (req, res) => {
 			});
 		}
 
-		// Find passenger request
-		const passengerIndex = trip.passengers.findIndex((p) => p.user.toString() === req.user._id.toString());
-
-		if (passengerIndex === -1) {
-			return res.status(404).json({
+		// Check if user is the trip driver
+		if (trip.driver.toString() !== req.user._id.toString()) {
+			return res.status(403).json({
 				success: false,
-				error: 'You have not requested to join this trip',
+				error: 'Not authorized to complete this trip',
 			});
 		}
 
-		const passenger = trip.passengers[passengerIndex];
+		// Chỉ chuyến đang chạy mới hoàn thành được; ví, tổ chức, thu nhập driver và thông báo do tripStateMachine xử lý
+		const { walletPayments, corporatePayments, earning, track } = await tripStateMachine.transition(
+			trip,
+			'completed',
+			{ actor: req.user }
+		);
 
-		// Can only cancel pending requests or leave accepted trips before departure
-		if (!['pending', 'accepted'].includes(passenger.status)) {
-			return res.status(400).json({
-				success: false,
-				error: `Cannot cancel request with status: ${passenger.status}`,
-			});
-		}
+		res.status(200).json({
+			success: true,
+			data: trip,
+			cashDue: cashPaymentService.getCashDue(trip),
+			walletPayments,
+			corporatePayments,
+			earning,
+			track,
+		});
+	} catch (error) {
+		res.status(error.statusCode || 500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+};
 
-		// Don't allow leaving a trip that's already in progress
-		if (passenger.status === 'accepted' && trip.status === 'in_progress') {
-			return res.status(400).json({
-				success: false,
-				error: 'Cannot leave a trip that is already in progress',
+/**
+ * @swagger
+ * /trips/{id}/status:
+ *   patch:
+ *     summary: Update trip status
+ *     description: Start, complete or cancel a trip (driver only). Transitions follow the trip state machine - confirmed or paid trips can be started (online bookings only once paid), in-progress trips can be completed. Starting a booking request requires the pickup PIN shown to the passenger. Each change is recorded in the trip statusHistory.
+ *     tags: [Trips]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Trip ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [status]
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [in_progress, completed, cancelled]
+ *               reason:
+ *                 type: string
+ *                 description: Reason for the change (recorded in the status history)
+ *               pin:
+ *                 type: string
+ *                 example: '4821'
+ *                 description: Pickup PIN read out by the passenger (required to start a booking request)
+ *     responses:
+ *       200:
+ *         description: Trip status updated
+ *       400:
+ *         description: Transition not allowed from the current status, or wrong pickup PIN
+ *       403:
+ *         description: Not the trip driver
+ *       409:
+ *         description: Trip status was changed by another request
+ *       429:
+ *         description: Too many wrong pickup PIN attempts, try again later
+ *       404:
+ *         description: Trip not found
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+// @desc    Update trip status
+// @route   PATCH /api/trips/:id/status
+// @access  Private (Driver only)
+exports.updateTripStatus = async (req, res) => {
+	try {
+		const { status, reason, pin } = req.body;
+
+		if (!status || !DRIVER_STATUS_UPDATES.includes(status)) {
+			return res.status(400).json({
+				success: false,
+				error: `Please provide a valid status (${DRIVER_STATUS_UPDATES.join(', ')})`,
 			});
 		}
 
-		// Update request status to cancelled
-		trip.passengers[passengerIndex].status = 'cancelled';
-		trip.passengers[passengerIndex].updatedAt = new Date();
+		const trip = await Trip.findById(req.params.id);
 
-		await trip.save();
+		if (!trip) {
+			return res.status(404).json({
+				success: false,
+				error: 'Trip not found',
+			});
+		}
 
-		// Notify the driver
-		await Notification.create({
-			recipient: trip.driver,
-			title: passenger.status === 'pending' ? 'Join Request Cancelled' : 'Passenger Left Trip',
-			message:
-				passenger.status === 'pending'
-					? `A passenger has cancelled their request to join your trip.`
-					: `A passenger has left your trip.`,
-			type: 'trip_updated',
-			relatedId: trip._id,
-			relatedModel: 'Trip',
+		// Check if user is the trip driver
+		if (trip.driver.toString() !== req.user._id.toString()) {
+			return res.status(403).json({
+				success: false,
+				error: 'Not authorized to update this trip status',
+			});
+		}
+
+		// Bắt đầu chuyến: driver phải nhập PIN passenger đọc cho khi đón
+		if (status === 'in_progress') {
+			await pickupPinService.verify(trip, { driverId: req.user._id, pin, ipAddr: req.ip });
+		}
+
+		// Kiểm tra chuyển trạng thái và chạy side effect (trạng thái driver, ví, hoàn tiền, thông báo) theo tripStateMachine
+		const effects = await tripStateMachine.transition(trip, status, {
+			actor: req.user,
+			reason,
+			ipAddr: req.ip,
 		});
 
 		res.status(200).json({
 			success: true,
-			data: {
-				message:
-					passenger.status === 'pending'
-						? 'Join request cancelled successfully'
-						: 'You have left the trip successfully',
-				trip,
-			},
+			message: `Trip status updated to ${status}`,
+			data: trip,
+			// Tiền mặt driver cần thu và xác nhận qua POST /api/trips/:id/cash-collection
+			...(status === 'completed' && {
+				cashDue: cashPaymentService.getCashDue(trip),
+				walletPayments: effects.walletPayments,
+				corporatePayments: effects.corporatePayments,
+				earning: effects.earning,
+				track: effects.track,
+			}),
+			...(status === 'cancelled' && { refund: effects.refund, releasedHolds: effects.releasedHolds }),
 		});
 	} catch (error) {
-		res.status(500).json({
+		console.error('❌ Update trip status error:', error);
+		res.status(error.statusCode || 500).json({
 			success: false,
-			error: error.message,
+			error: error.message || 'Failed to update trip status',
 		});
 	}
 };
 
 /**
  * @swagger
- * /trips/{id}/complete:
+ * /trips/{id}/cash-collection:
  *   post:
- *     summary: Mark a trip as completed
- *     description: Mark a trip as completed (driver only)
+ *     summary: Confirm cash collection
+ *     description: The driver confirms collecting the cash fare of a trip that is in progress or completed. A completed cash Payment is recorded for each collected fare. Without passengerId every outstanding cash fare on the trip is confirmed.
  *     tags: [Trips]
  *     security:
  *       - bearerAuth: []
@@ -1723,20 +2526,31 @@ exports.leaveTrip = async (req, res) => {
  *         schema:
  *           type: string
  *         description: Trip ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               passengerId:
+ *                 type: string
+ *                 description: User ID of the passenger who paid (offer trips)
  *     responses:
  *       200:
- *         description: Trip marked as completed
+ *         description: Cash payments recorded
+ *       400:
+ *         description: Trip not started or nothing to collect
+ *       403:
+ *         description: Not the trip driver
  *       404:
  *         description: Trip not found
- *       401:
- *         description: Unauthorized
  *       500:
  *         description: Server error
  */
-// @desc    Complete a trip
-// @route   POST /api/trips/:id/complete
-// @access  Private (Driver only)
-exports.completeTrip = async (req, res) => {
+// @desc    Confirm cash collection
+// @route   POST /api/trips/:id/cash-collection
+// @access  Private (Trip driver only)
+exports.confirmCashCollection = async (req, res) => {
 	try {
 		const trip = await Trip.findById(req.params.id);
 
@@ -1747,48 +2561,212 @@ exports.completeTrip = async (req, res) => {
 			});
 		}
 
-		// Check if user is the trip driver
-		if (trip.driver.toString() !== req.user._id.toString()) {
-			return res.status(403).json({
+		const payments = await cashPaymentService.confirmCollection(trip, req.user._id, {
+			passengerUserId: req.body.passengerId,
+		});
+
+		if (payments.length === 0) {
+			return res.status(400).json({
 				success: false,
-				error: 'Not authorized to complete this trip',
+				error: 'Cash collection has already been confirmed',
 			});
 		}
 
-		// Check if trip is in progress
-		if (trip.status !== 'in_progress') {
-			return res.status(400).json({
+		res.status(200).json({
+			success: true,
+			message: 'Cash collection confirmed',
+			count: payments.length,
+			data: payments,
+		});
+	} catch (error) {
+		console.error('Confirm cash collection error:', error);
+		res.status(error.statusCode || 500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+};
+
+/**
+ * @swagger
+ * /trips/{id}/split:
+ *   post:
+ *     summary: Split the fare with co-riders
+ *     description: The requester of a confirmed booking paid online invites co-riders by phone number. Each rider pays their own share and the trip becomes paid once every share is paid. Splitting again replaces the previous split as long as nobody has started paying.
+ *     tags: [Trips]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Trip ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               mode:
+ *                 type: string
+ *                 enum: [equal, custom]
+ *                 default: equal
+ *               phones:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Co-riders to split equally with (equal mode)
+ *                 example: ["0912345678", "0987654321"]
+ *               shares:
+ *                 type: array
+ *                 description: Amount of each co-rider (custom mode). The requester pays the rest.
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     phone:
+ *                       type: string
+ *                     amount:
+ *                       type: number
+ *     responses:
+ *       200:
+ *         description: Fare split created and co-riders notified
+ *       400:
+ *         description: Booking not confirmed, not paid online, or invalid shares
+ *       403:
+ *         description: Not the trip requester
+ *       404:
+ *         description: Trip or co-rider not found
+ *       500:
+ *         description: Server error
+ */
+// @desc    Split the fare of a booking with co-riders
+// @route   POST /api/trips/:id/split
+// @access  Private (Booking requester only)
+exports.splitFare = async (req, res) => {
+	try {
+		const trip = await Trip.findById(req.params.id);
+
+		if (!trip) {
+			return res.status(404).json({
 				success: false,
-				error: 'Trip must be in progress to complete',
+				error: 'Trip not found',
 			});
 		}
 
-		trip.status = 'completed';
-		trip.actualArrivalTime = new Date();
-		await trip.save();
+		const { mode, phones, shares } = req.body;
+		await fareSplitService.createSplit(trip, req.user._id, { mode, phones, shares });
 
-		// Notify all passengers about the completion
-		if (trip.passengers && trip.passengers.length > 0) {
-			const acceptedPassengers = trip.passengers.filter((p) => p.status === 'accepted');
+		res.status(200).json({
+			success: true,
+			message: 'Fare split created successfully',
+			data: await fareSplitService.getSplit(trip._id, req.user._id),
+		});
+	} catch (error) {
+		console.error('Split fare error:', error);
+		res.status(error.statusCode || 500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+};
 
-			for (const passenger of acceptedPassengers) {
-				await Notification.create({
-					recipient: passenger.user,
-					title: 'Trip Completed',
-					message: 'Your trip has been completed.',
-					type: 'trip_completed',
-					relatedId: trip._id,
-					relatedModel: 'Trip',
-				});
-			}
+/**
+ * @swagger
+ * /trips/{id}/split:
+ *   get:
+ *     summary: Get the fare split of a trip
+ *     description: Shares of the requester and co-riders with their payment status, and the amount still outstanding
+ *     tags: [Trips]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Trip ID
+ *     responses:
+ *       200:
+ *         description: Fare split
+ *       403:
+ *         description: Not the requester, a co-rider or the driver
+ *       404:
+ *         description: Trip not found
+ *       500:
+ *         description: Server error
+ */
+// @desc    Get the fare split of a trip
+// @route   GET /api/trips/:id/split
+// @access  Private (Requester, co-riders and driver)
+exports.getFareSplit = async (req, res) => {
+	try {
+		const split = await fareSplitService.getSplit(req.params.id, req.user._id);
+
+		res.status(200).json({
+			success: true,
+			data: split,
+		});
+	} catch (error) {
+		res.status(error.statusCode || 500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+};
+
+/**
+ * @swagger
+ * /trips/{id}/split/decline:
+ *   post:
+ *     summary: Decline a fare split invitation
+ *     description: The co-rider does not pay their share. The requester pays it together with their own share.
+ *     tags: [Trips]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Trip ID
+ *     responses:
+ *       200:
+ *         description: Share declined
+ *       400:
+ *         description: Share already paid or declined
+ *       404:
+ *         description: Trip not found or not invited
+ *       500:
+ *         description: Server error
+ */
+// @desc    Decline a fare split invitation
+// @route   POST /api/trips/:id/split/decline
+// @access  Private (Invited co-rider only)
+exports.declineFareSplit = async (req, res) => {
+	try {
+		const trip = await Trip.findById(req.params.id);
+
+		if (!trip) {
+			return res.status(404).json({
+				success: false,
+				error: 'Trip not found',
+			});
 		}
 
+		await fareSplitService.declineShare(trip, req.user._id);
+
 		res.status(200).json({
 			success: true,
-			data: trip,
+			message: 'Fare split declined',
 		});
 	} catch (error) {
-		res.status(500).json({
+		console.error('Decline fare split error:', error);
+		res.status(error.statusCode || 500).json({
 			success: false,
 			error: error.message,
 		});
@@ -1797,10 +2775,10 @@ exports.completeTrip = async (req, res) => {
 
 /**
  * @swagger
- * /trips/{id}/status:
- *   patch:
- *     summary: Update trip status
- *     description: Update the status of a trip (driver only)
+ * /trips/{id}/locations:
+ *   post:
+ *     summary: Share the driver's location
+ *     description: The driver sends GPS pings while heading to the pickup and during the trip (confirmed, paid or in_progress). Pings buffered offline can be sent as a batch. Invalid, duplicate or too frequent points are skipped. The latest point is pushed to the riders over Socket.IO (trip:location).
  *     tags: [Trips]
  *     security:
  *       - bearerAuth: []
@@ -1817,107 +2795,196 @@ exports.completeTrip = async (req, res) => {
  *         application/json:
  *           schema:
  *             type: object
- *             required: [status]
+ *             required: [points]
  *             properties:
- *               status:
- *                 type: string
- *                 enum: [scheduled, in_progress, completed, cancelled]
+ *               points:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [lat, lng]
+ *                   properties:
+ *                     lat:
+ *                       type: number
+ *                     lng:
+ *                       type: number
+ *                     heading:
+ *                       type: number
+ *                       description: Degrees from north
+ *                     speed:
+ *                       type: number
+ *                       description: km/h
+ *                     accuracy:
+ *                       type: number
+ *                       description: Meters
+ *                     recordedAt:
+ *                       type: string
+ *                       format: date-time
+ *                       description: Defaults to the time the server receives the point
  *     responses:
  *       200:
- *         description: Trip status updated
+ *         description: Number of accepted and skipped points and the current location
+ *       400:
+ *         description: Empty or too large batch, or the trip is not active
+ *       403:
+ *         description: Not the trip driver
+ *       404:
+ *         description: Trip not found
+ *       500:
+ *         description: Server error
+ */
+// @desc    Driver shares GPS pings of a trip
+// @route   POST /api/trips/:id/locations
+// @access  Private (Trip driver only)
+exports.shareLocation = async (req, res) => {
+	try {
+		const { points } = req.body;
+		const result = await trackingService.recordLocations(req.params.id, req.user._id, points || []);
+
+		res.status(200).json({
+			success: true,
+			data: result,
+		});
+	} catch (error) {
+		res.status(error.statusCode || 500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+};
+
+/**
+ * @swagger
+ * /trips/{id}/location:
+ *   get:
+ *     summary: Get the driver's current location and ETA
+ *     description: Latest driver position with the ETA recomputed from it. Before the trip starts the ETA covers the pickup and the dropoff, during the trip only the dropoff. Offer passengers get the ETA to their own pickup and dropoff points.
+ *     tags: [Trips]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Trip ID
+ *     responses:
+ *       200:
+ *         description: Current location (null if the driver has not shared one yet), isStale and eta
+ *       403:
+ *         description: Not a rider or the driver of the trip
+ *       404:
+ *         description: Trip not found
+ *       500:
+ *         description: Server error
+ */
+// @desc    Get driver's current location and ETA
+// @route   GET /api/trips/:id/location
+// @access  Private (Trip riders, driver or admin)
+exports.getTripLocation = async (req, res) => {
+	try {
+		const location = await trackingService.getLiveLocation(req.params.id, req.user);
+
+		res.status(200).json({
+			success: true,
+			data: location,
+		});
+	} catch (error) {
+		res.status(error.statusCode || 500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+};
+
+/**
+ * @swagger
+ * /trips/{id}/track:
+ *   get:
+ *     summary: Get the recorded track of a trip
+ *     description: The track saved on the trip when it completed (kept after the raw GPS pings expire), or the pings received so far for an active trip. Long tracks are downsampled.
+ *     tags: [Trips]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Trip ID
+ *     responses:
+ *       200:
+ *         description: Track points, number of raw pings, distance and time range
+ *       403:
+ *         description: Not a rider or the driver of the trip
+ *       404:
+ *         description: Trip not found
+ *       500:
+ *         description: Server error
+ */
+// @desc    Get recorded track of a trip
+// @route   GET /api/trips/:id/track
+// @access  Private (Trip riders, driver or admin)
+exports.getTripTrack = async (req, res) => {
+	try {
+		const track = await trackingService.getTrack(req.params.id, req.user);
+
+		res.status(200).json({
+			success: true,
+			data: track,
+		});
+	} catch (error) {
+		res.status(error.statusCode || 500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+};
+
+/**
+ * @swagger
+ * /trips/{id}/pickup-pin:
+ *   get:
+ *     summary: Get the pickup PIN of a booking
+ *     description: The 4-digit PIN issued when a driver is confirmed for the booking. Only the passenger who booked the trip can see it; they read it out to the driver at pickup, and the driver must enter it to start the trip.
+ *     tags: [Trips]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Trip ID
+ *     responses:
+ *       200:
+ *         description: PIN, when it was issued and when the driver verified it
+ *       400:
+ *         description: No driver confirmed yet
+ *       403:
+ *         description: Not the passenger who booked the trip
  *       404:
  *         description: Trip not found
- *       401:
- *         description: Unauthorized
  *       500:
  *         description: Server error
  */
-// @desc    Update trip status
-// @route   PATCH /api/trips/:id/status
-// @access  Private (Driver only)
-exports.updateTripStatus = async (req, res) => {
+// @desc    Get pickup PIN of a booking
+// @route   GET /api/trips/:id/pickup-pin
+// @access  Private (Booking requester only)
+exports.getPickupPin = async (req, res) => {
 	try {
-		const { status } = req.body;
-
-		if (!status || !['scheduled', 'in_progress', 'completed', 'cancelled'].includes(status)) {
-			return res.status(400).json({
-				success: false,
-				error: 'Please provide a valid status (scheduled, in_progress, completed, cancelled)',
-			});
-		}
-
-		const trip = await Trip.findById(req.params.id);
-
-		if (!trip) {
-			return res.status(404).json({
-				success: false,
-				error: 'Trip not found',
-			});
-		}
-
-		// Check if user is the trip driver
-		if (trip.driver.toString() !== req.user._id.toString()) {
-			return res.status(403).json({
-				success: false,
-				error: 'Not authorized to update this trip status',
-			});
-		}
-
-		// Status-specific validations
-		if (status === 'in_progress') {
-			if (trip.status !== 'scheduled') {
-				return res.status(400).json({
-					success: false,
-					error: 'Only scheduled trips can be started',
-				});
-			}
-			trip.actualDepartureTime = new Date();
-		} else if (status === 'completed') {
-			if (trip.status !== 'in_progress') {
-				return res.status(400).json({
-					success: false,
-					error: 'Only in-progress trips can be completed',
-				});
-			}
-			trip.actualArrivalTime = new Date();
-		} else if (status === 'cancelled') {
-			if (['completed', 'cancelled'].includes(trip.status)) {
-				return res.status(400).json({
-					success: false,
-					error: `Cannot cancel a ${trip.status} trip`,
-				});
-			}
-		}
-
-		trip.status = status;
-		await trip.save();
-
-		// Notify all passengers about the status change
-		if (trip.passengers && trip.passengers.length > 0) {
-			const acceptedPassengers = trip.passengers.filter((p) => p.status === 'accepted');
-
-			for (const passenger of acceptedPassengers) {
-				await Notification.create({
-					recipient: passenger.user,
-					title: `Trip ${status.charAt(0).toUpperCase() + status.slice(1)}`,
-					message: `Your trip has been updated to ${status} status.`,
-					type: `trip_${status}`,
-					relatedId: trip._id,
-					relatedModel: 'Trip',
-				});
-			}
-		}
+		const pickupPin = await pickupPinService.getPin(req.params.id, req.user);
 
 		res.status(200).json({
 			success: true,
-			message: `Trip status updated to ${status}`,
-			data: trip,
+			data: pickupPin,
 		});
 	} catch (error) {
-		console.error('❌ Update trip status error:', error);
-		res.status(500).json({
+		res.status(error.statusCode || 500).json({
 			success: false,
-			error: error.message || 'Failed to update trip status',
+			error: error.message,
 		});
 	}
 };
@@ -1927,7 +2994,7 @@ exports.updateTripStatus = async (req, res) => {
 // @access  Private
 exports.estimatePrice = async (req, res) => {
 	try {
-		const { startLocation, endLocation, departureTime, vehicleType } = req.body;
+		const { startLocation, endLocation, departureTime, vehicleType, stops, promoCode } = req.body;
 
 		// Lấy thông tin về xe từ người dùng
 		const user = await User.findById(req.user._id);
@@ -1954,30 +3021,52 @@ exports.estimatePrice = async (req, res) => {
 			}
 		}
 
+		// Quãng đường và thời gian thực tế theo đường bộ
+		const route = await getTripRoute(startLocation, endLocation, stops || []);
+
 		// Tính giá
-		const priceData = calculatePrice(
+		const priceData = await pricingService.calculatePrice(
 			startLocation.coordinates,
 			endLocation.coordinates,
 			{
 				type: finalVehicleType,
 				year: vehicle.year || new Date().getFullYear() - 3,
 			},
-			departureTime
+			departureTime,
+			route,
+			startLocation.city
 		);
 
+		// Mã khuyến mãi: chỉ tính số tiền giảm, lượt dùng được giữ khi tạo payment
+		let promo;
+		if (promoCode) {
+			const quote = await promoService.evaluate(promoCode, {
+				userId: req.user._id,
+				vehicleType: finalVehicleType,
+				amount: priceData.price,
+			});
+			promo = { code: quote.promo.code, discountAmount: quote.discountAmount, finalPrice: quote.finalAmount };
+		}
+
 		res.status(200).json({
 			success: true,
 			data: {
 				estimatedPrice: priceData.price,
+				finalPrice: promo ? promo.finalPrice : priceData.price,
 				currency: 'VND',
-				breakdown: priceData.breakdown,
+				breakdown: promo ? { ...priceData.breakdown, promo } : priceData.breakdown,
 				distance: priceData.breakdown.distanceInKm,
+				duration: route.durationMinutes,
+				estimatedArrivalTime: departureTime
+					? routingService.getArrivalTimes(departureTime, route).arrival
+					: undefined,
+				polyline: route.geometry,
 				vehicleType: finalVehicleType,
 			},
 		});
 	} catch (error) {
 		console.error('Price estimation error:', error);
-		res.status(500).json({
+		res.status(error.statusCode || 500).json({
 			success: false,
 			error: error.message,
 		});
@@ -1989,9 +3078,29 @@ exports.estimatePrice = async (req, res) => {
 // @access  Public
 exports.getVehicleTypes = async (req, res) => {
 	try {
+		// Đơn giá lấy từ bảng giá đang áp dụng (theo vị trí nếu có lat/lng, theo thành phố nếu có city)
+		const { lat, lng, city } = req.query;
+		const rule = await pricingService.getRuleForLocation(
+			lat && lng ? { lat: parseFloat(lat), lng: parseFloat(lng) } : null,
+			city
+		);
+
+		const vehicleTypes = {};
+		Object.entries(VEHICLE_TYPES).forEach(([vehicleType, type]) => {
+			const rate = getVehicleRate(vehicleType, rule);
+			vehicleTypes[vehicleType] = {
+				...type,
+				baseRate: rate.perKm,
+				baseFare: rate.baseFare || 0,
+				perMinute: rate.perMinute || 0,
+				minimumFare: rate.minimumFare || 0,
+			};
+		});
+
 		res.status(200).json({
 			success: true,
-			data: VEHICLE_TYPES,
+			data: vehicleTypes,
+			pricingRule: { code: rule.code, version: rule.version },
 		});
 	} catch (error) {
 		console.error('Get vehicle types error:', error);
@@ -2157,6 +3266,7 @@ exports.driverRequestBooking = async (req, res) => {
 
 		// Get the newly added request
 		const newRequest = trip.driverRequests[trip.driverRequests.length - 1];
+		realtimeService.emitDriverRequest(trip, newRequest);
 
 		res.status(200).json({
 			success: true,
@@ -2280,7 +3390,7 @@ exports.respondToDriverRequest = async (req, res) => {
 		}
 
 		// Check if user is the trip requester
-		if (trip.requestedBy.toString() !== req.user._id.toString()) {
+		if (!trip.requestedBy || trip.requestedBy.toString() !== req.user._id.toString()) {
 			return res.status(403).json({
 				success: false,
 				error: 'Only the trip requester can respond to driver requests',
@@ -2316,50 +3426,79 @@ exports.respondToDriverRequest = async (req, res) => {
 			driverRequest.status = 'accepted';
 			driverRequest.respondedAt = new Date();
 
-			// Update trip status and assign driver
-			trip.status = 'confirmed';
+			// Assign driver, then move the trip to confirmed through the state machine
 			trip.driver = driverRequest.driver._id;
 			trip.price = driverRequest.proposedPrice;
-			trip.confirmedAt = new Date();
+			const change = tripStateMachine.apply(trip, 'confirmed', { actor: req.user });
 
 			// Get driver's vehicle type
 			const driver = await User.findById(driverRequest.driver._id);
 			if (driver.vehicle) {
-				// Determine vehicle type based on vehicle info
-				let vehicleType = 'car'; // default
-				if (driver.vehicle.seats <= 2) vehicleType = 'motorcycle';
-				else if (driver.vehicle.seats > 5) vehicleType = 'suv';
+				trip.vehicleTypeUsed = getVehicleTypeFromVehicle(driver.vehicle);
+			}
 
-				// Check for luxury brands
-				const luxuryBrands = ['mercedes', 'bmw', 'audi', 'lexus'];
-				if (
-					driver.vehicle.brand &&
-					luxuryBrands.some((brand) => driver.vehicle.brand.toLowerCase().includes(brand))
-				) {
-					vehicleType = 'luxury';
-				}
+			// Tính tiền cho tổ chức: passenger vẫn phải là thành viên, giá và loại xe của driver phải theo chính sách
+			if (trip.paymentMethod === 'corporate') {
+				const organization = await organizationService.resolveForBooking(trip.requestedBy, trip.organization);
+				organizationService.checkPolicy(organization, {
+					departureTime: trip.departureTime,
+					vehicleType: trip.vehicleTypeUsed,
+					fare: trip.price,
+				});
+			}
 
-				trip.vehicleTypeUsed = vehicleType;
+			// Thanh toán bằng ví: giữ giá chốt với driver, không đủ số dư thì chưa xác nhận được
+			if (trip.paymentMethod === 'wallet') {
+				await walletService.holdForBooking(trip, {
+					userId: trip.requestedBy,
+					amount: trip.price,
+					bookingId: trip._id,
+				});
 			}
 
 			// Decline all other pending requests
+			const declinedRequests = [];
 			trip.driverRequests.forEach((req) => {
 				if (req._id.toString() !== requestId && req.status === 'pending') {
 					req.status = 'declined';
 					req.respondedAt = new Date();
+					declinedRequests.push(req);
 				}
 			});
 
-			await trip.save();
+			try {
+				await tripStateMachine.save(trip);
+			} catch (error) {
+				await walletService.releaseTripHolds(trip);
+				throw error;
+			}
+
+			[driverRequest, ...declinedRequests].forEach((request) =>
+				realtimeService.emitDriverRequestResponse(trip, request)
+			);
+			// Dừng gửi booking tới driver khác và báo trạng thái mới
+			await tripStateMachine.runSideEffects(trip, change);
+
+			// Booking tiền mặt/ví/tổ chức: không cần thanh toán online (driver thu tiền mặt, ví bị trừ hoặc tổ chức được tính tiền khi kết thúc chuyến)
+			const needsPayment = trip.paymentMethod === 'online';
+			const messages = {
+				online: 'Driver request accepted! Please proceed to payment.',
+				cash: 'Driver request accepted! Please pay the driver in cash at the end of the trip.',
+				wallet: 'Driver request accepted! The fare is held in your wallet and will be charged when the trip completes.',
+				corporate:
+					'Driver request accepted! The fare will be billed to your organization when the trip completes.',
+			};
 
 			res.status(200).json({
 				success: true,
-				message: 'Driver request accepted! Please proceed to payment.',
+				message: messages[trip.paymentMethod],
 				data: {
 					trip,
-					needsPayment: true,
+					needsPayment,
 					acceptedDriver: driverRequest.driver,
 					finalPrice: driverRequest.proposedPrice,
+					// Passenger đọc PIN cho driver khi được đón (xem lại qua GET /api/trips/:id/pickup-pin)
+					pickupPin: trip.pickupPin.code,
 				},
 			});
 		} else if (action === 'decline') {
@@ -2368,6 +3507,7 @@ exports.respondToDriverRequest = async (req, res) => {
 			driverRequest.respondedAt = new Date();
 
 			await trip.save();
+			realtimeService.emitDriverRequestResponse(trip, driverRequest);
 
 			res.status(200).json({
 				success: true,
@@ -2382,7 +3522,264 @@ exports.respondToDriverRequest = async (req, res) => {
 		}
 	} catch (error) {
 		console.error('Respond to driver request error:', error);
-		res.status(500).json({
+		res.status(error.statusCode || 500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+};
+
+/**
+ * @swagger
+ * /trips/{id}/series:
+ *   get:
+ *     summary: Get the recurring series of a trip
+ *     description: Returns the series parent trip and all materialized occurrences. Works with the parent or any occurrence ID.
+ *     tags: [Trips]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Trip ID (series parent or occurrence)
+ *     responses:
+ *       200:
+ *         description: Series with its occurrences
+ *       403:
+ *         description: Not the trip requester
+ *       404:
+ *         description: Trip not found or not part of a recurring series
+ *       500:
+ *         description: Server error
+ */
+// @desc    Get recurring series of a trip
+// @route   GET /api/trips/:id/series
+// @access  Private (Trip requester only)
+exports.getTripSeries = async (req, res) => {
+	try {
+		const trip = await Trip.findById(req.params.id);
+
+		if (!trip) {
+			return res.status(404).json({
+				success: false,
+				error: 'Trip not found',
+			});
+		}
+
+		if (!trip.requestedBy || trip.requestedBy.toString() !== req.user._id.toString()) {
+			return res.status(403).json({
+				success: false,
+				error: 'Only the trip requester can view this series',
+			});
+		}
+
+		const { series, occurrences } = await recurringTripService.getSeries(trip);
+
+		res.status(200).json({
+			success: true,
+			count: occurrences.length,
+			data: {
+				series,
+				occurrences,
+			},
+		});
+	} catch (error) {
+		console.error('Get trip series error:', error);
+		res.status(error.statusCode || 500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+};
+
+/**
+ * @swagger
+ * /trips/{id}/series:
+ *   patch:
+ *     summary: Edit a recurring occurrence
+ *     description: |
+ *       Edit one occurrence of a recurring booking request:
+ *       - scope=this: only this occurrence
+ *       - scope=following: this occurrence and all following occurrences still waiting for a driver (the series is split here)
+ *       Changing departureTime shifts every targeted occurrence by the same offset.
+ *     tags: [Trips]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Occurrence trip ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [scope, updates]
+ *             properties:
+ *               scope:
+ *                 type: string
+ *                 enum: [this, following]
+ *               updates:
+ *                 type: object
+ *                 properties:
+ *                   departureTime:
+ *                     type: string
+ *                     format: date-time
+ *                   availableSeats:
+ *                     type: number
+ *                   notes:
+ *                     type: string
+ *                   requestNote:
+ *                     type: string
+ *                   maxPrice:
+ *                     type: number
+ *                   preferredVehicleType:
+ *                     type: string
+ *                     enum: [motorcycle, car, suv, luxury]
+ *     responses:
+ *       200:
+ *         description: Occurrences updated
+ *       400:
+ *         description: Invalid scope, no editable fields or occurrence not editable
+ *       403:
+ *         description: Not the trip requester
+ *       404:
+ *         description: Trip not found or not part of a recurring series
+ *       500:
+ *         description: Server error
+ */
+// @desc    Edit this occurrence or this and all following occurrences
+// @route   PATCH /api/trips/:id/series
+// @access  Private (Trip requester only)
+exports.updateTripSeries = async (req, res) => {
+	try {
+		const { scope, updates } = req.body;
+
+		const trip = await Trip.findById(req.params.id);
+
+		if (!trip) {
+			return res.status(404).json({
+				success: false,
+				error: 'Trip not found',
+			});
+		}
+
+		if (!trip.requestedBy || trip.requestedBy.toString() !== req.user._id.toString()) {
+			return res.status(403).json({
+				success: false,
+				error: 'Only the trip requester can edit this series',
+			});
+		}
+
+		// Đảm bảo trip thuộc một recurring series
+		await recurringTripService.getSeries(trip);
+
+		const updatedTrips = await recurringTripService.updateOccurrences(trip, scope, updates);
+
+		res.status(200).json({
+			success: true,
+			message: `${updatedTrips.length} occurrence(s) updated`,
+			count: updatedTrips.length,
+			data: updatedTrips,
+		});
+	} catch (error) {
+		console.error('Update trip series error:', error);
+		res.status(error.statusCode || 500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+};
+
+/**
+ * @swagger
+ * /trips/{id}/series:
+ *   delete:
+ *     summary: Cancel a recurring occurrence
+ *     description: |
+ *       Cancel occurrences of a recurring booking request:
+ *       - scope=this: only this occurrence
+ *       - scope=following: this occurrence and all following ones; no further occurrences are generated
+ *       Paid or started occurrences are never cancelled through this endpoint.
+ *     tags: [Trips]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Occurrence trip ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [scope]
+ *             properties:
+ *               scope:
+ *                 type: string
+ *                 enum: [this, following]
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Occurrences cancelled
+ *       400:
+ *         description: Invalid scope or occurrence cannot be cancelled
+ *       403:
+ *         description: Not the trip requester
+ *       404:
+ *         description: Trip not found or not part of a recurring series
+ *       500:
+ *         description: Server error
+ */
+// @desc    Cancel this occurrence or this and all following occurrences
+// @route   DELETE /api/trips/:id/series
+// @access  Private (Trip requester only)
+exports.cancelTripSeries = async (req, res) => {
+	try {
+		const { scope, reason } = req.body;
+
+		const trip = await Trip.findById(req.params.id);
+
+		if (!trip) {
+			return res.status(404).json({
+				success: false,
+				error: 'Trip not found',
+			});
+		}
+
+		if (!trip.requestedBy || trip.requestedBy.toString() !== req.user._id.toString()) {
+			return res.status(403).json({
+				success: false,
+				error: 'Only the trip requester can cancel this series',
+			});
+		}
+
+		// Đảm bảo trip thuộc một recurring series
+		await recurringTripService.getSeries(trip);
+
+		const cancelledTrips = await recurringTripService.cancelOccurrences(trip, scope, reason);
+
+		res.status(200).json({
+			success: true,
+			message: `${cancelledTrips.length} occurrence(s) cancelled`,
+			count: cancelledTrips.length,
+			data: cancelledTrips,
+		});
+	} catch (error) {
+		console.error('Cancel trip series error:', error);
+		res.status(error.statusCode || 500).json({
 			success: false,
 			error: error.message,
 		});
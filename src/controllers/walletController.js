@@ -0,0 +1,233 @@
+const walletService = require('../services/walletService');
+const paymentGateways = require('../services/paymentGateways');
+
+/**
+ * @swagger
+ * /wallet:
+ *   get:
+ *     summary: Get wallet balance
+ *     description: Available balance, amount held for confirmed bookings, and the active holds (the wallet is created on first access)
+ *     tags: [Wallet]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Wallet balance
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+// @desc    Get wallet balance
+// @route   GET /api/wallet
+// @access  Private
+exports.getWallet = async (req, res) => {
+	try {
+		const wallet = await walletService.getWallet(req.user._id);
+		const holds = await walletService
+			.getActiveHolds({ userId: req.user._id })
+			.populate('trip', 'startLocation endLocation departureTime status');
+
+		res.status(200).json({
+			success: true,
+			data: {
+				currency: wallet.currency,
+				balance: wallet.balance,
+				heldBalance: wallet.heldBalance,
+				totalBalance: wallet.totalBalance,
+				lastTransactionAt: wallet.lastTransactionAt,
+				holds,
+			},
+		});
+	} catch (error) {
+		console.error('Get wallet error:', error);
+		res.status(error.statusCode || 500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+};
+
+/**
+ * @swagger
+ * /wallet/topup:
+ *   post:
+ *     summary: Top up wallet
+ *     description: Create a top-up payment on a payment gateway. The wallet is credited once the gateway confirms the payment (IPN, return URL or reconciliation).
+ *     tags: [Wallet]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [amount]
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 example: 200000
+ *               provider:
+ *                 type: string
+ *                 enum: [vnpay, momo, zalopay]
+ *                 description: Payment gateway (defaults to the configured default gateway)
+ *               returnUrl:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Payment URL created successfully
+ *       400:
+ *         description: Invalid amount or provider, or the balance limit would be exceeded
+ *       500:
+ *         description: Server error
+ */
+// @desc    Top up wallet through a payment gateway
+// @route   POST /api/wallet/topup
+// @access  Private
+exports.topupWallet = async (req, res) => {
+	try {
+		const { amount, returnUrl } = req.body;
+		const provider = req.body.provider || paymentGateways.getDefaultProvider();
+
+		const { payment, gatewayPayment } = await walletService.createTopup(req.user._id, {
+			amount,
+			provider,
+			returnUrl,
+			baseUrl: `${req.protocol}://${req.get('host')}/api/payments/${provider}`,
+			ipAddr: req.ip || req.connection.remoteAddress || '127.0.0.1',
+		});
+
+		res.status(200).json({
+			success: true,
+			message: 'Payment URL created successfully',
+			data: {
+				paymentId: payment._id,
+				provider,
+				paymentUrl: gatewayPayment.paymentUrl,
+				...gatewayPayment.clientData,
+				amount: payment.formattedAmount,
+				expiresAt: payment.expiredAt,
+			},
+		});
+	} catch (error) {
+		console.error('Wallet top-up error:', error);
+		res.status(error.statusCode || 500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+};
+
+/**
+ * @swagger
+ * /wallet/transactions:
+ *   get:
+ *     summary: Get wallet transaction history
+ *     tags: [Wallet]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [topup, hold, capture, release, refund, bonus]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: number
+ *     responses:
+ *       200:
+ *         description: Posted ledger transactions, newest first
+ *       500:
+ *         description: Server error
+ */
+// @desc    Get wallet transaction history
+// @route   GET /api/wallet/transactions
+// @access  Private
+exports.getWalletTransactions = async (req, res) => {
+	try {
+		const page = parseInt(req.query.page, 10) || 1;
+		const limit = parseInt(req.query.limit, 10) || 20;
+
+		const { transactions, total } = await walletService.getTransactions(req.user._id, {
+			type: req.query.type,
+			page,
+			limit,
+		});
+
+		res.status(200).json({
+			success: true,
+			count: transactions.length,
+			total,
+			pagination: {
+				currentPage: page,
+				totalPages: Math.ceil(total / limit),
+				limit,
+			},
+			data: transactions,
+		});
+	} catch (error) {
+		console.error('Get wallet transactions error:', error);
+		res.status(error.statusCode || 500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+};
+
+/**
+ * @swagger
+ * /wallet/statement:
+ *   get:
+ *     summary: Get wallet statement
+ *     description: Opening and closing balances computed from the ledger, totals per transaction type and the transactions of the period. Defaults to the current month.
+ *     tags: [Wallet]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: Wallet statement
+ *       400:
+ *         description: Invalid period
+ *       500:
+ *         description: Server error
+ */
+// @desc    Get wallet statement for a period
+// @route   GET /api/wallet/statement
+// @access  Private
+exports.getWalletStatement = async (req, res) => {
+	try {
+		const statement = await walletService.getStatement(req.user._id, {
+			from: req.query.from,
+			to: req.query.to,
+		});
+
+		res.status(200).json({
+			success: true,
+			data: statement,
+		});
+	} catch (error) {
+		console.error('Get wallet statement error:', error);
+		res.status(error.statusCode || 500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+};
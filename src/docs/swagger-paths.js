@@ -316,7 +316,7 @@
  * /trips/estimate-price:
  *   post:
  *     summary: Estimate trip price
- *     description: Estimate the price of a trip based on distance, vehicle information, and time
+ *     description: Estimate the price of a trip based on road distance (from the configured routing provider, Haversine as fallback), vehicle information, and time
  *     tags: [Trips]
  *     security:
  *       - bearerAuth: []
@@ -335,6 +335,10 @@
  *                   address:
  *                     type: string
  *                     example: "227 Nguyen Van Cu, Q5, TP HCM"
+ *                   city:
+ *                     type: string
+ *                     description: City of the pickup point, used to pick the city pricing rule when no pricing zone contains the pickup point
+ *                     example: "hcm"
  *                   coordinates:
  *                     type: object
  *                     required: [lat, lng]
@@ -371,6 +375,25 @@
  *                 enum: [motorcycle, car, suv, luxury]
  *                 description: Optional. Type of vehicle to use for price calculation. Will override user's vehicle information.
  *                 example: "car"
+ *               promoCode:
+ *                 type: string
+ *                 description: Optional. Promo code to preview. The discount is returned in breakdown.promo and finalPrice; the code is only redeemed when the payment is created.
+ *                 example: "WELCOME50"
+ *               stops:
+ *                 type: array
+ *                 description: Optional intermediate stops, routed in order
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     address:
+ *                       type: string
+ *                     coordinates:
+ *                       type: object
+ *                       properties:
+ *                         lat:
+ *                           type: number
+ *                         lng:
+ *                           type: number
  *     responses:
  *       200:
  *         description: Price estimate calculated successfully
@@ -388,6 +411,10 @@
  *                     estimatedPrice:
  *                       type: number
  *                       example: 42000
+ *                     finalPrice:
+ *                       type: number
+ *                       description: Price after the promo code discount (same as estimatedPrice without promoCode)
+ *                       example: 32000
  *                     currency:
  *                       type: string
  *                       example: "VND"
@@ -397,6 +424,13 @@
  *                         distanceInKm:
  *                           type: number
  *                           example: 8.2
+ *                         durationMinutes:
+ *                           type: number
+ *                           example: 21
+ *                         distanceSource:
+ *                           type: string
+ *                           description: Routing provider used (haversine, osrm, graphhopper, offline); haversine is also used when routing failed
+ *                           example: "osrm"
  *                         baseRate:
  *                           type: number
  *                           example: 10000
@@ -406,12 +440,30 @@
  *                         qualityMultiplier:
  *                           type: number
  *                           example: 1.1
+ *                         surgeMultiplier:
+ *                           type: number
+ *                           description: Demand/supply multiplier for the pickup area (1 when there is no surge)
+ *                           example: 1.3
  *                     distance:
  *                       type: number
  *                       example: 8.2
+ *                     duration:
+ *                       type: number
+ *                       description: Estimated driving time in minutes
+ *                       example: 21
+ *                     estimatedArrivalTime:
+ *                       type: string
+ *                       format: date-time
+ *                     polyline:
+ *                       type: object
+ *                       description: Road geometry as a GeoJSON LineString
  *                     vehicleType:
  *                       type: string
  *                       example: "car"
+ *       400:
+ *         description: Promo code cannot be applied
+ *       404:
+ *         description: Promo code not found
  *       500:
  *         description: Server error
  */
@@ -440,6 +492,10 @@
  *                   address:
  *                     type: string
  *                     example: "227 Nguyen Van Cu, Q5, TP HCM"
+ *                   city:
+ *                     type: string
+ *                     description: City of the pickup point, used to pick the city pricing rule when no pricing zone contains the pickup point
+ *                     example: "hcm"
  *                   coordinates:
  *                     type: object
  *                     required: [lat, lng]
@@ -585,6 +641,22 @@
  *     summary: Get available vehicle types
  *     description: Get a list of all available vehicle types with their details and pricing information
  *     tags: [Trips]
+ *     parameters:
+ *       - in: query
+ *         name: lat
+ *         schema:
+ *           type: number
+ *         description: Latitude of the pickup point (with lng, selects the pricing zone)
+ *       - in: query
+ *         name: lng
+ *         schema:
+ *           type: number
+ *         description: Longitude of the pickup point
+ *       - in: query
+ *         name: city
+ *         schema:
+ *           type: string
+ *         description: City of the pickup point, used when no pricing zone contains it
  *     responses:
  *       200:
  *         description: List of available vehicle types
@@ -0,0 +1,9 @@
+const corporateBillingService = require('../services/corporateBillingService');
+
+// Hóa đơn tổng hợp tháng trước cho các tổ chức; mỗi tổ chức chỉ có một hóa đơn mỗi tháng nên có thể kiểm tra mỗi giờ
+module.exports = {
+	name: 'corporate-monthly-invoices',
+	intervalMs: 60 * 60 * 1000, // Mỗi giờ
+	runOnStart: true,
+	run: () => corporateBillingService.generateMonthlyInvoices(),
+};
@@ -0,0 +1,9 @@
+const dispatchService = require('../services/dispatchService');
+
+// Gửi các đợt tiếp theo của booking request đang chờ driver (bán kính rộng dần)
+module.exports = {
+	name: 'dispatch-bookings',
+	intervalMs: 15 * 1000, // Mỗi 15 giây, các đợt cách nhau DISPATCH_WAVE_INTERVAL_SECONDS
+	runOnStart: true,
+	run: () => dispatchService.runDueWaves(),
+};
@@ -0,0 +1,9 @@
+const driverAvailabilityService = require('../services/driverAvailabilityService');
+
+// Driver online nhưng không còn gửi vị trí (tắt app, mất mạng) được chuyển sang offline
+module.exports = {
+	name: 'driver-availability-timeout',
+	intervalMs: 60 * 1000, // Mỗi phút
+	runOnStart: true,
+	run: () => driverAvailabilityService.markStaleDriversOffline(),
+};
@@ -0,0 +1,9 @@
+const expiryService = require('../services/expiryService');
+
+// Hủy booking request/yêu cầu đặt ghế đã quá giờ khởi hành
+module.exports = {
+	name: 'expire-bookings',
+	intervalMs: 5 * 60 * 1000, // Mỗi 5 phút
+	runOnStart: true,
+	run: () => expiryService.expireBookings(),
+};
@@ -0,0 +1,9 @@
+const expiryService = require('../services/expiryService');
+
+// Chuyển các payment pending quá hạn sang expired
+module.exports = {
+	name: 'expire-payments',
+	intervalMs: 60 * 1000, // Mỗi phút
+	runOnStart: true,
+	run: () => expiryService.expirePayments(),
+};
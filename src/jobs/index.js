@@ -0,0 +1,97 @@
+const recurringTrips = require('./recurringTrips');
+const expirePayments = require('./expirePayments');
+const expireBookings = require('./expireBookings');
+const reconcilePayments = require('./reconcilePayments');
+const reconciliationReport = require('./reconciliationReport');
+const corporateInvoices = require('./corporateInvoices');
+const driverAvailability = require('./driverAvailability');
+const dispatchBookings = require('./dispatchBookings');
+const settleRefunds = require('./settleRefunds');
+const resumeWalletHolds = require('./resumeWalletHolds');
+
+// Danh sách job chạy định kỳ
+const jobs = [
+	recurringTrips,
+	expirePayments,
+	expireBookings,
+	reconcilePayments,
+	reconciliationReport,
+	corporateInvoices,
+	driverAvailability,
+	dispatchBookings,
+	settleRefunds,
+	resumeWalletHolds,
+];
+
+const timers = [];
+const runningJobs = new Set();
+
+// Lần chạy có làm việc gì không: kết quả rỗng hoặc mọi số đếm bằng 0 (vd: { checked: 0, waves: 0 }) là không
+const didWork = (result) => {
+	if (!result) return false;
+	if (typeof result !== 'object') return true;
+	return Object.values(result).some((value) => {
+		if (typeof value === 'number') return value > 0;
+		if (Array.isArray(value)) return value.length > 0;
+		return Boolean(value);
+	});
+};
+
+// Chạy một job, bỏ qua nếu lần chạy trước chưa xong
+const runJob = async (job) => {
+	if (runningJobs.has(job.name)) {
+		console.log(`⏭️ Job ${job.name} is still running, skipping`);
+		return null;
+	}
+
+	runningJobs.add(job.name);
+	const startedAt = Date.now();
+
+	try {
+		const result = await job.run();
+		// Job chạy dày (dispatch-bookings mỗi 15 giây): không ghi log các lần chạy không có việc
+		if (didWork(result)) {
+			console.log(`✅ Job ${job.name} finished in ${Date.now() - startedAt}ms`, result);
+		}
+		return result;
+	} catch (error) {
+		console.error(`❌ Job ${job.name} failed:`, error.message);
+		return null;
+	} finally {
+		runningJobs.delete(job.name);
+	}
+};
+
+// Khởi động tất cả scheduled jobs (gọi sau khi đã kết nối database)
+exports.startJobs = () => {
+	if (process.env.DISABLE_JOBS === 'true') {
+		console.log('⚠️ Scheduled jobs disabled (DISABLE_JOBS=true)');
+		return;
+	}
+
+	jobs.forEach((job) => {
+		const timer = setInterval(() => runJob(job), job.intervalMs);
+		timer.unref();
+		timers.push(timer);
+
+		if (job.runOnStart) {
+			runJob(job);
+		}
+	});
+
+	console.log(`⏱️ Scheduled jobs started: ${jobs.map((job) => job.name).join(', ')}`);
+};
+
+// Dừng tất cả scheduled jobs
+exports.stopJobs = () => {
+	timers.splice(0).forEach((timer) => clearInterval(timer));
+};
+
+// Chạy thủ công một job theo tên
+exports.runJobByName = (name) => {
+	const job = jobs.find((item) => item.name === name);
+	if (!job) {
+		throw new Error(`Unknown job: ${name}`);
+	}
+	return runJob(job);
+};
@@ -0,0 +1,10 @@
+const reconciliationService = require('../services/reconciliationService');
+
+// Đối soát payment chưa có kết quả với cổng thanh toán (VNPay querydr, MoMo/ZaloPay query), phòng trường hợp lỡ IPN,
+// và chạy lại ghi nhận của payment đã completed nhưng dừng giữa chừng
+module.exports = {
+	name: 'reconcile-payments',
+	intervalMs: 10 * 60 * 1000, // Mỗi 10 phút
+	runOnStart: false,
+	run: () => reconciliationService.reconcilePendingPayments(),
+};
@@ -0,0 +1,12 @@
+const reconciliationService = require('../services/reconciliationService');
+
+// Báo cáo đối soát của ngày hôm trước; chỉ tạo một lần mỗi ngày nên có thể kiểm tra mỗi giờ
+module.exports = {
+	name: 'daily-reconciliation-report',
+	intervalMs: 60 * 60 * 1000, // Mỗi giờ
+	runOnStart: true,
+	run: async () => {
+		const report = await reconciliationService.generateDailyReport();
+		return report ? { date: report.date, status: report.status, totals: report.totals } : null;
+	},
+};
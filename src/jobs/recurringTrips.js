@@ -0,0 +1,9 @@
+const recurringTripService = require('../services/recurringTripService');
+
+// Sinh các occurrence cho recurring trips theo rolling window
+module.exports = {
+	name: 'materialize-recurring-trips',
+	intervalMs: 60 * 60 * 1000, // Mỗi giờ
+	runOnStart: true,
+	run: () => recurringTripService.materializeAll(),
+};
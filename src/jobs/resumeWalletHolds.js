@@ -0,0 +1,9 @@
+const walletService = require('../services/walletService');
+
+// Tiếp tục capture/release của các khoản giữ tiền trong ví bị dừng giữa chừng
+module.exports = {
+	name: 'resume-wallet-holds',
+	intervalMs: 5 * 60 * 1000, // Mỗi 5 phút
+	runOnStart: true,
+	run: () => walletService.resumeStaleHolds(),
+};
@@ -0,0 +1,9 @@
+const refundService = require('../services/refundService');
+
+// Kiểm tra refund chưa rõ kết quả, cập nhật sổ sách còn dở và thử lại refund bị từ chối của chuyến bị hủy
+module.exports = {
+	name: 'settle-refunds',
+	intervalMs: 10 * 60 * 1000, // Mỗi 10 phút
+	runOnStart: false,
+	run: () => refundService.settleRefunds(),
+};
@@ -1,6 +1,38 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 
+const createAuthError = (message) => {
+	const error = new Error(message);
+	error.statusCode = 401;
+	return error;
+};
+
+// Verify a JWT and load its active user (shared by protect and the Socket.IO handshake)
+exports.authenticateToken = async (token) => {
+	let decoded;
+	try {
+		decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret');
+	} catch (error) {
+		throw createAuthError('Token is invalid');
+	}
+
+	console.log('🔍 Token decoded:', decoded);
+
+	// Get user from token
+	const user = await User.findById(decoded.id).select('-password');
+
+	if (!user) {
+		throw createAuthError('Token is invalid - user not found');
+	}
+
+	// Check if user is active
+	if (!user.isActive) {
+		throw createAuthError('Account has been deactivated');
+	}
+
+	return user;
+};
+
 // Protect routes - verify JWT token
 exports.protect = async (req, res, next) => {
 	try {
@@ -19,40 +51,20 @@ exports.protect = async (req, res, next) => {
 			});
 		}
 
+		let user;
 		try {
-			// Verify token
-			const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret');
-
-			console.log('🔍 Token decoded:', decoded);
-
-			// Get user from token
-			const user = await User.findById(decoded.id).select('-password');
-
-			if (!user) {
-				return res.status(401).json({
-					status: 'error',
-					message: 'Token is invalid - user not found',
-				});
-			}
-
-			// Check if user is active
-			if (!user.isActive) {
-				return res.status(401).json({
-					status: 'error',
-					message: 'Account has been deactivated',
-				});
-			}
-
-			console.log('✅ User authenticated:', user.email);
-			req.user = user;
-			next();
+			user = await exports.authenticateToken(token);
 		} catch (error) {
 			console.error('❌ Token verification failed:', error.message);
 			return res.status(401).json({
 				status: 'error',
-				message: 'Token is invalid',
+				message: error.statusCode === 401 ? error.message : 'Token is invalid',
 			});
 		}
+
+		console.log('✅ User authenticated:', user.email);
+		req.user = user;
+		next();
 	} catch (error) {
 		console.error('❌ Auth middleware error:', error);
 		res.status(500).json({
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+// Hóa đơn tổng hợp theo tháng các chuyến đã tính tiền cho tổ chức (payment provider corporate)
+const corporateInvoiceSchema = new mongoose.Schema(
+	{
+		organization: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Organization',
+			required: true,
+		},
+		invoiceNumber: {
+			type: String,
+			required: true,
+			unique: true,
+		},
+		// Tháng của hóa đơn (YYYY-MM theo múi giờ kinh doanh)
+		period: {
+			type: String,
+			required: true,
+			match: [/^\d{4}-\d{2}$/, 'Period must be in YYYY-MM format'],
+		},
+		periodStart: {
+			type: Date,
+			required: true,
+		},
+		periodEnd: {
+			type: Date,
+			required: true,
+		},
+		currency: {
+			type: String,
+			default: 'VND',
+			uppercase: true,
+		},
+		tripCount: {
+			type: Number,
+			default: 0,
+		},
+		// Tổng giá các chuyến, số tiền đã hoàn (giảm trừ) và số phải thanh toán (đã gồm VAT)
+		grossAmount: {
+			type: Number,
+			default: 0,
+		},
+		refundedAmount: {
+			type: Number,
+			default: 0,
+		},
+		totalAmount: {
+			type: Number,
+			default: 0,
+		},
+		vatPercent: Number,
+		amountBeforeVat: Number,
+		vatAmount: Number,
+		// Thông tin xuất hóa đơn của tổ chức tại thời điểm lập
+		billingInfo: {
+			name: String,
+			taxCode: String,
+			billingEmail: String,
+			billingAddress: String,
+		},
+		status: {
+			type: String,
+			enum: ['issued', 'paid'],
+			default: 'issued',
+		},
+		issuedAt: {
+			type: Date,
+			default: Date.now,
+		},
+		paidAt: Date,
+		paymentReference: String,
+		createdBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+		},
+	},
+	{
+		timestamps: true,
+	}
+);
+
+corporateInvoiceSchema.index({ organization: 1, period: 1 }, { unique: true });
+corporateInvoiceSchema.index({ status: 1, issuedAt: -1 });
+
+module.exports = mongoose.model('CorporateInvoice', corporateInvoiceSchema);
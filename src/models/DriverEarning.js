@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+// Thu nhập của driver trên một chuyến hoàn thành
+const driverEarningSchema = new mongoose.Schema(
+	{
+		driver: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+			required: true,
+		},
+		trip: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Trip',
+			required: true,
+			unique: true,
+		},
+		currency: {
+			type: String,
+			default: 'VND',
+			uppercase: true,
+		},
+		// Số tiền passenger đã thanh toán (trừ phần đã hoàn): online/ví qua nền tảng, tiền mặt driver thu trực tiếp,
+		// cộng phần giảm giá của mã khuyến mãi do nền tảng chịu (promoAmount)
+		grossAmount: {
+			type: Number,
+			required: true,
+			min: 0,
+		},
+		onlineAmount: {
+			type: Number,
+			default: 0,
+		},
+		cashAmount: {
+			type: Number,
+			default: 0,
+		},
+		promoAmount: {
+			type: Number,
+			default: 0,
+		},
+		commissionPercent: {
+			type: Number,
+			required: true,
+		},
+		commissionAmount: {
+			type: Number,
+			required: true,
+		},
+		// Thu nhập của driver = grossAmount - commissionAmount
+		netAmount: {
+			type: Number,
+			required: true,
+		},
+		// Số tiền nền tảng phải chuyển cho driver = netAmount - cashAmount (âm: driver nợ hoa hồng của chuyến tiền mặt)
+		payoutAmount: {
+			type: Number,
+			required: true,
+		},
+		payments: [
+			{
+				type: mongoose.Schema.Types.ObjectId,
+				ref: 'Payment',
+			},
+		],
+		// pending: chờ chi trả, in_payout: đã đưa vào đợt chi trả, paid_out: đã chuyển khoản
+		status: {
+			type: String,
+			enum: ['pending', 'in_payout', 'paid_out'],
+			default: 'pending',
+		},
+		payoutBatch: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'PayoutBatch',
+		},
+		// Thời điểm chuyến hoàn thành
+		earnedAt: {
+			type: Date,
+			required: true,
+		},
+		paidOutAt: Date,
+	},
+	{
+		timestamps: true,
+	}
+);
+
+driverEarningSchema.index({ driver: 1, earnedAt: -1 });
+driverEarningSchema.index({ status: 1, earnedAt: 1 });
+driverEarningSchema.index({ payoutBatch: 1 });
+
+module.exports = mongoose.model('DriverEarning', driverEarningSchema);
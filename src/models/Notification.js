@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const realtimeService = require('../services/realtimeService');
 
 const notificationSchema = new mongoose.Schema(
 	{
@@ -28,6 +29,9 @@ const notificationSchema = new mongoose.Schema(
 				'trip_started', // When a trip begins
 				'trip_completed', // When a trip ends
 				'new_rating', // When you receive a rating
+				'payment_expired', // When a pending payment expires
+				'booking_expired', // When a booking is cancelled automatically after departure
+				'payment_received', // When a cash payment is confirmed, a wallet top-up succeeds or a trip is charged to the wallet
 				'system', // General system notifications
 				'message', // For chat notifications
 			],
@@ -66,4 +70,16 @@ notificationSchema.index({ recipient: 1, read: 1 });
 notificationSchema.index({ recipient: 1, createdAt: -1 });
 notificationSchema.index({ isGlobal: 1 });
 
+// Push new notifications to the recipient's open sockets
+notificationSchema.pre('save', function (next) {
+	this.$locals.wasNew = this.isNew;
+	next();
+});
+
+notificationSchema.post('save', function (doc) {
+	if (doc.$locals.wasNew) {
+		realtimeService.emitNotification(doc);
+	}
+});
+
 module.exports = mongoose.model('Notification', notificationSchema);
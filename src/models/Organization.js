@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+const { VEHICLE_TYPES } = require('../utils/priceCalculator');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const memberSchema = new mongoose.Schema(
+	{
+		user: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+			required: true,
+		},
+		// admin: quản lý thành viên, chính sách đi lại, xem hóa đơn và báo cáo của tổ chức
+		role: {
+			type: String,
+			enum: ['admin', 'member'],
+			default: 'member',
+		},
+		// pending: nhân viên tự xin tham gia theo tên miền email, chờ admin của tổ chức duyệt
+		status: {
+			type: String,
+			enum: ['pending', 'active'],
+			default: 'active',
+		},
+		joinedVia: {
+			type: String,
+			enum: ['phone', 'email_domain', 'platform_admin'],
+		},
+		addedBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+		},
+		joinedAt: {
+			type: Date,
+			default: Date.now,
+		},
+	},
+	{ _id: false }
+);
+
+// Khung giờ được đi (giờ địa phương theo múi giờ kinh doanh), end < start: khung giờ qua nửa đêm
+const allowedHoursSchema = new mongoose.Schema(
+	{
+		// 0 = Chủ nhật ... 6 = Thứ bảy, để trống: mọi ngày
+		daysOfWeek: [
+			{
+				type: Number,
+				min: 0,
+				max: 6,
+			},
+		],
+		start: {
+			type: String,
+			required: true,
+			match: [TIME_PATTERN, 'Time must be in HH:mm format'],
+		},
+		end: {
+			type: String,
+			required: true,
+			match: [TIME_PATTERN, 'Time must be in HH:mm format'],
+		},
+	},
+	{ _id: false }
+);
+
+// Tài khoản doanh nghiệp: chuyến của nhân viên được tính tiền cho tổ chức, xuất hóa đơn tổng hợp theo tháng
+const organizationSchema = new mongoose.Schema(
+	{
+		name: {
+			type: String,
+			required: [true, 'Organization name is required'],
+			trim: true,
+		},
+		taxCode: {
+			type: String,
+			trim: true,
+		},
+		billingEmail: {
+			type: String,
+			trim: true,
+			lowercase: true,
+		},
+		billingAddress: {
+			type: String,
+			trim: true,
+		},
+		// Nhân viên có email thuộc các tên miền này được xin tham gia tổ chức
+		emailDomains: [
+			{
+				type: String,
+				trim: true,
+				lowercase: true,
+			},
+		],
+		members: [memberSchema],
+		// Chính sách đi lại: để trống nghĩa là không giới hạn
+		policy: {
+			allowedHours: [allowedHoursSchema],
+			maxFare: {
+				type: Number,
+				min: 0,
+			},
+			allowedVehicleTypes: [
+				{
+					type: String,
+					enum: Object.keys(VEHICLE_TYPES),
+				},
+			],
+		},
+		currency: {
+			type: String,
+			default: 'VND',
+			uppercase: true,
+		},
+		isActive: {
+			type: Boolean,
+			default: true,
+		},
+		createdBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+		},
+	},
+	{
+		timestamps: true,
+	}
+);
+
+organizationSchema.index({ 'members.user': 1 });
+organizationSchema.index({ emailDomains: 1 });
+
+module.exports = mongoose.model('Organization', organizationSchema);
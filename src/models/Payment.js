@@ -11,7 +11,15 @@ const paymentSchema = new mongoose.Schema(
 		trip: {
 			type: mongoose.Schema.Types.ObjectId,
 			ref: 'Trip',
-			required: true,
+			required: function () {
+				return this.purpose === 'trip';
+			},
+		},
+		// trip: thanh toán chuyến đi, wallet_topup: nạp tiền vào ví
+		purpose: {
+			type: String,
+			enum: ['trip', 'wallet_topup'],
+			default: 'trip',
 		},
 
 		// Thông tin thanh toán
@@ -25,37 +33,57 @@ const paymentSchema = new mongoose.Schema(
 			default: 'VND',
 			uppercase: true,
 		},
+		// Mã khuyến mãi áp dụng khi tạo payment (amount là số tiền sau khi đã giảm)
+		promoCode: String,
+		discountAmount: {
+			type: Number,
+			default: 0,
+			min: 0,
+		},
 
-		// VNPay thông tin
-		vnpTxnRef: {
+		// Cổng thanh toán (cash: tiền mặt driver đã thu, wallet: trừ từ ví trong app, không qua cổng thanh toán)
+		// corporate: tính tiền cho tổ chức của passenger, thanh toán theo hóa đơn tổng hợp hàng tháng
+		provider: {
+			type: String,
+			enum: ['vnpay', 'momo', 'zalopay', 'cash', 'wallet', 'corporate'],
+			default: 'vnpay',
+		},
+		txnRef: {
 			type: String,
 			required: true,
-			unique: true, // Mã giao dịch unique
+			unique: true, // Mã giao dịch gửi sang cổng thanh toán (unique)
 		},
-		vnpOrderInfo: {
+		orderInfo: {
 			type: String,
 			required: true,
 		},
-		vnpTransactionNo: String, // Mã giao dịch VNPay trả về
-		vnpBankCode: String,
-		vnpBankTranNo: String,
-		vnpCardType: String,
-		vnpPayDate: String,
-		vnpSecureHash: String,
+		providerTxnId: String, // Mã giao dịch cổng thanh toán trả về
+		// Dữ liệu riêng của từng cổng (VNPay: createDate, bankCode, payDate...; MoMo: requestId, payType...)
+		providerData: {
+			type: mongoose.Schema.Types.Mixed,
+			default: {},
+		},
 
 		// Trạng thái thanh toán
 		status: {
 			type: String,
-			enum: ['pending', 'completed', 'failed', 'cancelled', 'refunded'],
+			enum: ['pending', 'completed', 'failed', 'cancelled', 'expired', 'partially_refunded', 'refunded'],
 			default: 'pending',
 		},
 
+		// Tổng số tiền đã hoàn (kể cả refund đang xử lý)
+		refundedAmount: {
+			type: Number,
+			default: 0,
+			min: 0,
+		},
+
 		// URL và redirect
 		returnUrl: String,
 		cancelUrl: String,
 
-		// Thông tin phản hồi từ VNPay
-		vnpResponse: {
+		// Thông tin phản hồi từ cổng thanh toán
+		providerResponse: {
 			type: mongoose.Schema.Types.Mixed,
 			default: {},
 		},
@@ -66,6 +94,25 @@ const paymentSchema = new mongoose.Schema(
 			default: Date.now,
 		},
 		completedAt: Date,
+		// Đang ghi nhận payment completed lên trip/ví (bỏ đi khi xong); còn lại quá lâu thì được chạy lại
+		settlingAt: Date,
+		// Ghi nhận payment completed lên trip/ví đã xong
+		settledAt: Date,
+		// Tổ chức được tính tiền và hóa đơn tổng hợp chứa payment này (provider corporate)
+		organization: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Organization',
+		},
+		invoice: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'CorporateInvoice',
+		},
+		// Driver xác nhận đã thu tiền mặt
+		collectedBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+		},
+		lastReconciledAt: Date, // Lần truy vấn trạng thái trên cổng thanh toán gần nhất
 		expiredAt: {
 			type: Date,
 			default: function () {
@@ -74,6 +121,20 @@ const paymentSchema = new mongoose.Schema(
 			},
 		},
 
+		// Payment thành công khi chuyến/ghế không còn nhận thanh toán (đã bị hủy trong lúc chờ IPN/đối soát)
+		// hoặc trả thừa (phần chia tiền đã được người khác trả): số tiền amount được hoàn tự động (refund)
+		// requiresAction = true khi không tự hoàn được, cần admin xử lý
+		unapplied: {
+			reason: String,
+			amount: Number,
+			detectedAt: Date,
+			refund: {
+				type: mongoose.Schema.Types.ObjectId,
+				ref: 'Refund',
+			},
+			requiresAction: Boolean,
+		},
+
 		// Ghi chú
 		note: String,
 
@@ -93,16 +154,25 @@ const paymentSchema = new mongoose.Schema(
 // Indexes
 paymentSchema.index({ user: 1 });
 paymentSchema.index({ trip: 1 });
-paymentSchema.index({ vnpTxnRef: 1 });
+paymentSchema.index({ provider: 1, createdAt: -1 });
 paymentSchema.index({ status: 1 });
 paymentSchema.index({ createdAt: -1 });
 paymentSchema.index({ expiredAt: 1 });
+paymentSchema.index({ status: 1, lastReconciledAt: 1 });
+paymentSchema.index({ organization: 1, completedAt: 1 });
+paymentSchema.index({ 'unapplied.requiresAction': 1 }, { sparse: true });
+paymentSchema.index({ settlingAt: 1 }, { sparse: true });
 
 // Virtual để check payment đã hết hạn chưa
 paymentSchema.virtual('isExpired').get(function () {
 	return this.expiredAt && this.expiredAt < new Date();
 });
 
+// Virtual giá trước khuyến mãi
+paymentSchema.virtual('originalAmount').get(function () {
+	return this.amount + (this.discountAmount || 0);
+});
+
 // Virtual để format amount với currency
 paymentSchema.virtual('formattedAmount').get(function () {
 	return new Intl.NumberFormat('vi-VN', {
@@ -111,36 +181,24 @@ paymentSchema.virtual('formattedAmount').get(function () {
 	}).format(this.amount);
 });
 
-// Method để cập nhật trạng thái thành công
-paymentSchema.methods.markAsCompleted = function (vnpResponse) {
+// Method để cập nhật trạng thái thành công (result: kết quả đã chuẩn hóa từ payment gateway)
+paymentSchema.methods.markAsCompleted = function (result) {
 	this.status = 'completed';
 	this.completedAt = new Date();
-	this.vnpResponse = vnpResponse;
+	this.providerResponse = result.rawData;
 
-	// Extract VNPay fields
-	if (vnpResponse.vnp_TransactionNo) {
-		this.vnpTransactionNo = vnpResponse.vnp_TransactionNo;
-	}
-	if (vnpResponse.vnp_BankCode) {
-		this.vnpBankCode = vnpResponse.vnp_BankCode;
-	}
-	if (vnpResponse.vnp_BankTranNo) {
-		this.vnpBankTranNo = vnpResponse.vnp_BankTranNo;
-	}
-	if (vnpResponse.vnp_CardType) {
-		this.vnpCardType = vnpResponse.vnp_CardType;
-	}
-	if (vnpResponse.vnp_PayDate) {
-		this.vnpPayDate = vnpResponse.vnp_PayDate;
+	if (result.transactionNo) {
+		this.providerTxnId = result.transactionNo;
 	}
+	this.providerData = { ...this.providerData, ...result.providerData };
 
 	return this.save();
 };
 
 // Method để cập nhật trạng thái thất bại
-paymentSchema.methods.markAsFailed = function (vnpResponse, reason) {
+paymentSchema.methods.markAsFailed = function (result, reason) {
 	this.status = 'failed';
-	this.vnpResponse = vnpResponse;
+	this.providerResponse = result.rawData;
 	this.note = reason || 'Payment failed';
 	return this.save();
 };
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+const payoutItemSchema = new mongoose.Schema(
+	{
+		driver: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+			required: true,
+		},
+		amount: {
+			type: Number,
+			required: true,
+			min: 1,
+		},
+		earningsCount: {
+			type: Number,
+			default: 0,
+		},
+		// Tài khoản nhận tiền tại thời điểm tạo đợt chi trả
+		bankAccount: {
+			bankCode: String,
+			bankName: String,
+			accountNumber: String,
+			accountName: String,
+		},
+		// failed: chuyển khoản không thành công, thu nhập được trả về trạng thái chờ chi trả
+		status: {
+			type: String,
+			enum: ['pending', 'paid', 'failed'],
+			default: 'pending',
+		},
+		failureReason: String,
+	},
+	{ _id: false }
+);
+
+// Đợt chi trả thu nhập cho driver (admin xuất file chuyển khoản rồi xác nhận đã chuyển)
+const payoutBatchSchema = new mongoose.Schema(
+	{
+		reference: {
+			type: String,
+			required: true,
+			unique: true,
+		},
+		status: {
+			type: String,
+			enum: ['processing', 'completed', 'cancelled'],
+			default: 'processing',
+		},
+		currency: {
+			type: String,
+			default: 'VND',
+			uppercase: true,
+		},
+		// Chỉ thu nhập của các chuyến hoàn thành trước thời điểm này
+		cutoff: {
+			type: Date,
+			required: true,
+		},
+		totalAmount: {
+			type: Number,
+			default: 0,
+		},
+		// Tổng số tiền đã chuyển thành công (khi hoàn tất đợt chi trả)
+		paidAmount: Number,
+		items: [payoutItemSchema],
+		// Driver đủ điều kiện nhưng chưa khai báo tài khoản ngân hàng
+		skippedDrivers: [
+			{
+				type: mongoose.Schema.Types.ObjectId,
+				ref: 'User',
+			},
+		],
+		createdBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+		},
+		exportedAt: Date,
+		completedAt: Date,
+		completedBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+		},
+		transferReference: String, // Mã lô chuyển khoản phía ngân hàng
+		cancelledAt: Date,
+		note: String,
+	},
+	{
+		timestamps: true,
+	}
+);
+
+payoutBatchSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PayoutBatch', payoutBatchSchema);
@@ -0,0 +1,190 @@
+const mongoose = require('mongoose');
+const { isValidTimezone } = require('../utils/timezone');
+
+// Mỗi lần admin sửa bảng giá sẽ tạo một version mới, các version cũ được giữ lại (superseded)
+// để luôn tra được trip nào được tính giá bằng version nào
+const hourRangeFields = {
+	startHour: {
+		type: Number,
+		required: true,
+		min: 0,
+		max: 23,
+	},
+	endHour: {
+		type: Number,
+		required: true,
+		min: 0,
+		max: 24,
+	},
+	multiplier: {
+		type: Number,
+		required: true,
+		min: 0,
+	},
+};
+
+const pricingRuleSchema = new mongoose.Schema(
+	{
+		// Mã định danh của bảng giá, giữ nguyên qua các version (vd: default, hcm, hanoi)
+		code: {
+			type: String,
+			required: true,
+			trim: true,
+			lowercase: true,
+		},
+		name: {
+			type: String,
+			required: true,
+			trim: true,
+		},
+		// Bảng giá của thành phố: áp dụng cho điểm đón thuộc thành phố này khi không có zone nào chứa điểm đón
+		city: {
+			type: String,
+			trim: true,
+		},
+		// Múi giờ tính giờ cao điểm/ban đêm/ngày lễ; mặc định theo thành phố hoặc BUSINESS_TIMEZONE
+		timezone: {
+			type: String,
+			trim: true,
+			validate: {
+				validator: (value) => !value || isValidTimezone(value),
+				message: 'Invalid IANA timezone',
+			},
+		},
+		// Vùng áp dụng theo điểm đón (ưu tiên hơn city); bảng giá không có zone và city dùng cho mọi nơi
+		zone: {
+			type: {
+				type: String,
+				enum: ['Polygon', 'MultiPolygon'],
+			},
+			coordinates: {
+				type: Array,
+				default: undefined,
+			},
+		},
+		// Khi nhiều zone chồng nhau, zone có priority cao hơn được chọn
+		priority: {
+			type: Number,
+			default: 0,
+		},
+		version: {
+			type: Number,
+			required: true,
+			min: 1,
+		},
+		status: {
+			type: String,
+			enum: ['active', 'superseded', 'inactive'],
+			default: 'active',
+		},
+		// Đơn giá theo loại xe
+		vehicleRates: [
+			{
+				vehicleType: {
+					type: String,
+					enum: ['motorcycle', 'car', 'suv', 'luxury'],
+					required: true,
+				},
+				baseFare: {
+					type: Number,
+					default: 0,
+					min: 0,
+				},
+				perKm: {
+					type: Number,
+					required: true,
+					min: 0,
+				},
+				perMinute: {
+					type: Number,
+					default: 0,
+					min: 0,
+				},
+				minimumFare: {
+					type: Number,
+					default: 0,
+					min: 0,
+				},
+			},
+		],
+		// Khung giờ cao điểm [startHour, endHour)
+		peakHours: [hourRangeFields],
+		// Phụ phí ban đêm, có thể qua nửa đêm (vd: 22h-5h)
+		nightSurcharge: {
+			startHour: { type: Number, min: 0, max: 23, default: 22 },
+			endHour: { type: Number, min: 0, max: 24, default: 5 },
+			multiplier: { type: Number, min: 0, default: 1 },
+		},
+		weekendMultiplier: {
+			type: Number,
+			min: 0,
+			default: 1,
+		},
+		// Ngày lễ (YYYY-MM-DD), thay thế phụ phí cuối tuần nếu trùng
+		holidays: [
+			{
+				date: {
+					type: String,
+					required: true,
+					match: [/^\d{4}-\d{2}-\d{2}$/, 'Holiday date must be in YYYY-MM-DD format'],
+				},
+				name: {
+					type: String,
+					trim: true,
+				},
+				multiplier: {
+					type: Number,
+					required: true,
+					min: 0,
+				},
+			},
+		],
+		// Hệ số theo tuổi xe: áp dụng mức đầu tiên có tuổi xe <= maxVehicleAge
+		qualityMultipliers: [
+			{
+				maxVehicleAge: {
+					type: Number,
+					required: true,
+					min: 0,
+				},
+				multiplier: {
+					type: Number,
+					required: true,
+					min: 0,
+				},
+			},
+		],
+		// Hệ số cho xe cũ hơn mọi mức trong qualityMultipliers
+		oldVehicleMultiplier: {
+			type: Number,
+			min: 0,
+			default: 1,
+		},
+		// Làm tròn giá lên bội số này (VND)
+		roundTo: {
+			type: Number,
+			min: 1,
+			default: 1000,
+		},
+		notes: {
+			type: String,
+			trim: true,
+		},
+		createdBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+		},
+		supersededAt: {
+			type: Date,
+		},
+	},
+	{
+		timestamps: true,
+	}
+);
+
+pricingRuleSchema.index({ code: 1, version: 1 }, { unique: true });
+pricingRuleSchema.index({ status: 1, priority: -1 });
+pricingRuleSchema.index({ zone: '2dsphere' });
+
+module.exports = mongoose.model('PricingRule', pricingRuleSchema);
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+const promoCodeSchema = new mongoose.Schema(
+	{
+		code: {
+			type: String,
+			required: true,
+			unique: true,
+			trim: true,
+			uppercase: true,
+			match: [/^[A-Z0-9_-]{3,32}$/, 'Promo code must be 3-32 letters, digits, dashes or underscores'],
+		},
+		description: {
+			type: String,
+			trim: true,
+		},
+		// percentage: giảm discountValue % (tối đa maxDiscount), fixed: giảm discountValue VND
+		discountType: {
+			type: String,
+			enum: ['percentage', 'fixed'],
+			required: true,
+		},
+		discountValue: {
+			type: Number,
+			required: true,
+			min: 0,
+			validate: {
+				validator: function (value) {
+					return this.discountType !== 'percentage' || value <= 100;
+				},
+				message: 'Percentage discount cannot exceed 100',
+			},
+		},
+		maxDiscount: {
+			type: Number,
+			min: 0,
+		},
+		// Giá chuyến tối thiểu để áp dụng mã
+		minFare: {
+			type: Number,
+			default: 0,
+			min: 0,
+		},
+		// Giới hạn số lần dùng: toàn bộ (không set: không giới hạn) và mỗi user
+		usageLimit: {
+			type: Number,
+			min: 1,
+		},
+		usageLimitPerUser: {
+			type: Number,
+			default: 1,
+			min: 1,
+		},
+		// Số lần đã dùng (kể cả payment đang chờ thanh toán), cập nhật atomic để không vượt usageLimit
+		usedCount: {
+			type: Number,
+			default: 0,
+			min: 0,
+		},
+		validFrom: {
+			type: Date,
+		},
+		validUntil: {
+			type: Date,
+		},
+		// Chỉ áp dụng cho user chưa có chuyến nào hoàn thành
+		firstRideOnly: {
+			type: Boolean,
+			default: false,
+		},
+		// Loại xe được áp dụng (rỗng: mọi loại xe)
+		vehicleTypes: [
+			{
+				type: String,
+				enum: ['motorcycle', 'car', 'suv', 'luxury'],
+			},
+		],
+		isActive: {
+			type: Boolean,
+			default: true,
+		},
+		createdBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+		},
+	},
+	{
+		timestamps: true,
+	}
+);
+
+promoCodeSchema.index({ isActive: 1, validUntil: 1 });
+
+module.exports = mongoose.model('PromoCode', promoCodeSchema);
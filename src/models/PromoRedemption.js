@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// Mỗi lần dùng mã khuyến mãi cho một payment
+// reserved: payment đang chờ thanh toán, applied: payment thành công, released: payment thất bại/hết hạn/bị hủy
+const promoRedemptionSchema = new mongoose.Schema(
+	{
+		promo: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'PromoCode',
+			required: true,
+		},
+		code: {
+			type: String,
+			required: true,
+		},
+		user: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+			required: true,
+		},
+		trip: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Trip',
+		},
+		payment: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Payment',
+		},
+		originalAmount: {
+			type: Number,
+			required: true,
+			min: 0,
+		},
+		discountAmount: {
+			type: Number,
+			required: true,
+			min: 0,
+		},
+		status: {
+			type: String,
+			enum: ['reserved', 'applied', 'released'],
+			default: 'reserved',
+		},
+		// Lượt dùng thứ mấy của user với mã (1..usageLimitPerUser), bỏ đi khi lượt dùng được trả lại
+		// Unique theo (promo, user, slot) nên các payment đồng thời không vượt giới hạn mỗi user
+		slot: Number,
+		appliedAt: Date,
+		releasedAt: Date,
+	},
+	{
+		timestamps: true,
+	}
+);
+
+promoRedemptionSchema.index({ promo: 1, user: 1, status: 1 });
+promoRedemptionSchema.index({ payment: 1 });
+promoRedemptionSchema.index(
+	{ promo: 1, user: 1, slot: 1 },
+	{ unique: true, partialFilterExpression: { slot: { $exists: true } } }
+);
+
+module.exports = mongoose.model('PromoRedemption', promoRedemptionSchema);
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+const mismatchSchema = new mongoose.Schema(
+	{
+		payment: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Payment',
+		},
+		provider: String,
+		txnRef: String,
+		// paid_at_gateway_only | missing_at_gateway | amount_mismatch | query_failed
+		type: {
+			type: String,
+			required: true,
+		},
+		localStatus: String,
+		localAmount: Number,
+		gatewayResponseCode: String,
+		gatewayStatus: String,
+		gatewayAmount: Number,
+		// Đã tự động xử lý (ví dụ: ghi nhận payment thành công từ kết quả truy vấn cổng thanh toán)
+		resolved: {
+			type: Boolean,
+			default: false,
+		},
+		note: String,
+	},
+	{ _id: false }
+);
+
+const reconciliationReportSchema = new mongoose.Schema(
+	{
+		// Ngày đối soát (YYYY-MM-DD theo múi giờ kinh doanh)
+		date: {
+			type: String,
+			required: true,
+			unique: true,
+		},
+		timezone: String,
+		periodStart: Date,
+		periodEnd: Date,
+		status: {
+			type: String,
+			enum: ['running', 'completed', 'failed'],
+			default: 'running',
+		},
+		totals: {
+			payments: { type: Number, default: 0 },
+			matched: { type: Number, default: 0 },
+			mismatched: { type: Number, default: 0 },
+			resolved: { type: Number, default: 0 },
+			localPaidAmount: { type: Number, default: 0 },
+			gatewayPaidAmount: { type: Number, default: 0 },
+		},
+		mismatches: [mismatchSchema],
+		generatedBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+		},
+		failureReason: String,
+		// Lần chạy gần nhất bắt đầu lúc nào (báo cáo running quá lâu được coi là bị dừng và chạy lại)
+		startedAt: Date,
+		completedAt: Date,
+	},
+	{
+		timestamps: true,
+	}
+);
+
+reconciliationReportSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('ReconciliationReport', reconciliationReportSchema);
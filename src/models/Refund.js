@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+const refundSchema = new mongoose.Schema(
+	{
+		payment: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Payment',
+			required: true,
+		},
+		trip: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Trip',
+			required: true,
+		},
+		// Người nhận tiền hoàn (người đã thanh toán)
+		user: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+			required: true,
+		},
+		amount: {
+			type: Number,
+			required: true,
+			min: 1,
+		},
+		type: {
+			type: String,
+			enum: ['full', 'partial'],
+			required: true,
+		},
+		// processing: đang chờ hoặc chưa rõ kết quả (timeout...), failed: cổng thanh toán từ chối
+		status: {
+			type: String,
+			enum: ['processing', 'completed', 'failed'],
+			default: 'processing',
+		},
+		reason: {
+			type: String,
+			trim: true,
+		},
+		// Chính sách đã áp dụng để tính số tiền hoàn
+		policy: {
+			cancelledBy: String,
+			hoursBeforeDeparture: Number,
+			refundPercent: Number,
+		},
+		initiatedBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+		},
+
+		// Refund API của cổng thanh toán (wallet: hoàn vào ví trong app, corporate: giảm trừ trên hóa đơn của tổ chức)
+		provider: {
+			type: String,
+			enum: ['vnpay', 'momo', 'zalopay', 'wallet', 'corporate'],
+		},
+		providerRequestId: {
+			type: String,
+			unique: true,
+			sparse: true,
+		},
+		providerTxnId: String,
+		providerResponseCode: String,
+		providerResponse: {
+			type: mongoose.Schema.Types.Mixed,
+			default: {},
+		},
+
+		failureReason: String,
+		// Lỗi của lần gửi/kiểm tra gần nhất khi chưa rõ kết quả (refund vẫn processing)
+		lastError: String,
+		lastCheckedAt: Date,
+		processedAt: Date,
+		// Đã cập nhật payment, ghế và thu nhập driver sau khi hoàn tiền thành công
+		settledAt: Date,
+
+		// Refund bị từ chối được thử lại bằng một refund mới (retryOf trỏ về lần trước)
+		attempt: {
+			type: Number,
+			default: 1,
+			min: 1,
+		},
+		retryOf: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Refund',
+		},
+		retriedAt: Date,
+	},
+	{
+		timestamps: true,
+	}
+);
+
+refundSchema.index({ payment: 1, createdAt: -1 });
+refundSchema.index({ trip: 1 });
+refundSchema.index({ user: 1, createdAt: -1 });
+refundSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model('Refund', refundSchema);
@@ -1,12 +1,21 @@
 const mongoose = require('mongoose');
+const { getTripRoutePoints } = require('../utils/routeMatcher');
 
 const tripSchema = new mongoose.Schema(
 	{
-		// Người tạo yêu cầu đặt xe (passenger)
+		// request: passenger tạo yêu cầu đặt xe, offer: driver đăng chuyến và bán từng ghế
+		tripType: {
+			type: String,
+			enum: ['request', 'offer'],
+			default: 'request',
+		},
+		// Người tạo yêu cầu đặt xe (passenger) - không có với chuyến offer
 		requestedBy: {
 			type: mongoose.Schema.Types.ObjectId,
 			ref: 'User',
-			required: true,
+			required: function () {
+				return this.tripType !== 'offer';
+			},
 		},
 		// Tài xế (sẽ được assign sau khi accept)
 		driver: {
@@ -76,6 +85,12 @@ const tripSchema = new mongoose.Schema(
 			required: true,
 			min: 1,
 		},
+		// Số ghế đã được driver chấp nhận (cập nhật atomic để không bán quá số ghế)
+		bookedSeats: {
+			type: Number,
+			default: 0,
+			min: 0,
+		},
 		// Any note or description for the trip
 		notes: {
 			type: String,
@@ -114,11 +129,59 @@ const tripSchema = new mongoose.Schema(
 				},
 			},
 		],
+		// Lộ trình dạng LineString để tìm chuyến đi ngang qua
+		// (polyline đường bộ từ routing provider, hoặc điểm đi -> điểm dừng -> điểm đến)
+		routePath: {
+			type: {
+				type: String,
+				enum: ['LineString'],
+			},
+			coordinates: {
+				type: [[Number]],
+				default: undefined,
+			},
+		},
+		// Quãng đường và thời gian đường bộ từ routing provider
+		routeInfo: {
+			distanceKm: {
+				type: Number,
+			},
+			durationMinutes: {
+				type: Number,
+			},
+			provider: {
+				type: String,
+			},
+		},
+		// Giá chuyến (với chuyến offer: giá mỗi ghế)
 		price: {
 			type: Number,
 			default: 0,
 			min: 0,
 		},
+		// Chi tiết giá ước tính, kèm version của pricing rule đã dùng để tính
+		priceBreakdown: {
+			type: mongoose.Schema.Types.Mixed,
+		},
+		// Surge đã áp dụng khi tính giá (lưu lại để đối soát)
+		surge: {
+			multiplier: {
+				type: Number,
+				default: 1,
+			},
+			cellId: {
+				type: String,
+			},
+			demand: {
+				type: Number,
+			},
+			supply: {
+				type: Number,
+			},
+			computedAt: {
+				type: Date,
+			},
+		},
 		// Loại xe passenger mong muốn
 		preferredVehicleType: {
 			type: String,
@@ -145,6 +208,101 @@ const tripSchema = new mongoose.Schema(
 			default: 'VND',
 			uppercase: true,
 		},
+		// Hình thức thanh toán của booking request (chuyến offer: chọn theo từng passenger)
+		// cash: không qua cổng thanh toán, driver xác nhận đã thu tiền khi kết thúc chuyến
+		// wallet: giữ tiền trong ví khi booking được xác nhận, trừ khi chuyến hoàn thành
+		// corporate: tính tiền cho tổ chức (organization) của requester khi chuyến hoàn thành
+		paymentMethod: {
+			type: String,
+			enum: ['online', 'cash', 'wallet', 'corporate'],
+			default: 'online',
+		},
+		organization: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Organization',
+			default: null,
+		},
+		// Chia tiền chuyến với người đi cùng (booking request thanh toán online)
+		// Mỗi phần (kể cả phần của requester) được trả bằng payment riêng, trip chuyển sang paid khi mọi phần đã trả
+		fareSplit: {
+			mode: {
+				type: String,
+				enum: ['equal', 'custom'],
+			},
+			shares: [
+				{
+					user: {
+						type: mongoose.Schema.Types.ObjectId,
+						ref: 'User',
+						required: true,
+					},
+					amount: {
+						type: Number,
+						required: true,
+						min: 0,
+					},
+					// declined: người được mời từ chối, requester trả thay phần này
+					status: {
+						type: String,
+						enum: ['pending', 'declined', 'paid'],
+						default: 'pending',
+					},
+					paymentId: {
+						type: mongoose.Schema.Types.ObjectId,
+						ref: 'Payment',
+					},
+					// Người đã trả phần này (requester khi trả thay phần còn lại)
+					paidBy: {
+						type: mongoose.Schema.Types.ObjectId,
+						ref: 'User',
+					},
+					paidAt: {
+						type: Date,
+					},
+					respondedAt: {
+						type: Date,
+					},
+				},
+			],
+			createdAt: {
+				type: Date,
+			},
+		},
+		// Gửi booking request tới driver online gần điểm đón theo từng đợt (bán kính nới rộng dần)
+		// active: đang gửi, stopped: đã có driver được chấp nhận hoặc booking không còn chờ driver, exhausted: đã hết số đợt
+		dispatch: {
+			status: {
+				type: String,
+				enum: ['active', 'stopped', 'exhausted'],
+			},
+			wave: {
+				type: Number,
+			},
+			radiusKm: {
+				type: Number,
+			},
+			notifiedDrivers: {
+				type: [
+					{
+						type: mongoose.Schema.Types.ObjectId,
+						ref: 'User',
+					},
+				],
+				default: undefined,
+			},
+			startedAt: {
+				type: Date,
+			},
+			lastWaveAt: {
+				type: Date,
+			},
+			nextWaveAt: {
+				type: Date,
+			},
+			stoppedAt: {
+				type: Date,
+			},
+		},
 		// Danh sách drivers request accept booking này
 		driverRequests: [
 			{
@@ -175,7 +333,7 @@ const tripSchema = new mongoose.Schema(
 				},
 			},
 		],
-		// List of passengers (giữ lại cho tương lai nếu muốn multi-passenger)
+		// Danh sách passenger đặt ghế trên chuyến offer của driver
 		passengers: [
 			{
 				user: {
@@ -188,9 +346,39 @@ const tripSchema = new mongoose.Schema(
 					enum: ['pending', 'accepted', 'declined', 'cancelled'],
 					default: 'pending',
 				},
+				seats: {
+					type: Number,
+					default: 1,
+					min: 1,
+				},
+				// Số tiền passenger phải trả (price * seats)
+				price: {
+					type: Number,
+					min: 0,
+				},
+				note: {
+					type: String,
+					trim: true,
+				},
+				responseMessage: {
+					type: String,
+					trim: true,
+				},
+				// Quãng đường/thời gian driver phải đi vòng để đón/trả passenger này
+				detour: {
+					distanceKm: Number,
+					minutes: Number,
+				},
+				// cash: trả tiền mặt cho driver, paymentStatus = pending cho tới khi driver xác nhận đã thu
+				// wallet: paymentStatus = pending khi tiền đang được giữ trong ví, completed khi chuyến hoàn thành
+				paymentMethod: {
+					type: String,
+					enum: ['online', 'cash', 'wallet'],
+					default: 'online',
+				},
 				paymentStatus: {
 					type: String,
-					enum: ['not_required', 'pending', 'completed', 'failed'],
+					enum: ['not_required', 'pending', 'completed', 'failed', 'refunded'],
 					default: 'not_required',
 				},
 				paymentId: {
@@ -267,6 +455,34 @@ const tripSchema = new mongoose.Schema(
 			enum: ['pending_driver', 'confirmed', 'paid', 'in_progress', 'completed', 'cancelled'],
 			default: 'pending_driver',
 		},
+		// Lịch sử chuyển trạng thái (chỉ thêm vào, ghi bởi tripStateMachine)
+		statusHistory: [
+			{
+				_id: false,
+				from: {
+					type: String, // null với trạng thái lúc tạo chuyến
+				},
+				to: {
+					type: String,
+					required: true,
+				},
+				actor: {
+					type: mongoose.Schema.Types.ObjectId,
+					ref: 'User',
+				},
+				actorRole: {
+					type: String,
+					enum: ['passenger', 'driver', 'admin', 'system'],
+				},
+				reason: {
+					type: String,
+				},
+				at: {
+					type: Date,
+					default: Date.now,
+				},
+			},
+		],
 		// For recurring trips
 		recurring: {
 			isRecurring: {
@@ -281,16 +497,41 @@ const tripSchema = new mongoose.Schema(
 			endDate: {
 				type: Date,
 			},
+			// Các occurrence đã được sinh ra đến thời điểm này
+			generatedUntil: {
+				type: Date,
+			},
+			// Múi giờ dùng để tính ngày/thứ của pattern (theo thành phố của điểm đón)
+			timezone: {
+				type: String,
+			},
+		},
+		// Series cha (chuyến recurring gốc) nếu đây là một occurrence được sinh ra
+		parentTrip: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Trip',
+			default: null,
+		},
+		// Ngày giờ gốc của occurrence theo pattern (không đổi khi occurrence bị sửa riêng)
+		occurrenceDate: {
+			type: Date,
 		},
 		cancellationReason: {
 			type: String,
 		},
+		cancelledBy: {
+			type: String,
+			enum: ['passenger', 'driver', 'admin', 'system'],
+		},
+		cancelledAt: {
+			type: Date,
+		},
 		// Timestamps quan trọng
 		confirmedAt: {
 			type: Date, // Khi driver accept
 		},
 		paidAt: {
-			type: Date, // Khi payment hoàn thành
+			type: Date, // Khi payment hoàn thành (chuyến tiền mặt: khi driver xác nhận đã thu tiền)
 		},
 		// To track trip progress
 		actualDepartureTime: {
@@ -299,6 +540,79 @@ const tripSchema = new mongoose.Schema(
 		actualArrivalTime: {
 			type: Date,
 		},
+		// Mã PIN đón khách của booking request: chỉ passenger xem được, driver nhập khi đón để bắt đầu chuyến
+		pickupPin: {
+			code: {
+				type: String,
+				select: false,
+			},
+			generatedAt: {
+				type: Date,
+			},
+			verifiedAt: {
+				type: Date,
+			},
+			// Số lần nhập sai liên tiếp (về 0 khi bị khóa hoặc nhập đúng)
+			failedAttempts: {
+				type: Number,
+			},
+			lockedUntil: {
+				type: Date,
+			},
+			// Các lần nhập sai gần nhất
+			attemptLog: {
+				type: [
+					{
+						_id: false,
+						driver: {
+							type: mongoose.Schema.Types.ObjectId,
+							ref: 'User',
+						},
+						ip: String,
+						at: Date,
+					},
+				],
+				default: undefined,
+			},
+		},
+		// Vị trí mới nhất driver gửi lên (điểm thô lưu trong TripLocation)
+		lastLocation: {
+			lat: Number,
+			lng: Number,
+			heading: Number,
+			speed: Number,
+			accuracy: Number,
+			recordedAt: Date,
+		},
+		// Lộ trình thực tế (rút gọn) lưu lại khi chuyến hoàn thành, dùng khi giải quyết khiếu nại
+		track: {
+			points: {
+				type: [
+					{
+						_id: false,
+						lat: Number,
+						lng: Number,
+						recordedAt: Date,
+					},
+				],
+				default: undefined,
+			},
+			pointCount: {
+				type: Number, // Số điểm GPS thô đã nhận
+			},
+			distanceKm: {
+				type: Number,
+			},
+			startedAt: {
+				type: Date,
+			},
+			endedAt: {
+				type: Date,
+			},
+			recordedAt: {
+				type: Date,
+			},
+		},
 	},
 	{
 		timestamps: true,
@@ -312,21 +626,77 @@ tripSchema.index({ requestedBy: 1, departureTime: 1 });
 tripSchema.index({ driver: 1, departureTime: 1 });
 tripSchema.index({ 'startLocation.coordinates': '2dsphere' });
 tripSchema.index({ 'endLocation.coordinates': '2dsphere' });
+tripSchema.index({ routePath: '2dsphere' });
 tripSchema.index({ status: 1 });
 tripSchema.index({ departureTime: 1 });
 tripSchema.index({ 'driverRequests.driver': 1 });
 tripSchema.index({ 'passengers.user': 1 });
+tripSchema.index({ 'fareSplit.shares.user': 1 });
+tripSchema.index({ organization: 1, departureTime: -1 }); // For corporate trip reports
+tripSchema.index({ tripType: 1, status: 1, departureTime: 1 }); // For passengers browsing offers
 tripSchema.index({ status: 1, departureTime: 1 }); // For driver finding trips
+tripSchema.index({ parentTrip: 1, occurrenceDate: 1 }); // For recurring series
+tripSchema.index({ 'recurring.isRecurring': 1, status: 1 });
+tripSchema.index({ 'dispatch.status': 1, 'dispatch.nextWaveAt': 1 }); // For the dispatch job
+
+// Tính lại routePath khi lộ trình thay đổi (trừ khi polyline đường bộ được set cùng lúc)
+tripSchema.pre('validate', function (next) {
+	const locationsChanged =
+		this.isModified('startLocation') || this.isModified('endLocation') || this.isModified('stops');
+
+	if ((this.isNew || locationsChanged) && !this.isModified('routePath')) {
+		this.routePath = this.buildRoutePath();
+		// Polyline/quãng đường cũ không còn đúng với lộ trình mới
+		if (!this.isNew) {
+			this.routeInfo = undefined;
+		}
+	}
+	next();
+});
 
-// Virtual for total passenger count
+// Trạng thái lúc tạo chuyến là mục đầu tiên của lịch sử (kể cả occurrence sinh bằng insertMany)
+tripSchema.pre('validate', function (next) {
+	if (this.isNew && this.statusHistory.length === 0) {
+		const isOccurrence = Boolean(this.parentTrip);
+		this.statusHistory.push({
+			from: null,
+			to: this.status,
+			actor: this.requestedBy || this.driver,
+			actorRole: isOccurrence ? 'system' : this.tripType === 'offer' ? 'driver' : 'passenger',
+			reason: isOccurrence ? 'Recurring occurrence generated' : undefined,
+		});
+	}
+	next();
+});
+
+// Method tạo GeoJSON LineString từ điểm đi, điểm dừng và điểm đến
+tripSchema.methods.buildRoutePath = function () {
+	// Bỏ các điểm trùng liên tiếp (2dsphere không chấp nhận cạnh có độ dài 0)
+	const coordinates = getTripRoutePoints(this)
+		.map((point) => [point.lng, point.lat])
+		.filter((point, index, points) => index === 0 || point.join(',') !== points[index - 1].join(','));
+
+	// LineString cần ít nhất 2 điểm khác nhau
+	if (coordinates.length < 2) {
+		return undefined;
+	}
+
+	return { type: 'LineString', coordinates };
+};
+
+// Virtual for total passenger count (số ghế đã được chấp nhận)
 tripSchema.virtual('passengerCount').get(function () {
-	return this.passengers.filter((p) => p.status === 'accepted').length;
+	return this.passengers.filter((p) => p.status === 'accepted').reduce((total, p) => total + (p.seats || 1), 0);
 });
 
 // Virtual to check if the trip is full
 tripSchema.virtual('isFull').get(function () {
-	const acceptedPassengers = this.passengers.filter((p) => p.status === 'accepted').length;
-	return acceptedPassengers >= this.availableSeats;
+	return (this.bookedSeats || 0) >= this.availableSeats;
+});
+
+// Virtual for remaining seats
+tripSchema.virtual('remainingSeats').get(function () {
+	return Math.max(this.availableSeats - (this.bookedSeats || 0), 0);
 });
 
 // Virtual để check xem có driver requests pending không
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const trackingConfig = require('../config/tracking');
+
+// Điểm GPS driver gửi trong chuyến (time-series theo trip), tự xóa sau trackingConfig.retentionDays
+const tripLocationSchema = new mongoose.Schema(
+	{
+		trip: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Trip',
+			required: true,
+		},
+		driver: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+			required: true,
+		},
+		lat: {
+			type: Number,
+			required: true,
+			min: -90,
+			max: 90,
+		},
+		lng: {
+			type: Number,
+			required: true,
+			min: -180,
+			max: 180,
+		},
+		// Hướng di chuyển (độ, 0 = bắc)
+		heading: {
+			type: Number,
+			min: 0,
+			max: 360,
+		},
+		// km/h
+		speed: {
+			type: Number,
+			min: 0,
+		},
+		// Sai số GPS (mét)
+		accuracy: {
+			type: Number,
+			min: 0,
+		},
+		// Thời điểm điện thoại ghi nhận vị trí
+		recordedAt: {
+			type: Date,
+			required: true,
+		},
+	},
+	{
+		timestamps: { createdAt: true, updatedAt: false },
+	}
+);
+
+// Cùng một điểm gửi lại (app retry) không bị lưu hai lần
+tripLocationSchema.index({ trip: 1, recordedAt: 1 }, { unique: true });
+tripLocationSchema.index({ createdAt: 1 }, { expireAfterSeconds: trackingConfig.retentionDays * 24 * 60 * 60 });
+
+module.exports = mongoose.model('TripLocation', tripLocationSchema);
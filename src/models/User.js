@@ -119,6 +119,47 @@ const userSchema = new mongoose.Schema(
 			},
 		},
 
+		// Driver availability: online/offline chosen by the driver, busy while a trip is in progress
+		availability: {
+			status: {
+				type: String,
+				enum: ['offline', 'online', 'busy'],
+				default: 'offline',
+			},
+			// Last known position (GeoJSON Point [lng, lat]), set when the driver goes online or shares a location
+			location: {
+				type: {
+					type: String,
+					enum: ['Point'],
+				},
+				coordinates: {
+					type: [Number],
+					default: undefined,
+				},
+			},
+			lastSeenAt: Date,
+			statusChangedAt: Date,
+		},
+
+		// Bank account for driver payouts
+		payoutAccount: {
+			bankCode: {
+				type: String,
+				uppercase: true,
+				trim: true,
+			},
+			bankName: String,
+			accountNumber: {
+				type: String,
+				trim: true,
+			},
+			accountName: {
+				type: String,
+				uppercase: true,
+				trim: true,
+			},
+		},
+
 		// Frequently used addresses
 		addresses: [
 			{
@@ -163,6 +204,24 @@ const userSchema = new mongoose.Schema(
 			},
 		},
 
+		// Referral program
+		referralCode: {
+			type: String,
+			uppercase: true,
+			trim: true,
+		},
+		referredBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+			default: null,
+		},
+		referredAt: Date,
+		// Set when both bonuses have been paid after the first completed trip
+		referralRewardedAt: {
+			type: Date,
+			default: null,
+		},
+
 		// Notification settings
 		notificationSettings: {
 			email: { type: Boolean, default: false }, // Default false since email is optional
@@ -202,6 +261,10 @@ userSchema.index({ role: 1 });
 userSchema.index({ registrationStep: 1 });
 userSchema.index({ isPhoneVerified: 1 });
 userSchema.index({ phone: 1 }); // Primary identifier - unique
+userSchema.index({ referralCode: 1 }, { unique: true, sparse: true });
+userSchema.index({ referredBy: 1 });
+userSchema.index({ 'availability.location': '2dsphere' }); // For nearby driver discovery
+userSchema.index({ 'availability.status': 1, 'availability.lastSeenAt': 1 });
 userSchema.index({ email: 1 }, {
 	sparse: true, // This is the key fix - allows multiple null values
 	unique: true  // But still enforces uniqueness for non-null values
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+const walletSchema = new mongoose.Schema(
+	{
+		user: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+			required: true,
+			unique: true,
+		},
+		currency: {
+			type: String,
+			default: 'VND',
+			uppercase: true,
+		},
+		// Số dư khả dụng
+		balance: {
+			type: Number,
+			default: 0,
+			min: 0,
+		},
+		// Số tiền đang giữ cho các chuyến đã xác nhận (trừ khi chuyến hoàn thành, trả lại khi hủy)
+		heldBalance: {
+			type: Number,
+			default: 0,
+			min: 0,
+		},
+		lastTransactionAt: Date,
+		// Các giao dịch gần nhất đã được cộng/trừ vào số dư (ghi cùng lần cập nhật số dư)
+		// để giao dịch bị dừng giữa chừng được tiếp tục mà không cộng/trừ hai lần
+		appliedTransactions: {
+			type: [mongoose.Schema.Types.ObjectId],
+			default: undefined,
+			select: false,
+		},
+	},
+	{
+		timestamps: true,
+		toJSON: { virtuals: true },
+		toObject: { virtuals: true },
+	}
+);
+
+walletSchema.virtual('totalBalance').get(function () {
+	return (this.balance || 0) + (this.heldBalance || 0);
+});
+
+module.exports = mongoose.model('Wallet', walletSchema);
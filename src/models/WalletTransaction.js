@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+
+// Tài khoản sổ cái: hai tài khoản của ví user và hai tài khoản hệ thống
+// wallet_available / wallet_held: số dư khả dụng / đang giữ của ví
+// gateway_clearing: tiền nạp nhận qua cổng thanh toán; trip_revenue: tiền chuyến đi đã thu từ ví
+// promotion_expense: tiền thưởng nền tảng cộng vào ví (thưởng giới thiệu)
+const LEDGER_ACCOUNTS = ['wallet_available', 'wallet_held', 'gateway_clearing', 'trip_revenue', 'promotion_expense'];
+
+const entrySchema = new mongoose.Schema(
+	{
+		account: {
+			type: String,
+			enum: LEDGER_ACCOUNTS,
+			required: true,
+		},
+		direction: {
+			type: String,
+			enum: ['debit', 'credit'],
+			required: true,
+		},
+		amount: {
+			type: Number,
+			required: true,
+			min: 1,
+		},
+	},
+	{ _id: false }
+);
+
+const walletTransactionSchema = new mongoose.Schema(
+	{
+		wallet: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Wallet',
+			required: true,
+		},
+		user: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+			required: true,
+		},
+		// topup: nạp tiền, hold: giữ tiền khi booking được xác nhận, capture: trừ tiền giữ khi chuyến hoàn thành,
+		// release: trả lại tiền giữ khi hủy, refund: hoàn tiền chuyến đã thanh toán bằng ví, bonus: thưởng của nền tảng
+		type: {
+			type: String,
+			enum: ['topup', 'hold', 'capture', 'release', 'refund', 'bonus'],
+			required: true,
+		},
+		amount: {
+			type: Number,
+			required: true,
+			min: 1,
+		},
+		currency: {
+			type: String,
+			default: 'VND',
+			uppercase: true,
+		},
+		// Bút toán kép: tổng debit luôn bằng tổng credit
+		entries: {
+			type: [entrySchema],
+			validate: {
+				validator: (entries) => {
+					const total = (direction) =>
+						entries
+							.filter((entry) => entry.direction === direction)
+							.reduce((sum, entry) => sum + entry.amount, 0);
+					return entries.length >= 2 && total('debit') === total('credit');
+				},
+				message: 'Ledger entries must balance',
+			},
+		},
+		// pending: đã ghi sổ nhưng chưa cập nhật số dư ví, failed: không đủ số dư
+		status: {
+			type: String,
+			enum: ['pending', 'posted', 'failed'],
+			default: 'pending',
+		},
+		// Khóa idempotency, vd: topup:<paymentId>, hold:<bookingId>
+		// Giao dịch failed được bỏ reference để có thể thử lại (vd: giữ tiền lại sau khi user nạp thêm)
+		reference: {
+			type: String,
+			unique: true,
+			sparse: true,
+		},
+		// Số dư ví ngay sau khi giao dịch được ghi nhận
+		balanceAfter: {
+			balance: Number,
+			heldBalance: Number,
+		},
+
+		// Trạng thái của khoản giữ tiền (chỉ với type hold)
+		holdStatus: {
+			type: String,
+			enum: ['held', 'captured', 'released'],
+		},
+		// Khoản giữ đang được capture/release (bỏ đi khi giao dịch capture/release đã posted)
+		settlingAt: Date,
+		// Khoản giữ tiền mà giao dịch capture/release xử lý
+		hold: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'WalletTransaction',
+		},
+		trip: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Trip',
+		},
+		payment: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Payment',
+		},
+		description: String,
+		failureReason: String,
+		postedAt: Date,
+	},
+	{
+		timestamps: true,
+	}
+);
+
+walletTransactionSchema.index({ wallet: 1, status: 1, postedAt: -1 });
+walletTransactionSchema.index({ user: 1, createdAt: -1 });
+walletTransactionSchema.index({ trip: 1, type: 1, holdStatus: 1 });
+walletTransactionSchema.index({ settlingAt: 1 }, { sparse: true });
+
+module.exports = mongoose.model('WalletTransaction', walletTransactionSchema);
@@ -22,6 +22,45 @@ router.get('/trips', adminController.getAllTrips);
 router.get('/trips/:id', adminController.getTripDetails);
 router.patch('/trips/:id/cancel', adminController.cancelTrip);
 
+// Payment management
+router.get('/payments/unapplied', adminController.getUnappliedPayments);
+router.post('/payments/:id/refund', adminController.refundPayment);
+router.post('/payments/:id/reconcile', adminController.reconcilePayment);
+
+// Đối soát VNPay
+router.get('/reconciliation/reports', adminController.getReconciliationReports);
+router.post('/reconciliation/reports', adminController.generateReconciliationReport);
+router.get('/reconciliation/reports/:date', adminController.getReconciliationReport);
+
+// Chi trả thu nhập driver
+router.get('/payouts', adminController.getPayoutBatches);
+router.post('/payouts', adminController.createPayoutBatch);
+router.get('/payouts/:id', adminController.getPayoutBatch);
+router.get('/payouts/:id/export', adminController.exportPayoutBatch);
+router.post('/payouts/:id/complete', adminController.completePayoutBatch);
+router.post('/payouts/:id/cancel', adminController.cancelPayoutBatch);
+
+// Mã khuyến mãi
+router.get('/promo-codes', adminController.getPromoCodes);
+router.post('/promo-codes', adminController.createPromoCode);
+router.put('/promo-codes/:id', adminController.updatePromoCode);
+router.delete('/promo-codes/:id', adminController.deactivatePromoCode);
+router.get('/promo-codes/:id/redemptions', adminController.getPromoRedemptions);
+
+// Tài khoản doanh nghiệp và hóa đơn tổng hợp hàng tháng
+router.get('/organizations', adminController.getOrganizations);
+router.post('/organizations', adminController.createOrganization);
+router.post('/organizations/:id/invoices', adminController.createCorporateInvoice);
+router.get('/corporate-invoices', adminController.getCorporateInvoices);
+router.post('/corporate-invoices/:id/paid', adminController.markCorporateInvoicePaid);
+
+// Pricing rules (mỗi lần sửa tạo một version mới)
+router.get('/pricing-rules', adminController.getPricingRules);
+router.post('/pricing-rules', adminController.createPricingRule);
+router.get('/pricing-rules/:code/versions', adminController.getPricingRuleVersions);
+router.put('/pricing-rules/:code', adminController.updatePricingRule);
+router.delete('/pricing-rules/:code', adminController.deactivatePricingRule);
+
 console.log('✅ Admin routes loaded successfully');
 
 module.exports = router;
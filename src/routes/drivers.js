@@ -6,6 +6,12 @@ const {
 	getDriverProfile,
 	getDriverTrips,
 	switchToPassenger,
+	getEarnings,
+	getEarningTrips,
+	updatePayoutAccount,
+	getAvailability,
+	updateAvailability,
+	getNearbyDrivers,
 } = require('../controllers/driverController');
 
 const { protect } = require('../middleware/auth');
@@ -38,4 +44,34 @@ router.get('/trips', getDriverTrips);
 // @access  Private (Driver only)
 router.patch('/switch-to-passenger', switchToPassenger);
 
+// @route   GET /api/drivers/earnings
+// @desc    Get earnings dashboard (daily/weekly/monthly)
+// @access  Private (Driver only)
+router.get('/earnings', getEarnings);
+
+// @route   GET /api/drivers/earnings/trips
+// @desc    Get per-trip earnings
+// @access  Private (Driver only)
+router.get('/earnings/trips', getEarningTrips);
+
+// @route   PUT /api/drivers/payout-account
+// @desc    Update payout bank account
+// @access  Private (Driver only)
+router.put('/payout-account', updatePayoutAccount);
+
+// @route   GET /api/drivers/availability
+// @desc    Get availability status and last known location
+// @access  Private (Driver only)
+router.get('/availability', getAvailability);
+
+// @route   PATCH /api/drivers/availability
+// @desc    Go online/offline or update current location
+// @access  Private (Driver only)
+router.patch('/availability', updateAvailability);
+
+// @route   GET /api/drivers/nearby
+// @desc    Find online drivers near a location
+// @access  Private
+router.get('/nearby', getNearbyDrivers);
+
 module.exports = router;
@@ -143,6 +143,53 @@ try {
 	});
 }
 
+// Import and mount wallet routes
+try {
+	console.log('📝 Loading wallet routes...');
+	const walletRoutes = require('./wallet');
+	router.use('/wallet', walletRoutes);
+	console.log('✅ Wallet routes mounted at /wallet');
+} catch (error) {
+	console.error('❌ Failed to load wallet routes:', error.message);
+	router.use('/wallet', (req, res) => {
+		res.status(500).json({
+			error: 'Wallet routes loading failed',
+			message: error.message,
+		});
+	});
+}
+
+// Import and mount referral routes
+try {
+	console.log('📝 Loading referral routes...');
+	const referralRoutes = require('./referrals');
+	router.use('/referrals', referralRoutes);
+	console.log('✅ Referral routes mounted at /referrals');
+} catch (error) {
+	console.error('❌ Failed to load referral routes:', error.message);
+	router.use('/referrals', (req, res) => {
+		res.status(500).json({
+			error: 'Referral routes loading failed',
+			message: error.message,
+		});
+	});
+}
+
+try {
+	console.log('📝 Loading organization routes...');
+	const organizationRoutes = require('./organizations');
+	router.use('/organizations', organizationRoutes);
+	console.log('✅ Organization routes mounted at /organizations');
+} catch (error) {
+	console.error('❌ Failed to load organization routes:', error.message);
+	router.use('/organizations', (req, res) => {
+		res.status(500).json({
+			error: 'Organization routes loading failed',
+			message: error.message,
+		});
+	});
+}
+
 // Import and mount admin routes
 try {
 	console.log('📝 Loading admin routes...');
@@ -0,0 +1,76 @@
+const express = require('express');
+const router = express.Router();
+const {
+	getMyOrganizations,
+	getOrganization,
+	updateOrganization,
+	joinOrganization,
+	addMember,
+	updateMember,
+	removeMember,
+	getOrganizationTrips,
+	getOrganizationUsage,
+	getOrganizationInvoices,
+	getOrganizationInvoice,
+} = require('../controllers/organizationController');
+
+const { protect } = require('../middleware/auth');
+
+router.use(protect);
+
+// @route   GET /api/organizations
+// @desc    Get my organizations
+// @access  Private
+router.get('/', getMyOrganizations);
+
+// @route   GET /api/organizations/:id
+// @desc    Get an organization
+// @access  Private (Organization members)
+router.get('/:id', getOrganization);
+
+// @route   PUT /api/organizations/:id
+// @desc    Update billing details and ride policy
+// @access  Private (Organization admins)
+router.put('/:id', updateOrganization);
+
+// @route   POST /api/organizations/:id/join
+// @desc    Ask to join an organization by email domain
+// @access  Private
+router.post('/:id/join', joinOrganization);
+
+// @route   POST /api/organizations/:id/members
+// @desc    Add a member by phone number
+// @access  Private (Organization admins)
+router.post('/:id/members', addMember);
+
+// @route   PATCH /api/organizations/:id/members/:userId
+// @desc    Approve a member or change their role
+// @access  Private (Organization admins)
+router.patch('/:id/members/:userId', updateMember);
+
+// @route   DELETE /api/organizations/:id/members/:userId
+// @desc    Remove a member or leave the organization
+// @access  Private
+router.delete('/:id/members/:userId', removeMember);
+
+// @route   GET /api/organizations/:id/trips
+// @desc    Get trips billed to the organization
+// @access  Private (Organization admins)
+router.get('/:id/trips', getOrganizationTrips);
+
+// @route   GET /api/organizations/:id/usage
+// @desc    Get the monthly usage report (?format=json|csv)
+// @access  Private (Organization admins)
+router.get('/:id/usage', getOrganizationUsage);
+
+// @route   GET /api/organizations/:id/invoices
+// @desc    Get the monthly invoices
+// @access  Private (Organization admins)
+router.get('/:id/invoices', getOrganizationInvoices);
+
+// @route   GET /api/organizations/:id/invoices/:invoiceId
+// @desc    Get a monthly invoice with its trips
+// @access  Private (Organization admins)
+router.get('/:id/invoices/:invoiceId', getOrganizationInvoice);
+
+module.exports = router;
@@ -2,16 +2,29 @@ const express = require('express');
 const router = express.Router();
 const {
 	createPayment,
-	vnpayReturn,
+	getPaymentGateways,
+	paymentReturn,
+	paymentIpn,
 	getPayment,
 	getPaymentHistory,
 	cancelPayment,
+	getPaymentRefunds,
+	getPaymentReceipt,
+	emailPaymentReceipt,
 } = require('../controllers/paymentController');
 
 const { protect } = require('../middleware/auth');
 
-// VNPay return URL (public - không cần auth)
-router.get('/vnpay/return', vnpayReturn);
+// Các cổng thanh toán đang bật (public)
+router.get('/gateways', getPaymentGateways);
+
+// Return URL của cổng thanh toán, vd: /vnpay/return, /momo/return (public - không cần auth)
+router.get('/:provider/return', paymentReturn);
+
+// IPN server-to-server (public - xác thực bằng chữ ký của từng cổng)
+// VNPay gửi GET, MoMo/ZaloPay gửi POST
+router.get('/:provider/ipn', paymentIpn);
+router.post('/:provider/ipn', paymentIpn);
 
 // All other routes require authentication
 router.use(protect);
@@ -31,6 +44,21 @@ router.get('/', getPaymentHistory);
 // @access  Private
 router.get('/:id', getPayment);
 
+// @route   GET /api/payments/:id/refunds
+// @desc    Get refunds of a payment
+// @access  Private
+router.get('/:id/refunds', getPaymentRefunds);
+
+// @route   GET /api/payments/:id/receipt
+// @desc    Get trip receipt (?format=json|pdf)
+// @access  Private
+router.get('/:id/receipt', getPaymentReceipt);
+
+// @route   POST /api/payments/:id/receipt/email
+// @desc    Email trip receipt
+// @access  Private
+router.post('/:id/receipt/email', emailPaymentReceipt);
+
 // @route   PATCH /api/payments/:id/cancel
 // @desc    Cancel pending payment
 // @access  Private
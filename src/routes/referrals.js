@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const { getReferralSummary, applyReferralCode } = require('../controllers/referralController');
+
+const { protect } = require('../middleware/auth');
+
+router.use(protect);
+
+// @route   GET /api/referrals
+// @desc    Get referral code and stats
+// @access  Private
+router.get('/', getReferralSummary);
+
+// @route   POST /api/referrals/apply
+// @desc    Apply a referral code
+// @access  Private
+router.post('/apply', applyReferralCode);
+
+module.exports = router;
@@ -17,6 +17,9 @@ router.post('/estimate-price', tripController.estimatePrice);
 // Get all trips (with filters)
 router.get('/', tripController.getTrips);
 
+// Find driver trips passing along a passenger's route (must be before /:id)
+router.get('/match', tripController.matchTrips);
+
 // Get a single trip by ID
 router.get('/:id', tripController.getTrip);
 
@@ -36,26 +39,72 @@ router.post('/:id/driver-request', requireDriver, tripController.driverRequestBo
 // Passenger accept/decline driver requests
 router.patch('/:id/driver-requests/:requestId', tripController.respondToDriverRequest);
 
+// === RECURRING SERIES ROUTES ===
+// Get the recurring series of a trip
+router.get('/:id/series', tripController.getTripSeries);
+
+// Edit this occurrence or this and all following occurrences
+router.patch('/:id/series', tripController.updateTripSeries);
+
+// Cancel this occurrence or this and all following occurrences
+router.delete('/:id/series', tripController.cancelTripSeries);
+
 // === DRIVER ONLY ROUTES (confirmed trips) ===
+// Publish a trip offer with seats for passengers
+router.post('/offers', requireDriver, tripController.createTripOffer);
+
+// Accept or decline a passenger seat request
+router.patch('/:id/passengers/:passengerId', requireDriver, tripController.updatePassengerStatus);
+
 // Update a trip (driver only, after confirmed)
 router.put('/:id', requireDriver, tripController.updateTrip);
 
 // Delete a trip (driver only, before confirmed)
 router.delete('/:id', tripController.deleteTrip); // Allow both passenger (if pending) and driver (if confirmed)
 
-// Cancel a trip (driver only)
-router.patch('/:id/cancel', requireDriver, tripController.cancelTrip);
+// Cancel a trip (driver or booking requester, paid trips are refunded by policy)
+router.patch('/:id/cancel', tripController.cancelTrip);
 
 // Update trip status (driver only)
 router.patch('/:id/status', requireDriver, tripController.updateTripStatus);
 
-// === LEGACY PASSENGER ROUTES (for multi-passenger future) ===
-// Request to join a trip (for future multi-passenger support)
+// Driver confirms collecting the cash fare (trip in progress or completed)
+router.post('/:id/cash-collection', requireDriver, tripController.confirmCashCollection);
+
+// === LIVE LOCATION ===
+// Driver shares GPS pings (single or batch)
+router.post('/:id/locations', requireDriver, tripController.shareLocation);
+
+// Driver's current location and ETA to pickup/dropoff
+router.get('/:id/location', tripController.getTripLocation);
+
+// Recorded track of the trip
+router.get('/:id/track', tripController.getTripTrack);
+
+// === PICKUP PIN ===
+// Passenger sees the PIN to read out to the driver at pickup (driver enters it via PATCH /:id/status)
+router.get('/:id/pickup-pin', tripController.getPickupPin);
+
+// === FARE SPLITTING (booking requests paid online) ===
+// Requester invites co-riders to split the fare
+router.post('/:id/split', tripController.splitFare);
+
+// Shares and payment status of each rider
+router.get('/:id/split', tripController.getFareSplit);
+
+// Co-rider declines their share
+router.post('/:id/split/decline', tripController.declineFareSplit);
+
+// === SEAT BOOKING ROUTES (driver-offered trips) ===
+// Request seats on a trip offered by a driver
 router.post('/:id/join', tripController.joinTrip);
 
 // Cancel join request or leave a trip
 router.delete('/:id/join', tripController.cancelJoinRequest);
 
+// Leave a trip
+router.post('/:id/leave', tripController.leaveTrip);
+
 console.log('✅ Trip routes loaded successfully');
 
 module.exports = router;
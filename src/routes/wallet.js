@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const {
+	getWallet,
+	topupWallet,
+	getWalletTransactions,
+	getWalletStatement,
+} = require('../controllers/walletController');
+
+const { protect } = require('../middleware/auth');
+
+router.use(protect);
+
+// @route   GET /api/wallet
+// @desc    Get wallet balance and active holds
+// @access  Private
+router.get('/', getWallet);
+
+// @route   POST /api/wallet/topup
+// @desc    Top up wallet through a payment gateway
+// @access  Private
+router.post('/topup', topupWallet);
+
+// @route   GET /api/wallet/transactions
+// @desc    Get wallet transaction history
+// @access  Private
+router.get('/transactions', getWalletTransactions);
+
+// @route   GET /api/wallet/statement
+// @desc    Get wallet statement for a period
+// @access  Private
+router.get('/statement', getWalletStatement);
+
+module.exports = router;
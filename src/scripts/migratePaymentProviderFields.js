@@ -0,0 +1,102 @@
+/**
+ * Chuyển các field VNPay cũ trên payments/refunds/reconciliationreports sang dạng chung của payment gateway:
+ * vnpTxnRef -> txnRef, vnpOrderInfo -> orderInfo, vnpTransactionNo -> providerTxnId, vnpResponse -> providerResponse,
+ * vnpCreateDate/vnpBankCode/vnpBankTranNo/vnpCardType/vnpPayDate -> providerData
+ *
+ * Chạy một lần sau khi deploy: npm run migrate:payment-providers (chạy lại nhiều lần không ảnh hưởng)
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Payment = require('../models/Payment');
+const Refund = require('../models/Refund');
+const ReconciliationReport = require('../models/ReconciliationReport');
+
+const LEGACY_PAYMENT_FIELDS = [
+	'vnpTxnRef',
+	'vnpOrderInfo',
+	'vnpTransactionNo',
+	'vnpBankCode',
+	'vnpBankTranNo',
+	'vnpCardType',
+	'vnpPayDate',
+	'vnpCreateDate',
+	'vnpSecureHash',
+	'vnpResponse',
+];
+
+const migratePayments = () =>
+	Payment.collection.updateMany({ vnpTxnRef: { $exists: true }, txnRef: { $exists: false } }, [
+		{
+			$set: {
+				provider: 'vnpay',
+				txnRef: '$vnpTxnRef',
+				orderInfo: '$vnpOrderInfo',
+				providerTxnId: '$vnpTransactionNo',
+				providerResponse: { $ifNull: ['$vnpResponse', {}] },
+				providerData: {
+					createDate: '$vnpCreateDate',
+					bankCode: '$vnpBankCode',
+					bankTranNo: '$vnpBankTranNo',
+					cardType: '$vnpCardType',
+					payDate: '$vnpPayDate',
+				},
+			},
+		},
+		{ $unset: LEGACY_PAYMENT_FIELDS },
+	]);
+
+const migrateRefunds = () =>
+	Refund.collection.updateMany({ vnpRequestId: { $exists: true }, providerRequestId: { $exists: false } }, [
+		{
+			$set: {
+				provider: 'vnpay',
+				providerRequestId: '$vnpRequestId',
+				providerTxnId: '$vnpTransactionNo',
+				providerResponseCode: '$vnpResponseCode',
+				providerResponse: { $ifNull: ['$vnpResponse', {}] },
+			},
+		},
+		{ $unset: ['vnpRequestId', 'vnpTransactionNo', 'vnpResponseCode', 'vnpResponse'] },
+	]);
+
+const migrateReports = () =>
+	ReconciliationReport.collection.updateMany({ 'mismatches.vnpTxnRef': { $exists: true } }, [
+		{
+			$set: {
+				mismatches: {
+					$map: {
+						input: '$mismatches',
+						as: 'mismatch',
+						in: { $mergeObjects: ['$$mismatch', { provider: 'vnpay', txnRef: '$$mismatch.vnpTxnRef' }] },
+					},
+				},
+			},
+		},
+		{ $unset: 'mismatches.vnpTxnRef' },
+	]);
+
+const run = async () => {
+	await mongoose.connect(process.env.MONGODB_URI, { serverSelectionTimeoutMS: 5000 });
+	console.log('✅ MongoDB Connected');
+
+	const payments = await migratePayments();
+	console.log(`💳 Payments migrated: ${payments.modifiedCount}`);
+
+	const refunds = await migrateRefunds();
+	console.log(`↩️ Refunds migrated: ${refunds.modifiedCount}`);
+
+	const reports = await migrateReports();
+	console.log(`📊 Reconciliation reports migrated: ${reports.modifiedCount}`);
+
+	// Xóa các index cũ (vnpTxnRef_1, vnpRequestId_1) và tạo index mới theo schema
+	await Payment.syncIndexes();
+	await Refund.syncIndexes();
+	console.log('✅ Indexes synced');
+};
+
+run()
+	.catch((error) => {
+		console.error('❌ Migration failed:', error);
+		process.exitCode = 1;
+	})
+	.finally(() => mongoose.disconnect());
@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+const Payment = require('../models/Payment');
+const Trip = require('../models/Trip');
+const Notification = require('../models/Notification');
+const driverEarningsService = require('./driverEarningsService');
+
+// Driver chỉ xác nhận thu tiền mặt khi chuyến đang chạy hoặc đã kết thúc
+const COLLECTABLE_STATUSES = ['in_progress', 'completed'];
+
+const createError = (message, statusCode = 400) => {
+	const error = new Error(message);
+	error.statusCode = statusCode;
+	return error;
+};
+
+class CashPaymentService {
+	/**
+	 * Các khoản tiền mặt driver còn phải thu trên chuyến
+	 * Trả về [{ user, amount, passengerId }] (passengerId chỉ có với chuyến offer)
+	 */
+	getCashDue(trip) {
+		if (trip.tripType === 'offer') {
+			return (trip.passengers || [])
+				.filter(
+					(p) =>
+						p.status === 'accepted' &&
+						p.paymentMethod === 'cash' &&
+						p.paymentStatus === 'pending' &&
+						p.price > 0
+				)
+				.map((p) => ({ user: p.user, amount: p.price, passengerId: p._id }));
+		}
+
+		if (trip.paymentMethod === 'cash' && !trip.paidAt && trip.price > 0) {
+			return [{ user: trip.requestedBy, amount: trip.price }];
+		}
+
+		return [];
+	}
+
+	/**
+	 * Driver xác nhận đã thu tiền mặt; mỗi khoản tạo một Payment (provider cash, completed)
+	 * passengerUserId (tùy chọn, chuyến offer): chỉ xác nhận khoản của passenger này
+	 */
+	async confirmCollection(trip, driverId, { passengerUserId } = {}) {
+		if (!trip.driver || trip.driver.toString() !== driverId.toString()) {
+			throw createError('Only the trip driver can confirm cash collection', 403);
+		}
+
+		if (!COLLECTABLE_STATUSES.includes(trip.status)) {
+			throw createError('Cash can only be confirmed once the trip has started');
+		}
+
+		let due = this.getCashDue(trip);
+		if (passengerUserId) {
+			due = due.filter((item) => item.user.toString() === passengerUserId.toString());
+		}
+
+		if (due.length === 0) {
+			throw createError('There is no outstanding cash payment on this trip');
+		}
+
+		const payments = [];
+		const now = new Date();
+
+		for (const item of due) {
+			const paymentId = new mongoose.Types.ObjectId();
+
+			// Đánh dấu có điều kiện trước để hai lần xác nhận đồng thời không tạo hai payment
+			const claimed =
+				trip.tripType === 'offer'
+					? await Trip.updateOne(
+							{
+								_id: trip._id,
+								passengers: {
+									$elemMatch: {
+										_id: item.passengerId,
+										paymentMethod: 'cash',
+										paymentStatus: 'pending',
+									},
+								},
+							},
+							{ $set: { 'passengers.$.paymentStatus': 'completed', 'passengers.$.paymentId': paymentId } }
+						)
+					: await Trip.updateOne(
+							{ _id: trip._id, paymentMethod: 'cash', paidAt: null },
+							{ $set: { paidAt: now } }
+						);
+
+			if (claimed.modifiedCount === 0) {
+				continue;
+			}
+
+			let payment;
+			try {
+				payment = await Payment.create({
+					_id: paymentId,
+					user: item.user,
+					trip: trip._id,
+					amount: item.amount,
+					currency: trip.currency,
+					provider: 'cash',
+					txnRef: `CASH${Date.now()}${Math.floor(Math.random() * 1000)}`,
+					orderInfo: `Thanh toan tien mat chuyen di ${trip.startLocation.address} den ${trip.endLocation.address}`,
+					status: 'completed',
+					completedAt: now,
+					collectedBy: driverId,
+					expiredAt: now,
+				});
+			} catch (error) {
+				// Trả lại trạng thái chờ thu để driver xác nhận lại
+				await (trip.tripType === 'offer'
+					? Trip.updateOne(
+							{ _id: trip._id, 'passengers._id': item.passengerId },
+							{
+								$set: { 'passengers.$.paymentStatus': 'pending' },
+								$unset: { 'passengers.$.paymentId': 1 },
+							}
+						)
+					: Trip.updateOne({ _id: trip._id }, { $unset: { paidAt: 1 } }));
+				throw error;
+			}
+			payments.push(payment);
+
+			await Notification.create({
+				recipient: item.user,
+				title: 'Cash Payment Confirmed',
+				message: `The driver confirmed receiving ${item.amount.toLocaleString('vi-VN')} ${trip.currency} in cash for your trip.`,
+				type: 'payment_received',
+				relatedId: trip._id,
+				relatedModel: 'Trip',
+			});
+		}
+
+		// Chuyến đã hoàn thành: cập nhật thu nhập của driver (thu trong lúc chạy thì được tính khi hoàn thành chuyến)
+		if (payments.length > 0 && trip.status === 'completed') {
+			await driverEarningsService.recordTripEarnings(trip);
+		}
+
+		return payments;
+	}
+}
+
+module.exports = new CashPaymentService();
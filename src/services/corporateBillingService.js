@@ -0,0 +1,417 @@
+const Payment = require('../models/Payment');
+const Trip = require('../models/Trip');
+const CorporateInvoice = require('../models/CorporateInvoice');
+const Notification = require('../models/Notification');
+const organizationService = require('./organizationService');
+const receiptConfig = require('../config/receipt');
+const timezoneConfig = require('../config/timezone');
+const { formatDateKey, getZonedParts, zonedTimeToUtc } = require('../utils/timezone');
+
+const PERIOD_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+const createError = (message, statusCode = 400) => {
+	const error = new Error(message);
+	error.statusCode = statusCode;
+	return error;
+};
+
+// Ô CSV: bọc trong dấu nháy kép khi có dấu phẩy, nháy kép hoặc xuống dòng
+const csvCell = (value) => {
+	const text = value === undefined || value === null ? '' : String(value);
+	return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const describeRoute = (trip) => `${trip.startLocation.address} den ${trip.endLocation.address}`;
+
+class CorporateBillingService {
+	/**
+	 * Khoảng thời gian của tháng (YYYY-MM) theo múi giờ kinh doanh
+	 */
+	getPeriod(period) {
+		if (!PERIOD_PATTERN.test(period || '')) {
+			throw createError('Period must be in YYYY-MM format');
+		}
+
+		const [year, month] = period.split('-').map((value) => parseInt(value, 10));
+		const timeZone = timezoneConfig.businessTimezone;
+		return {
+			start: zonedTimeToUtc({ year, month, day: 1 }, timeZone),
+			end: zonedTimeToUtc({ year, month: month + 1, day: 1 }, timeZone),
+		};
+	}
+
+	// Tháng hiện tại và tháng trước (YYYY-MM)
+	getMonthKeys(now = new Date()) {
+		const timeZone = timezoneConfig.businessTimezone;
+		const { year, month } = getZonedParts(now, timeZone);
+		return {
+			current: formatDateKey(zonedTimeToUtc({ year, month, day: 1 }, timeZone), timeZone).slice(0, 7),
+			previous: formatDateKey(zonedTimeToUtc({ year, month: month - 1, day: 1 }, timeZone), timeZone).slice(0, 7),
+		};
+	}
+
+	/**
+	 * Chuyến corporate hoàn thành: ghi nhận payment tính tiền cho tổ chức (đưa vào hóa đơn tháng)
+	 * Đánh dấu paidAt có điều kiện trước nên gọi lại nhiều lần cũng chỉ tạo một payment
+	 */
+	async chargeTrip(trip) {
+		if (
+			trip.paymentMethod !== 'corporate' ||
+			!trip.organization ||
+			trip.status !== 'completed' ||
+			trip.price <= 0
+		) {
+			return [];
+		}
+
+		const now = new Date();
+		const claimed = await Trip.updateOne(
+			{ _id: trip._id, paymentMethod: 'corporate', paidAt: null },
+			{ $set: { paidAt: now } }
+		);
+
+		if (claimed.modifiedCount === 0) {
+			return [];
+		}
+
+		let payment;
+		try {
+			payment = await Payment.create({
+				user: trip.requestedBy,
+				trip: trip._id,
+				organization: trip.organization,
+				amount: trip.price,
+				currency: trip.currency,
+				provider: 'corporate',
+				txnRef: `CORP${Date.now()}${Math.floor(Math.random() * 1000)}`,
+				orderInfo: `Chuyen di ${describeRoute(trip)} (tinh tien cho to chuc)`,
+				status: 'completed',
+				completedAt: now,
+				expiredAt: now,
+			});
+		} catch (error) {
+			await Trip.updateOne({ _id: trip._id }, { $unset: { paidAt: 1 } });
+			throw error;
+		}
+
+		trip.paidAt = now;
+
+		await Notification.create({
+			recipient: trip.requestedBy,
+			title: 'Trip Billed To Organization',
+			message: `${trip.price.toLocaleString('vi-VN')} ${trip.currency} for your completed trip has been billed to your organization.`,
+			type: 'payment_received',
+			relatedId: trip._id,
+			relatedModel: 'Trip',
+		});
+
+		return [payment];
+	}
+
+	/**
+	 * Hoàn tiền payment corporate: giảm trừ trên hóa đơn tháng (cùng format kết quả với refund() của payment gateway)
+	 * Payment đã vào hóa đơn thì không giảm trừ được nữa
+	 */
+	async refundPayment(payment) {
+		const current = await Payment.findById(payment._id).select('invoice');
+		if (current.invoice) {
+			throw createError('This trip has already been invoiced to the organization');
+		}
+
+		return {
+			success: true,
+			responseCode: '00',
+			message: 'Deducted from the organization billing',
+			rawData: { organization: payment.organization },
+		};
+	}
+
+	/**
+	 * Lập hóa đơn tổng hợp tháng cho tổ chức từ các payment corporate chưa vào hóa đơn
+	 * Tạo hóa đơn trước (unique theo tổ chức + tháng) rồi mới gắn payment vào để hai lần lập đồng thời không trùng
+	 */
+	async generateInvoice(organizationId, { period, createdBy, now = new Date() } = {}) {
+		const organization = await organizationService.getOrganization(organizationId);
+		const { start, end } = this.getPeriod(period);
+
+		if (end > now) {
+			throw createError('Invoices can only be issued for months that have ended');
+		}
+
+		const existing = await CorporateInvoice.findOne({ organization: organization._id, period });
+		if (existing) {
+			throw createError(`An invoice for ${period} has already been issued (${existing.invoiceNumber})`, 409);
+		}
+
+		let invoice;
+		try {
+			invoice = await CorporateInvoice.create({
+				organization: organization._id,
+				invoiceNumber: `INV${period.replace('-', '')}${organization._id.toString().slice(-6).toUpperCase()}`,
+				period,
+				periodStart: start,
+				periodEnd: end,
+				currency: organization.currency,
+				vatPercent: receiptConfig.vatPercent,
+				billingInfo: {
+					name: organization.name,
+					taxCode: organization.taxCode,
+					billingEmail: organization.billingEmail,
+					billingAddress: organization.billingAddress,
+				},
+				createdBy,
+			});
+		} catch (error) {
+			if (error.code === 11000) {
+				throw createError(`An invoice for ${period} has already been issued`, 409);
+			}
+			throw error;
+		}
+
+		await Payment.updateMany(
+			{
+				provider: 'corporate',
+				organization: organization._id,
+				invoice: null,
+				completedAt: { $gte: start, $lt: end },
+			},
+			{ $set: { invoice: invoice._id } }
+		);
+
+		const [totals] = await Payment.aggregate([
+			{ $match: { invoice: invoice._id } },
+			{
+				$group: {
+					_id: null,
+					tripCount: { $sum: 1 },
+					grossAmount: { $sum: '$amount' },
+					refundedAmount: { $sum: '$refundedAmount' },
+				},
+			},
+		]);
+
+		if (!totals) {
+			await CorporateInvoice.deleteOne({ _id: invoice._id });
+			throw createError(`There are no corporate trips to invoice for ${period}`);
+		}
+
+		const totalAmount = totals.grossAmount - totals.refundedAmount;
+		const amountBeforeVat = Math.round(totalAmount / (1 + receiptConfig.vatPercent / 100));
+
+		invoice.tripCount = totals.tripCount;
+		invoice.grossAmount = totals.grossAmount;
+		invoice.refundedAmount = totals.refundedAmount;
+		invoice.totalAmount = totalAmount;
+		invoice.amountBeforeVat = amountBeforeVat;
+		invoice.vatAmount = totalAmount - amountBeforeVat;
+		await invoice.save();
+
+		const admins = organization.members.filter((member) => member.role === 'admin' && member.status === 'active');
+		for (const admin of admins) {
+			await Notification.create({
+				recipient: admin.user,
+				title: 'Monthly Invoice Issued',
+				message: `Invoice ${invoice.invoiceNumber} for ${period}: ${invoice.tripCount} trip(s), ${totalAmount.toLocaleString('vi-VN')} ${invoice.currency}.`,
+				type: 'system',
+				metadata: { organizationId: organization._id, invoiceId: invoice._id },
+			});
+		}
+
+		return invoice;
+	}
+
+	/**
+	 * Lập hóa đơn tháng trước cho mọi tổ chức còn chuyến chưa vào hóa đơn (job chạy định kỳ)
+	 */
+	async generateMonthlyInvoices({ now = new Date() } = {}) {
+		const period = this.getMonthKeys(now).previous;
+		const { start, end } = this.getPeriod(period);
+
+		const organizationIds = await Payment.distinct('organization', {
+			provider: 'corporate',
+			invoice: null,
+			completedAt: { $gte: start, $lt: end },
+		});
+
+		let issued = 0;
+		for (const organizationId of organizationIds) {
+			if (await CorporateInvoice.exists({ organization: organizationId, period })) {
+				// Payment hoàn tất muộn sau khi đã lập hóa đơn: cần admin xử lý
+				console.warn(`⚠️ Organization ${organizationId} has uninvoiced corporate trips in ${period}`);
+				continue;
+			}
+
+			try {
+				await this.generateInvoice(organizationId, { period, now });
+				issued += 1;
+			} catch (error) {
+				console.error(
+					`❌ Could not issue the ${period} invoice for organization ${organizationId}:`,
+					error.message
+				);
+			}
+		}
+
+		return issued > 0 ? { period, issued } : null;
+	}
+
+	async getInvoices({ organizationId, status, page, limit }) {
+		const query = {};
+		if (organizationId) {
+			query.organization = organizationId;
+		}
+		if (status) {
+			query.status = status;
+		}
+
+		const [invoices, total] = await Promise.all([
+			CorporateInvoice.find(query)
+				.populate('organization', 'name')
+				.sort({ period: -1, createdAt: -1 })
+				.skip((page - 1) * limit)
+				.limit(limit),
+			CorporateInvoice.countDocuments(query),
+		]);
+		return { invoices, total };
+	}
+
+	/**
+	 * Hóa đơn kèm danh sách chuyến (theo payment) của hóa đơn
+	 */
+	async getInvoice(invoiceId) {
+		const invoice = await CorporateInvoice.findById(invoiceId);
+		if (!invoice) {
+			throw createError('Invoice not found', 404);
+		}
+
+		const payments = await this.findPayments({ invoice: invoice._id });
+		return { ...invoice.toObject(), items: payments.map((payment) => this.toUsageRow(payment)) };
+	}
+
+	/**
+	 * Admin nền tảng xác nhận tổ chức đã thanh toán hóa đơn
+	 */
+	async markInvoicePaid(invoiceId, { paymentReference } = {}) {
+		const invoice = await CorporateInvoice.findOneAndUpdate(
+			{ _id: invoiceId, status: 'issued' },
+			{ $set: { status: 'paid', paidAt: new Date(), paymentReference } },
+			{ new: true }
+		);
+
+		if (!invoice) {
+			if (!(await CorporateInvoice.exists({ _id: invoiceId }))) {
+				throw createError('Invoice not found', 404);
+			}
+			throw createError('This invoice has already been paid');
+		}
+
+		return invoice;
+	}
+
+	findPayments(query) {
+		return Payment.find({ provider: 'corporate', ...query })
+			.populate('user', 'fullName phone email')
+			.populate({
+				path: 'trip',
+				select: 'startLocation endLocation departureTime actualArrivalTime routeInfo vehicleTypeUsed driver',
+				populate: { path: 'driver', select: 'fullName vehicle.licensePlate' },
+			})
+			.populate('invoice', 'invoiceNumber')
+			.sort({ completedAt: 1 });
+	}
+
+	toUsageRow(payment) {
+		const trip = payment.trip || {};
+		const driver = trip.driver || {};
+		return {
+			paymentId: payment._id,
+			tripId: trip._id,
+			completedAt: payment.completedAt,
+			employee: payment.user && {
+				_id: payment.user._id,
+				fullName: payment.user.fullName,
+				phone: payment.user.phone,
+			},
+			from: trip.startLocation && trip.startLocation.address,
+			to: trip.endLocation && trip.endLocation.address,
+			distanceKm: trip.routeInfo && trip.routeInfo.distanceKm,
+			vehicleType: trip.vehicleTypeUsed,
+			driver: driver.fullName,
+			licensePlate: driver.vehicle && driver.vehicle.licensePlate,
+			amount: payment.amount,
+			refundedAmount: payment.refundedAmount || 0,
+			netAmount: payment.amount - (payment.refundedAmount || 0),
+			invoiceNumber: payment.invoice && payment.invoice.invoiceNumber,
+			txnRef: payment.txnRef,
+		};
+	}
+
+	/**
+	 * Báo cáo sử dụng của tổ chức trong tháng (mặc định tháng hiện tại)
+	 */
+	async getUsage(organizationId, { period } = {}) {
+		const usagePeriod = period || this.getMonthKeys().current;
+		const { start, end } = this.getPeriod(usagePeriod);
+
+		const payments = await this.findPayments({
+			organization: organizationId,
+			completedAt: { $gte: start, $lt: end },
+		});
+		const rows = payments.map((payment) => this.toUsageRow(payment));
+
+		return {
+			period: usagePeriod,
+			tripCount: rows.length,
+			totalAmount: rows.reduce((sum, row) => sum + row.netAmount, 0),
+			rows,
+		};
+	}
+
+	/**
+	 * Báo cáo sử dụng dạng CSV (UTF-8 có BOM để mở được bằng Excel)
+	 */
+	async exportUsageCsv(organizationId, { period } = {}) {
+		const usage = await this.getUsage(organizationId, { period });
+		const timeZone = timezoneConfig.businessTimezone;
+
+		const header = [
+			'Date',
+			'Employee',
+			'Phone',
+			'From',
+			'To',
+			'Distance (km)',
+			'Vehicle type',
+			'Driver',
+			'License plate',
+			'Amount',
+			'Refunded',
+			'Net amount',
+			'Invoice',
+			'Reference',
+		];
+		const rows = usage.rows.map((row) => [
+			formatDateKey(row.completedAt, timeZone),
+			row.employee && row.employee.fullName,
+			row.employee && row.employee.phone,
+			row.from,
+			row.to,
+			row.distanceKm,
+			row.vehicleType,
+			row.driver,
+			row.licensePlate,
+			row.amount,
+			row.refundedAmount,
+			row.netAmount,
+			row.invoiceNumber,
+			row.txnRef,
+		]);
+
+		return {
+			filename: `usage-${organizationId}-${usage.period}.csv`,
+			content: `\uFEFF${[header, ...rows].map((row) => row.map(csvCell).join(',')).join('\r\n')}\r\n`,
+		};
+	}
+}
+
+module.exports = new CorporateBillingService();
@@ -0,0 +1,204 @@
+const Trip = require('../models/Trip');
+const Notification = require('../models/Notification');
+const driverAvailabilityService = require('./driverAvailabilityService');
+const realtimeService = require('./realtimeService');
+const dispatchConfig = require('../config/dispatch');
+const { calculateDistance, getVehicleTypeFromVehicle } = require('../utils/priceCalculator');
+const { fromGeoPoint } = require('../utils/routeMatcher');
+
+// Số booking xử lý tối đa mỗi lần chạy job
+const BATCH_SIZE = 100;
+
+const round = (value, precision = 1) => Math.round(value * 10 ** precision) / 10 ** precision;
+
+// Số ghế chở khách của xe (số chỗ trừ ghế driver)
+const getPassengerCapacity = (vehicle = {}) => Math.max((vehicle.seats || 1) - 1, 1);
+
+class DispatchService {
+	/**
+	 * Bán kính của đợt thứ wave (bắt đầu từ 1), nới rộng dần tới maxRadiusKm
+	 */
+	getWaveRadius(wave) {
+		return Math.min(
+			dispatchConfig.initialRadiusKm + dispatchConfig.radiusStepKm * (wave - 1),
+			dispatchConfig.maxRadiusKm
+		);
+	}
+
+	/**
+	 * Driver nhận được booking: đúng loại xe passenger muốn và đủ ghế
+	 */
+	matchesTrip(driver, trip) {
+		const vehicle = driver.vehicle || {};
+		return (
+			Boolean(vehicle.licensePlate) &&
+			getVehicleTypeFromVehicle(vehicle) === trip.preferredVehicleType &&
+			getPassengerCapacity(vehicle) >= trip.availableSeats
+		);
+	}
+
+	/**
+	 * Bắt đầu gửi booking request mới tới driver gần điểm đón, đợt đầu gửi ngay
+	 * Lỗi khi gửi không làm hỏng việc tạo booking (job sẽ gửi đợt tiếp theo)
+	 */
+	async startDispatch(trip) {
+		if (!dispatchConfig.enabled || trip.tripType === 'offer' || trip.status !== 'pending_driver') {
+			return null;
+		}
+
+		const now = new Date();
+		const started = await Trip.findOneAndUpdate(
+			{ _id: trip._id, status: 'pending_driver', 'dispatch.status': null },
+			{
+				$set: {
+					dispatch: { status: 'active', wave: 0, notifiedDrivers: [], startedAt: now, nextWaveAt: now },
+				},
+			},
+			{ new: true }
+		);
+
+		if (!started) {
+			return null;
+		}
+
+		try {
+			return await this.runWave(started, now);
+		} catch (error) {
+			console.error(`❌ Dispatch of trip ${trip._id} failed:`, error.message);
+			return null;
+		}
+	}
+
+	/**
+	 * Gửi một đợt: nhận đợt (có điều kiện, job chạy song song không gửi trùng), chọn driver gần nhất chưa được báo rồi thông báo
+	 * Trả về null nếu booking không còn chờ driver hoặc đợt đã được gửi
+	 */
+	async runWave(trip, now = new Date()) {
+		const wave = trip.dispatch.wave + 1;
+		const radiusKm = this.getWaveRadius(wave);
+		const isLastWave = wave >= dispatchConfig.maxWaves;
+
+		const claimed = await Trip.findOneAndUpdate(
+			{
+				_id: trip._id,
+				status: 'pending_driver',
+				'dispatch.status': 'active',
+				'dispatch.wave': trip.dispatch.wave,
+			},
+			{
+				$set: {
+					'dispatch.wave': wave,
+					'dispatch.radiusKm': radiusKm,
+					'dispatch.lastWaveAt': now,
+					'dispatch.nextWaveAt': isLastWave
+						? null
+						: new Date(now.getTime() + dispatchConfig.waveIntervalSeconds * 1000),
+					...(isLastWave && { 'dispatch.status': 'exhausted' }),
+				},
+			},
+			{ new: true }
+		);
+
+		if (!claimed) {
+			await this.stopDispatch(trip._id);
+			return null;
+		}
+
+		const pickup = fromGeoPoint(claimed.startLocation.coordinates);
+		const excludeIds = [
+			claimed.requestedBy,
+			...claimed.dispatch.notifiedDrivers,
+			...claimed.driverRequests.map((request) => request.driver),
+		];
+		// Lọc loại xe và số ghế sau khi query nên lấy dư ra
+		const candidates = await driverAvailabilityService.findOnlineDrivers(pickup, {
+			radiusKm,
+			excludeIds,
+			limit: dispatchConfig.driversPerWave * 4,
+		});
+		const drivers = candidates
+			.filter((driver) => this.matchesTrip(driver, claimed))
+			.slice(0, dispatchConfig.driversPerWave);
+
+		if (drivers.length > 0) {
+			await Trip.updateOne(
+				{ _id: claimed._id },
+				{ $addToSet: { 'dispatch.notifiedDrivers': { $each: drivers.map((driver) => driver._id) } } }
+			);
+		}
+
+		for (const driver of drivers) {
+			const [lng, lat] = driver.availability.location.coordinates;
+			const distanceKm = round(calculateDistance({ lat, lng }, pickup));
+
+			await Notification.create({
+				recipient: driver._id,
+				title: 'New Booking Request Nearby',
+				message: `A passenger ${distanceKm} km away needs a ride from ${claimed.startLocation.address} to ${claimed.endLocation.address}.`,
+				type: 'trip_request',
+				relatedId: claimed._id,
+				relatedModel: 'Trip',
+				metadata: { dispatchWave: wave, distanceKm },
+			});
+
+			realtimeService.emitToUser(driver._id, 'trip:booking_request', {
+				tripId: claimed._id,
+				from: claimed.startLocation.address,
+				to: claimed.endLocation.address,
+				departureTime: claimed.departureTime,
+				preferredVehicleType: claimed.preferredVehicleType,
+				availableSeats: claimed.availableSeats,
+				maxPrice: claimed.maxPrice,
+				paymentMethod: claimed.paymentMethod,
+				distanceKm,
+				wave,
+			});
+		}
+
+		return { wave, radiusKm, driversNotified: drivers.length, status: claimed.dispatch.status };
+	}
+
+	/**
+	 * Dừng gửi khi booking không còn chờ driver (driver được chấp nhận, booking bị hủy hoặc hết hạn)
+	 */
+	async stopDispatch(tripId) {
+		return Trip.updateOne(
+			{ _id: tripId, status: { $ne: 'pending_driver' }, 'dispatch.status': 'active' },
+			{ $set: { 'dispatch.status': 'stopped', 'dispatch.stoppedAt': new Date(), 'dispatch.nextWaveAt': null } }
+		);
+	}
+
+	/**
+	 * Job: gửi các đợt đã đến giờ
+	 */
+	async runDueWaves(now = new Date()) {
+		const trips = await Trip.find({ 'dispatch.status': 'active', 'dispatch.nextWaveAt': { $lte: now } })
+			.sort({ 'dispatch.nextWaveAt': 1 })
+			.limit(BATCH_SIZE);
+
+		let waves = 0;
+		let driversNotified = 0;
+		let stopped = 0;
+		for (const trip of trips) {
+			if (trip.status !== 'pending_driver') {
+				const result = await this.stopDispatch(trip._id);
+				stopped += result.modifiedCount;
+				continue;
+			}
+
+			try {
+				const result = await this.runWave(trip, now);
+				if (result) {
+					waves += 1;
+					driversNotified += result.driversNotified;
+				}
+			} catch (error) {
+				console.error(`❌ Dispatch wave for trip ${trip._id} failed:`, error.message);
+			}
+		}
+
+		return { checked: trips.length, waves, driversNotified, stopped };
+	}
+}
+
+module.exports = new DispatchService();
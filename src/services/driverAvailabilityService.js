@@ -0,0 +1,238 @@
+const User = require('../models/User');
+const Trip = require('../models/Trip');
+const availabilityConfig = require('../config/availability');
+const { VEHICLE_TYPES, calculateDistance, getVehicleTypeFromVehicle } = require('../utils/priceCalculator');
+
+const DRIVER_ROLES = ['driver', 'both'];
+// Trạng thái driver tự chọn; busy do hệ thống đặt khi driver có chuyến đang chạy
+const SELECTABLE_STATUSES = ['online', 'offline'];
+
+const createError = (message, statusCode = 400) => {
+	const error = new Error(message);
+	error.statusCode = statusCode;
+	return error;
+};
+
+const round = (value, precision = 2) => Math.round(value * 10 ** precision) / 10 ** precision;
+
+const parseCoordinate = (value, min, max) => {
+	if (value === undefined || value === null || value === '') return undefined;
+	const number = Number(value);
+	return Number.isFinite(number) && number >= min && number <= max ? number : null;
+};
+
+// { lat, lng } hợp lệ, undefined nếu không gửi, lỗi 400 nếu sai
+const parsePoint = ({ lat, lng } = {}) => {
+	const parsedLat = parseCoordinate(lat, -90, 90);
+	const parsedLng = parseCoordinate(lng, -180, 180);
+	if (parsedLat === undefined && parsedLng === undefined) {
+		return undefined;
+	}
+	if (parsedLat === undefined || parsedLng === undefined || parsedLat === null || parsedLng === null) {
+		throw createError('Please provide a valid location (lat between -90 and 90, lng between -180 and 180)');
+	}
+	return { lat: parsedLat, lng: parsedLng };
+};
+
+const toGeoPoint = (point) => ({ type: 'Point', coordinates: [point.lng, point.lat] });
+
+const formatAvailability = (user) => {
+	const availability = user.availability || {};
+	const coordinates = availability.location && availability.location.coordinates;
+	return {
+		status: availability.status || 'offline',
+		location: coordinates && coordinates.length === 2 ? { lat: coordinates[1], lng: coordinates[0] } : null,
+		lastSeenAt: availability.lastSeenAt,
+		statusChangedAt: availability.statusChangedAt,
+	};
+};
+
+class DriverAvailabilityService {
+	async getDriver(userId) {
+		const user = await User.findById(userId).select('role vehicle availability');
+		if (!user || !DRIVER_ROLES.includes(user.role)) {
+			throw createError('Only drivers can access this endpoint', 403);
+		}
+		return user;
+	}
+
+	async getAvailability(userId) {
+		return formatAvailability(await this.getDriver(userId));
+	}
+
+	/**
+	 * Driver bật/tắt nhận chuyến và/hoặc cập nhật vị trí hiện tại
+	 * Khi đang busy (có chuyến đang chạy) chỉ cập nhật được vị trí, trạng thái tự đổi khi chuyến kết thúc
+	 */
+	async updateAvailability(userId, { status, lat, lng }) {
+		const user = await this.getDriver(userId);
+		const point = parsePoint({ lat, lng });
+		const current = (user.availability && user.availability.status) || 'offline';
+
+		if (status !== undefined && !SELECTABLE_STATUSES.includes(status)) {
+			throw createError(`Status must be one of: ${SELECTABLE_STATUSES.join(', ')}`);
+		}
+
+		if (status && status !== current && current === 'busy') {
+			throw createError('You have a trip in progress. Your status changes automatically when the trip ends');
+		}
+
+		if (status === 'online' && current !== 'online') {
+			if (!user.vehicle || !user.vehicle.licensePlate) {
+				throw createError('Please complete your vehicle information first');
+			}
+			if (!point) {
+				throw createError('Please provide your current location (lat, lng) to go online');
+			}
+		}
+
+		if (!status && !point) {
+			throw createError('Please provide a status or a location');
+		}
+
+		const now = new Date();
+		const update = {};
+		if (status && status !== current) {
+			update['availability.status'] = status;
+			update['availability.statusChangedAt'] = now;
+		}
+		if (point) {
+			update['availability.location'] = toGeoPoint(point);
+			update['availability.lastSeenAt'] = now;
+		}
+
+		const updated = await User.findByIdAndUpdate(userId, { $set: update }, { new: true }).select('availability');
+		return formatAvailability(updated);
+	}
+
+	/**
+	 * Vị trí mới của driver từ GPS trong chuyến (không đổi trạng thái)
+	 */
+	async touchLocation(driverId, point) {
+		await User.updateOne(
+			{ _id: driverId },
+			{ $set: { 'availability.location': toGeoPoint(point), 'availability.lastSeenAt': new Date() } }
+		);
+	}
+
+	/**
+	 * Đồng bộ trạng thái busy theo chuyến: busy khi có chuyến in_progress, quay lại online khi hết chuyến đang chạy
+	 * Gọi sau mỗi lần trạng thái chuyến của driver thay đổi
+	 */
+	async syncTripStatus(driverId) {
+		if (!driverId) {
+			return null;
+		}
+
+		const now = new Date();
+		const hasTripInProgress = await Trip.exists({ driver: driverId, status: 'in_progress' });
+
+		if (hasTripInProgress) {
+			return User.updateOne(
+				{ _id: driverId, 'availability.status': { $ne: 'busy' } },
+				{ $set: { 'availability.status': 'busy', 'availability.statusChangedAt': now } }
+			);
+		}
+
+		return User.updateOne(
+			{ _id: driverId, 'availability.status': 'busy' },
+			{
+				$set: {
+					'availability.status': 'online',
+					'availability.statusChangedAt': now,
+					'availability.lastSeenAt': now,
+				},
+			}
+		);
+	}
+
+	/**
+	 * Driver online (còn gửi vị trí trong offlineAfterMinutes) trong bán kính quanh điểm { lat, lng }, gần nhất trước
+	 */
+	async findOnlineDrivers(point, { radiusKm, excludeIds = [], limit }) {
+		const seenAfter = new Date(Date.now() - availabilityConfig.offlineAfterMinutes * 60 * 1000);
+
+		return User.find({
+			_id: { $nin: excludeIds.filter(Boolean) },
+			role: { $in: DRIVER_ROLES },
+			isActive: true,
+			'availability.status': 'online',
+			'availability.lastSeenAt': { $gte: seenAfter },
+			'availability.location': {
+				$nearSphere: { $geometry: toGeoPoint(point), $maxDistance: radiusKm * 1000 },
+			},
+		})
+			.select('fullName avatar rating vehicle availability')
+			.limit(limit);
+	}
+
+	/**
+	 * Driver online gần passenger, sắp xếp theo khoảng cách
+	 */
+	async getNearbyDrivers({ lat, lng, radiusKm, vehicleType, limit, excludeUserId } = {}) {
+		const point = parsePoint({ lat, lng });
+		if (!point) {
+			throw createError('Please provide your location (lat, lng)');
+		}
+
+		if (vehicleType && !VEHICLE_TYPES[vehicleType]) {
+			throw createError(`Invalid vehicle type. Available types: ${Object.keys(VEHICLE_TYPES).join(', ')}`);
+		}
+
+		const radius = Math.min(
+			parseFloat(radiusKm) > 0 ? parseFloat(radiusKm) : availabilityConfig.nearbyRadiusKm,
+			availabilityConfig.maxNearbyRadiusKm
+		);
+		const maxResults = Math.min(parseInt(limit, 10) || 20, availabilityConfig.maxNearbyResults);
+		// Lọc loại xe sau khi query (loại xe suy ra từ thông tin xe), nên lấy dư ra
+		const drivers = await this.findOnlineDrivers(point, {
+			radiusKm: radius,
+			excludeIds: [excludeUserId],
+			limit: vehicleType ? availabilityConfig.maxNearbyResults * 4 : maxResults,
+		});
+
+		const results = drivers
+			.map((driver) => ({ driver, type: getVehicleTypeFromVehicle(driver.vehicle || {}) }))
+			.filter(({ type }) => !vehicleType || type === vehicleType)
+			.slice(0, maxResults)
+			.map(({ driver, type }) => {
+				const { location, lastSeenAt } = formatAvailability(driver);
+				return {
+					_id: driver._id,
+					fullName: driver.fullName,
+					avatar: driver.avatar,
+					rating: driver.rating && driver.rating.asDriver ? driver.rating.asDriver.average : 0,
+					vehicle: {
+						type,
+						brand: driver.vehicle && driver.vehicle.brand,
+						model: driver.vehicle && driver.vehicle.model,
+						color: driver.vehicle && driver.vehicle.color,
+						seats: driver.vehicle && driver.vehicle.seats,
+					},
+					location,
+					distanceKm: round(calculateDistance(point, location)),
+					lastSeenAt,
+				};
+			});
+
+		return { radiusKm: radius, count: results.length, drivers: results };
+	}
+
+	/**
+	 * Chuyển các driver online đã mất kết nối (không gửi vị trí) sang offline
+	 */
+	async markStaleDriversOffline(now = new Date()) {
+		const seenBefore = new Date(now.getTime() - availabilityConfig.offlineAfterMinutes * 60 * 1000);
+		const result = await User.updateMany(
+			{
+				'availability.status': 'online',
+				$or: [{ 'availability.lastSeenAt': { $lt: seenBefore } }, { 'availability.lastSeenAt': null }],
+			},
+			{ $set: { 'availability.status': 'offline', 'availability.statusChangedAt': now } }
+		);
+
+		return { markedOffline: result.modifiedCount };
+	}
+}
+
+module.exports = new DriverAvailabilityService();
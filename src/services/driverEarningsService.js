@@ -0,0 +1,230 @@
+const DriverEarning = require('../models/DriverEarning');
+const Payment = require('../models/Payment');
+const commissionConfig = require('../config/commission');
+const timezoneConfig = require('../config/timezone');
+const { addDays, getZonedParts, zonedTimeToUtc } = require('../utils/timezone');
+
+// Payment đã thu tiền (kể cả đã hoàn một phần/toàn bộ, phần hoàn được trừ ra)
+const PAID_STATUSES = ['completed', 'partially_refunded', 'refunded'];
+
+// Định dạng nhóm theo kỳ ($dateToString) và số kỳ mặc định của dashboard
+const PERIODS = {
+	daily: { format: '%Y-%m-%d', defaultDays: 30 },
+	weekly: { format: '%G-W%V', defaultDays: 12 * 7 },
+	monthly: { format: '%Y-%m', defaultDays: 365 },
+};
+
+const createError = (message, statusCode = 400) => {
+	const error = new Error(message);
+	error.statusCode = statusCode;
+	return error;
+};
+
+class DriverEarningsService {
+	/**
+	 * % hoa hồng nền tảng áp dụng cho chuyến (theo loại xe nếu có cấu hình riêng)
+	 */
+	getCommissionPercent(trip) {
+		const vehicleType = trip.vehicleTypeUsed || trip.preferredVehicleType;
+		const percent = commissionConfig.byVehicleType[vehicleType];
+		return percent === undefined ? commissionConfig.defaultPercent : percent;
+	}
+
+	/**
+	 * Tạo (hoặc tính lại) thu nhập của driver cho chuyến đã hoàn thành từ các payment của chuyến
+	 * Gọi lại được nhiều lần (hoàn thành chuyến, driver xác nhận thu tiền mặt, admin hoàn tiền):
+	 * thu nhập đã đưa vào đợt chi trả thì không thay đổi nữa
+	 */
+	async recordTripEarnings(trip) {
+		if (!trip.driver || trip.status !== 'completed') {
+			return null;
+		}
+
+		const payments = await Payment.find({
+			trip: trip._id,
+			purpose: { $ne: 'wallet_topup' },
+			status: { $in: PAID_STATUSES },
+		});
+
+		let onlineAmount = 0;
+		let cashAmount = 0;
+		let promoAmount = 0;
+		payments.forEach((payment) => {
+			const received = payment.amount - (payment.refundedAmount || 0);
+			if (payment.provider === 'cash') {
+				cashAmount += received;
+			} else {
+				onlineAmount += received;
+			}
+			// Giảm giá khuyến mãi do nền tảng chịu, tính theo tỉ lệ phần chưa bị hoàn
+			if (payment.discountAmount && payment.amount > 0) {
+				promoAmount += Math.round((payment.discountAmount * received) / payment.amount);
+			}
+		});
+
+		const grossAmount = onlineAmount + cashAmount + promoAmount;
+		const existing = await DriverEarning.findOne({ trip: trip._id });
+
+		if (existing && existing.status !== 'pending') {
+			if (existing.grossAmount !== grossAmount) {
+				console.warn(
+					`⚠️ Trip ${trip._id} payments changed after its earnings were paid out (${existing.grossAmount} → ${grossAmount})`
+				);
+			}
+			return existing;
+		}
+
+		if (!existing && grossAmount <= 0) {
+			return null;
+		}
+
+		const commissionPercent = this.getCommissionPercent(trip);
+		const commissionAmount = Math.round((grossAmount * commissionPercent) / 100);
+		const netAmount = grossAmount - commissionAmount;
+
+		try {
+			// Update có điều kiện: không ghi đè thu nhập vừa được đưa vào đợt chi trả
+			return await DriverEarning.findOneAndUpdate(
+				{ trip: trip._id, status: 'pending' },
+				{
+					$set: {
+						driver: trip.driver,
+						currency: trip.currency,
+						grossAmount,
+						onlineAmount,
+						cashAmount,
+						promoAmount,
+						commissionPercent,
+						commissionAmount,
+						netAmount,
+						payoutAmount: netAmount - cashAmount,
+						payments: payments.map((payment) => payment._id),
+					},
+					$setOnInsert: { earnedAt: trip.actualArrivalTime || new Date() },
+				},
+				{ new: true, upsert: true, setDefaultsOnInsert: true }
+			);
+		} catch (error) {
+			if (error.code === 11000) {
+				return DriverEarning.findOne({ trip: trip._id });
+			}
+			throw error;
+		}
+	}
+
+	/**
+	 * Khoảng thời gian của dashboard: mặc định từ đầu ngày (theo múi giờ kinh doanh) cách đây defaultDays ngày
+	 */
+	getRange(period, { from, to } = {}, now = new Date()) {
+		const timeZone = timezoneConfig.businessTimezone;
+		const { year, month, day } = getZonedParts(now, timeZone);
+		const today = zonedTimeToUtc({ year, month, day }, timeZone);
+
+		const start = from ? new Date(from) : addDays(today, -PERIODS[period].defaultDays + 1, timeZone);
+		const end = to ? new Date(to) : now;
+
+		if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || start >= end) {
+			throw createError('Invalid date range');
+		}
+
+		return { start, end };
+	}
+
+	/**
+	 * Dashboard thu nhập của driver theo ngày/tuần/tháng và số dư chờ chi trả
+	 */
+	async getDashboard(driverId, { period = 'daily', from, to } = {}) {
+		if (!PERIODS[period]) {
+			throw createError(`Period must be one of: ${Object.keys(PERIODS).join(', ')}`);
+		}
+
+		const { start, end } = this.getRange(period, { from, to });
+		const sums = {
+			trips: { $sum: 1 },
+			grossAmount: { $sum: '$grossAmount' },
+			commissionAmount: { $sum: '$commissionAmount' },
+			netAmount: { $sum: '$netAmount' },
+			cashAmount: { $sum: '$cashAmount' },
+			promoAmount: { $sum: '$promoAmount' },
+			payoutAmount: { $sum: '$payoutAmount' },
+		};
+
+		const [breakdown, totals, balances] = await Promise.all([
+			DriverEarning.aggregate([
+				{ $match: { driver: driverId, earnedAt: { $gte: start, $lt: end } } },
+				{
+					$group: {
+						_id: {
+							$dateToString: {
+								format: PERIODS[period].format,
+								date: '$earnedAt',
+								timezone: timezoneConfig.businessTimezone,
+							},
+						},
+						...sums,
+					},
+				},
+				{ $sort: { _id: 1 } },
+			]),
+			DriverEarning.aggregate([
+				{ $match: { driver: driverId, earnedAt: { $gte: start, $lt: end } } },
+				{ $group: { _id: null, ...sums } },
+			]),
+			// Số dư theo trạng thái chi trả, không giới hạn theo khoảng thời gian
+			DriverEarning.aggregate([
+				{ $match: { driver: driverId } },
+				{ $group: { _id: '$status', amount: { $sum: '$payoutAmount' } } },
+			]),
+		]);
+
+		const emptyTotals = {
+			trips: 0,
+			grossAmount: 0,
+			commissionAmount: 0,
+			netAmount: 0,
+			cashAmount: 0,
+			promoAmount: 0,
+			payoutAmount: 0,
+		};
+		const balanceByStatus = balances.reduce((map, row) => ({ ...map, [row._id]: row.amount }), {});
+		const summary = { ...emptyTotals, ...totals[0] };
+		delete summary._id;
+
+		return {
+			period,
+			from: start,
+			to: end,
+			timezone: timezoneConfig.businessTimezone,
+			summary,
+			balance: {
+				pending: balanceByStatus.pending || 0,
+				inPayout: balanceByStatus.in_payout || 0,
+				paidOut: balanceByStatus.paid_out || 0,
+			},
+			breakdown: breakdown.map(({ _id: key, ...row }) => ({ period: key, ...row })),
+		};
+	}
+
+	/**
+	 * Thu nhập theo từng chuyến của driver
+	 */
+	async getEarnings(driverId, { status, page, limit }) {
+		const query = { driver: driverId };
+		if (status) {
+			query.status = status;
+		}
+
+		const [earnings, total] = await Promise.all([
+			DriverEarning.find(query)
+				.populate('trip', 'startLocation endLocation departureTime actualArrivalTime tripType')
+				.sort({ earnedAt: -1 })
+				.skip((page - 1) * limit)
+				.limit(limit),
+			DriverEarning.countDocuments(query),
+		]);
+
+		return { earnings, total };
+	}
+}
+
+module.exports = new DriverEarningsService();
@@ -205,6 +205,74 @@ class EmailService {
 			return { success: true, messageId: `mock-fallback-${Date.now()}` };
 		}
 	}
+
+	async sendReceiptEmail(email, fullName, receipt, pdfBuffer) {
+		const filename = `receipt-${receipt.receiptNumber}.pdf`;
+		const total = `${receipt.fare.total.toLocaleString('vi-VN')} ${receipt.currency}`;
+
+		if (!this.useMailtrap) {
+			console.log('\n=== 📧 MOCK EMAIL - TRIP RECEIPT ===');
+			console.log('📮 To:', email);
+			console.log('👤 Name:', fullName);
+			console.log('🧾 Receipt:', receipt.receiptNumber);
+			console.log('💰 Total:', total);
+			console.log('📎 Attachment:', filename, `(${pdfBuffer.length} bytes)`);
+			console.log('===================================\n');
+			return { success: true, messageId: `mock-${Date.now()}` };
+		}
+
+		const mailOptions = {
+			from: '"Carpooling App" <test@carpooling.com>',
+			to: email,
+			subject: `Your trip receipt ${receipt.receiptNumber} - Carpooling App`,
+			html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <style>
+            .container { max-width: 600px; margin: 0 auto; font-family: Arial, sans-serif; }
+            .header { background-color: #2196F3; color: white; padding: 20px; text-align: center; }
+            .content { padding: 20px; background-color: #f9f9f9; }
+            .footer { padding: 20px; text-align: center; color: #666; font-size: 14px; }
+            .info { background-color: #E3F2FD; border: 1px solid #2196F3; padding: 15px; border-radius: 5px; margin: 15px 0; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>🧾 Trip Receipt</h1>
+            </div>
+            <div class="content">
+              <h2>Hi ${fullName}!</h2>
+              <p>Thank you for riding with us. Your receipt is attached to this email.</p>
+
+              <div class="info">
+                <strong>Receipt no.:</strong> ${receipt.receiptNumber}<br>
+                <strong>From:</strong> ${receipt.trip.from}<br>
+                <strong>To:</strong> ${receipt.trip.to}<br>
+                <strong>Total paid:</strong> ${total} (incl. ${receipt.fare.vatPercent}% VAT)
+              </div>
+            </div>
+            <div class="footer">
+              <p>© 2024 Carpooling App. All rights reserved.</p>
+              <p>Need help? Contact us at support@carpooling.com</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `,
+			attachments: [{ filename, content: pdfBuffer, contentType: 'application/pdf' }],
+		};
+
+		try {
+			const info = await this.transporter.sendMail(mailOptions);
+			console.log('✅ Receipt email sent:', info.messageId);
+			return { success: true, messageId: info.messageId };
+		} catch (error) {
+			console.error('❌ Receipt email error:', error);
+			throw error;
+		}
+	}
 }
 
 module.exports = new EmailService();
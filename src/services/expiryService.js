@@ -0,0 +1,165 @@
+const Payment = require('../models/Payment');
+const Trip = require('../models/Trip');
+const Notification = require('../models/Notification');
+const promoService = require('./promoService');
+const tripStateMachine = require('./tripStateMachine');
+
+// Số bản ghi xử lý tối đa mỗi lần chạy job
+const BATCH_SIZE = 200;
+
+class ExpiryService {
+	constructor() {
+		// Booking được giữ thêm một khoảng sau giờ khởi hành trước khi bị hủy tự động
+		this.graceMinutes = parseInt(process.env.BOOKING_EXPIRY_GRACE_MINUTES, 10) || 15;
+	}
+
+	getCutoff(now) {
+		return new Date(now.getTime() - this.graceMinutes * 60 * 1000);
+	}
+
+	/**
+	 * Payment pending quá expiredAt chuyển sang expired
+	 * Trip vẫn giữ trạng thái confirmed để passenger thanh toán lại; nếu đã quá giờ khởi hành thì trip bị hủy
+	 */
+	async expirePayments(now = new Date()) {
+		const stalePayments = await Payment.find({ status: 'pending', expiredAt: { $lte: now } })
+			.sort({ expiredAt: 1 })
+			.limit(BATCH_SIZE);
+
+		let expired = 0;
+		let tripsCancelled = 0;
+
+		for (const stale of stalePayments) {
+			// Update có điều kiện: IPN/return có thể vừa ghi nhận payment này
+			const payment = await Payment.findOneAndUpdate(
+				{ _id: stale._id, status: 'pending' },
+				{ $set: { status: 'expired', note: 'Payment expired before completion' } },
+				{ new: true }
+			);
+
+			if (!payment) {
+				continue;
+			}
+			expired += 1;
+
+			if (payment.promoCode) {
+				await promoService.releaseForPayment(payment);
+			}
+
+			const trip = await Trip.findById(payment.trip);
+			if (!trip) {
+				continue;
+			}
+
+			const cancelled =
+				trip.tripType !== 'offer' && trip.status === 'confirmed' && trip.departureTime <= this.getCutoff(now)
+					? await this.cancelTrip(trip, 'Payment was not completed before departure')
+					: false;
+
+			if (cancelled) {
+				tripsCancelled += 1;
+				continue;
+			}
+
+			await Notification.create({
+				recipient: payment.user,
+				title: 'Payment Expired',
+				message: `Your payment of ${payment.amount} VND for the trip from ${trip.startLocation.address} has expired. Please pay again to keep your booking.`,
+				type: 'payment_expired',
+				relatedId: trip._id,
+				relatedModel: 'Trip',
+			});
+		}
+
+		return { checked: stalePayments.length, expired, tripsCancelled };
+	}
+
+	/**
+	 * Booking request chưa có driver (hoặc đã có driver nhưng chưa thanh toán) quá giờ khởi hành bị hủy tự động
+	 * Yêu cầu đặt ghế chưa được driver trả lời trên chuyến offer đã khởi hành cũng bị hủy
+	 */
+	async expireBookings(now = new Date()) {
+		const cutoff = this.getCutoff(now);
+
+		// Booking tiền mặt/ví/tổ chức đã confirmed không chờ thanh toán online nên không bị hủy
+		const staleTrips = await Trip.find({
+			tripType: { $ne: 'offer' },
+			$or: [
+				{ status: 'pending_driver' },
+				{ status: 'confirmed', paymentMethod: { $nin: ['cash', 'wallet', 'corporate'] } },
+			],
+			departureTime: { $lte: cutoff },
+		})
+			.sort({ departureTime: 1 })
+			.limit(BATCH_SIZE);
+
+		let tripsCancelled = 0;
+		for (const trip of staleTrips) {
+			const reason =
+				trip.status === 'pending_driver'
+					? 'No driver accepted the booking before departure'
+					: 'Payment was not completed before departure';
+			if (await this.cancelTrip(trip, reason)) {
+				tripsCancelled += 1;
+			}
+		}
+
+		const seatRequestsExpired = await this.expireSeatRequests(cutoff);
+
+		return { checked: staleTrips.length, tripsCancelled, seatRequestsExpired };
+	}
+
+	/**
+	 * Hủy trip do hệ thống, trả về false nếu trip đã đổi trạng thái
+	 */
+	async cancelTrip(trip, reason) {
+		// Hoàn tiền đã trả (vd: phần chia tiền đã thanh toán) và thông báo cho passenger, driver do tripStateMachine xử lý
+		const result = await tripStateMachine.transitionAtomically(trip, 'cancelled', { actorRole: 'system', reason });
+		return Boolean(result);
+	}
+
+	/**
+	 * Hủy các yêu cầu đặt ghế còn pending trên chuyến offer đã quá giờ khởi hành
+	 */
+	async expireSeatRequests(cutoff) {
+		const trips = await Trip.find({
+			tripType: 'offer',
+			departureTime: { $lte: cutoff },
+			passengers: { $elemMatch: { status: 'pending' } },
+		}).limit(BATCH_SIZE);
+
+		let expired = 0;
+		for (const trip of trips) {
+			const pendingPassengers = trip.passengers.filter((passenger) => passenger.status === 'pending');
+
+			await Trip.updateOne(
+				{ _id: trip._id },
+				{
+					$set: {
+						'passengers.$[passenger].status': 'cancelled',
+						'passengers.$[passenger].responseMessage': 'Request expired before the driver responded',
+						'passengers.$[passenger].updatedAt': new Date(),
+					},
+				},
+				{ arrayFilters: [{ 'passenger.status': 'pending' }] }
+			);
+
+			for (const passenger of pendingPassengers) {
+				await Notification.create({
+					recipient: passenger.user,
+					title: 'Seat Request Expired',
+					message: `Your seat request for the trip from ${trip.startLocation.address} expired because the driver did not respond before departure.`,
+					type: 'booking_expired',
+					relatedId: trip._id,
+					relatedModel: 'Trip',
+				});
+			}
+
+			expired += pendingPassengers.length;
+		}
+
+		return expired;
+	}
+}
+
+module.exports = new ExpiryService();
@@ -0,0 +1,341 @@
+const Trip = require('../models/Trip');
+const User = require('../models/User');
+const Payment = require('../models/Payment');
+const Notification = require('../models/Notification');
+const refundService = require('./refundService');
+const tripStateMachine = require('./tripStateMachine');
+
+const SPLIT_MODES = ['equal', 'custom'];
+
+const createError = (message, statusCode = 400) => {
+	const error = new Error(message);
+	error.statusCode = statusCode;
+	return error;
+};
+
+// Chuẩn hóa số điện thoại về dạng lưu trong User (0xxxxxxxxx)
+const normalizePhone = (phone) => {
+	const digits = String(phone || '').replace(/\D/g, '');
+	return digits.startsWith('84') && digits.length >= 11 ? `0${digits.slice(2)}` : digits;
+};
+
+const isSameUser = (a, b) => (a._id || a).toString() === (b._id || b).toString();
+
+class FareSplitService {
+	hasSplit(trip) {
+		return Boolean(trip.fareSplit && trip.fareSplit.shares && trip.fareSplit.shares.length > 0);
+	}
+
+	/**
+	 * Requester mời người đi cùng (theo số điện thoại) chia tiền chuyến
+	 * equal: chia đều cho requester và người được mời (phần lẻ tính vào requester)
+	 * custom: shares = [{ phone, amount }], requester trả phần còn lại
+	 */
+	async createSplit(trip, requesterId, { mode = 'equal', phones = [], shares = [] } = {}) {
+		if (trip.tripType === 'offer') {
+			throw createError('Seats on a trip offer are already paid separately by each passenger');
+		}
+
+		if (!isSameUser(trip.requestedBy, requesterId)) {
+			throw createError('Only the trip requester can split the fare', 403);
+		}
+
+		if (trip.status !== 'confirmed') {
+			throw createError(
+				'The fare can only be split after a driver has accepted the booking and before it is paid'
+			);
+		}
+
+		if (trip.paymentMethod !== 'online') {
+			throw createError('Only bookings paid online can be split');
+		}
+
+		if (!SPLIT_MODES.includes(mode)) {
+			throw createError(`Split mode must be one of: ${SPLIT_MODES.join(', ')}`);
+		}
+
+		const invites = mode === 'equal' && Array.isArray(phones) ? phones.map((phone) => ({ phone })) : shares;
+		if (!Array.isArray(invites) || invites.length === 0) {
+			throw createError(
+				mode === 'equal'
+					? 'Please provide the phone numbers to split with'
+					: 'Please provide the shares to split'
+			);
+		}
+
+		const normalized = invites.map((invite) => ({ ...invite, phone: normalizePhone(invite.phone) }));
+		const uniquePhones = [...new Set(normalized.map((invite) => invite.phone))];
+		if (uniquePhones.length !== normalized.length) {
+			throw createError('Each co-rider can only be invited once');
+		}
+
+		if (normalized.length + 1 > trip.availableSeats) {
+			throw createError(
+				`This booking has ${trip.availableSeats} seat(s), so the fare can be split with at most ${trip.availableSeats - 1} co-rider(s)`
+			);
+		}
+
+		const users = await User.find({ phone: { $in: uniquePhones } }).select('fullName phone');
+		const usersByPhone = new Map(users.map((user) => [user.phone, user]));
+
+		const missing = uniquePhones.filter((phone) => !usersByPhone.has(phone));
+		if (missing.length > 0) {
+			throw createError(`No registered user found for phone number(s): ${missing.join(', ')}`, 404);
+		}
+
+		const coRiders = normalized.map((invite) => ({ ...invite, user: usersByPhone.get(invite.phone) }));
+		if (
+			coRiders.some(
+				({ user }) => isSameUser(user, trip.requestedBy) || (trip.driver && isSameUser(user, trip.driver))
+			)
+		) {
+			throw createError('The requester and the driver cannot be invited as co-riders');
+		}
+
+		let requesterAmount;
+		if (mode === 'equal') {
+			const shareAmount = Math.floor(trip.price / (coRiders.length + 1));
+			coRiders.forEach((coRider) => {
+				coRider.amount = shareAmount;
+			});
+			requesterAmount = trip.price - shareAmount * coRiders.length;
+		} else {
+			if (coRiders.some(({ amount }) => !Number.isInteger(Number(amount)) || Number(amount) <= 0)) {
+				throw createError('Each share amount must be a positive whole number');
+			}
+			coRiders.forEach((coRider) => {
+				coRider.amount = Number(coRider.amount);
+			});
+			requesterAmount = trip.price - coRiders.reduce((sum, { amount }) => sum + amount, 0);
+			if (requesterAmount < 0) {
+				throw createError(`Shares cannot exceed the trip price of ${trip.price} ${trip.currency}`);
+			}
+		}
+
+		// Không chia lại khi đã có người thanh toán (hoặc đang thanh toán) cho chuyến
+		const activePayment = await Payment.exists({ trip: trip._id, status: { $in: ['pending', 'completed'] } });
+		if (activePayment) {
+			throw createError('The fare cannot be split once a payment has been started for this trip');
+		}
+
+		const now = new Date();
+		const splitShares = [
+			...(requesterAmount > 0 ? [{ user: trip.requestedBy, amount: requesterAmount }] : []),
+			...coRiders.map(({ user, amount }) => ({ user: user._id, amount })),
+		];
+
+		const updated = await Trip.findOneAndUpdate(
+			{ _id: trip._id, status: 'confirmed', price: trip.price, 'fareSplit.shares.status': { $ne: 'paid' } },
+			{ $set: { fareSplit: { mode, shares: splitShares, createdAt: now } } },
+			{ new: true, runValidators: true }
+		);
+
+		if (!updated) {
+			throw createError('The booking changed while splitting the fare. Please reload and try again', 409);
+		}
+
+		for (const { user, amount } of coRiders) {
+			await Notification.create({
+				recipient: user._id,
+				title: 'Fare Split Request',
+				message: `You have been invited to share the fare of the trip from ${trip.startLocation.address} to ${trip.endLocation.address}. Your share is ${amount.toLocaleString('vi-VN')} ${trip.currency}.`,
+				type: 'trip_request',
+				relatedId: trip._id,
+				relatedModel: 'Trip',
+			});
+		}
+
+		return updated;
+	}
+
+	/**
+	 * Người được mời từ chối chia tiền, requester sẽ trả phần này
+	 */
+	async declineShare(trip, userId) {
+		const share = this.hasSplit(trip)
+			? trip.fareSplit.shares.find(
+					(item) => isSameUser(item.user, userId) && !isSameUser(item.user, trip.requestedBy)
+				)
+			: null;
+
+		if (!share) {
+			throw createError('You have not been invited to share the fare of this trip', 404);
+		}
+
+		const updated = await Trip.findOneAndUpdate(
+			{
+				_id: trip._id,
+				status: 'confirmed',
+				'fareSplit.shares': { $elemMatch: { _id: share._id, status: 'pending' } },
+			},
+			{ $set: { 'fareSplit.shares.$.status': 'declined', 'fareSplit.shares.$.respondedAt': new Date() } },
+			{ new: true }
+		);
+
+		if (!updated) {
+			throw createError('Your share can no longer be declined');
+		}
+
+		await Notification.create({
+			recipient: trip.requestedBy,
+			title: 'Fare Split Declined',
+			message: `A co-rider declined to share the fare of your trip from ${trip.startLocation.address}. Their share of ${share.amount.toLocaleString('vi-VN')} ${trip.currency} is added to yours.`,
+			type: 'request_declined',
+			relatedId: trip._id,
+			relatedModel: 'Trip',
+		});
+
+		return updated;
+	}
+
+	/**
+	 * Các phần user thanh toán trong một payment
+	 * Requester trả phần của mình cùng các phần bị từ chối; coverRemainder: trả luôn mọi phần chưa thanh toán
+	 */
+	getPayableShares(trip, userId, { coverRemainder = false } = {}) {
+		const isRequester = isSameUser(trip.requestedBy, userId);
+		const unpaid = trip.fareSplit.shares.filter((share) => share.status !== 'paid');
+
+		if (!isRequester) {
+			const share = trip.fareSplit.shares.find((item) => isSameUser(item.user, userId));
+			if (!share) {
+				throw createError('Only the requester and invited co-riders can pay for this trip', 403);
+			}
+			if (share.status !== 'pending') {
+				throw createError(
+					share.status === 'paid' ? 'Your share has already been paid' : 'You declined to share this fare'
+				);
+			}
+			return [share];
+		}
+
+		const shares = coverRemainder
+			? unpaid
+			: unpaid.filter((share) => isSameUser(share.user, userId) || share.status === 'declined');
+
+		if (shares.length === 0) {
+			throw createError(
+				unpaid.length > 0
+					? 'Your share has been paid. Pass coverRemainder to pay the shares your co-riders have not paid yet'
+					: 'All shares of this trip have already been paid'
+			);
+		}
+
+		return shares;
+	}
+
+	/**
+	 * Ghi nhận các phần đã được thanh toán bởi payment thành công; trip chuyển sang paid khi mọi phần đã trả
+	 * Phần đã được người khác trả trước đó (requester trả thay trong lúc co-rider cũng thanh toán) được hoàn lại
+	 * Payment tạo trước khi chia tiền (hoàn tất muộn) được tính là trả cho mọi phần của chuyến
+	 * Trả về false nếu chuyến đã bị hủy (payment được hoàn tiền)
+	 */
+	async settleShares(payment, splitTrip) {
+		const fareShares = payment.metadata && payment.metadata.fareShares;
+		const shareIds = (fareShares || splitTrip.fareSplit.shares.map((share) => share._id)).map((id) =>
+			id.toString()
+		);
+		const now = new Date();
+
+		const trip = await Trip.findOneAndUpdate(
+			{ _id: splitTrip._id, status: { $ne: 'cancelled' } },
+			{
+				$set: {
+					'fareSplit.shares.$[share].status': 'paid',
+					'fareSplit.shares.$[share].paymentId': payment._id,
+					'fareSplit.shares.$[share].paidBy': payment.user._id || payment.user,
+					'fareSplit.shares.$[share].paidAt': now,
+				},
+			},
+			{ new: true, arrayFilters: [{ 'share._id': { $in: shareIds }, 'share.status': { $ne: 'paid' } }] }
+		);
+
+		// Chuyến bị hủy trong lúc payment còn pending: hoàn tiền khi hủy chuyến đã chạy mà chưa có payment này
+		if (!trip) {
+			const refunds = await refundService.getRefundsForPayment(payment._id);
+			if (refunds.length === 0) {
+				await refundService.refundUnapplied(payment, {
+					reason: 'Trip was cancelled before the fare share payment completed',
+				});
+			}
+			return false;
+		}
+
+		const alreadyPaid = trip.fareSplit.shares.filter(
+			(share) => shareIds.includes(share._id.toString()) && !share.paymentId.equals(payment._id)
+		);
+		const overpaid = alreadyPaid.reduce((sum, share) => sum + share.amount, 0);
+
+		if (overpaid > 0) {
+			console.warn(
+				`⚠️ Payment ${payment._id} covered ${alreadyPaid.length} share(s) already paid on trip ${trip._id}`
+			);
+			// Phần trả thừa được lưu trên payment để thử lại/admin xử lý nếu hoàn tiền không thành công
+			await refundService.refundUnapplied(payment, {
+				amount: Math.min(overpaid, payment.amount),
+				reason: 'Fare share was already paid by another rider',
+			});
+		}
+
+		if (!isSameUser(payment.user, trip.requestedBy) && overpaid < payment.amount) {
+			await Notification.create({
+				recipient: trip.requestedBy,
+				title: 'Fare Share Paid',
+				message: `A co-rider paid ${payment.amount.toLocaleString('vi-VN')} ${trip.currency} towards your trip from ${trip.startLocation.address}.`,
+				type: 'payment_received',
+				relatedId: trip._id,
+				relatedModel: 'Trip',
+			});
+		}
+
+		const result = await tripStateMachine.transitionAtomically(trip, 'paid', {
+			actorRole: 'system',
+			reason: 'Every fare share has been paid',
+			filter: { 'fareSplit.shares': { $not: { $elemMatch: { status: { $ne: 'paid' } } } } },
+		});
+
+		if (!result && !['confirmed', 'paid'].includes(trip.status)) {
+			console.warn(`⚠️ Payment ${payment._id} completed but trip ${trip._id} is ${trip.status}`);
+		}
+
+		return true;
+	}
+
+	/**
+	 * Trạng thái chia tiền của chuyến: các phần, số đã trả và số còn lại
+	 */
+	async getSplit(tripId, userId) {
+		const trip = await Trip.findById(tripId).populate('fareSplit.shares.user', 'fullName avatar phone');
+
+		if (!trip) {
+			throw createError('Trip not found', 404);
+		}
+
+		const shares = this.hasSplit(trip) ? trip.fareSplit.shares : [];
+		const canView =
+			isSameUser(trip.requestedBy, userId) ||
+			(trip.driver && isSameUser(trip.driver, userId)) ||
+			shares.some((share) => isSameUser(share.user, userId));
+
+		if (!canView) {
+			throw createError('Not authorized to view the fare split of this trip', 403);
+		}
+
+		const paidAmount = shares
+			.filter((share) => share.status === 'paid')
+			.reduce((sum, share) => sum + share.amount, 0);
+
+		return {
+			tripId: trip._id,
+			status: trip.status,
+			price: trip.price,
+			currency: trip.currency,
+			mode: shares.length > 0 ? trip.fareSplit.mode : null,
+			shares,
+			paidAmount,
+			outstandingAmount: shares.length > 0 ? trip.price - paidAmount : trip.price,
+		};
+	}
+}
+
+module.exports = new FareSplitService();
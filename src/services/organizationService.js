@@ -0,0 +1,412 @@
+const Organization = require('../models/Organization');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { getZonedParts } = require('../utils/timezone');
+
+// Admin của tổ chức sửa thông tin xuất hóa đơn và chính sách; tên, mã số thuế, tên miền email do admin nền tảng quản lý
+const ORG_ADMIN_FIELDS = ['billingEmail', 'billingAddress', 'policy'];
+const PLATFORM_ADMIN_FIELDS = [...ORG_ADMIN_FIELDS, 'name', 'taxCode', 'emailDomains', 'currency', 'isActive'];
+
+const MEMBER_ROLES = ['admin', 'member'];
+
+const createError = (message, statusCode = 400) => {
+	const error = new Error(message);
+	error.statusCode = statusCode;
+	return error;
+};
+
+// Dữ liệu nhập sai (lỗi validate của mongoose) trả về 400
+const validated = async (operation) => {
+	try {
+		return await operation;
+	} catch (error) {
+		if (error.name === 'ValidationError' || error.name === 'CastError') {
+			throw createError(error.message);
+		}
+		throw error;
+	}
+};
+
+// Chuẩn hóa số điện thoại về dạng lưu trong User (0xxxxxxxxx)
+const normalizePhone = (phone) => {
+	const digits = String(phone || '').replace(/\D/g, '');
+	return digits.startsWith('84') && digits.length >= 11 ? `0${digits.slice(2)}` : digits;
+};
+
+const isSameUser = (a, b) => (a._id || a).toString() === (b._id || b).toString();
+
+const toMinutes = (time) => {
+	const [hour, minute] = time.split(':').map((value) => parseInt(value, 10));
+	return hour * 60 + minute;
+};
+
+const pickFields = (data, fields) =>
+	fields.reduce((result, field) => (data[field] === undefined ? result : { ...result, [field]: data[field] }), {});
+
+class OrganizationService {
+	getMember(organization, userId) {
+		return organization.members.find((member) => isSameUser(member.user, userId)) || null;
+	}
+
+	isOrgAdmin(organization, user) {
+		const member = this.getMember(organization, user._id);
+		return Boolean(member && member.role === 'admin' && member.status === 'active');
+	}
+
+	async getOrganization(organizationId) {
+		const organization = await Organization.findById(organizationId);
+		if (!organization) {
+			throw createError('Organization not found', 404);
+		}
+		return organization;
+	}
+
+	/**
+	 * Tổ chức mà user quản lý (admin của tổ chức hoặc admin nền tảng)
+	 */
+	async getManagedOrganization(organizationId, user) {
+		const organization = await this.getOrganization(organizationId);
+		if (user.role !== 'admin' && !this.isOrgAdmin(organization, user)) {
+			throw createError('Only organization admins can access this resource', 403);
+		}
+		return organization;
+	}
+
+	/**
+	 * Tổ chức user xem được: thành viên (kể cả đang chờ duyệt) hoặc admin nền tảng
+	 */
+	async getVisibleOrganization(organizationId, user) {
+		const organization = await this.getOrganization(organizationId);
+		if (user.role !== 'admin' && !this.getMember(organization, user._id)) {
+			throw createError('You are not a member of this organization', 403);
+		}
+		return organization;
+	}
+
+	async getMyOrganizations(userId) {
+		const organizations = await Organization.find({ 'members.user': userId }).lean();
+
+		return organizations.map(({ members, ...organization }) => {
+			const { role, status, joinedAt } = members.find((member) => isSameUser(member.user, userId));
+			return { ...organization, membership: { role, status, joinedAt } };
+		});
+	}
+
+	/**
+	 * Tổ chức có tên miền trùng với email của user (để nhân viên xin tham gia)
+	 */
+	async findByEmailDomain(email) {
+		const domain = email && email.includes('@') ? email.split('@').pop().toLowerCase() : null;
+		if (!domain) {
+			return [];
+		}
+		return Organization.find({ emailDomains: domain, isActive: true }).select('name emailDomains');
+	}
+
+	/**
+	 * Admin nền tảng tạo tổ chức; adminPhones: các user được đặt làm admin đầu tiên của tổ chức
+	 */
+	async createOrganization(data, createdBy) {
+		const phones = [...new Set((data.adminPhones || []).map(normalizePhone))];
+		const admins = phones.length > 0 ? await User.find({ phone: { $in: phones } }).select('phone') : [];
+
+		const missing = phones.filter((phone) => !admins.some((user) => user.phone === phone));
+		if (missing.length > 0) {
+			throw createError(`No registered user found for phone number(s): ${missing.join(', ')}`, 404);
+		}
+
+		return validated(
+			Organization.create({
+				...pickFields(data, PLATFORM_ADMIN_FIELDS),
+				members: admins.map((user) => ({
+					user: user._id,
+					role: 'admin',
+					status: 'active',
+					joinedVia: 'platform_admin',
+					addedBy: createdBy,
+				})),
+				createdBy,
+			})
+		);
+	}
+
+	async updateOrganization(organizationId, data, user) {
+		const organization = await this.getManagedOrganization(organizationId, user);
+		const fields = pickFields(data, user.role === 'admin' ? PLATFORM_ADMIN_FIELDS : ORG_ADMIN_FIELDS);
+
+		Object.keys(fields).forEach((field) => {
+			organization[field] = fields[field];
+		});
+
+		return validated(organization.save());
+	}
+
+	async getOrganizations({ isActive, search, page, limit }) {
+		const query = {};
+		if (isActive !== undefined) {
+			query.isActive = isActive;
+		}
+		if (search) {
+			query.name = { $regex: search, $options: 'i' };
+		}
+
+		const [organizations, total] = await Promise.all([
+			Organization.find(query)
+				.select('-members')
+				.sort({ createdAt: -1 })
+				.skip((page - 1) * limit)
+				.limit(limit),
+			Organization.countDocuments(query),
+		]);
+		return { organizations, total };
+	}
+
+	/**
+	 * Admin của tổ chức thêm nhân viên theo số điện thoại (user đã đăng ký)
+	 */
+	async addMember(organizationId, actor, { phone, role = 'member' }) {
+		if (!MEMBER_ROLES.includes(role)) {
+			throw createError(`Role must be one of: ${MEMBER_ROLES.join(', ')}`);
+		}
+
+		const organization = await this.getManagedOrganization(organizationId, actor);
+		const user = await User.findOne({ phone: normalizePhone(phone) }).select('fullName phone');
+		if (!user) {
+			throw createError('No registered user found for this phone number', 404);
+		}
+
+		const existing = this.getMember(organization, user._id);
+		if (existing && existing.status === 'active') {
+			throw createError('This user is already a member of the organization');
+		}
+
+		// Đang chờ duyệt thì duyệt luôn, chưa có thì thêm (điều kiện để không thêm trùng khi gọi đồng thời)
+		const updated = existing
+			? await Organization.findOneAndUpdate(
+					{ _id: organization._id, members: { $elemMatch: { user: user._id, status: 'pending' } } },
+					{ $set: { 'members.$.status': 'active', 'members.$.role': role, 'members.$.addedBy': actor._id } },
+					{ new: true }
+				)
+			: await Organization.findOneAndUpdate(
+					{ _id: organization._id, 'members.user': { $ne: user._id } },
+					{
+						$push: {
+							members: { user: user._id, role, status: 'active', joinedVia: 'phone', addedBy: actor._id },
+						},
+					},
+					{ new: true }
+				);
+
+		if (!updated) {
+			throw createError('This user is already a member of the organization');
+		}
+
+		await Notification.create({
+			recipient: user._id,
+			title: 'Added To Organization',
+			message: `You have been added to ${organization.name}. Rides you book with the corporate payment method are billed to the organization.`,
+			type: 'system',
+			metadata: { organizationId: organization._id },
+		});
+
+		return updated;
+	}
+
+	/**
+	 * Nhân viên xin tham gia tổ chức bằng email công ty, admin của tổ chức duyệt trước khi được đi chuyến trả bằng tổ chức
+	 */
+	async requestToJoin(organizationId, user) {
+		const organization = await this.getOrganization(organizationId);
+		const domain = user.email && user.email.includes('@') ? user.email.split('@').pop().toLowerCase() : null;
+
+		if (!organization.isActive) {
+			throw createError('This organization is no longer active');
+		}
+
+		if (!domain || !organization.emailDomains.includes(domain)) {
+			throw createError('Your account email does not belong to this organization', 403);
+		}
+
+		const updated = await Organization.findOneAndUpdate(
+			{ _id: organization._id, 'members.user': { $ne: user._id } },
+			{ $push: { members: { user: user._id, role: 'member', status: 'pending', joinedVia: 'email_domain' } } },
+			{ new: true }
+		);
+
+		if (!updated) {
+			throw createError('You have already joined or requested to join this organization');
+		}
+
+		const admins = organization.members.filter((member) => member.role === 'admin' && member.status === 'active');
+		for (const admin of admins) {
+			await Notification.create({
+				recipient: admin.user,
+				title: 'Organization Join Request',
+				message: `${user.fullName} (${user.email}) asked to join ${organization.name}.`,
+				type: 'system',
+				metadata: { organizationId: organization._id, userId: user._id },
+			});
+		}
+
+		return updated;
+	}
+
+	/**
+	 * Duyệt thành viên đang chờ và/hoặc đổi vai trò; tổ chức luôn phải còn ít nhất một admin
+	 */
+	async updateMember(organizationId, actor, userId, { role, status }) {
+		if (role !== undefined && !MEMBER_ROLES.includes(role)) {
+			throw createError(`Role must be one of: ${MEMBER_ROLES.join(', ')}`);
+		}
+
+		if (status !== undefined && status !== 'active') {
+			throw createError(
+				'Members can only be approved (status: active). Remove the member to decline the request'
+			);
+		}
+
+		const organization = await this.getManagedOrganization(organizationId, actor);
+		const member = this.getMember(organization, userId);
+		if (!member) {
+			throw createError('Member not found', 404);
+		}
+
+		const changes = {
+			...(role !== undefined && { 'members.$[member].role': role }),
+			...(status !== undefined && { 'members.$[member].status': status }),
+		};
+		if (Object.keys(changes).length === 0) {
+			throw createError('Please provide the role or status to update');
+		}
+
+		const query = { _id: organization._id };
+		if (role === 'member' && member.role === 'admin') {
+			query.members = { $elemMatch: { user: { $ne: member.user }, role: 'admin', status: 'active' } };
+		}
+
+		const updated = await Organization.findOneAndUpdate(
+			query,
+			{ $set: changes },
+			{ new: true, arrayFilters: [{ 'member.user': member.user }] }
+		);
+
+		if (!updated) {
+			throw createError('An organization must keep at least one admin');
+		}
+
+		return updated;
+	}
+
+	/**
+	 * Xóa thành viên (admin của tổ chức) hoặc tự rời tổ chức
+	 */
+	async removeMember(organizationId, actor, userId) {
+		const organization = isSameUser(actor._id, userId)
+			? await this.getVisibleOrganization(organizationId, actor)
+			: await this.getManagedOrganization(organizationId, actor);
+
+		const member = this.getMember(organization, userId);
+		if (!member) {
+			throw createError('Member not found', 404);
+		}
+
+		const query = { _id: organization._id, 'members.user': member.user };
+		if (member.role === 'admin' && member.status === 'active') {
+			query.members = { $elemMatch: { user: { $ne: member.user }, role: 'admin', status: 'active' } };
+		}
+
+		const updated = await Organization.findOneAndUpdate(
+			query,
+			{ $pull: { members: { user: member.user } } },
+			{ new: true }
+		);
+
+		if (!updated) {
+			throw createError('An organization must keep at least one admin');
+		}
+
+		return updated;
+	}
+
+	/**
+	 * Tổ chức trả tiền cho chuyến của user: phải là thành viên đang hoạt động của tổ chức đang hoạt động
+	 * Không truyền organizationId thì dùng tổ chức duy nhất của user
+	 */
+	async resolveForBooking(userId, organizationId) {
+		const query = {
+			isActive: true,
+			members: { $elemMatch: { user: userId, status: 'active' } },
+		};
+		if (organizationId) {
+			query._id = organizationId;
+		}
+
+		const organizations = await validated(Organization.find(query));
+
+		if (organizations.length === 0) {
+			throw createError(
+				organizationId
+					? 'You are not an active member of this organization'
+					: 'You are not an active member of any organization',
+				403
+			);
+		}
+
+		if (organizations.length > 1) {
+			throw createError('You belong to several organizations. Please provide organizationId');
+		}
+
+		return organizations[0];
+	}
+
+	/**
+	 * Kiểm tra chuyến theo chính sách đi lại của tổ chức (giờ đi, giá tối đa, loại xe)
+	 * fare/vehicleType chưa biết (lúc tạo booking chỉ có giá ước tính) thì bỏ qua điều kiện tương ứng
+	 */
+	checkPolicy(organization, { departureTime, vehicleType, fare }) {
+		const policy = organization.policy || {};
+		const violations = [];
+
+		if (policy.allowedHours && policy.allowedHours.length > 0 && departureTime) {
+			const { weekday, hour, minute } = getZonedParts(departureTime);
+			const minutes = hour * 60 + minute;
+
+			const allowed = policy.allowedHours.some((window) => {
+				const start = toMinutes(window.start);
+				const end = toMinutes(window.end);
+				// Khung giờ qua nửa đêm tính theo ngày bắt đầu của khung giờ
+				const inWindow = start <= end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+				const day = start > end && minutes < end ? (weekday + 6) % 7 : weekday;
+				const days = window.daysOfWeek || [];
+				return inWindow && (days.length === 0 || days.includes(day));
+			});
+
+			if (!allowed) {
+				violations.push('the departure time is outside the allowed hours');
+			}
+		}
+
+		if (policy.maxFare && fare !== undefined && fare > policy.maxFare) {
+			violations.push(
+				`the fare exceeds the maximum of ${policy.maxFare.toLocaleString('vi-VN')} ${organization.currency}`
+			);
+		}
+
+		if (
+			policy.allowedVehicleTypes &&
+			policy.allowedVehicleTypes.length > 0 &&
+			vehicleType &&
+			!policy.allowedVehicleTypes.includes(vehicleType)
+		) {
+			violations.push(`the vehicle type must be one of: ${policy.allowedVehicleTypes.join(', ')}`);
+		}
+
+		if (violations.length > 0) {
+			throw createError(
+				`This ride is not allowed by the ${organization.name} ride policy: ${violations.join('; ')}`
+			);
+		}
+	}
+}
+
+module.exports = new OrganizationService();
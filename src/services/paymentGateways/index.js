@@ -0,0 +1,71 @@
+const paymentGatewaysConfig = require('../../config/paymentGateways');
+const momoConfig = require('../../config/momo');
+const zalopayConfig = require('../../config/zalopay');
+const VnpayGateway = require('./vnpayGateway');
+const MomoGateway = require('./momoGateway');
+const ZalopayGateway = require('./zalopayGateway');
+
+const createError = (message, statusCode = 400) => {
+	const error = new Error(message);
+	error.statusCode = statusCode;
+	return error;
+};
+
+const createGateway = (name, { timeout }) => {
+	switch (name) {
+		case 'vnpay':
+			return new VnpayGateway({ timeout });
+		case 'momo':
+			return new MomoGateway(momoConfig, { timeout });
+		case 'zalopay':
+			return new ZalopayGateway(zalopayConfig, { timeout });
+		default:
+			throw new Error(`Unknown payment gateway: ${name}`);
+	}
+};
+
+/**
+ * Mỗi gateway cài đặt cùng một interface:
+ * - generateTxnRef(): mã giao dịch gửi sang cổng thanh toán
+ * - createPayment({ payment, returnUrl, ipnUrl, ipAddr }) => { paymentUrl, providerData, clientData }
+ * - verifyReturn(params) / verifyIpn(payload) => { isValid, merchantMatched, txnRef, amount, success, responseCode, message, transactionNo, providerData, rawData }
+ * - ipnResponse(code) => { status, body } với code: success | alreadyConfirmed | orderNotFound | invalidAmount | invalidSignature | unknownError
+ * - query(payment, { requestId, ipAddr }) => { state: paid | refunded | pending | failed | not_found, amount, transactionNo, responseCode, status, message, providerData, rawData }
+ * - refund(payment, { requestId, amount, isFull, createBy, ipAddr, requestedAt }) => { success, responseCode, message, transactionNo, rawData }
+ * - queryRefund(payment, refund, { requestId, ipAddr }) => { state: completed | pending | failed | not_found, responseCode, message, transactionNo, rawData }
+ */
+class PaymentGatewayRegistry {
+	constructor() {
+		this.gateways = new Map();
+
+		paymentGatewaysConfig.enabled.forEach((name) => {
+			this.gateways.set(name, createGateway(name, paymentGatewaysConfig));
+		});
+	}
+
+	isEnabled(name) {
+		return this.gateways.has(name);
+	}
+
+	get(name) {
+		const gateway = this.gateways.get(name);
+		if (!gateway) {
+			throw createError(`Unsupported payment provider: ${name}`, 400);
+		}
+		return gateway;
+	}
+
+	getDefaultProvider() {
+		return paymentGatewaysConfig.defaultProvider;
+	}
+
+	list() {
+		return Array.from(this.gateways.values()).map((gateway) => ({
+			provider: gateway.name,
+			name: gateway.displayName,
+			isDefault: gateway.name === paymentGatewaysConfig.defaultProvider,
+		}));
+	}
+}
+
+module.exports = new PaymentGatewayRegistry();
@@ -0,0 +1,202 @@
+const axios = require('axios');
+const crypto = require('crypto');
+
+const createError = (message, statusCode = 400) => {
+	const error = new Error(message);
+	error.statusCode = statusCode;
+	return error;
+};
+
+// Chuỗi ký của MoMo: key=value nối bằng "&" theo thứ tự alphabet của key, HMAC SHA256
+const buildRawSignature = (fields) =>
+	Object.keys(fields)
+		.sort()
+		.map((key) => `${key}=${fields[key] === undefined || fields[key] === null ? '' : fields[key]}`)
+		.join('&');
+
+/**
+ * Adapter cho ví MoMo (API v2)
+ */
+class MomoGateway {
+	constructor(config, { timeout = 10000 } = {}) {
+		this.name = 'momo';
+		this.displayName = 'MoMo';
+		this.config = config;
+		this.timeout = timeout;
+	}
+
+	sign(fields) {
+		return crypto
+			.createHmac('sha256', this.config.secretKey)
+			.update(buildRawSignature({ accessKey: this.config.accessKey, ...fields }))
+			.digest('hex');
+	}
+
+	async post(path, body) {
+		const { data } = await axios.post(`${this.config.endpoint}${path}`, body, { timeout: this.timeout });
+		return data;
+	}
+
+	generateTxnRef() {
+		return `MOMO${Date.now()}${Math.floor(Math.random() * 1000)}`;
+	}
+
+	async createPayment({ payment, returnUrl, ipnUrl }) {
+		const requestId = `${payment.txnRef}_${Date.now()}`;
+		const fields = {
+			amount: payment.amount,
+			extraData: '',
+			ipnUrl: this.config.ipnUrl || ipnUrl,
+			orderId: payment.txnRef,
+			orderInfo: payment.orderInfo,
+			partnerCode: this.config.partnerCode,
+			redirectUrl: returnUrl,
+			requestId,
+			requestType: this.config.requestType,
+		};
+
+		const data = await this.post('/create', {
+			...fields,
+			lang: this.config.lang,
+			// Số phút giao dịch còn hiệu lực trên MoMo, khớp với expiredAt của payment
+			orderExpireTime: Math.max(1, Math.round((payment.expiredAt.getTime() - Date.now()) / 60000)),
+			signature: this.sign(fields),
+		});
+
+		if (data.resultCode !== 0) {
+			throw createError(`MoMo create payment failed (${data.resultCode}): ${data.message}`, 502);
+		}
+
+		return {
+			paymentUrl: data.payUrl,
+			providerData: { requestId },
+			clientData: { deeplink: data.deeplink, qrCodeUrl: data.qrCodeUrl },
+		};
+	}
+
+	// Redirect và IPN của MoMo có cùng payload
+	parseResult(params) {
+		const fields = {
+			amount: params.amount,
+			extraData: params.extraData,
+			message: params.message,
+			orderId: params.orderId,
+			orderInfo: params.orderInfo,
+			orderType: params.orderType,
+			partnerCode: params.partnerCode,
+			payType: params.payType,
+			requestId: params.requestId,
+			responseTime: params.responseTime,
+			resultCode: params.resultCode,
+			transId: params.transId,
+		};
+
+		return {
+			isValid: this.sign(fields) === params.signature,
+			merchantMatched: params.partnerCode === this.config.partnerCode,
+			txnRef: params.orderId,
+			amount: Number(params.amount),
+			success: Number(params.resultCode) === 0,
+			responseCode: String(params.resultCode),
+			message: params.message,
+			transactionNo: params.transId !== undefined ? String(params.transId) : undefined,
+			providerData: { payType: params.payType, responseTime: params.responseTime },
+			rawData: params,
+		};
+	}
+
+	verifyReturn(params) {
+		return this.parseResult(params);
+	}
+
+	verifyIpn(params) {
+		return this.parseResult(params);
+	}
+
+	// MoMo chỉ cần HTTP 204; lỗi server trả 500 để MoMo gửi lại IPN
+	ipnResponse(code) {
+		return { status: code === 'unknownError' ? 500 : 204 };
+	}
+
+	/**
+	 * Truy vấn trạng thái giao dịch
+	 * state: paid | refunded | pending | failed | not_found
+	 */
+	async query(payment, { requestId } = {}) {
+		const fields = { orderId: payment.txnRef, partnerCode: this.config.partnerCode, requestId };
+		const data = await this.post('/query', { ...fields, lang: this.config.lang, signature: this.sign(fields) });
+
+		const result = {
+			responseCode: String(data.resultCode),
+			status: String(data.resultCode),
+			message: data.message,
+			amount: data.amount !== undefined ? Number(data.amount) : null,
+			transactionNo: data.transId ? String(data.transId) : undefined,
+			providerData: { payType: data.payType },
+			rawData: data,
+		};
+
+		// 0: thành công, 9000: đã xác nhận (authorized), 1000/7000/7002: đang xử lý, 42: không tìm thấy orderId
+		if (data.resultCode === 0 || data.resultCode === 9000) {
+			const refunded = Array.isArray(data.refundTrans) && data.refundTrans.length > 0;
+			return { ...result, state: refunded ? 'refunded' : 'paid' };
+		}
+		if ([1000, 7000, 7002].includes(data.resultCode)) {
+			return { ...result, state: 'pending' };
+		}
+		if (data.resultCode === 42) {
+			return { ...result, state: 'not_found' };
+		}
+		return { ...result, state: 'failed' };
+	}
+
+	/**
+	 * Kết quả của một lệnh hoàn tiền chưa rõ: tìm theo orderId (= requestId) trong refundTrans của giao dịch gốc
+	 * state: completed | pending | failed | not_found
+	 */
+	async queryRefund(payment, refund, { requestId } = {}) {
+		const result = await this.query(payment, { requestId });
+		const refundTrans = Array.isArray(result.rawData.refundTrans) ? result.rawData.refundTrans : [];
+		const trans = refundTrans.find((item) => item.orderId === refund.providerRequestId);
+
+		if (!trans) {
+			return { ...result, state: 'not_found' };
+		}
+
+		const refundResult = {
+			...result,
+			responseCode: String(trans.resultCode),
+			transactionNo: trans.transId ? String(trans.transId) : undefined,
+		};
+		if (trans.resultCode === 0) {
+			return { ...refundResult, state: 'completed' };
+		}
+		if ([1000, 7000, 7002].includes(trans.resultCode)) {
+			return { ...refundResult, state: 'pending' };
+		}
+		return { ...refundResult, state: 'failed' };
+	}
+
+	async refund(payment, { requestId, amount }) {
+		const fields = {
+			amount,
+			description: `Hoan tien giao dich ${payment.txnRef}`,
+			orderId: requestId, // Mỗi lần hoàn tiền là một orderId mới
+			partnerCode: this.config.partnerCode,
+			requestId,
+			transId: payment.providerTxnId,
+		};
+
+		const data = await this.post('/refund', { ...fields, lang: this.config.lang, signature: this.sign(fields) });
+
+		return {
+			success: data.resultCode === 0,
+			responseCode: String(data.resultCode),
+			message: data.message || `MoMo refund failed (${data.resultCode})`,
+			transactionNo: data.transId ? String(data.transId) : undefined,
+			rawData: data,
+		};
+	}
+}
+
+module.exports = MomoGateway;
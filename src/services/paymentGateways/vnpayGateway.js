@@ -0,0 +1,199 @@
+const axios = require('axios');
+const { VNPayHelper, vnpayConfig, IPN_RESPONSES } = require('../../config/vnpay');
+
+const createError = (message, statusCode = 400) => {
+	const error = new Error(message);
+	error.statusCode = statusCode;
+	return error;
+};
+
+/**
+ * Adapter cho VNPay (payment URL, return URL, IPN, querydr, refund)
+ */
+class VnpayGateway {
+	constructor({ timeout = 10000 } = {}) {
+		this.name = 'vnpay';
+		this.displayName = 'VNPay';
+		this.timeout = timeout;
+	}
+
+	generateTxnRef() {
+		return VNPayHelper.generateTxnRef();
+	}
+
+	// vnp_CreateDate đã gửi, cần cho lệnh querydr/refund
+	getTransactionDate(payment) {
+		return (
+			(payment.providerData && payment.providerData.createDate) || VNPayHelper.formatDateTime(payment.createdAt)
+		);
+	}
+
+	async createPayment({ payment, returnUrl, ipAddr }) {
+		const paymentUrl = VNPayHelper.createPaymentUrl({
+			amount: payment.amount,
+			orderInfo: payment.orderInfo,
+			txnRef: payment.txnRef,
+			returnUrl,
+			ipAddr,
+			expireDate: payment.expiredAt, // Hết hạn trên VNPay cùng lúc với payment
+			createDate: payment.createdAt,
+		});
+
+		return {
+			paymentUrl,
+			providerData: { createDate: VNPayHelper.formatDateTime(payment.createdAt) },
+		};
+	}
+
+	// Chuẩn hóa dữ liệu return/IPN của VNPay
+	parseResult(params) {
+		const data = VNPayHelper.verifyReturnData(params);
+
+		return {
+			isValid: data.isValid,
+			merchantMatched: data.tmnCode === vnpayConfig.vnp_TmnCode,
+			txnRef: data.txnRef,
+			amount: data.amount,
+			success: VNPayHelper.isSuccessTransaction(data.responseCode, data.transactionStatus),
+			responseCode: data.responseCode,
+			message: VNPayHelper.getStatusMessage(data.responseCode),
+			transactionNo: data.transactionNo,
+			providerData: {
+				bankCode: data.bankCode,
+				bankTranNo: data.bankTranNo,
+				cardType: data.cardType,
+				payDate: data.payDate,
+			},
+			rawData: params,
+		};
+	}
+
+	verifyReturn(params) {
+		return this.parseResult(params);
+	}
+
+	verifyIpn(params) {
+		return this.parseResult(params);
+	}
+
+	// VNPay yêu cầu HTTP 200 với RspCode trong mọi trường hợp
+	ipnResponse(code) {
+		return { status: 200, body: IPN_RESPONSES[code] || IPN_RESPONSES.unknownError };
+	}
+
+	/**
+	 * Truy vấn trạng thái giao dịch (querydr)
+	 * state: paid | refunded | pending | failed | not_found
+	 */
+	async query(payment, { requestId, ipAddr } = {}) {
+		const body = VNPayHelper.createQueryRequest({
+			requestId,
+			txnRef: payment.txnRef,
+			transactionNo: payment.providerTxnId,
+			transactionDate: this.getTransactionDate(payment),
+			orderInfo: `Truy van giao dich ${payment.txnRef}`,
+			ipAddr,
+		});
+
+		const { data } = await axios.post(vnpayConfig.vnp_Api, body, { timeout: this.timeout });
+
+		if (!VNPayHelper.verifyQueryResponse(data)) {
+			throw createError('Invalid VNPay querydr response signature', 502);
+		}
+
+		const result = {
+			responseCode: data.vnp_ResponseCode,
+			status: data.vnp_TransactionStatus,
+			message: data.vnp_Message,
+			amount: data.vnp_Amount ? parseInt(data.vnp_Amount, 10) / 100 : null,
+			transactionNo: data.vnp_TransactionNo,
+			providerData: { bankCode: data.vnp_BankCode, payDate: data.vnp_PayDate },
+			rawData: data,
+		};
+
+		if (data.vnp_ResponseCode === '91') {
+			return { ...result, state: 'not_found' };
+		}
+
+		if (data.vnp_ResponseCode !== '00') {
+			throw createError(`VNPay querydr failed (${data.vnp_ResponseCode}): ${data.vnp_Message}`, 502);
+		}
+
+		switch (data.vnp_TransactionStatus) {
+			case '00':
+				return { ...result, state: 'paid' };
+			case '01':
+				return { ...result, state: 'pending' };
+			// 05: đang hoàn tiền, 06: đã gửi yêu cầu hoàn tiền, 09: hoàn tiền bị từ chối (giao dịch gốc đã thanh toán)
+			case '05':
+			case '06':
+			case '09':
+				return { ...result, state: 'refunded' };
+			default:
+				return { ...result, state: 'failed' };
+		}
+	}
+
+	/**
+	 * Kết quả của một lệnh hoàn tiền chưa rõ (timeout...) qua querydr của giao dịch gốc
+	 * querydr chỉ trả về lệnh gần nhất nên so thêm số tiền hoàn
+	 * state: completed | pending | failed | not_found
+	 */
+	async queryRefund(payment, refund, { requestId, ipAddr } = {}) {
+		const result = await this.query(payment, { requestId, ipAddr });
+		const data = result.rawData;
+
+		if (
+			result.state === 'not_found' ||
+			!['02', '03'].includes(data.vnp_TransactionType) ||
+			result.amount !== refund.amount
+		) {
+			return { ...result, state: 'not_found' };
+		}
+
+		switch (data.vnp_TransactionStatus) {
+			case '00':
+				return { ...result, state: 'completed' };
+			// 01: chưa hoàn tất, 05: VNPay đang hoàn tiền, 06: đã gửi yêu cầu hoàn tiền sang ngân hàng
+			case '01':
+			case '05':
+			case '06':
+				return { ...result, state: 'pending' };
+			default:
+				return { ...result, state: 'failed' };
+		}
+	}
+
+	/**
+	 * Hoàn tiền toàn phần ('02') hoặc một phần ('03')
+	 */
+	async refund(payment, { requestId, amount, isFull, createBy, ipAddr }) {
+		const body = VNPayHelper.createRefundRequest({
+			requestId,
+			txnRef: payment.txnRef,
+			amount,
+			transactionNo: payment.providerTxnId,
+			transactionDate: this.getTransactionDate(payment),
+			transactionType: isFull ? '02' : '03',
+			createBy,
+			orderInfo: `Hoan tien giao dich ${payment.txnRef}`,
+			ipAddr,
+		});
+
+		const { data } = await axios.post(vnpayConfig.vnp_Api, body, { timeout: this.timeout });
+
+		if (!VNPayHelper.verifyRefundResponse(data)) {
+			throw createError('Invalid VNPay refund response signature', 502);
+		}
+
+		return {
+			success: data.vnp_ResponseCode === '00',
+			responseCode: data.vnp_ResponseCode,
+			message: data.vnp_Message || `VNPay refund failed (${data.vnp_ResponseCode})`,
+			transactionNo: data.vnp_TransactionNo,
+			rawData: data,
+		};
+	}
+}
+
+module.exports = VnpayGateway;
@@ -0,0 +1,246 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const { getZonedParts } = require('../../utils/timezone');
+
+const createError = (message, statusCode = 400) => {
+	const error = new Error(message);
+	error.statusCode = statusCode;
+	return error;
+};
+
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest('hex');
+
+/**
+ * Adapter cho ZaloPay (API v2)
+ */
+class ZalopayGateway {
+	constructor(config, { timeout = 10000 } = {}) {
+		this.name = 'zalopay';
+		this.displayName = 'ZaloPay';
+		this.config = config;
+		this.timeout = timeout;
+	}
+
+	async post(path, body) {
+		const { data } = await axios.post(`${this.config.endpoint}${path}`, new URLSearchParams(body).toString(), {
+			headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+			timeout: this.timeout,
+		});
+		return data;
+	}
+
+	// yymmdd theo giờ Việt Nam, ZaloPay yêu cầu làm tiền tố cho app_trans_id và m_refund_id
+	getDatePrefix(date = new Date()) {
+		const { year, month, day } = getZonedParts(date, this.config.timezone);
+		return `${String(year).slice(-2)}${String(month).padStart(2, '0')}${String(day).padStart(2, '0')}`;
+	}
+
+	// Mã refund gửi ZaloPay, tính lại được từ requestId và thời điểm tạo refund để truy vấn kết quả
+	getRefundId(requestId, requestedAt = new Date()) {
+		return `${this.getDatePrefix(requestedAt)}_${this.config.appId}_${requestId}`;
+	}
+
+	generateTxnRef() {
+		return `${this.getDatePrefix()}_${Date.now()}${Math.floor(Math.random() * 1000)}`;
+	}
+
+	async createPayment({ payment, returnUrl, ipnUrl }) {
+		const order = {
+			app_id: this.config.appId,
+			app_trans_id: payment.txnRef,
+			app_user: String(payment.user),
+			app_time: Date.now(),
+			amount: payment.amount,
+			item: '[]',
+			embed_data: JSON.stringify({ redirecturl: returnUrl }),
+			description: payment.orderInfo,
+			bank_code: '',
+			callback_url: this.config.callbackUrl || ipnUrl,
+			// Hết hạn trên ZaloPay cùng lúc với payment
+			expire_duration_seconds: Math.max(300, Math.round((payment.expiredAt.getTime() - Date.now()) / 1000)),
+		};
+
+		order.mac = hmac(
+			this.config.key1,
+			[
+				order.app_id,
+				order.app_trans_id,
+				order.app_user,
+				order.amount,
+				order.app_time,
+				order.embed_data,
+				order.item,
+			].join('|')
+		);
+
+		const data = await this.post('/create', order);
+
+		if (data.return_code !== 1) {
+			throw createError(`ZaloPay create order failed (${data.sub_return_code}): ${data.return_message}`, 502);
+		}
+
+		return {
+			paymentUrl: data.order_url,
+			providerData: { appTime: order.app_time, zpTransToken: data.zp_trans_token },
+			clientData: { zpTransToken: data.zp_trans_token, qrCode: data.qr_code },
+		};
+	}
+
+	/**
+	 * Redirect về từ ZaloPay: appid, apptransid, pmcid, bankcode, amount, discountamount, status, checksum
+	 */
+	verifyReturn(params) {
+		const checksum = hmac(
+			this.config.key2,
+			[
+				params.appid,
+				params.apptransid,
+				params.pmcid,
+				params.bankcode,
+				params.amount,
+				params.discountamount,
+				params.status,
+			].join('|')
+		);
+
+		return {
+			isValid: checksum === params.checksum,
+			merchantMatched: String(params.appid) === String(this.config.appId),
+			txnRef: params.apptransid,
+			amount: Number(params.amount),
+			success: String(params.status) === '1',
+			responseCode: String(params.status),
+			message: String(params.status) === '1' ? 'Giao dịch thành công' : 'Giao dịch không thành công',
+			providerData: { bankCode: params.bankcode, pmcId: params.pmcid },
+			rawData: params,
+		};
+	}
+
+	/**
+	 * Callback của ZaloPay: { data (JSON string), mac, type }, chỉ được gửi khi giao dịch thành công
+	 */
+	verifyIpn(payload) {
+		const isValid = typeof payload.data === 'string' && hmac(this.config.key2, payload.data) === payload.mac;
+		if (!isValid) {
+			return { isValid: false, rawData: payload };
+		}
+
+		const data = JSON.parse(payload.data);
+
+		return {
+			isValid: true,
+			merchantMatched: String(data.app_id) === String(this.config.appId),
+			txnRef: data.app_trans_id,
+			amount: Number(data.amount),
+			success: true,
+			responseCode: '1',
+			message: 'Giao dịch thành công',
+			transactionNo: data.zp_trans_id !== undefined ? String(data.zp_trans_id) : undefined,
+			providerData: { channel: data.channel, serverTime: data.server_time },
+			rawData: data,
+		};
+	}
+
+	// return_code: 1 thành công, 2 đã xử lý trước đó, 0 ZaloPay gửi lại callback, -1 thất bại (không gửi lại)
+	ipnResponse(code) {
+		const responses = {
+			success: { return_code: 1, return_message: 'success' },
+			alreadyConfirmed: { return_code: 2, return_message: 'already confirmed' },
+			unknownError: { return_code: 0, return_message: 'unknown error' },
+		};
+
+		return { status: 200, body: responses[code] || { return_code: -1, return_message: code } };
+	}
+
+	/**
+	 * Truy vấn trạng thái đơn hàng
+	 * state: paid | pending | failed
+	 */
+	async query(payment) {
+		const body = {
+			app_id: this.config.appId,
+			app_trans_id: payment.txnRef,
+		};
+		body.mac = hmac(this.config.key1, [body.app_id, body.app_trans_id, this.config.key1].join('|'));
+
+		const data = await this.post('/query', body);
+
+		const result = {
+			responseCode: String(data.return_code),
+			status: String(data.sub_return_code),
+			message: data.return_message,
+			amount: data.amount !== undefined ? Number(data.amount) : null,
+			transactionNo: data.zp_trans_id ? String(data.zp_trans_id) : undefined,
+			providerData: {},
+			rawData: data,
+		};
+
+		// return_code: 1 thành công, 2 thất bại, 3 chưa thanh toán hoặc đang xử lý
+		if (data.return_code === 1) {
+			return { ...result, state: 'paid' };
+		}
+		if (data.return_code === 3) {
+			return { ...result, state: 'pending' };
+		}
+		return { ...result, state: 'failed' };
+	}
+
+	/**
+	 * Kết quả của một lệnh hoàn tiền chưa rõ (timeout...)
+	 * state: completed | pending | failed
+	 */
+	async queryRefund(payment, refund) {
+		const body = {
+			app_id: this.config.appId,
+			m_refund_id: this.getRefundId(refund.providerRequestId, refund.createdAt),
+			timestamp: Date.now(),
+		};
+		body.mac = hmac(this.config.key1, [body.app_id, body.m_refund_id, body.timestamp].join('|'));
+
+		const data = await this.post('/query_refund', body);
+
+		const result = {
+			responseCode: String(data.return_code),
+			status: String(data.sub_return_code),
+			message: data.return_message,
+			rawData: data,
+		};
+
+		// return_code: 1 đã hoàn tiền, 2 thất bại, 3 đang xử lý
+		if (data.return_code === 1) {
+			return { ...result, state: 'completed' };
+		}
+		if (data.return_code === 3) {
+			return { ...result, state: 'pending' };
+		}
+		return { ...result, state: 'failed' };
+	}
+
+	async refund(payment, { requestId, amount, requestedAt }) {
+		const body = {
+			app_id: this.config.appId,
+			m_refund_id: this.getRefundId(requestId, requestedAt),
+			zp_trans_id: payment.providerTxnId,
+			amount,
+			timestamp: Date.now(),
+			description: `Hoan tien giao dich ${payment.txnRef}`,
+		};
+		body.mac = hmac(
+			this.config.key1,
+			[body.app_id, body.zp_trans_id, body.amount, body.description, body.timestamp].join('|')
+		);
+
+		const data = await this.post('/refund', body);
+
+		// return_code 3: ZaloPay đã nhận yêu cầu và đang hoàn tiền
+		return {
+			success: data.return_code === 1 || data.return_code === 3,
+			responseCode: String(data.return_code),
+			message: data.return_message || `ZaloPay refund failed (${data.sub_return_code})`,
+			transactionNo: data.refund_id ? String(data.refund_id) : undefined,
+			rawData: data,
+		};
+	}
+}
+
+module.exports = ZalopayGateway;
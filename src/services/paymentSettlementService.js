@@ -0,0 +1,251 @@
+const Payment = require('../models/Payment');
+const Trip = require('../models/Trip');
+const walletService = require('./walletService');
+const fareSplitService = require('./fareSplitService');
+const promoService = require('./promoService');
+const refundService = require('./refundService');
+const tripStateMachine = require('./tripStateMachine');
+
+// Payment có thể được ghi nhận thành công từ các trạng thái này
+// (user có thể bấm hủy trong app, hoặc job expiry chạy, trong khi giao dịch trên VNPay vẫn hoàn tất)
+// Chuyến/ghế đã bị hủy trong lúc đó thì payment được hoàn tiền (xem markTripAsPaid)
+const SETTLEABLE_STATUSES = ['pending', 'cancelled', 'expired'];
+
+// Payment completed nhưng ghi nhận lên trip/ví dừng giữa chừng quá khoảng này thì được chạy lại
+const STALE_SETTLEMENT_MS = 60 * 1000;
+
+// Các field của kết quả gateway (đã chuẩn hóa) được lưu lại trên payment
+const getProviderFields = (result = {}) => {
+	const fields = { providerResponse: result.rawData || {} };
+	if (result.transactionNo) fields.providerTxnId = result.transactionNo;
+	// Ghi từng key để không mất dữ liệu đã lưu lúc tạo payment (vd: vnp_CreateDate)
+	Object.entries(result.providerData || {}).forEach(([key, value]) => {
+		if (value !== undefined && value !== null && value !== '') fields[`providerData.${key}`] = value;
+	});
+	return fields;
+};
+
+/**
+ * Ghi nhận kết quả thanh toán lên Payment và Trip
+ * Mọi chuyển trạng thái đều là update có điều kiện nên IPN, return URL, đối soát (và các lần retry)
+ * có thể đến theo bất kỳ thứ tự nào mà chỉ được áp dụng đúng một lần
+ */
+class PaymentSettlementService {
+	/**
+	 * Cập nhật trạng thái thanh toán ghế của passenger trên chuyến offer
+	 */
+	updateSeatPaymentStatus(payment, paymentStatus) {
+		const userId = payment.user._id || payment.user;
+		const tripId = payment.trip._id || payment.trip;
+
+		return Trip.updateOne(
+			{ _id: tripId, passengers: { $elemMatch: { user: userId, status: 'accepted' } } },
+			{ $set: { 'passengers.$.paymentStatus': paymentStatus, 'passengers.$.paymentId': payment._id } }
+		);
+	}
+
+	/**
+	 * Đánh dấu trip đã thanh toán sau khi payment thành công
+	 * Trả về false nếu chuyến/ghế không còn nhận thanh toán (payment được hoàn tiền hoặc chờ admin xử lý)
+	 */
+	async markTripAsPaid(payment) {
+		const trip = await Trip.findById(payment.trip._id || payment.trip);
+
+		// Chuyến đã bị xóa (deleteTrip) trong lúc chờ kết quả thanh toán
+		if (!trip) {
+			await refundService.refundUnapplied(payment, { reason: 'Trip was deleted before the payment completed' });
+			return false;
+		}
+
+		// Chuyến đã bị hủy (hết hạn, user hủy) trong lúc chờ kết quả thanh toán
+		if (trip.status === 'cancelled') {
+			await refundService.refundUnapplied(payment, { reason: 'Trip was cancelled before the payment completed' });
+			return false;
+		}
+
+		// Chuyến offer: chỉ ghế của passenger này được thanh toán, trip vẫn mở cho người khác
+		if (trip.tripType === 'offer') {
+			const { matchedCount } = await this.updateSeatPaymentStatus(payment, 'completed');
+			// Ghế đã bị hủy trong lúc chờ (passenger rời chuyến, ghế chưa thanh toán bị hủy khi chuyến bắt đầu)
+			if (matchedCount === 0) {
+				await refundService.refundUnapplied(payment, {
+					reason: 'Seat was no longer booked when the payment completed',
+				});
+				return false;
+			}
+			return true;
+		}
+
+		// Chuyến chia tiền: chỉ chuyển sang paid khi mọi phần đã được thanh toán
+		if (fareSplitService.hasSplit(trip)) {
+			return fareSplitService.settleShares(payment, trip);
+		}
+
+		// Lần ghi nhận trước đã chuyển chuyến sang paid bằng payment này (settlement được chạy lại)
+		const reason = `Payment ${payment.txnRef} completed`;
+		if (trip.statusHistory.some((entry) => entry.to === 'paid' && entry.reason === reason)) {
+			return true;
+		}
+
+		const result = await tripStateMachine.transitionAtomically(trip, 'paid', { actorRole: 'system', reason });
+		if (result) {
+			return true;
+		}
+
+		// Trạng thái vừa đổi: chuyến bị hủy cùng lúc thì hoàn tiền, trường hợp khác (vd: đã được thanh toán
+		// bằng payment khác) thì chờ admin xử lý
+		const current = await Trip.findById(trip._id).select('status');
+		await refundService.refundUnapplied(payment, {
+			reason:
+				current.status === 'cancelled'
+					? 'Trip was cancelled before the payment completed'
+					: `Trip was already ${current.status.replace('_', ' ')} when the payment completed`,
+			refund: current.status === 'cancelled',
+		});
+		return false;
+	}
+
+	/**
+	 * Ghi nhận payment thành công. Trả về { payment, settled } với settled = false nếu đã được xử lý trước đó
+	 * Payment được đánh dấu settlingAt cùng lúc chuyển sang completed; lần ghi nhận dừng giữa chừng
+	 * (vd: lỗi khi cập nhật trip) được chạy lại khi IPN/return URL gửi lại hoặc bởi resumeSettlements
+	 */
+	async completePayment(payment, result) {
+		const now = new Date();
+		let updated = await Payment.findOneAndUpdate(
+			{ _id: payment._id, status: { $in: SETTLEABLE_STATUSES } },
+			{ $set: { status: 'completed', completedAt: now, settlingAt: now, ...getProviderFields(result) } },
+			{ new: true }
+		);
+
+		if (!updated) {
+			updated = await this.claimSettlement(payment._id, now);
+		}
+
+		if (!updated) {
+			return { payment: await Payment.findById(payment._id), settled: false };
+		}
+
+		await this.settlePayment(updated);
+		return { payment: updated, settled: true };
+	}
+
+	/**
+	 * Nhận chạy lại ghi nhận của payment completed còn dở (settlingAt quá STALE_SETTLEMENT_MS)
+	 */
+	claimSettlement(paymentId, now = new Date()) {
+		return Payment.findOneAndUpdate(
+			{
+				_id: paymentId,
+				status: 'completed',
+				settledAt: null,
+				settlingAt: { $lte: new Date(now.getTime() - STALE_SETTLEMENT_MS) },
+			},
+			{ $set: { settlingAt: now } },
+			{ new: true }
+		);
+	}
+
+	/**
+	 * Ghi nhận payment completed lên trip/ví và mã khuyến mãi rồi đánh dấu settledAt
+	 * Mọi bước đều idempotent nên có thể chạy lại sau khi dừng giữa chừng
+	 */
+	async settlePayment(payment) {
+		// Payment nạp tiền: cộng vào ví thay vì đánh dấu trip đã thanh toán
+		let applied = true;
+		if (payment.purpose === 'wallet_topup') {
+			await walletService.creditTopup(payment);
+		} else {
+			applied = await this.markTripAsPaid(payment);
+		}
+
+		// Payment đã được hoàn lại do chuyến bị hủy: không tính lượt dùng mã
+		if (payment.promoCode) {
+			await (applied ? promoService.applyForPayment(payment) : promoService.releaseForPayment(payment));
+		}
+
+		await Payment.updateOne({ _id: payment._id }, { $set: { settledAt: new Date() }, $unset: { settlingAt: 1 } });
+	}
+
+	/**
+	 * Chạy lại ghi nhận của các payment completed còn dở (gọi từ job đối soát)
+	 */
+	async resumeSettlements(now = new Date()) {
+		const payments = await Payment.find({
+			status: 'completed',
+			settledAt: null,
+			settlingAt: { $lte: new Date(now.getTime() - STALE_SETTLEMENT_MS) },
+		})
+			.sort({ settlingAt: 1 })
+			.limit(100);
+		const summary = { settled: 0, errors: 0 };
+
+		for (const payment of payments) {
+			try {
+				const claimed = await this.claimSettlement(payment._id, now);
+				if (claimed) {
+					await this.settlePayment(claimed);
+					summary.settled += 1;
+				}
+			} catch (error) {
+				summary.errors += 1;
+				console.error(`❌ Resume settlement of payment ${payment.txnRef} failed:`, error.message);
+			}
+		}
+
+		return summary;
+	}
+
+	/**
+	 * Ghi nhận payment thất bại (chỉ khi payment vẫn đang pending)
+	 */
+	async failPayment(payment, result, reason) {
+		const updated = await Payment.findOneAndUpdate(
+			{ _id: payment._id, status: 'pending' },
+			{ $set: { status: 'failed', note: reason || 'Payment failed', ...getProviderFields(result) } },
+			{ new: true }
+		);
+
+		if (!updated) {
+			return { payment: await Payment.findById(payment._id), settled: false };
+		}
+
+		const trip = await Trip.findById(updated.trip).select('tripType');
+		if (trip && trip.tripType === 'offer') {
+			await this.updateSeatPaymentStatus(updated, 'failed');
+		}
+
+		if (updated.promoCode) {
+			await promoService.releaseForPayment(updated);
+		}
+
+		return { payment: updated, settled: true };
+	}
+
+	/**
+	 * Áp dụng kết quả giao dịch (đã verify chữ ký) của một gateway lên payment tương ứng
+	 * Trả về { code, payment, success, settled } với code: ok | not_found | invalid_amount
+	 */
+	async applyGatewayResult(provider, result) {
+		const payment = await Payment.findOne({ provider, txnRef: result.txnRef });
+
+		if (!payment) {
+			return { code: 'not_found' };
+		}
+
+		if (Number(result.amount) !== payment.amount) {
+			console.warn(
+				`⚠️ ${provider} amount mismatch for ${payment.txnRef}: expected ${payment.amount}, got ${result.amount}`
+			);
+			return { code: 'invalid_amount', payment };
+		}
+
+		const settlement = result.success
+			? await this.completePayment(payment, result)
+			: await this.failPayment(payment, result, result.message);
+
+		return { code: 'ok', success: result.success, ...settlement };
+	}
+}
+
+module.exports = new PaymentSettlementService();
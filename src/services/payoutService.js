@@ -0,0 +1,247 @@
+const mongoose = require('mongoose');
+const DriverEarning = require('../models/DriverEarning');
+const PayoutBatch = require('../models/PayoutBatch');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const commissionConfig = require('../config/commission');
+const { formatCompactDateTime } = require('../utils/timezone');
+
+const createError = (message, statusCode = 400) => {
+	const error = new Error(message);
+	error.statusCode = statusCode;
+	return error;
+};
+
+// Ô CSV: bọc trong dấu nháy kép khi có dấu phẩy, nháy kép hoặc xuống dòng
+const csvCell = (value) => {
+	const text = value === undefined || value === null ? '' : String(value);
+	return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const hasBankAccount = (user) =>
+	Boolean(user.payoutAccount && user.payoutAccount.accountNumber && user.payoutAccount.bankCode);
+
+class PayoutService {
+	// Tổng thu nhập theo driver của các earning thỏa điều kiện
+	sumByDriver(match) {
+		return DriverEarning.aggregate([
+			{ $match: match },
+			{ $group: { _id: '$driver', amount: { $sum: '$payoutAmount' }, earningsCount: { $sum: 1 } } },
+		]);
+	}
+
+	/**
+	 * Tạo đợt chi trả cho các thu nhập đang chờ của chuyến hoàn thành trước cutoff
+	 * Driver có tổng dưới mức tối thiểu (kể cả khi đang nợ hoa hồng chuyến tiền mặt) được để lại đợt sau
+	 */
+	async createBatch({ createdBy, cutoff, note } = {}) {
+		const latestCutoff = new Date(Date.now() - commissionConfig.payoutDelayHours * 60 * 60 * 1000);
+		const batchCutoff = cutoff ? new Date(cutoff) : latestCutoff;
+
+		if (Number.isNaN(batchCutoff.getTime()) || batchCutoff > latestCutoff) {
+			throw createError(
+				`Cutoff must be at least ${commissionConfig.payoutDelayHours} hours before now so late refunds can still be applied`
+			);
+		}
+
+		const pendingMatch = { status: 'pending', earnedAt: { $lte: batchCutoff } };
+		const candidates = (await this.sumByDriver(pendingMatch)).filter(
+			(row) => row.amount >= commissionConfig.minPayoutAmount
+		);
+
+		const drivers = await User.find({ _id: { $in: candidates.map((row) => row._id) } }).select(
+			'fullName phone payoutAccount'
+		);
+		const eligible = drivers.filter(hasBankAccount);
+		const skippedDrivers = drivers.filter((driver) => !hasBankAccount(driver)).map((driver) => driver._id);
+
+		if (eligible.length === 0) {
+			throw createError('No driver earnings are ready for payout');
+		}
+
+		// Giữ các earning cho đợt chi trả trước (có điều kiện), rồi mới tính số tiền từ những earning đã giữ được
+		const batchId = new mongoose.Types.ObjectId();
+		await DriverEarning.updateMany(
+			{ ...pendingMatch, driver: { $in: eligible.map((driver) => driver._id) } },
+			{ $set: { status: 'in_payout', payoutBatch: batchId } }
+		);
+
+		const claimed = await this.sumByDriver({ payoutBatch: batchId });
+		const belowMinimum = claimed.filter((row) => row.amount < commissionConfig.minPayoutAmount);
+		if (belowMinimum.length > 0) {
+			await DriverEarning.updateMany(
+				{ payoutBatch: batchId, driver: { $in: belowMinimum.map((row) => row._id) } },
+				{ $set: { status: 'pending' }, $unset: { payoutBatch: 1 } }
+			);
+		}
+
+		const driversById = new Map(eligible.map((driver) => [driver._id.toString(), driver]));
+		const items = claimed
+			.filter((row) => row.amount >= commissionConfig.minPayoutAmount)
+			.map((row) => ({
+				driver: row._id,
+				amount: row.amount,
+				earningsCount: row.earningsCount,
+				bankAccount: driversById.get(row._id.toString()).payoutAccount,
+			}));
+
+		if (items.length === 0) {
+			throw createError('No driver earnings are ready for payout');
+		}
+
+		return PayoutBatch.create({
+			_id: batchId,
+			reference: `PO${formatCompactDateTime(new Date())}${Math.floor(Math.random() * 1000)}`,
+			cutoff: batchCutoff,
+			totalAmount: items.reduce((sum, item) => sum + item.amount, 0),
+			items,
+			skippedDrivers,
+			createdBy,
+			note,
+		});
+	}
+
+	async getBatch(batchId) {
+		const batch = await PayoutBatch.findById(batchId).populate('items.driver', 'fullName phone');
+		if (!batch) {
+			throw createError('Payout batch not found', 404);
+		}
+		return batch;
+	}
+
+	async getBatches({ status, page, limit }) {
+		const query = status ? { status } : {};
+		const [batches, total] = await Promise.all([
+			PayoutBatch.find(query)
+				.select('-items')
+				.sort({ createdAt: -1 })
+				.skip((page - 1) * limit)
+				.limit(limit),
+			PayoutBatch.countDocuments(query),
+		]);
+		return { batches, total };
+	}
+
+	/**
+	 * File chuyển khoản (CSV, UTF-8 có BOM để mở được bằng Excel) cho các khoản chưa chuyển của đợt chi trả
+	 */
+	async exportBatch(batchId) {
+		const batch = await this.getBatch(batchId);
+
+		if (batch.status !== 'processing') {
+			throw createError(`Cannot export a ${batch.status} payout batch`);
+		}
+
+		const header = [
+			'No',
+			'Bank code',
+			'Bank name',
+			'Account number',
+			'Account name',
+			'Amount',
+			'Currency',
+			'Description',
+		];
+		const rows = batch.items
+			.filter((item) => item.status === 'pending')
+			.map((item, index) => [
+				index + 1,
+				item.bankAccount.bankCode,
+				item.bankAccount.bankName,
+				item.bankAccount.accountNumber,
+				item.bankAccount.accountName,
+				item.amount,
+				batch.currency,
+				`Chi tra thu nhap ${batch.reference}`,
+			]);
+
+		batch.exportedAt = new Date();
+		await batch.save();
+
+		return {
+			filename: `payout-${batch.reference}.csv`,
+			content: `\uFEFF${[header, ...rows].map((row) => row.map(csvCell).join(',')).join('\r\n')}\r\n`,
+		};
+	}
+
+	/**
+	 * Xác nhận đã chuyển khoản: thu nhập được đánh dấu paid_out
+	 * failedDrivers: driver chuyển khoản không thành công, thu nhập của họ trở lại chờ chi trả đợt sau
+	 */
+	async completeBatch(batchId, { completedBy, transferReference, failedDrivers = [] } = {}) {
+		const failedIds = failedDrivers.map((id) => id.toString());
+
+		const batch = await PayoutBatch.findOneAndUpdate(
+			{ _id: batchId, status: 'processing' },
+			{ $set: { status: 'completed', completedAt: new Date(), completedBy, transferReference } },
+			{ new: true }
+		);
+
+		if (!batch) {
+			await this.getBatch(batchId);
+			throw createError('Only processing payout batches can be completed');
+		}
+
+		const failed = batch.items.filter((item) => failedIds.includes(item.driver.toString()));
+		const paid = batch.items.filter((item) => !failedIds.includes(item.driver.toString()));
+
+		await DriverEarning.updateMany(
+			{ payoutBatch: batch._id, status: 'in_payout', driver: { $nin: failed.map((item) => item.driver) } },
+			{ $set: { status: 'paid_out', paidOutAt: batch.completedAt } }
+		);
+
+		if (failed.length > 0) {
+			await DriverEarning.updateMany(
+				{ payoutBatch: batch._id, status: 'in_payout', driver: { $in: failed.map((item) => item.driver) } },
+				{ $set: { status: 'pending' }, $unset: { payoutBatch: 1 } }
+			);
+		}
+
+		batch.items.forEach((item) => {
+			const transferFailed = failedIds.includes(item.driver.toString());
+			item.status = transferFailed ? 'failed' : 'paid';
+			if (transferFailed) {
+				item.failureReason = 'Bank transfer failed';
+			}
+		});
+		batch.paidAmount = paid.reduce((sum, item) => sum + item.amount, 0);
+		await batch.save();
+
+		for (const item of paid) {
+			await Notification.create({
+				recipient: item.driver,
+				title: 'Payout Sent',
+				message: `${item.amount.toLocaleString('vi-VN')} ${batch.currency} of your earnings has been transferred to your bank account.`,
+				type: 'payment_received',
+				metadata: { payoutBatchId: batch._id, reference: batch.reference },
+			});
+		}
+
+		return batch;
+	}
+
+	/**
+	 * Hủy đợt chi trả chưa chuyển khoản, thu nhập trở lại chờ chi trả
+	 */
+	async cancelBatch(batchId, { note } = {}) {
+		const batch = await PayoutBatch.findOneAndUpdate(
+			{ _id: batchId, status: 'processing' },
+			{ $set: { status: 'cancelled', cancelledAt: new Date(), ...(note && { note }) } },
+			{ new: true }
+		);
+
+		if (!batch) {
+			await this.getBatch(batchId);
+			throw createError('Only processing payout batches can be cancelled');
+		}
+
+		await DriverEarning.updateMany(
+			{ payoutBatch: batch._id, status: 'in_payout' },
+			{ $set: { status: 'pending' }, $unset: { payoutBatch: 1 } }
+		);
+
+		return batch;
+	}
+}
+
+module.exports = new PayoutService();
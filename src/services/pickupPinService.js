@@ -0,0 +1,143 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Trip = require('../models/Trip');
+const pickupPinConfig = require('../config/pickupPin');
+
+const createError = (message, statusCode = 400) => {
+	const error = new Error(message);
+	error.statusCode = statusCode;
+	return error;
+};
+
+const isSameUser = (a, b) => Boolean(a && b) && String(a._id || a) === String(b._id || b);
+
+// So sánh không phụ thuộc thời gian để không đoán được PIN qua thời gian phản hồi
+const matches = (code, pin) => {
+	const expected = Buffer.from(String(code || ''));
+	const actual = Buffer.from(String(pin || '').trim());
+	return expected.length > 0 && expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+const lockedMessage = (lockedUntil, now) =>
+	`Too many wrong PIN attempts. Try again in ${Math.max(Math.ceil((lockedUntil - now) / 60000), 1)} minute(s)`;
+
+class PickupPinService {
+	/**
+	 * Chỉ booking request dùng PIN (chuyến offer đón nhiều passenger ở các điểm khác nhau)
+	 */
+	requiresPin(trip) {
+		return trip.tripType !== 'offer';
+	}
+
+	/**
+	 * PIN mới khi booking có driver (gọi từ tripStateMachine)
+	 */
+	generate(now = new Date()) {
+		const code = String(crypto.randomInt(0, 10 ** pickupPinConfig.length)).padStart(pickupPinConfig.length, '0');
+		return { code, generatedAt: now, failedAttempts: 0 };
+	}
+
+	/**
+	 * PIN của chuyến: chỉ passenger tạo booking xem được để đọc cho driver khi đón
+	 */
+	async getPin(tripId, user) {
+		if (!mongoose.Types.ObjectId.isValid(tripId)) {
+			throw createError('Trip not found', 404);
+		}
+
+		const trip = await Trip.findById(tripId).select('+pickupPin.code tripType requestedBy status');
+		if (!trip) {
+			throw createError('Trip not found', 404);
+		}
+
+		if (!isSameUser(trip.requestedBy, user._id)) {
+			throw createError('Only the passenger who booked the trip can see the pickup PIN', 403);
+		}
+
+		if (!trip.pickupPin || !trip.pickupPin.code) {
+			throw createError('The pickup PIN is issued once a driver is confirmed for your booking');
+		}
+
+		return {
+			tripId: trip._id,
+			status: trip.status,
+			pin: trip.pickupPin.code,
+			generatedAt: trip.pickupPin.generatedAt,
+			verifiedAt: trip.pickupPin.verifiedAt,
+		};
+	}
+
+	/**
+	 * Driver nhập PIN passenger đọc cho khi đón. Đúng thì đánh dấu đã xác nhận trên trip (lưu cùng lần chuyển sang in_progress)
+	 * Sai thì ghi lại lần nhập, sai maxAttempts lần liên tiếp thì bị khóa lockMinutes phút
+	 * Chuyến không có PIN (chuyến offer, booking xác nhận trước khi có PIN) thì bỏ qua
+	 */
+	async verify(trip, { driverId, pin, ipAddr }) {
+		if (!this.requiresPin(trip) || !trip.pickupPin || !trip.pickupPin.generatedAt || trip.pickupPin.verifiedAt) {
+			return;
+		}
+
+		const now = new Date();
+		if (trip.pickupPin.lockedUntil && trip.pickupPin.lockedUntil > now) {
+			throw createError(lockedMessage(trip.pickupPin.lockedUntil, now), 429);
+		}
+
+		if (pin === undefined || pin === null || pin === '') {
+			throw createError('Please enter the pickup PIN shown to the passenger to start the trip');
+		}
+
+		const stored = await Trip.findById(trip._id).select('+pickupPin.code');
+		if (matches(stored.pickupPin.code, pin)) {
+			trip.pickupPin.verifiedAt = now;
+			trip.pickupPin.failedAttempts = 0;
+			return;
+		}
+
+		await this.recordFailure(trip, { driverId, ipAddr }, now);
+	}
+
+	/**
+	 * Ghi lại lần nhập sai (update có điều kiện nên các request song song không vượt quá giới hạn) rồi báo lỗi
+	 */
+	async recordFailure(trip, { driverId, ipAddr }, now) {
+		const updated = await Trip.findOneAndUpdate(
+			{
+				_id: trip._id,
+				$or: [{ 'pickupPin.lockedUntil': null }, { 'pickupPin.lockedUntil': { $lte: now } }],
+			},
+			{
+				$inc: { 'pickupPin.failedAttempts': 1 },
+				$push: {
+					'pickupPin.attemptLog': {
+						$each: [{ driver: driverId, ip: ipAddr, at: now }],
+						$slice: -pickupPinConfig.maxLoggedAttempts,
+					},
+				},
+			},
+			{ new: true, projection: { 'pickupPin.failedAttempts': 1, 'pickupPin.lockedUntil': 1 } }
+		);
+
+		// Đã bị khóa bởi một lần nhập sai khác cùng lúc
+		if (!updated) {
+			const locked = await Trip.findById(trip._id).select('pickupPin.lockedUntil');
+			throw createError(lockedMessage(locked.pickupPin.lockedUntil, now), 429);
+		}
+
+		const attempts = updated.pickupPin.failedAttempts;
+		console.warn(`⚠️ Wrong pickup PIN for trip ${trip._id} by driver ${driverId} (attempt ${attempts})`);
+
+		if (attempts >= pickupPinConfig.maxAttempts) {
+			const lockedUntil = new Date(now.getTime() + pickupPinConfig.lockMinutes * 60 * 1000);
+			await Trip.updateOne(
+				{ _id: trip._id },
+				{ $set: { 'pickupPin.lockedUntil': lockedUntil, 'pickupPin.failedAttempts': 0 } }
+			);
+			console.warn(`🔒 Pickup PIN of trip ${trip._id} locked until ${lockedUntil.toISOString()}`);
+			throw createError(lockedMessage(lockedUntil, now), 429);
+		}
+
+		throw createError(`Wrong pickup PIN. ${pickupPinConfig.maxAttempts - attempts} attempt(s) left`);
+	}
+}
+
+module.exports = new PickupPinService();
@@ -0,0 +1,203 @@
+const PricingRule = require('../models/PricingRule');
+const surgeService = require('./surgeService');
+const { calculatePrice, DEFAULT_PRICING_RULE } = require('../utils/priceCalculator');
+
+// Các field admin được phép sửa khi tạo version mới
+const EDITABLE_FIELDS = [
+	'name',
+	'city',
+	'timezone',
+	'zone',
+	'priority',
+	'vehicleRates',
+	'peakHours',
+	'nightSurcharge',
+	'weekendMultiplier',
+	'holidays',
+	'qualityMultipliers',
+	'oldVehicleMultiplier',
+	'roundTo',
+	'notes',
+];
+
+const createError = (message, statusCode = 400) => {
+	const error = new Error(message);
+	error.statusCode = statusCode;
+	return error;
+};
+
+// Tên thành phố so khớp không phân biệt hoa thường (giống CITY_TIMEZONES)
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const cityPattern = (city) => new RegExp(`^${escapeRegex(city.trim())}$`, 'i');
+
+const pickEditable = (data = {}) => {
+	const fields = {};
+	EDITABLE_FIELDS.forEach((field) => {
+		if (data[field] !== undefined) {
+			fields[field] = data[field];
+		}
+	});
+	return fields;
+};
+
+class PricingService {
+	/**
+	 * Chọn bảng giá đang áp dụng cho điểm đón { lat, lng } thuộc thành phố city (priority cao nhất ở mỗi bước):
+	 * zone chứa điểm đón -> bảng giá của thành phố (không có zone) -> bảng giá chung (không zone, không city)
+	 * -> bảng giá built-in. Zone dùng cho khu vực nhỏ hơn thành phố (sân bay, trung tâm...)
+	 */
+	async getRuleForLocation(coords, city) {
+		if (coords && coords.lat !== undefined && coords.lng !== undefined) {
+			const zoneRule = await PricingRule.findOne({
+				status: 'active',
+				zone: {
+					$geoIntersects: {
+						$geometry: { type: 'Point', coordinates: [coords.lng, coords.lat] },
+					},
+				},
+			})
+				.sort({ priority: -1 })
+				.lean();
+
+			if (zoneRule) {
+				return zoneRule;
+			}
+		}
+
+		if (typeof city === 'string' && city.trim()) {
+			const cityRule = await PricingRule.findOne({
+				status: 'active',
+				'zone.type': { $exists: false },
+				city: cityPattern(city),
+			})
+				.sort({ priority: -1 })
+				.lean();
+
+			if (cityRule) {
+				return cityRule;
+			}
+		}
+
+		const defaultRule = await PricingRule.findOne({
+			status: 'active',
+			'zone.type': { $exists: false },
+			city: { $in: [null, ''] },
+		})
+			.sort({ priority: -1 })
+			.lean();
+
+		return defaultRule || DEFAULT_PRICING_RULE;
+	}
+
+	/**
+	 * Tính giá theo bảng giá và surge tại điểm đón, breakdown ghi lại version đã dùng
+	 * city: thành phố của điểm đón (không bắt buộc), dùng khi không có zone nào chứa điểm đón
+	 * Trả về thêm surge để lưu lên Trip phục vụ đối soát
+	 */
+	async calculatePrice(startCoords, endCoords, vehicle, departureTime, route, city) {
+		const [rule, surge] = await Promise.all([
+			this.getRuleForLocation(startCoords, city),
+			surgeService.getSurge(startCoords, departureTime),
+		]);
+
+		return {
+			...calculatePrice(startCoords, endCoords, vehicle, departureTime, route, rule, surge),
+			surge,
+		};
+	}
+
+	async getRules(status = 'active') {
+		const query = status === 'all' ? {} : { status };
+		return PricingRule.find(query).sort({ code: 1, version: -1 }).populate('createdBy', 'fullName email');
+	}
+
+	async getRuleVersions(code) {
+		const versions = await PricingRule.find({ code: code.toLowerCase() })
+			.sort({ version: -1 })
+			.populate('createdBy', 'fullName email');
+
+		if (versions.length === 0) {
+			throw createError('Pricing rule not found', 404);
+		}
+
+		return versions;
+	}
+
+	async createRule(data, adminId) {
+		if (!data.code || !data.name) {
+			throw createError('code and name are required');
+		}
+
+		const exists = await PricingRule.exists({ code: data.code.toLowerCase() });
+		if (exists) {
+			throw createError(`Pricing rule "${data.code}" already exists. Update it to create a new version`, 409);
+		}
+
+		return PricingRule.create({
+			...pickEditable(data),
+			code: data.code,
+			version: 1,
+			status: 'active',
+			createdBy: adminId,
+		});
+	}
+
+	/**
+	 * Sửa bảng giá: tạo version mới từ version hiện tại, version cũ chuyển sang superseded
+	 * Bảng giá "default" chưa có trong database sẽ được tạo từ bảng giá built-in
+	 */
+	async createRuleVersion(code, changes, adminId) {
+		const normalizedCode = code.toLowerCase();
+		const current = await PricingRule.findOne({ code: normalizedCode }).sort({ version: -1 });
+
+		let base;
+		if (current) {
+			base = current.toObject();
+		} else if (normalizedCode === DEFAULT_PRICING_RULE.code) {
+			base = { ...DEFAULT_PRICING_RULE, version: 0 };
+		} else {
+			throw createError('Pricing rule not found', 404);
+		}
+
+		let rule;
+		try {
+			rule = await PricingRule.create({
+				...pickEditable(base),
+				...pickEditable(changes),
+				code: normalizedCode,
+				version: base.version + 1,
+				status: 'active',
+				createdBy: adminId,
+			});
+		} catch (error) {
+			// Unique index (code, version): có người khác vừa sửa cùng bảng giá
+			if (error.code === 11000) {
+				throw createError('Pricing rule was modified by someone else. Please reload and try again', 409);
+			}
+			throw error;
+		}
+
+		await PricingRule.updateMany(
+			{ code: normalizedCode, _id: { $ne: rule._id }, status: 'active' },
+			{ $set: { status: 'superseded', supersededAt: new Date() } }
+		);
+
+		return rule;
+	}
+
+	async deactivateRule(code) {
+		const rule = await PricingRule.findOneAndUpdate(
+			{ code: code.toLowerCase(), status: 'active' },
+			{ $set: { status: 'inactive' } },
+			{ new: true }
+		);
+
+		if (!rule) {
+			throw createError('No active pricing rule found with this code', 404);
+		}
+
+		return rule;
+	}
+}
+
+module.exports = new PricingService();
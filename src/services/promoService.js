@@ -0,0 +1,290 @@
+const PromoCode = require('../models/PromoCode');
+const PromoRedemption = require('../models/PromoRedemption');
+const Trip = require('../models/Trip');
+const promotionConfig = require('../config/promotion');
+
+// Các field admin được sửa trên mã khuyến mãi (code và usedCount không đổi sau khi tạo)
+const EDITABLE_FIELDS = [
+	'description',
+	'discountType',
+	'discountValue',
+	'maxDiscount',
+	'minFare',
+	'usageLimit',
+	'usageLimitPerUser',
+	'validFrom',
+	'validUntil',
+	'firstRideOnly',
+	'vehicleTypes',
+	'isActive',
+];
+
+const createError = (message, statusCode = 400) => {
+	const error = new Error(message);
+	error.statusCode = statusCode;
+	return error;
+};
+
+// Dữ liệu admin nhập sai (lỗi validate của mongoose) trả về 400
+const validated = async (operation) => {
+	try {
+		return await operation;
+	} catch (error) {
+		if (error.name === 'ValidationError' || error.name === 'CastError') {
+			throw createError(error.message);
+		}
+		throw error;
+	}
+};
+
+// Nhận lượt dùng còn trống đầu tiên (1..usageLimitPerUser) của user với mã: write(slot) ghi lượt dùng,
+// trùng unique index (promo, user, slot) nghĩa là lượt đó đã có người nhận. Trả về null nếu đã hết lượt
+const takeUserSlot = async (promo, write) => {
+	for (let slot = 1; slot <= promo.usageLimitPerUser; slot++) {
+		try {
+			return await write(slot);
+		} catch (error) {
+			if (error.code !== 11000) {
+				throw error;
+			}
+		}
+	}
+	return null;
+};
+
+const normalizeCode = (code) =>
+	String(code || '')
+		.trim()
+		.toUpperCase();
+
+class PromoService {
+	/**
+	 * Số tiền giảm của mã cho một giá chuyến, luôn để lại tối thiểu minPayableAmount phải thanh toán
+	 */
+	calculateDiscount(promo, amount) {
+		let discount =
+			promo.discountType === 'percentage'
+				? Math.floor((amount * promo.discountValue) / 100)
+				: promo.discountValue;
+
+		if (promo.maxDiscount) {
+			discount = Math.min(discount, promo.maxDiscount);
+		}
+
+		return Math.max(Math.min(discount, amount - promotionConfig.minPayableAmount), 0);
+	}
+
+	/**
+	 * User đã có chuyến hoàn thành (người đặt chuyến, người đi cùng đã trả phần chia tiền, hoặc passenger trên chuyến offer)
+	 */
+	async hasCompletedRide(userId) {
+		const trip = await Trip.exists({
+			status: 'completed',
+			$or: [
+				{ requestedBy: userId },
+				{ 'fareSplit.shares': { $elemMatch: { user: userId, status: 'paid' } } },
+				{ passengers: { $elemMatch: { user: userId, status: 'accepted' } } },
+			],
+		});
+		return Boolean(trip);
+	}
+
+	/**
+	 * Kiểm tra mã có áp dụng được cho user/chuyến/số tiền này không
+	 * Trả về { promo, originalAmount, discountAmount, finalAmount }
+	 */
+	async evaluate(code, { userId, vehicleType, amount, now = new Date() }) {
+		const promo = await PromoCode.findOne({ code: normalizeCode(code) });
+
+		if (!promo || !promo.isActive) {
+			throw createError('Promo code not found', 404);
+		}
+
+		if ((promo.validFrom && promo.validFrom > now) || (promo.validUntil && promo.validUntil < now)) {
+			throw createError('This promo code is not valid at this time');
+		}
+
+		if (promo.vehicleTypes.length > 0 && !promo.vehicleTypes.includes(vehicleType)) {
+			throw createError(`This promo code only applies to: ${promo.vehicleTypes.join(', ')}`);
+		}
+
+		if (amount < promo.minFare) {
+			throw createError(`This promo code requires a fare of at least ${promo.minFare} VND`);
+		}
+
+		if (promo.usageLimit && promo.usedCount >= promo.usageLimit) {
+			throw createError('This promo code has reached its usage limit');
+		}
+
+		const usedByUser = await PromoRedemption.countDocuments({
+			promo: promo._id,
+			user: userId,
+			status: { $in: ['reserved', 'applied'] },
+		});
+		if (usedByUser >= promo.usageLimitPerUser) {
+			throw createError('You have already used this promo code');
+		}
+
+		if (promo.firstRideOnly && (await this.hasCompletedRide(userId))) {
+			throw createError('This promo code is only valid for your first ride');
+		}
+
+		const discountAmount = this.calculateDiscount(promo, amount);
+		if (discountAmount <= 0) {
+			throw createError('This promo code does not reduce the price of this trip');
+		}
+
+		return { promo, originalAmount: amount, discountAmount, finalAmount: amount - discountAmount };
+	}
+
+	/**
+	 * Giữ một lượt dùng mã cho payment sắp tạo: tăng usedCount có điều kiện để không vượt usageLimit,
+	 * rồi nhận một lượt của user (unique theo promo, user, slot) để không vượt usageLimitPerUser
+	 */
+	async reserve(code, { userId, trip, amount }) {
+		const quote = await this.evaluate(code, {
+			userId,
+			vehicleType: trip.vehicleTypeUsed || trip.preferredVehicleType,
+			amount,
+		});
+
+		const claimed = await PromoCode.findOneAndUpdate(
+			{
+				_id: quote.promo._id,
+				isActive: true,
+				$or: [{ usageLimit: null }, { $expr: { $lt: ['$usedCount', '$usageLimit'] } }],
+			},
+			{ $inc: { usedCount: 1 } },
+			{ new: true }
+		);
+
+		if (!claimed) {
+			throw createError('This promo code has reached its usage limit');
+		}
+
+		let redemption;
+		try {
+			redemption = await takeUserSlot(claimed, (slot) =>
+				PromoRedemption.create({
+					promo: claimed._id,
+					code: claimed.code,
+					user: userId,
+					trip: trip._id,
+					originalAmount: quote.originalAmount,
+					discountAmount: quote.discountAmount,
+					slot,
+				})
+			);
+		} finally {
+			// Không nhận được lượt của user (hoặc lỗi khi ghi): trả lại lượt dùng chung đã tăng
+			if (!redemption) {
+				await PromoCode.updateOne({ _id: claimed._id, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+			}
+		}
+
+		if (!redemption) {
+			throw createError('You have already used this promo code');
+		}
+
+		return { ...quote, promo: claimed, redemption };
+	}
+
+	/**
+	 * Payment thành công: lượt dùng được tính chính thức
+	 * Payment đã hết hạn/bị hủy (lượt dùng đã được trả lại) nhưng vẫn thanh toán thành công thì được tính lại
+	 */
+	async applyForPayment(payment) {
+		const redemption = await PromoRedemption.findOneAndUpdate(
+			{ payment: payment._id, status: { $in: ['reserved', 'released'] } },
+			{ $set: { status: 'applied', appliedAt: new Date() } }
+		);
+
+		if (redemption && redemption.status === 'released') {
+			await PromoCode.updateOne({ _id: redemption.promo }, { $inc: { usedCount: 1 } });
+			// Payment đã thành công nên vẫn được tính; nhận lại một lượt của user nếu còn
+			const promo = await PromoCode.findById(redemption.promo).select('usageLimitPerUser');
+			await takeUserSlot(promo, (slot) => PromoRedemption.updateOne({ _id: redemption._id }, { $set: { slot } }));
+		}
+
+		return redemption;
+	}
+
+	/**
+	 * Payment thất bại, hết hạn hoặc bị hủy: trả lại lượt dùng mã
+	 */
+	async releaseForPayment(payment) {
+		const redemption = await PromoRedemption.findOne({ payment: payment._id, status: 'reserved' });
+		return redemption ? this.releaseRedemption(redemption) : null;
+	}
+
+	/**
+	 * Trả lại lượt dùng đang giữ (cũng dùng khi không tạo được payment)
+	 */
+	async releaseRedemption(redemption) {
+		const released = await PromoRedemption.findOneAndUpdate(
+			{ _id: redemption._id, status: 'reserved' },
+			{ $set: { status: 'released', releasedAt: new Date() }, $unset: { slot: 1 } }
+		);
+
+		if (released) {
+			await PromoCode.updateOne({ _id: released.promo, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+		}
+
+		return released;
+	}
+
+	async getPromoCodes({ isActive, page, limit }) {
+		const query = isActive === undefined ? {} : { isActive };
+		const [promoCodes, total] = await Promise.all([
+			PromoCode.find(query)
+				.sort({ createdAt: -1 })
+				.skip((page - 1) * limit)
+				.limit(limit),
+			PromoCode.countDocuments(query),
+		]);
+		return { promoCodes, total };
+	}
+
+	async createPromoCode(data, createdBy) {
+		if (data.code && (await PromoCode.exists({ code: normalizeCode(data.code) }))) {
+			throw createError(`Promo code ${normalizeCode(data.code)} already exists`);
+		}
+
+		const fields = EDITABLE_FIELDS.reduce(
+			(result, field) => (data[field] === undefined ? result : { ...result, [field]: data[field] }),
+			{}
+		);
+
+		return validated(PromoCode.create({ ...fields, code: data.code, createdBy }));
+	}
+
+	async updatePromoCode(promoId, data) {
+		const promo = await PromoCode.findById(promoId);
+		if (!promo) {
+			throw createError('Promo code not found', 404);
+		}
+
+		EDITABLE_FIELDS.forEach((field) => {
+			if (data[field] !== undefined) {
+				promo[field] = data[field];
+			}
+		});
+
+		return validated(promo.save());
+	}
+
+	async getRedemptions(promoId, { page, limit }) {
+		const query = { promo: promoId };
+		const [redemptions, total] = await Promise.all([
+			PromoRedemption.find(query)
+				.populate('user', 'fullName phone')
+				.sort({ createdAt: -1 })
+				.skip((page - 1) * limit)
+				.limit(limit),
+			PromoRedemption.countDocuments(query),
+		]);
+		return { redemptions, total };
+	}
+}
+
+module.exports = new PromoService();
@@ -0,0 +1,213 @@
+const mongoose = require('mongoose');
+const { Server } = require('socket.io');
+const Trip = require('../models/Trip');
+const { authenticateToken } = require('../middleware/auth');
+
+const createError = (message, statusCode = 400) => {
+	const error = new Error(message);
+	error.statusCode = statusCode;
+	return error;
+};
+
+const toId = (value) => String(value && value._id ? value._id : value);
+
+const userRoom = (userId) => `user:${toId(userId)}`;
+const tripRoom = (tripId) => `trip:${toId(tripId)}`;
+
+// Những người liên quan đến chuyến: passenger tạo booking, driver, passenger đặt ghế và người cùng chia tiền
+const getTripParticipantIds = (trip) => {
+	const ids = [
+		trip.requestedBy,
+		trip.driver,
+		...(trip.passengers || []).map((passenger) => passenger.user),
+		...((trip.fareSplit && trip.fareSplit.shares) || []).map((share) => share.user),
+	];
+	return [...new Set(ids.filter(Boolean).map(toId))];
+};
+
+// Token gửi qua handshake.auth.token (Socket.IO client) hoặc header Authorization như REST API
+const getHandshakeToken = (socket) => {
+	const { auth = {}, headers = {} } = socket.handshake;
+	if (auth.token) {
+		return String(auth.token).replace(/^Bearer\s+/i, '');
+	}
+	if (headers.authorization && headers.authorization.startsWith('Bearer')) {
+		return headers.authorization.split(' ')[1];
+	}
+	return null;
+};
+
+class RealtimeService {
+	constructor() {
+		this.io = null;
+	}
+
+	/**
+	 * Gắn Socket.IO vào HTTP server. Mỗi socket tự vào phòng user:<id>, phòng trip:<id> vào qua sự kiện trip:join
+	 */
+	init(server) {
+		this.io = new Server(server, {
+			cors: { origin: true, credentials: true },
+		});
+
+		this.io.use(async (socket, next) => {
+			const token = getHandshakeToken(socket);
+			if (!token) {
+				return next(new Error('Access denied. No token provided.'));
+			}
+
+			try {
+				socket.data.user = await authenticateToken(token);
+				next();
+			} catch (error) {
+				next(new Error(error.statusCode === 401 ? error.message : 'Token is invalid'));
+			}
+		});
+
+		this.io.on('connection', (socket) => this.handleConnection(socket));
+
+		console.log('🔌 Realtime server attached');
+		return this.io;
+	}
+
+	handleConnection(socket) {
+		const { user } = socket.data;
+		socket.join(userRoom(user._id));
+
+		socket.on('trip:join', async (tripId, ack) => {
+			try {
+				const trip = await this.joinTrip(socket, tripId);
+				if (typeof ack === 'function') ack({ success: true, data: { tripId: trip._id, status: trip.status } });
+			} catch (error) {
+				if (typeof ack === 'function') ack({ success: false, error: error.message });
+			}
+		});
+
+		socket.on('trip:leave', (tripId, ack) => {
+			socket.leave(tripRoom(tripId));
+			if (typeof ack === 'function') ack({ success: true });
+		});
+
+		// Driver gửi vị trí realtime: { tripId, lat, lng, heading, speed, accuracy, recordedAt }
+		socket.on('location:update', async (payload, ack) => {
+			try {
+				// Require tại đây vì trackingService dùng realtimeService để phát vị trí
+				const trackingService = require('./trackingService');
+				const { tripId, ...point } = payload || {};
+				const result = await trackingService.recordLocations(tripId, user._id, [point]);
+				if (typeof ack === 'function') ack({ success: true, data: result });
+			} catch (error) {
+				if (typeof ack === 'function') ack({ success: false, error: error.message });
+			}
+		});
+	}
+
+	/**
+	 * Theo dõi một chuyến: chỉ người liên quan đến chuyến, driver đã gửi yêu cầu nhận chuyến hoặc admin
+	 */
+	async joinTrip(socket, tripId) {
+		if (!mongoose.Types.ObjectId.isValid(tripId)) {
+			throw createError('Trip not found', 404);
+		}
+
+		const trip = await Trip.findById(tripId).select(
+			'status requestedBy driver passengers.user fareSplit.shares.user driverRequests.driver'
+		);
+		if (!trip) {
+			throw createError('Trip not found', 404);
+		}
+
+		const { user } = socket.data;
+		const allowedIds = [
+			...getTripParticipantIds(trip),
+			...trip.driverRequests.map((request) => toId(request.driver)),
+		];
+		if (user.role !== 'admin' && !allowedIds.includes(toId(user._id))) {
+			throw createError('Not authorized to follow this trip', 403);
+		}
+
+		socket.join(tripRoom(trip._id));
+		return trip;
+	}
+
+	/**
+	 * Gửi sự kiện tới các phòng user (và phòng trip nếu có). Socket.IO gộp các phòng nên mỗi socket chỉ nhận một lần.
+	 * Chưa init (script, job chạy riêng) thì bỏ qua
+	 */
+	emit(event, payload, { users = [], trips = [] } = {}) {
+		if (!this.io) {
+			return;
+		}
+
+		const rooms = [...users.filter(Boolean).map(userRoom), ...trips.filter(Boolean).map(tripRoom)];
+		if (rooms.length > 0) {
+			this.io.to(rooms).emit(event, payload);
+		}
+	}
+
+	emitToUser(userId, event, payload) {
+		this.emit(event, payload, { users: [userId] });
+	}
+
+	emitToTrip(tripId, event, payload) {
+		this.emit(event, payload, { trips: [tripId] });
+	}
+
+	/**
+	 * Driver gửi yêu cầu nhận booking: báo cho passenger tạo booking
+	 */
+	emitDriverRequest(trip, request) {
+		this.emit(
+			'trip:driver_request',
+			{ tripId: trip._id, request },
+			{ users: [trip.requestedBy], trips: [trip._id] }
+		);
+	}
+
+	/**
+	 * Passenger chấp nhận/từ chối yêu cầu: báo cho driver của yêu cầu đó
+	 */
+	emitDriverRequestResponse(trip, request) {
+		this.emit(
+			'trip:driver_request_updated',
+			{
+				tripId: trip._id,
+				requestId: request._id,
+				status: request.status,
+				respondedAt: request.respondedAt,
+			},
+			{ users: [request.driver], trips: [trip._id] }
+		);
+	}
+
+	/**
+	 * Trạng thái chuyến thay đổi: báo cho mọi người liên quan và những ai đang theo dõi chuyến
+	 */
+	emitTripStatus(trip, extra = {}) {
+		this.emit(
+			'trip:status',
+			{ tripId: trip._id, status: trip.status, ...extra, updatedAt: new Date() },
+			{ users: getTripParticipantIds(trip), trips: [trip._id] }
+		);
+	}
+
+	/**
+	 * Tin nhắn chat mới: gửi tới cả hai người trong cuộc trò chuyện (kể cả các thiết bị khác của người gửi)
+	 */
+	emitChatMessage(chat, message) {
+		this.emit(
+			'chat:message',
+			{ chatId: chat._id, tripId: chat.trip ? toId(chat.trip) : null, message },
+			{ users: chat.participants }
+		);
+	}
+
+	/**
+	 * Thông báo mới của user
+	 */
+	emitNotification(notification) {
+		this.emitToUser(notification.recipient, 'notification:new', notification);
+	}
+}
+
+module.exports = new RealtimeService();
@@ -0,0 +1,258 @@
+const PDFDocument = require('pdfkit');
+const Payment = require('../models/Payment');
+const receiptConfig = require('../config/receipt');
+const { getZonedParts } = require('../utils/timezone');
+
+// Chỉ payment đã thanh toán (kể cả đã hoàn một phần) mới có biên nhận
+const RECEIPT_PAYMENT_STATUSES = ['completed', 'partially_refunded'];
+
+const PROVIDER_LABELS = {
+	vnpay: 'VNPay',
+	momo: 'MoMo',
+	zalopay: 'ZaloPay',
+	cash: 'Cash',
+	wallet: 'Wallet',
+	corporate: 'Corporate account',
+};
+
+const createError = (message, statusCode = 400) => {
+	const error = new Error(message);
+	error.statusCode = statusCode;
+	return error;
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// DD/MM/YYYY HH:mm theo múi giờ kinh doanh
+const formatDateTime = (date) => {
+	if (!date) return '-';
+	const { year, month, day, hour, minute } = getZonedParts(date);
+	return `${pad(day)}/${pad(month)}/${year} ${pad(hour)}:${pad(minute)}`;
+};
+
+const formatMoney = (amount, currency) => `${Math.round(amount || 0).toLocaleString('vi-VN')} ${currency}`;
+
+// Font mặc định của PDF (Helvetica) không có dấu tiếng Việt nên bỏ dấu khi in
+const toAscii = (text) =>
+	String(text === undefined || text === null ? '' : text)
+		.normalize('NFD')
+		.replace(/[\u0300-\u036f]/g, '')
+		.replace(/đ/g, 'd')
+		.replace(/Đ/g, 'D');
+
+class ReceiptService {
+	/**
+	 * Biên nhận (dạng JSON) của payment cho chuyến đã hoàn thành
+	 * Giá chuyến đã bao gồm VAT: tách tiền trước thuế và tiền thuế từ số tiền thực trả
+	 */
+	async buildReceipt(paymentId, user) {
+		const payment = await Payment.findById(paymentId)
+			.populate('user', 'fullName email phone')
+			.populate({
+				path: 'trip',
+				populate: { path: 'driver', select: 'fullName phone vehicle' },
+			});
+
+		if (!payment) {
+			throw createError('Payment not found', 404);
+		}
+
+		if (!payment.user._id.equals(user._id) && user.role !== 'admin') {
+			throw createError('Access denied', 403);
+		}
+
+		if (payment.purpose !== 'trip' || !payment.trip) {
+			throw createError('Receipts are only issued for trip payments');
+		}
+
+		if (!RECEIPT_PAYMENT_STATUSES.includes(payment.status)) {
+			throw createError(
+				payment.status === 'refunded'
+					? 'This payment has been fully refunded, so no receipt is issued'
+					: 'Receipts are only issued for completed payments'
+			);
+		}
+
+		const { trip } = payment;
+		if (trip.status !== 'completed') {
+			throw createError('The receipt is available once the trip has been completed');
+		}
+
+		const total = payment.amount - (payment.refundedAmount || 0);
+		const amountBeforeVat = Math.round(total / (1 + receiptConfig.vatPercent / 100));
+		const passenger =
+			trip.tripType === 'offer'
+				? trip.passengers.find((item) => item.paymentId && item.paymentId.equals(payment._id)) ||
+					trip.passengers.find((item) => item.user.equals(payment.user._id))
+				: null;
+		const driver = trip.driver || {};
+		const vehicle = driver.vehicle || {};
+		const breakdown = trip.priceBreakdown || {};
+		const issuedAt = [trip.actualArrivalTime, payment.completedAt]
+			.filter(Boolean)
+			.reduce((latest, date) => (date > latest ? date : latest), payment.completedAt || new Date());
+
+		return {
+			receiptNumber: `RC${payment.txnRef}`,
+			issuedAt,
+			currency: payment.currency,
+			seller: receiptConfig.seller,
+			customer: {
+				_id: payment.user._id,
+				fullName: payment.user.fullName,
+				email: payment.user.email,
+				phone: payment.user.phone,
+			},
+			trip: {
+				_id: trip._id,
+				tripType: trip.tripType,
+				from: trip.startLocation.address,
+				to: trip.endLocation.address,
+				stops: (trip.stops || []).map((stop) => stop.address),
+				departureTime: trip.actualDepartureTime || trip.departureTime,
+				arrivalTime: trip.actualArrivalTime,
+				distanceKm: (trip.routeInfo && trip.routeInfo.distanceKm) || breakdown.distanceInKm,
+				durationMinutes: (trip.routeInfo && trip.routeInfo.durationMinutes) || breakdown.durationMinutes,
+				vehicleType: trip.vehicleTypeUsed || trip.preferredVehicleType,
+			},
+			driver: {
+				_id: driver._id,
+				fullName: driver.fullName,
+				phone: driver.phone,
+				vehicle: {
+					licensePlate: vehicle.licensePlate,
+					brand: vehicle.brand,
+					model: vehicle.model,
+					color: vehicle.color,
+				},
+			},
+			fare: {
+				seats: passenger ? passenger.seats : undefined,
+				pricePerSeat: passenger ? trip.price : undefined,
+				tripPrice: trip.tripType === 'offer' ? undefined : trip.price,
+				splitFare: Boolean(payment.metadata && payment.metadata.fareShares),
+				baseFare: breakdown.baseFare,
+				surgeMultiplier: breakdown.surgeMultiplier,
+				originalAmount: payment.amount + (payment.discountAmount || 0),
+				promoCode: payment.promoCode,
+				discountAmount: payment.discountAmount || 0,
+				amount: payment.amount,
+				refundedAmount: payment.refundedAmount || 0,
+				total,
+				vatPercent: receiptConfig.vatPercent,
+				amountBeforeVat,
+				vatAmount: total - amountBeforeVat,
+			},
+			payment: {
+				_id: payment._id,
+				provider: payment.provider,
+				status: payment.status,
+				txnRef: payment.txnRef,
+				transactionNo: payment.providerTxnId,
+				paidAt: payment.completedAt,
+			},
+		};
+	}
+
+	/**
+	 * In biên nhận ra PDF (A4), trả về Buffer
+	 */
+	renderPdf(receipt) {
+		return new Promise((resolve, reject) => {
+			const doc = new PDFDocument({
+				size: 'A4',
+				margin: 50,
+				info: { Title: `Receipt ${receipt.receiptNumber}` },
+			});
+			const chunks = [];
+			doc.on('data', (chunk) => chunks.push(chunk));
+			doc.on('end', () => resolve(Buffer.concat(chunks)));
+			doc.on('error', reject);
+
+			const { seller, customer, trip, driver, fare, payment, currency } = receipt;
+			const money = (amount) => formatMoney(amount, currency);
+			const row = (label, value, font = 'Helvetica') => {
+				const y = doc.y;
+				doc.font(font).text(toAscii(label), 50, y, { width: 200 });
+				doc.text(toAscii(value), 250, y, { width: 295, align: 'right' });
+				doc.moveDown(0.3);
+			};
+			const section = (title) => {
+				doc.moveDown(0.8).font('Helvetica-Bold').fontSize(12).text(title, 50);
+				doc.moveTo(50, doc.y + 2)
+					.lineTo(545, doc.y + 2)
+					.stroke();
+				doc.moveDown(0.5).fontSize(10);
+			};
+
+			doc.font('Helvetica-Bold').fontSize(18).text(toAscii(seller.name), { align: 'center' });
+			doc.font('Helvetica').fontSize(9);
+			[seller.address, seller.taxCode && `Tax code: ${seller.taxCode}`, seller.email]
+				.filter(Boolean)
+				.forEach((line) => doc.text(toAscii(line), { align: 'center' }));
+			doc.moveDown().font('Helvetica-Bold').fontSize(14).text('TRIP RECEIPT', { align: 'center' });
+			doc.font('Helvetica').fontSize(10);
+			doc.text(`No. ${receipt.receiptNumber}  -  Issued ${formatDateTime(receipt.issuedAt)}`, {
+				align: 'center',
+			});
+
+			section('Customer');
+			row('Name', customer.fullName);
+			row('Phone', customer.phone || '-');
+
+			section('Trip');
+			row('From', trip.from);
+			trip.stops.forEach((stop, index) => row(`Stop ${index + 1}`, stop));
+			row('To', trip.to);
+			row('Departure', formatDateTime(trip.departureTime));
+			row('Arrival', formatDateTime(trip.arrivalTime));
+			row('Distance', trip.distanceKm ? `${trip.distanceKm} km` : '-');
+
+			section('Driver');
+			row('Name', driver.fullName || '-');
+			row(
+				'Vehicle',
+				[driver.vehicle.brand, driver.vehicle.model, driver.vehicle.color].filter(Boolean).join(' ') || '-'
+			);
+			row('Plate number', driver.vehicle.licensePlate || '-');
+
+			section('Fare');
+			if (fare.seats) {
+				row(`Seats (${fare.seats} x ${money(fare.pricePerSeat)})`, money(fare.originalAmount));
+			} else {
+				row(fare.splitFare ? 'Your share of the fare' : 'Trip fare', money(fare.originalAmount));
+			}
+			if (fare.discountAmount > 0) {
+				row(`Promo ${fare.promoCode || ''}`.trim(), `-${money(fare.discountAmount)}`);
+			}
+			if (fare.refundedAmount > 0) {
+				row('Refunded', `-${money(fare.refundedAmount)}`);
+			}
+			row('Total paid', money(fare.total), 'Helvetica-Bold');
+			row('Amount before VAT', money(fare.amountBeforeVat));
+			row(`VAT (${fare.vatPercent}%)`, money(fare.vatAmount));
+
+			section('Payment');
+			row('Method', PROVIDER_LABELS[payment.provider] || payment.provider);
+			row('Reference', payment.txnRef);
+			if (payment.transactionNo) {
+				row(`${PROVIDER_LABELS[payment.provider] || payment.provider} transaction no.`, payment.transactionNo);
+			}
+			row('Paid at', formatDateTime(payment.paidAt));
+
+			doc.moveDown(2).fontSize(8).fillColor('#666666');
+			doc.text(
+				'Prices include VAT. This receipt was generated electronically and is valid without a signature.',
+				50,
+				doc.y,
+				{
+					align: 'center',
+				}
+			);
+
+			doc.end();
+		});
+	}
+}
+
+module.exports = new ReceiptService();
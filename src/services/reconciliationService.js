@@ -0,0 +1,344 @@
+const crypto = require('crypto');
+const Payment = require('../models/Payment');
+const ReconciliationReport = require('../models/ReconciliationReport');
+const paymentSettlementService = require('./paymentSettlementService');
+const paymentGateways = require('./paymentGateways');
+const timezoneConfig = require('../config/timezone');
+const { addDays, formatDateKey, zonedTimeToUtc } = require('../utils/timezone');
+
+// Số payment đối soát tối đa mỗi lần chạy job
+const BATCH_SIZE = 100;
+
+// Payment chưa có kết quả cuối cùng phía hệ thống (IPN/return có thể đã bị lỡ)
+const UNSETTLED_STATUSES = ['pending', 'expired', 'cancelled'];
+
+// Payment đã được ghi nhận thanh toán phía hệ thống
+const PAID_STATUSES = ['completed', 'partially_refunded', 'refunded'];
+
+// Payment tiền mặt, trả bằng ví và tính cho tổ chức không đi qua cổng thanh toán nên không cần đối soát
+const OFFLINE_PROVIDERS = ['cash', 'wallet', 'corporate'];
+
+const createError = (message, statusCode = 400) => {
+	const error = new Error(message);
+	error.statusCode = statusCode;
+	return error;
+};
+
+class ReconciliationService {
+	constructor() {
+		// Chỉ truy vấn payment đã tạo quá N phút (tránh truy vấn khi user vẫn đang thanh toán)
+		this.minAgeMinutes = parseInt(process.env.RECONCILE_MIN_AGE_MINUTES, 10) || 15;
+		// Không đối soát lại payment cũ hơn khoảng này
+		this.lookbackHours = parseInt(process.env.RECONCILE_LOOKBACK_HOURS, 10) || 72;
+		// Báo cáo running quá N phút (server bị dừng giữa chừng) được chạy lại
+		this.reportTimeoutMinutes = parseInt(process.env.RECONCILE_REPORT_TIMEOUT_MINUTES, 10) || 60;
+	}
+
+	/**
+	 * Truy vấn trạng thái giao dịch trên cổng thanh toán và cập nhật payment theo kết quả
+	 * Trả về { payment, previousStatus, gatewayState, gatewayAmount, action, data }
+	 */
+	async reconcilePayment(payment, { ipAddr } = {}) {
+		const previousStatus = payment.status;
+		const data = await paymentGateways
+			.get(payment.provider)
+			.query(payment, { requestId: crypto.randomBytes(16).toString('hex'), ipAddr });
+		const gatewayState = data.state;
+		const gatewayAmount = data.amount;
+
+		let action = 'none';
+		let current = payment;
+
+		if (gatewayState === 'paid' && UNSETTLED_STATUSES.includes(previousStatus)) {
+			if (gatewayAmount !== payment.amount) {
+				action = 'amount_mismatch';
+				console.warn(
+					`⚠️ ${payment.provider} amount mismatch for ${payment.txnRef}: expected ${payment.amount}, got ${gatewayAmount}`
+				);
+			} else {
+				const result = await paymentSettlementService.completePayment(payment, data);
+				current = result.payment;
+				action = result.settled ? 'completed' : 'none';
+			}
+		} else if (gatewayState === 'failed' && previousStatus === 'pending') {
+			const result = await paymentSettlementService.failPayment(
+				payment,
+				data,
+				`${payment.provider} transaction status ${data.status}`
+			);
+			current = result.payment;
+			action = result.settled ? 'failed' : 'none';
+		}
+
+		await Payment.updateOne({ _id: payment._id }, { $set: { lastReconciledAt: new Date() } });
+
+		return { payment: current, previousStatus, gatewayState, gatewayAmount, action, data };
+	}
+
+	/**
+	 * Đối soát các payment pending/expired/cancelled đủ cũ với cổng thanh toán
+	 * Payment pending được truy vấn lại mỗi minAgeMinutes cho tới khi có kết quả; expired/cancelled chỉ truy vấn một lần
+	 */
+	async reconcilePendingPayments(now = new Date()) {
+		const cutoff = new Date(now.getTime() - this.minAgeMinutes * 60 * 1000);
+		const lookback = new Date(now.getTime() - this.lookbackHours * 60 * 60 * 1000);
+
+		const payments = await Payment.find({
+			provider: { $nin: OFFLINE_PROVIDERS },
+			createdAt: { $gte: lookback, $lte: cutoff },
+			$or: [
+				{ status: 'pending', $or: [{ lastReconciledAt: null }, { lastReconciledAt: { $lte: cutoff } }] },
+				{ status: { $in: ['expired', 'cancelled'] }, lastReconciledAt: null },
+			],
+		})
+			.sort({ createdAt: 1 })
+			.limit(BATCH_SIZE);
+
+		const summary = { checked: 0, completed: 0, failed: 0, amountMismatch: 0, errors: 0 };
+
+		for (const payment of payments) {
+			try {
+				const result = await this.reconcilePayment(payment);
+				summary.checked += 1;
+				if (result.action === 'completed') summary.completed += 1;
+				if (result.action === 'failed') summary.failed += 1;
+				if (result.action === 'amount_mismatch') summary.amountMismatch += 1;
+			} catch (error) {
+				summary.errors += 1;
+				console.error(`❌ Reconcile payment ${payment.txnRef} failed:`, error.message);
+			}
+		}
+
+		// Payment đã completed nhưng ghi nhận lên trip/ví dừng giữa chừng
+		const resumed = await paymentSettlementService.resumeSettlements(now);
+		summary.resumed = resumed.settled;
+		summary.errors += resumed.errors;
+
+		return summary;
+	}
+
+	/**
+	 * Khoảng thời gian [start, end) của một ngày theo múi giờ
+	 */
+	getDayPeriod(date, timeZone) {
+		const [year, month, day] = date.split('-').map((value) => parseInt(value, 10));
+		const start = zonedTimeToUtc({ year, month, day }, timeZone);
+		return { start, end: addDays(start, 1, timeZone) };
+	}
+
+	/**
+	 * So sánh một payment với kết quả truy vấn cổng thanh toán, trả về mismatch (hoặc null nếu khớp)
+	 */
+	compare(payment, result) {
+		const localPaid = PAID_STATUSES.includes(result.previousStatus);
+		const gatewayPaid = ['paid', 'refunded'].includes(result.gatewayState);
+
+		const mismatch = {
+			payment: payment._id,
+			provider: payment.provider,
+			txnRef: payment.txnRef,
+			localStatus: result.previousStatus,
+			localAmount: payment.amount,
+			gatewayResponseCode: result.data.responseCode,
+			gatewayStatus: result.data.status,
+			gatewayAmount: result.gatewayAmount,
+		};
+
+		if (gatewayPaid && result.gatewayAmount !== payment.amount) {
+			return { ...mismatch, type: 'amount_mismatch' };
+		}
+
+		if (gatewayPaid && !localPaid) {
+			return {
+				...mismatch,
+				type: 'paid_at_gateway_only',
+				resolved: result.action === 'completed',
+				note:
+					result.action === 'completed' ? 'Payment marked as completed from gateway query result' : undefined,
+			};
+		}
+
+		if (localPaid && !gatewayPaid) {
+			return { ...mismatch, type: 'missing_at_gateway' };
+		}
+
+		return null;
+	}
+
+	/**
+	 * Báo cáo đối soát của một ngày (mặc định: hôm qua theo múi giờ kinh doanh)
+	 * Không tạo lại báo cáo đã có trừ khi force = true (báo cáo failed hoặc running quá reportTimeoutMinutes
+	 * luôn được tạo lại). Báo cáo đang được tạo thì không chạy song song lần thứ hai
+	 */
+	async generateDailyReport({ date, force = false, generatedBy, now = new Date() } = {}) {
+		const timeZone = timezoneConfig.businessTimezone;
+		const reportDate = date || formatDateKey(addDays(now, -1, timeZone), timeZone);
+
+		if (!/^\d{4}-\d{2}-\d{2}$/.test(reportDate)) {
+			throw createError('Report date must be in YYYY-MM-DD format');
+		}
+
+		const { start, end } = this.getDayPeriod(reportDate, timeZone);
+
+		// Đợi payment cuối ngày kịp hết hạn/được xác nhận trước khi đối soát
+		if (end.getTime() + this.minAgeMinutes * 60 * 1000 > now.getTime()) {
+			if (date) {
+				throw createError('Cannot reconcile a day that has not ended yet');
+			}
+			return null;
+		}
+
+		const staleCutoff = new Date(now.getTime() - this.reportTimeoutMinutes * 60 * 1000);
+		const isStale = (item) => (item.startedAt || item.updatedAt) <= staleCutoff;
+
+		const existing = await ReconciliationReport.findOne({ date: reportDate });
+		if (existing && existing.status === 'running' && !isStale(existing)) {
+			if (force) {
+				throw createError(`The reconciliation report for ${reportDate} is being generated`, 409);
+			}
+			return existing;
+		}
+		if (existing && existing.status === 'completed' && !force) {
+			return existing;
+		}
+
+		if (existing && existing.status === 'running') {
+			console.warn(`⚠️ Reconciliation report ${reportDate} was stuck in running, generating it again`);
+		}
+
+		// Chỉ một lần chạy nhận được báo cáo: báo cáo running chưa quá hạn không khớp điều kiện,
+		// upsert khi đó lỗi trùng date
+		let report;
+		try {
+			report = await ReconciliationReport.findOneAndUpdate(
+				{
+					date: reportDate,
+					$or: [
+						{ status: { $ne: 'running' } },
+						{ startedAt: { $lte: staleCutoff } },
+						{ startedAt: null, updatedAt: { $lte: staleCutoff } },
+					],
+				},
+				{
+					$set: {
+						timezone: timeZone,
+						periodStart: start,
+						periodEnd: end,
+						status: 'running',
+						totals: {
+							payments: 0,
+							matched: 0,
+							mismatched: 0,
+							resolved: 0,
+							localPaidAmount: 0,
+							gatewayPaidAmount: 0,
+						},
+						mismatches: [],
+						generatedBy,
+						startedAt: new Date(),
+					},
+					$unset: { failureReason: 1, completedAt: 1 },
+				},
+				{ upsert: true, new: true, setDefaultsOnInsert: true }
+			);
+		} catch (error) {
+			if (error.code === 11000) {
+				if (force) {
+					throw createError(`The reconciliation report for ${reportDate} is being generated`, 409);
+				}
+				return ReconciliationReport.findOne({ date: reportDate });
+			}
+			throw error;
+		}
+
+		try {
+			const payments = Payment.find({
+				provider: { $nin: OFFLINE_PROVIDERS },
+				createdAt: { $gte: start, $lt: end },
+			})
+				.sort({ createdAt: 1 })
+				.cursor();
+
+			for await (const payment of payments) {
+				report.totals.payments += 1;
+
+				if (PAID_STATUSES.includes(payment.status)) {
+					report.totals.localPaidAmount += payment.amount;
+				}
+
+				let mismatch;
+				try {
+					const result = await this.reconcilePayment(payment);
+					if (['paid', 'refunded'].includes(result.gatewayState)) {
+						report.totals.gatewayPaidAmount += result.gatewayAmount || 0;
+					}
+					mismatch = this.compare(payment, result);
+				} catch (error) {
+					mismatch = {
+						payment: payment._id,
+						provider: payment.provider,
+						txnRef: payment.txnRef,
+						type: 'query_failed',
+						localStatus: payment.status,
+						localAmount: payment.amount,
+						note: error.message,
+					};
+				}
+
+				if (!mismatch) {
+					report.totals.matched += 1;
+					continue;
+				}
+
+				report.mismatches.push(mismatch);
+				report.totals.mismatched += 1;
+				if (mismatch.resolved) {
+					report.totals.resolved += 1;
+				}
+			}
+
+			report.status = 'completed';
+			report.completedAt = new Date();
+			await report.save();
+
+			if (report.totals.mismatched > report.totals.resolved) {
+				console.warn(
+					`⚠️ Reconciliation ${reportDate}: ${report.totals.mismatched - report.totals.resolved} unresolved mismatch(es)`
+				);
+			}
+
+			return report;
+		} catch (error) {
+			report.status = 'failed';
+			report.failureReason = error.message;
+			await report.save();
+			throw error;
+		}
+	}
+
+	/**
+	 * Danh sách báo cáo đối soát (không kèm chi tiết mismatch)
+	 */
+	getReports({ page = 1, limit = 30 } = {}) {
+		return ReconciliationReport.find()
+			.select('-mismatches')
+			.sort({ date: -1 })
+			.skip((page - 1) * limit)
+			.limit(limit);
+	}
+
+	async getReport(date) {
+		const report = await ReconciliationReport.findOne({ date }).populate(
+			'mismatches.payment',
+			'user trip amount status provider txnRef createdAt'
+		);
+
+		if (!report) {
+			throw createError('Reconciliation report not found', 404);
+		}
+
+		return report;
+	}
+}
+
+module.exports = new ReconciliationService();
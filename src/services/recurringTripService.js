@@ -0,0 +1,299 @@
+const Trip = require('../models/Trip');
+const tripStateMachine = require('./tripStateMachine');
+const { getOccurrenceDates } = require('../utils/recurrence');
+const { getTimezone } = require('../utils/timezone');
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+// Các field passenger được phép sửa trên một occurrence
+const EDITABLE_FIELDS = ['departureTime', 'availableSeats', 'notes', 'requestNote', 'maxPrice', 'preferredVehicleType'];
+
+// Chỉ occurrence chưa thanh toán mới được hủy qua series
+const CANCELLABLE_STATUSES = ['pending_driver', 'confirmed'];
+
+const SCOPES = ['this', 'following'];
+
+const createError = (message, statusCode = 400) => {
+	const error = new Error(message);
+	error.statusCode = statusCode;
+	return error;
+};
+
+class RecurringTripService {
+	constructor() {
+		// Số ngày sinh trước occurrence (rolling window)
+		this.horizonDays = parseInt(process.env.RECURRING_TRIP_HORIZON_DAYS, 10) || 14;
+	}
+
+	/**
+	 * Ngày gốc dùng để tính pattern của series
+	 */
+	getAnchorDate(trip) {
+		return trip.occurrenceDate || trip.departureTime;
+	}
+
+	/**
+	 * Tạo dữ liệu cho một occurrence từ series cha
+	 */
+	buildOccurrence(parent, occurrenceDate) {
+		const offset = occurrenceDate.getTime() - new Date(parent.departureTime).getTime();
+		const shift = (date) => (date ? new Date(new Date(date).getTime() + offset) : undefined);
+
+		return {
+			requestedBy: parent.requestedBy,
+			driver: null,
+			startLocation: parent.startLocation,
+			endLocation: parent.endLocation,
+			departureTime: occurrenceDate,
+			estimatedArrivalTime: shift(parent.estimatedArrivalTime),
+			availableSeats: parent.availableSeats,
+			notes: parent.notes,
+			stops: (parent.stops || []).map((stop) => ({
+				address: stop.address,
+				coordinates: stop.coordinates,
+				estimatedArrivalTime: shift(stop.estimatedArrivalTime),
+			})),
+			routePath: parent.routePath,
+			routeInfo: parent.routeInfo,
+			preferredVehicleType: parent.preferredVehicleType,
+			maxPrice: parent.maxPrice,
+			requestNote: parent.requestNote,
+			paymentMethod: parent.paymentMethod,
+			organization: parent.organization,
+			price: 0,
+			priceBreakdown: parent.priceBreakdown,
+			currency: parent.currency,
+			recurring: { isRecurring: false, pattern: parent.recurring.pattern },
+			parentTrip: parent._id,
+			occurrenceDate,
+			status: 'pending_driver',
+		};
+	}
+
+	/**
+	 * Sinh các occurrence cho một series đến min(endDate, now + horizon)
+	 */
+	async materializeSeries(parent, now = new Date()) {
+		if (!parent.recurring || !parent.recurring.isRecurring || parent.parentTrip) {
+			return [];
+		}
+
+		const horizon = new Date(now.getTime() + this.horizonDays * DAY_IN_MS);
+		const endDate = parent.recurring.endDate;
+		const until = endDate && endDate < horizon ? endDate : horizon;
+
+		const generatedUntil = parent.recurring.generatedUntil;
+		const from = generatedUntil && generatedUntil > now ? generatedUntil : now;
+
+		const dates = getOccurrenceDates(
+			this.getAnchorDate(parent),
+			parent.recurring.pattern,
+			from,
+			until,
+			getTimezone({ timezone: parent.recurring.timezone })
+		);
+		if (dates.length === 0) {
+			return [];
+		}
+
+		// Bỏ qua các ngày đã có occurrence (kể cả đã bị hủy)
+		const existingDates = await Trip.find({
+			parentTrip: parent._id,
+			occurrenceDate: { $in: dates },
+		}).distinct('occurrenceDate');
+		const existing = new Set(existingDates.map((date) => new Date(date).getTime()));
+
+		const occurrences = dates
+			.filter((date) => !existing.has(date.getTime()))
+			.map((date) => this.buildOccurrence(parent, date));
+
+		const created = occurrences.length > 0 ? await Trip.insertMany(occurrences) : [];
+
+		await Trip.updateOne({ _id: parent._id }, { $set: { 'recurring.generatedUntil': until } });
+		parent.recurring.generatedUntil = until;
+
+		return created;
+	}
+
+	/**
+	 * Sinh occurrence cho tất cả series còn hiệu lực (dùng bởi scheduled job)
+	 */
+	async materializeAll(now = new Date()) {
+		const seriesList = await Trip.find({
+			'recurring.isRecurring': true,
+			parentTrip: null,
+			$or: [{ 'recurring.endDate': null }, { 'recurring.endDate': { $gte: now } }],
+		});
+
+		let created = 0;
+		for (const series of seriesList) {
+			try {
+				const occurrences = await this.materializeSeries(series, now);
+				created += occurrences.length;
+			} catch (error) {
+				console.error(`❌ Failed to materialize recurring trip ${series._id}:`, error.message);
+			}
+		}
+
+		return { series: seriesList.length, created };
+	}
+
+	/**
+	 * Lấy series gốc và toàn bộ occurrence của một trip
+	 */
+	async getSeries(trip) {
+		const series = trip.parentTrip ? await Trip.findById(trip.parentTrip) : trip;
+
+		if (!series || !series.recurring || !series.recurring.isRecurring) {
+			throw createError('This trip is not part of a recurring series', 404);
+		}
+
+		const occurrences = await Trip.find({ parentTrip: series._id }).sort({ departureTime: 1 });
+
+		return { series, occurrences };
+	}
+
+	/**
+	 * Các occurrence sau trip này trong cùng series
+	 */
+	async getFollowingOccurrences(series, trip, statuses) {
+		return Trip.find({
+			parentTrip: series._id,
+			_id: { $ne: trip._id },
+			occurrenceDate: { $gt: this.getAnchorDate(trip) },
+			status: { $in: statuses },
+		}).sort({ occurrenceDate: 1 });
+	}
+
+	/**
+	 * Tách series tại trip: trip trở thành series gốc mới cho các occurrence phía sau
+	 */
+	async splitSeries(series, trip, followers) {
+		const anchor = this.getAnchorDate(trip);
+
+		trip.recurring = {
+			isRecurring: true,
+			pattern: series.recurring.pattern,
+			endDate: series.recurring.endDate,
+			generatedUntil: series.recurring.generatedUntil,
+			timezone: series.recurring.timezone,
+		};
+		trip.parentTrip = null;
+		trip.occurrenceDate = anchor;
+
+		series.recurring.endDate = new Date(anchor.getTime() - 1);
+		await series.save();
+
+		// Chuyển mọi occurrence phía sau (bất kể trạng thái) sang series mới
+		await Trip.updateMany(
+			{ parentTrip: series._id, occurrenceDate: { $gt: anchor } },
+			{ $set: { parentTrip: trip._id } }
+		);
+		for (const follower of followers) {
+			follower.parentTrip = trip._id;
+		}
+	}
+
+	/**
+	 * Sửa "chỉ occurrence này" hoặc "occurrence này và các occurrence sau"
+	 */
+	async updateOccurrences(trip, scope, updates = {}) {
+		if (!SCOPES.includes(scope)) {
+			throw createError(`Invalid scope. Use one of: ${SCOPES.join(', ')}`);
+		}
+
+		if (trip.status !== 'pending_driver') {
+			throw createError('Only occurrences still waiting for a driver can be edited');
+		}
+
+		const changes = {};
+		EDITABLE_FIELDS.forEach((field) => {
+			if (updates[field] !== undefined) {
+				changes[field] = updates[field];
+			}
+		});
+
+		if (Object.keys(changes).length === 0) {
+			throw createError(`No editable fields provided (${EDITABLE_FIELDS.join(', ')})`);
+		}
+
+		// Dời giờ khởi hành được áp dụng dưới dạng độ lệch cho mọi occurrence
+		const { departureTime, ...otherChanges } = changes;
+		const delta = departureTime ? new Date(departureTime).getTime() - new Date(trip.departureTime).getTime() : 0;
+
+		if (departureTime && Number.isNaN(delta)) {
+			throw createError('Invalid departureTime');
+		}
+
+		let targets = [trip];
+
+		if (scope === 'following') {
+			const { series } = await this.getSeries(trip);
+			const followers = await this.getFollowingOccurrences(series, trip, ['pending_driver']);
+
+			if (series._id.toString() !== trip._id.toString()) {
+				await this.splitSeries(series, trip, followers);
+			}
+
+			targets = [trip, ...followers];
+		}
+
+		for (const target of targets) {
+			Object.assign(target, otherChanges);
+
+			if (delta !== 0) {
+				target.departureTime = new Date(target.departureTime.getTime() + delta);
+				if (target.estimatedArrivalTime) {
+					target.estimatedArrivalTime = new Date(target.estimatedArrivalTime.getTime() + delta);
+				}
+				// Với "following", pattern của series cũng dời theo
+				if (scope === 'following' && target.occurrenceDate) {
+					target.occurrenceDate = new Date(target.occurrenceDate.getTime() + delta);
+				}
+			}
+
+			await target.save();
+		}
+
+		return targets;
+	}
+
+	/**
+	 * Hủy "chỉ occurrence này" hoặc "occurrence này và các occurrence sau"
+	 */
+	async cancelOccurrences(trip, scope, reason) {
+		if (!SCOPES.includes(scope)) {
+			throw createError(`Invalid scope. Use one of: ${SCOPES.join(', ')}`);
+		}
+
+		if (scope === 'this' && !CANCELLABLE_STATUSES.includes(trip.status)) {
+			throw createError(`Cannot cancel an occurrence with status: ${trip.status}`);
+		}
+
+		let targets = [trip];
+
+		if (scope === 'following') {
+			const { series } = await this.getSeries(trip);
+			const followers = await this.getFollowingOccurrences(series, trip, CANCELLABLE_STATUSES);
+
+			// Dừng sinh occurrence mới từ thời điểm này
+			series.recurring.endDate = new Date(this.getAnchorDate(trip).getTime() - 1);
+			await series.save();
+
+			targets = [trip, ...followers].filter((target) => CANCELLABLE_STATUSES.includes(target.status));
+		}
+
+		// Tiền giữ trong ví, hoàn tiền và thông báo cho driver do tripStateMachine xử lý
+		for (const target of targets) {
+			await tripStateMachine.transition(target, 'cancelled', {
+				actor: target.requestedBy,
+				actorRole: 'passenger',
+				reason: reason || 'Cancelled by passenger',
+			});
+		}
+
+		return targets;
+	}
+}
+
+module.exports = new RecurringTripService();
@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const WalletTransaction = require('../models/WalletTransaction');
+const Notification = require('../models/Notification');
+const walletService = require('./walletService');
+const promoService = require('./promoService');
+const promotionConfig = require('../config/promotion');
+
+// Bỏ các ký tự dễ nhầm (0/O, 1/I) để user nhập mã dễ hơn
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+const createError = (message, statusCode = 400) => {
+	const error = new Error(message);
+	error.statusCode = statusCode;
+	return error;
+};
+
+const generateCode = () =>
+	Array.from(crypto.randomBytes(CODE_LENGTH), (byte) => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+
+class ReferralService {
+	/**
+	 * Mã giới thiệu của user, tạo ở lần truy cập đầu tiên
+	 */
+	async getOrCreateCode(userId) {
+		for (let attempt = 0; attempt < 5; attempt += 1) {
+			const user = await User.findById(userId).select('referralCode');
+			if (user.referralCode) {
+				return user.referralCode;
+			}
+
+			try {
+				const updated = await User.findOneAndUpdate(
+					{ _id: userId, referralCode: null },
+					{ $set: { referralCode: generateCode() } },
+					{ new: true }
+				);
+				if (updated) {
+					return updated.referralCode;
+				}
+			} catch (error) {
+				// Trùng mã với user khác: thử mã khác
+				if (error.code !== 11000) {
+					throw error;
+				}
+			}
+		}
+
+		throw createError('Could not generate a referral code. Please try again', 500);
+	}
+
+	/**
+	 * User mới nhập mã giới thiệu (trước chuyến hoàn thành đầu tiên)
+	 */
+	async applyCode(userId, code) {
+		const referralCode = String(code || '').toUpperCase();
+		const referrer = await User.findOne({ referralCode: referralCode.trim() }).select('fullName referredBy');
+
+		if (!referrer) {
+			throw createError('Referral code not found', 404);
+		}
+
+		if (referrer._id.equals(userId) || (referrer.referredBy && referrer.referredBy.equals(userId))) {
+			throw createError('You cannot use this referral code');
+		}
+
+		if (await promoService.hasCompletedRide(userId)) {
+			throw createError('Referral codes can only be applied before your first completed trip');
+		}
+
+		const updated = await User.findOneAndUpdate(
+			{ _id: userId, referredBy: null },
+			{ $set: { referredBy: referrer._id, referredAt: new Date() } },
+			{ new: true }
+		);
+
+		if (!updated) {
+			throw createError('A referral code has already been applied to your account');
+		}
+
+		return { referrer: { _id: referrer._id, fullName: referrer.fullName } };
+	}
+
+	/**
+	 * Mã giới thiệu, số người đã giới thiệu và tổng tiền thưởng đã nhận
+	 */
+	async getSummary(userId) {
+		const [referralCode, user, referredCount, rewardedCount, earned] = await Promise.all([
+			this.getOrCreateCode(userId),
+			User.findById(userId).select('referredBy referredAt referralRewardedAt').populate('referredBy', 'fullName'),
+			User.countDocuments({ referredBy: userId }),
+			User.countDocuments({ referredBy: userId, referralRewardedAt: { $ne: null } }),
+			WalletTransaction.aggregate([
+				{ $match: { user: userId, type: 'bonus', status: 'posted', reference: /^referral:/ } },
+				{ $group: { _id: null, amount: { $sum: '$amount' } } },
+			]),
+		]);
+
+		return {
+			referralCode,
+			referredBy: user.referredBy,
+			referredAt: user.referredAt,
+			referralRewardedAt: user.referralRewardedAt,
+			referredCount,
+			rewardedCount,
+			totalBonus: earned.length > 0 ? earned[0].amount : 0,
+			refereeBonus: promotionConfig.referral.refereeBonus,
+			referrerBonus: promotionConfig.referral.referrerBonus,
+		};
+	}
+
+	/**
+	 * Chuyến hoàn thành: thưởng cho người được giới thiệu (ở chuyến hoàn thành đầu tiên) và người giới thiệu
+	 * Đánh dấu đã thưởng trước (có điều kiện) nên mỗi người được giới thiệu chỉ được thưởng một lần
+	 */
+	async rewardFirstTrip(trip) {
+		const riders =
+			trip.tripType === 'offer'
+				? trip.passengers
+						.filter((passenger) => passenger.status === 'accepted')
+						.map((passenger) => passenger.user)
+				: [
+						trip.requestedBy,
+						...((trip.fareSplit && trip.fareSplit.shares) || [])
+							.filter((share) => share.status === 'paid')
+							.map((share) => share.user),
+					];
+
+		const rewarded = [];
+		for (const riderId of riders) {
+			const referee = await User.findOneAndUpdate(
+				{ _id: riderId._id || riderId, referredBy: { $ne: null }, referralRewardedAt: null },
+				{ $set: { referralRewardedAt: new Date() } },
+				{ new: true }
+			);
+
+			if (!referee) {
+				continue;
+			}
+
+			try {
+				await walletService.creditBonus(referee._id, {
+					amount: promotionConfig.referral.refereeBonus,
+					reference: `referral:${referee._id}:referee`,
+					description: 'Thuong gioi thieu: chuyen di dau tien',
+				});
+				await walletService.creditBonus(referee.referredBy, {
+					amount: promotionConfig.referral.referrerBonus,
+					reference: `referral:${referee._id}:referrer`,
+					description: `Thuong gioi thieu ${referee.fullName}`,
+				});
+			} catch (error) {
+				// Bỏ đánh dấu để lần hoàn thành chuyến sau thưởng lại (reference giữ cho không cộng hai lần)
+				console.error(`❌ Referral bonus failed for user ${referee._id}:`, error.message);
+				await User.updateOne({ _id: referee._id }, { $set: { referralRewardedAt: null } });
+				continue;
+			}
+
+			await Notification.create({
+				recipient: referee._id,
+				title: 'Referral Bonus',
+				message: `${promotionConfig.referral.refereeBonus.toLocaleString('vi-VN')} VND has been added to your wallet for completing your first trip.`,
+				type: 'payment_received',
+				metadata: { refereeId: referee._id },
+			});
+			await Notification.create({
+				recipient: referee.referredBy,
+				title: 'Referral Bonus',
+				message: `${referee.fullName} completed their first trip. ${promotionConfig.referral.referrerBonus.toLocaleString('vi-VN')} VND has been added to your wallet.`,
+				type: 'payment_received',
+				metadata: { refereeId: referee._id },
+			});
+
+			rewarded.push(referee._id);
+		}
+
+		return rewarded;
+	}
+}
+
+module.exports = new ReferralService();
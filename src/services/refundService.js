@@ -0,0 +1,523 @@
+const crypto = require('crypto');
+const Payment = require('../models/Payment');
+const Refund = require('../models/Refund');
+const Trip = require('../models/Trip');
+const paymentGateways = require('./paymentGateways');
+const walletService = require('./walletService');
+const corporateBillingService = require('./corporateBillingService');
+const driverEarningsService = require('./driverEarningsService');
+const cancellationPolicy = require('../config/cancellationPolicy');
+const refundConfig = require('../config/refund');
+
+const REFUNDABLE_STATUSES = ['completed', 'partially_refunded'];
+
+const createError = (message, statusCode = 400) => {
+	const error = new Error(message);
+	error.statusCode = statusCode;
+	return error;
+};
+
+class RefundService {
+	/**
+	 * Tỉ lệ hoàn tiền theo chính sách hủy chuyến
+	 * cancelledBy: passenger | driver | admin | system
+	 */
+	getRefundPolicy(trip, cancelledBy, now = new Date()) {
+		const hoursBeforeDeparture =
+			Math.round(((new Date(trip.departureTime).getTime() - now.getTime()) / (60 * 60 * 1000)) * 10) / 10;
+
+		if (cancellationPolicy.fullRefundCancelledBy.includes(cancelledBy)) {
+			return { cancelledBy, hoursBeforeDeparture, refundPercent: 100 };
+		}
+
+		const tier = cancellationPolicy.tiers.find((item) => hoursBeforeDeparture >= item.minHoursBeforeDeparture);
+
+		return {
+			cancelledBy,
+			hoursBeforeDeparture,
+			refundPercent: tier ? tier.refundPercent : cancellationPolicy.lateCancellationRefundPercent,
+		};
+	}
+
+	/**
+	 * Hoàn tiền (toàn bộ hoặc một phần) cho một payment đã thanh toán
+	 * Trả về refund: completed, failed (bị từ chối, phần giữ chỗ được trả lại) hoặc processing (chưa rõ kết quả)
+	 */
+	async refundPayment(
+		payment,
+		{ amount, reason, initiatedBy, createBy = 'system', policy, ipAddr, attempt = 1, retryOf } = {}
+	) {
+		if (!REFUNDABLE_STATUSES.includes(payment.status)) {
+			throw createError(`Cannot refund a payment with status: ${payment.status}`);
+		}
+
+		// Tiền mặt do driver thu trực tiếp, không hoàn qua cổng thanh toán
+		if (payment.provider === 'cash') {
+			throw createError('Cash payments cannot be refunded through a payment gateway');
+		}
+
+		// Tiền đã nạp vào ví không được hoàn ngược về cổng thanh toán
+		if (payment.purpose === 'wallet_topup') {
+			throw createError('Wallet top-ups cannot be refunded');
+		}
+
+		const refundable = payment.amount - (payment.refundedAmount || 0);
+		const refundAmount = amount === undefined ? refundable : Math.round(amount);
+
+		if (!refundAmount || refundAmount <= 0) {
+			throw createError('Refund amount must be greater than 0');
+		}
+
+		if (refundAmount > refundable) {
+			throw createError(`Refund amount exceeds the refundable amount of ${refundable} VND`);
+		}
+
+		// Giữ chỗ số tiền hoàn (atomic) để hai yêu cầu đồng thời không hoàn quá số đã thanh toán
+		const reserved = await Payment.findOneAndUpdate(
+			{
+				_id: payment._id,
+				status: { $in: REFUNDABLE_STATUSES },
+				$expr: { $lte: [{ $add: ['$refundedAmount', refundAmount] }, '$amount'] },
+			},
+			{ $inc: { refundedAmount: refundAmount } },
+			{ new: true }
+		);
+
+		if (!reserved) {
+			throw createError('Payment was refunded concurrently. Please reload and try again', 409);
+		}
+
+		const type = refundAmount === payment.amount ? 'full' : 'partial';
+		let refund;
+		try {
+			refund = await Refund.create({
+				payment: payment._id,
+				trip: payment.trip._id || payment.trip,
+				user: payment.user._id || payment.user,
+				amount: refundAmount,
+				type,
+				reason,
+				policy,
+				initiatedBy,
+				provider: payment.provider,
+				providerRequestId: crypto.randomBytes(16).toString('hex'),
+				attempt,
+				retryOf,
+			});
+		} catch (error) {
+			await Payment.updateOne({ _id: payment._id }, { $inc: { refundedAmount: -refundAmount } });
+			throw error;
+		}
+
+		let response;
+		try {
+			response = await this.sendRefund(payment, refund, { createBy, ipAddr });
+		} catch (error) {
+			// Ví/tổ chức từ chối (lỗi 4xx): chắc chắn chưa hoàn tiền
+			if (error.statusCode >= 400 && error.statusCode < 500) {
+				return this.failRefund(refund, error.message);
+			}
+
+			// Timeout, lỗi mạng, phản hồi sai chữ ký: không biết cổng thanh toán đã hoàn tiền hay chưa
+			// Giữ processing và phần đã giữ chỗ, job settle-refunds kiểm tra lại kết quả
+			console.error(
+				`⚠️ Refund ${refund._id} for payment ${payment.txnRef} has an unknown outcome:`,
+				error.message
+			);
+			refund.lastError = error.message;
+			await refund.save();
+			return refund;
+		}
+
+		try {
+			return await this.applyResponse(refund, response);
+		} catch (error) {
+			// Cổng thanh toán đã trả kết quả nhưng chưa lưu được: refund vẫn processing, job settle-refunds kiểm tra lại
+			console.error(`❌ Could not record the result of refund ${refund._id}:`, error.message);
+			return refund;
+		}
+	}
+
+	/**
+	 * Gửi lệnh hoàn tiền của refund tới ví, tổ chức hoặc cổng thanh toán
+	 */
+	async sendRefund(payment, refund, { createBy, ipAddr } = {}) {
+		// Payment trả bằng ví được hoàn thẳng vào ví, payment corporate được giảm trừ trên hóa đơn của tổ chức
+		if (payment.provider === 'wallet') {
+			return walletService.refundPayment(payment, {
+				requestId: refund.providerRequestId,
+				amount: refund.amount,
+			});
+		}
+		if (payment.provider === 'corporate') {
+			return corporateBillingService.refundPayment(payment);
+		}
+		return paymentGateways.get(payment.provider).refund(payment, {
+			requestId: refund.providerRequestId,
+			amount: refund.amount,
+			isFull: refund.type === 'full',
+			createBy,
+			ipAddr,
+			requestedAt: refund.createdAt,
+		});
+	}
+
+	/**
+	 * Ghi nhận kết quả của cổng thanh toán cho refund đang processing
+	 * Bị từ chối thì trả lại phần đã giữ chỗ; đã hoàn tiền thì không bao giờ hoàn tác, chỉ cập nhật sổ sách
+	 */
+	async applyResponse(refund, response) {
+		const fields = {
+			providerResponse: response.rawData,
+			providerResponseCode: response.responseCode,
+			providerTxnId: response.transactionNo,
+		};
+
+		if (!response.success) {
+			return this.failRefund(refund, response.message, fields);
+		}
+
+		const completed = await Refund.findOneAndUpdate(
+			{ _id: refund._id, status: 'processing' },
+			{ $set: { ...fields, status: 'completed', processedAt: new Date() }, $unset: { lastError: 1 } },
+			{ new: true }
+		);
+
+		// Đã được ghi nhận bởi một lần kiểm tra khác
+		if (!completed) {
+			return Refund.findById(refund._id);
+		}
+
+		console.log(`✅ Refunded ${completed.amount} VND for payment ${completed.payment}`);
+		await this.settleCompletedRefund(completed);
+		return completed;
+	}
+
+	/**
+	 * Refund bị từ chối: trả lại phần đã giữ chỗ để có thể hoàn lại sau
+	 */
+	async failRefund(refund, reason, fields = {}) {
+		const failed = await Refund.findOneAndUpdate(
+			{ _id: refund._id, status: 'processing' },
+			{ $set: { ...fields, status: 'failed', failureReason: reason, processedAt: new Date() } },
+			{ new: true }
+		);
+
+		if (!failed) {
+			return Refund.findById(refund._id);
+		}
+
+		await Payment.updateOne({ _id: failed.payment }, { $inc: { refundedAmount: -failed.amount } });
+		console.error(`❌ Refund ${failed._id} for payment ${failed.payment} failed:`, reason);
+
+		// Hết số lần thử lại: payment không áp dụng được cho chuyến cần admin xử lý
+		if (failed.attempt >= refundConfig.maxAttempts) {
+			await Payment.updateOne(
+				{ _id: failed.payment, 'unapplied.refund': failed._id },
+				{ $set: { 'unapplied.requiresAction': true } }
+			);
+		}
+		return failed;
+	}
+
+	/**
+	 * Cập nhật sổ sách sau khi đã hoàn tiền: trạng thái payment, ghế chuyến offer, thu nhập driver
+	 * Lỗi ở đây không hoàn tác refund: settledAt chưa được set nên job settle-refunds chạy lại
+	 */
+	async settleCompletedRefund(refund) {
+		try {
+			const payment = await Payment.findById(refund.payment);
+			const fullyRefunded = payment.refundedAmount >= payment.amount;
+			const updatedPayment = await Payment.findByIdAndUpdate(
+				payment._id,
+				{ $set: { status: fullyRefunded ? 'refunded' : 'partially_refunded' } },
+				{ new: true }
+			);
+
+			if (fullyRefunded) {
+				await this.markSeatRefunded(updatedPayment);
+			}
+
+			// Hoàn tiền sau khi chuyến đã hoàn thành: tính lại thu nhập của driver
+			const trip = await Trip.findById(refund.trip);
+			if (trip && trip.status === 'completed') {
+				await driverEarningsService.recordTripEarnings(trip);
+			}
+
+			await Refund.updateOne({ _id: refund._id }, { $set: { settledAt: new Date() } });
+		} catch (error) {
+			console.error(`❌ Could not update records after refund ${refund._id}, will retry:`, error.message);
+		}
+	}
+
+	/**
+	 * Kiểm tra lại refund processing (lần gửi trước không có kết quả rõ ràng)
+	 * Ví/tổ chức: gửi lại cùng requestId (không bị hoàn hai lần). Cổng thanh toán: truy vấn kết quả, không gửi lại
+	 */
+	async checkRefund(refund, { ipAddr } = {}) {
+		await Refund.updateOne({ _id: refund._id }, { $set: { lastCheckedAt: new Date() } });
+		const payment = await Payment.findById(refund.payment);
+
+		if (['wallet', 'corporate'].includes(refund.provider)) {
+			let response;
+			try {
+				response = await this.sendRefund(payment, refund, { ipAddr });
+			} catch (error) {
+				if (error.statusCode >= 400 && error.statusCode < 500) {
+					return this.failRefund(refund, error.message);
+				}
+				throw error;
+			}
+			return this.applyResponse(refund, response);
+		}
+
+		const result = await paymentGateways
+			.get(refund.provider)
+			.queryRefund(payment, refund, { requestId: crypto.randomBytes(16).toString('hex'), ipAddr });
+
+		if (result.state === 'completed') {
+			return this.applyResponse(refund, { ...result, success: true });
+		}
+
+		// Cổng thanh toán không có lệnh hoàn tiền này hoặc đã từ chối: chắc chắn chưa hoàn tiền
+		if (['failed', 'not_found'].includes(result.state)) {
+			return this.failRefund(refund, result.message || `Refund ${result.state} at ${refund.provider}`, {
+				providerResponse: result.rawData,
+				providerResponseCode: result.responseCode,
+			});
+		}
+
+		return refund;
+	}
+
+	/**
+	 * Payment (hoặc một phần amount) thành công nhưng không áp dụng được cho chuyến: chuyến/ghế đã bị hủy,
+	 * phần chia tiền đã được người khác trả... Hoàn lại (refund = true) và lưu trên payment để đối soát
+	 * Không tạo được refund thì đánh dấu requiresAction để admin xử lý; refund bị từ chối được job settle-refunds thử lại
+	 * Payment đã được ghi nhận trước đó (ghi nhận payment được chạy lại) thì không hoàn thêm lần nữa
+	 */
+	async refundUnapplied(payment, { reason, amount, refund = true }) {
+		const current = await Payment.findById(payment._id).select('unapplied');
+		if (current && current.unapplied && current.unapplied.detectedAt) {
+			return current.unapplied.refund ? Refund.findById(current.unapplied.refund) : null;
+		}
+
+		let created = null;
+		if (refund) {
+			try {
+				created = await this.refundPayment(payment, { amount, reason, createBy: 'system' });
+			} catch (error) {
+				console.error(`❌ Could not refund payment ${payment.txnRef}:`, error.message);
+			}
+		}
+
+		await Payment.updateOne(
+			{ _id: payment._id },
+			{
+				$set: {
+					unapplied: {
+						reason,
+						amount: amount === undefined ? payment.amount : amount,
+						detectedAt: new Date(),
+						refund: created ? created._id : undefined,
+						requiresAction: !created,
+					},
+				},
+			}
+		);
+
+		console.warn(
+			`⚠️ Payment ${payment.txnRef} could not be applied (${reason}): ${created ? `refund ${created.status}` : 'needs admin action'}`
+		);
+		return created;
+	}
+
+	/**
+	 * Thử lại refund bị từ chối bằng một refund mới (cùng số tiền, lý do và chính sách)
+	 */
+	async retryRefund(refund) {
+		const claimed = await Refund.findOneAndUpdate(
+			{ _id: refund._id, status: 'failed', retriedAt: null },
+			{ $set: { retriedAt: new Date() } },
+			{ new: true }
+		);
+		if (!claimed) {
+			return null;
+		}
+
+		const payment = await Payment.findById(claimed.payment);
+		const refundable = payment.amount - (payment.refundedAmount || 0);
+		if (!REFUNDABLE_STATUSES.includes(payment.status) || refundable <= 0) {
+			return null;
+		}
+
+		const retried = await this.refundPayment(payment, {
+			amount: Math.min(claimed.amount, refundable),
+			reason: claimed.reason,
+			initiatedBy: claimed.initiatedBy,
+			createBy: (claimed.policy && claimed.policy.cancelledBy) || 'system',
+			policy: claimed.policy,
+			attempt: claimed.attempt + 1,
+			retryOf: claimed._id,
+		});
+
+		await Payment.updateOne(
+			{ _id: payment._id, 'unapplied.refund': claimed._id },
+			{ $set: { 'unapplied.refund': retried._id } }
+		);
+		return retried;
+	}
+
+	/**
+	 * Refund bị từ chối có được job tự thử lại không: hoàn tiền payment không áp dụng được cho chuyến,
+	 * hoặc hoàn tiền khi hủy và chuyến đã bị hủy/passenger không còn ghế trên chuyến offer
+	 */
+	async isRetryable(refund) {
+		if (await Payment.exists({ _id: refund.payment, 'unapplied.refund': refund._id })) {
+			return true;
+		}
+		if (!refund.policy || !refund.policy.cancelledBy) {
+			return false;
+		}
+
+		const trip = await Trip.findById(refund.trip).select('status tripType passengers.user passengers.status');
+		if (!trip) {
+			return false;
+		}
+		const hasSeat = trip.passengers.some(
+			(passenger) => passenger.status === 'accepted' && String(passenger.user) === String(refund.user)
+		);
+		return trip.status === 'cancelled' || (trip.tripType === 'offer' && !hasSeat);
+	}
+
+	/**
+	 * Job settle-refunds:
+	 * - refund processing quá checkAfterMinutes: kiểm tra kết quả với cổng thanh toán
+	 * - refund đã hoàn tiền nhưng chưa cập nhật xong sổ sách: cập nhật lại
+	 * - refund bị từ chối (xem isRetryable): thử lại sau retryAfterMinutes, tối đa maxAttempts lần
+	 */
+	async settleRefunds(now = new Date()) {
+		const lookback = new Date(now.getTime() - refundConfig.lookbackHours * 60 * 60 * 1000);
+		const checkCutoff = new Date(now.getTime() - refundConfig.checkAfterMinutes * 60 * 1000);
+		const retryCutoff = new Date(now.getTime() - refundConfig.retryAfterMinutes * 60 * 1000);
+		const summary = { checked: 0, completed: 0, failed: 0, settled: 0, retried: 0, errors: 0 };
+
+		const processing = await Refund.find({
+			status: 'processing',
+			createdAt: { $gte: lookback, $lte: checkCutoff },
+			$or: [{ lastCheckedAt: null }, { lastCheckedAt: { $lte: checkCutoff } }],
+		})
+			.sort({ createdAt: 1 })
+			.limit(refundConfig.batchSize);
+
+		for (const refund of processing) {
+			try {
+				const result = await this.checkRefund(refund);
+				summary.checked += 1;
+				if (result.status === 'completed') summary.completed += 1;
+				if (result.status === 'failed') summary.failed += 1;
+			} catch (error) {
+				summary.errors += 1;
+				await Refund.updateOne({ _id: refund._id }, { $set: { lastError: error.message } });
+				console.error(`❌ Check refund ${refund._id} failed:`, error.message);
+			}
+		}
+
+		const unsettled = await Refund.find({
+			status: 'completed',
+			settledAt: null,
+			processedAt: { $gte: lookback, $lte: checkCutoff },
+		})
+			.sort({ processedAt: 1 })
+			.limit(refundConfig.batchSize);
+
+		for (const refund of unsettled) {
+			await this.settleCompletedRefund(refund);
+			summary.settled += 1;
+		}
+
+		const failed = await Refund.find({
+			status: 'failed',
+			retriedAt: null,
+			attempt: { $lt: refundConfig.maxAttempts },
+			processedAt: { $gte: lookback, $lte: retryCutoff },
+		})
+			.sort({ processedAt: 1 })
+			.limit(refundConfig.batchSize);
+
+		for (const refund of failed) {
+			try {
+				if ((await this.isRetryable(refund)) && (await this.retryRefund(refund))) {
+					summary.retried += 1;
+				}
+			} catch (error) {
+				summary.errors += 1;
+				console.error(`❌ Retry refund ${refund._id} failed:`, error.message);
+			}
+		}
+
+		return summary;
+	}
+
+	/**
+	 * Ghế trên chuyến offer được đánh dấu đã hoàn tiền
+	 */
+	async markSeatRefunded(payment) {
+		return Trip.updateOne(
+			{ _id: payment.trip, tripType: 'offer', 'passengers.paymentId': payment._id },
+			{ $set: { 'passengers.$.paymentStatus': 'refunded' } }
+		);
+	}
+
+	/**
+	 * Hoàn tiền các payment của chuyến bị hủy theo chính sách hủy
+	 * userId (tùy chọn): chỉ hoàn cho payment của user này (passenger rời chuyến offer)
+	 * Payment hoàn tiền lỗi được ghi vào failed, các payment còn lại vẫn được hoàn
+	 */
+	async refundTripPayments(trip, { cancelledBy, initiatedBy, reason, userId, ipAddr } = {}) {
+		const query = { trip: trip._id, status: { $in: REFUNDABLE_STATUSES }, provider: { $ne: 'cash' } };
+		if (userId) {
+			query.user = userId;
+		}
+
+		const payments = await Payment.find(query);
+		const policy = this.getRefundPolicy(trip, cancelledBy);
+		const refunds = [];
+		const failed = [];
+
+		for (const payment of payments) {
+			// Chính sách tính trên số tiền đã thanh toán, trừ phần đã hoàn trước đó
+			const amount = Math.min(
+				Math.floor((payment.amount * policy.refundPercent) / 100),
+				payment.amount - (payment.refundedAmount || 0)
+			);
+
+			if (amount <= 0) {
+				continue;
+			}
+
+			try {
+				const refund = await this.refundPayment(payment, {
+					amount,
+					reason: reason || `Trip cancelled by ${cancelledBy}`,
+					initiatedBy,
+					createBy: cancelledBy,
+					policy,
+					ipAddr,
+				});
+				refunds.push(refund);
+			} catch (error) {
+				failed.push({ payment: payment._id, error: error.message });
+				console.error(`❌ Refund of payment ${payment.txnRef} for trip ${trip._id} failed:`, error.message);
+			}
+		}
+
+		return { policy, refunds, failed };
+	}
+
+	async getRefundsForPayment(paymentId) {
+		return Refund.find({ payment: paymentId }).sort({ createdAt: -1 });
+	}
+}
+
+module.exports = new RefundService();
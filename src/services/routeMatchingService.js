@@ -0,0 +1,80 @@
+const Trip = require('../models/Trip');
+const { getTripPath, matchRoute } = require('../utils/routeMatcher');
+
+const DEFAULT_RADIUS = 1000; // 1km
+const MAX_RADIUS = 10000; // 10km
+const MAX_CANDIDATES = 200;
+
+class RouteMatchingService {
+	/**
+	 * Tìm các chuyến offer có lộ trình đi qua điểm đón rồi đến điểm trả của passenger
+	 */
+	async findTripsAlongRoute({
+		pickup,
+		dropoff,
+		radius,
+		departureFrom,
+		departureTo,
+		seats = 1,
+		excludeUser,
+		limit = 20,
+	}) {
+		const maxDistance = Math.min(radius || DEFAULT_RADIUS, MAX_RADIUS);
+
+		const query = {
+			tripType: 'offer',
+			status: 'confirmed',
+			// Chỉ dùng một $near (trên routePath), điểm trả được kiểm tra sau
+			routePath: {
+				$near: {
+					$geometry: { type: 'Point', coordinates: [pickup.lng, pickup.lat] },
+					$maxDistance: maxDistance,
+				},
+			},
+			$expr: { $lte: [{ $add: ['$bookedSeats', seats] }, '$availableSeats'] },
+			departureTime: { $gte: departureFrom || new Date() },
+		};
+
+		if (departureTo) {
+			query.departureTime.$lte = departureTo;
+		}
+
+		if (excludeUser) {
+			query.driver = { $ne: excludeUser };
+		}
+
+		const candidates = await Trip.find(query)
+			.populate({
+				path: 'driver',
+				select: 'fullName avatar rating vehicle phone',
+			})
+			.limit(MAX_CANDIDATES);
+
+		const matches = [];
+		for (const trip of candidates) {
+			const match = matchRoute(getTripPath(trip), pickup, dropoff, maxDistance);
+			if (match) {
+				matches.push({ trip, match });
+			}
+		}
+
+		// Ưu tiên chuyến phải đi vòng ít nhất, sau đó đến chuyến khởi hành sớm hơn
+		matches.sort(
+			(a, b) => a.match.detourDistanceKm - b.match.detourDistanceKm || a.trip.departureTime - b.trip.departureTime
+		);
+
+		return matches.slice(0, limit);
+	}
+
+	/**
+	 * Tính quãng đường/thời gian đi vòng để đón và trả một passenger trên chuyến
+	 */
+	getDetour(trip, pickup, dropoff, radius = MAX_RADIUS) {
+		if (!pickup || !dropoff) {
+			return null;
+		}
+		return matchRoute(getTripPath(trip), pickup, dropoff, radius);
+	}
+}
+
+module.exports = new RouteMatchingService();
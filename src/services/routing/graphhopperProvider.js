@@ -0,0 +1,58 @@
+const axios = require('axios');
+
+// Instruction sign của GraphHopper khi đến điểm dừng (via) và điểm cuối
+const SIGN_REACHED_VIA = 5;
+const SIGN_FINISH = 4;
+
+/**
+ * Provider cho GraphHopper Routing API (/route)
+ */
+class GraphHopperProvider {
+	constructor({ baseUrl, apiKey, profile = 'car', timeout = 5000 }) {
+		this.name = 'graphhopper';
+		this.baseUrl = baseUrl.replace(/\/$/, '');
+		this.apiKey = apiKey;
+		this.profile = profile;
+		this.timeout = timeout;
+	}
+
+	async route(points) {
+		const params = new URLSearchParams();
+		points.forEach((point) => params.append('point', `${point.lat},${point.lng}`));
+		params.append('profile', this.profile);
+		params.append('points_encoded', 'false');
+		params.append('instructions', 'true');
+		if (this.apiKey) {
+			params.append('key', this.apiKey);
+		}
+
+		const { data } = await axios.get(`${this.baseUrl}/route`, { params, timeout: this.timeout });
+
+		if (!data.paths || data.paths.length === 0) {
+			throw new Error(`GraphHopper error: ${data.message || 'no route found'}`);
+		}
+
+		const path = data.paths[0];
+
+		// Gom instructions theo từng chặng (kết thúc bởi via hoặc finish)
+		const legs = [];
+		let current = { distance: 0, duration: 0 };
+		(path.instructions || []).forEach((instruction) => {
+			current.distance += instruction.distance;
+			current.duration += instruction.time / 1000;
+			if (instruction.sign === SIGN_REACHED_VIA || instruction.sign === SIGN_FINISH) {
+				legs.push(current);
+				current = { distance: 0, duration: 0 };
+			}
+		});
+
+		return {
+			distance: path.distance, // mét
+			duration: path.time / 1000, // GraphHopper trả về mili giây
+			coordinates: path.points.coordinates,
+			legs: legs.length === points.length - 1 ? legs : [],
+		};
+	}
+}
+
+module.exports = GraphHopperProvider;
@@ -0,0 +1,100 @@
+const routingConfig = require('../../config/routing');
+const OfflineProvider = require('./offlineProvider');
+const OsrmProvider = require('./osrmProvider');
+const GraphHopperProvider = require('./graphhopperProvider');
+
+const createProvider = (config) => {
+	switch (config.provider) {
+		case 'osrm':
+			return new OsrmProvider({ baseUrl: config.osrmUrl, profile: config.osrmProfile, timeout: config.timeout });
+		case 'graphhopper':
+			return new GraphHopperProvider({
+				baseUrl: config.graphhopperUrl,
+				apiKey: config.graphhopperKey,
+				profile: config.graphhopperProfile,
+				timeout: config.timeout,
+			});
+		case 'haversine':
+			return new OfflineProvider({ name: 'haversine', averageSpeedKmh: config.averageSpeedKmh });
+		case 'offline':
+			return new OfflineProvider({ roadFactor: config.roadFactor, averageSpeedKmh: config.averageSpeedKmh });
+		default:
+			throw new Error(`Unknown routing provider: ${config.provider}`);
+	}
+};
+
+const round = (value, precision = 1) => Math.round(value * 10 ** precision) / 10 ** precision;
+
+// Loại bỏ các điểm trùng liên tiếp, GeoJSON LineString cần ít nhất 2 điểm khác nhau
+const toLineString = (coordinates = []) => {
+	const cleaned = coordinates.filter(
+		(point, index) =>
+			index === 0 || point[0] !== coordinates[index - 1][0] || point[1] !== coordinates[index - 1][1]
+	);
+	return cleaned.length >= 2 ? { type: 'LineString', coordinates: cleaned } : null;
+};
+
+class RoutingService {
+	constructor() {
+		this.provider = createProvider(routingConfig);
+		// Fallback: khoảng cách Haversine, không nhân hệ số đường bộ
+		this.fallbackProvider = new OfflineProvider({
+			name: 'haversine',
+			averageSpeedKmh: routingConfig.averageSpeedKmh,
+		});
+	}
+
+	/**
+	 * Tính lộ trình đường bộ qua các điểm { lat, lng } theo thứ tự
+	 * Trả về { provider, isFallback, distanceKm, durationMinutes, geometry, legs }
+	 */
+	async getRoute(points) {
+		let result;
+		let provider = this.provider;
+
+		try {
+			result = await provider.route(points);
+		} catch (error) {
+			console.error(`⚠️ Routing provider ${provider.name} failed, falling back to Haversine:`, error.message);
+			provider = this.fallbackProvider;
+			result = await provider.route(points);
+		}
+
+		return {
+			provider: provider.name,
+			isFallback: provider === this.fallbackProvider,
+			distanceKm: round(result.distance / 1000, 2),
+			durationMinutes: Math.round(result.duration / 60),
+			geometry: toLineString(result.coordinates),
+			legs: result.legs.map((leg) => ({
+				distanceKm: round(leg.distance / 1000, 2),
+				durationMinutes: round(leg.duration / 60),
+			})),
+		};
+	}
+
+	/**
+	 * Thời gian đến dự kiến tại từng điểm dừng và điểm cuối, tính từ giờ khởi hành
+	 */
+	getArrivalTimes(departureTime, route) {
+		const departure = new Date(departureTime).getTime();
+		if (Number.isNaN(departure)) {
+			return { stops: [], arrival: undefined };
+		}
+
+		const stops = [];
+		let elapsedMinutes = 0;
+		// Chặng cuối kết thúc ở điểm đến, các chặng trước kết thúc ở điểm dừng
+		route.legs.slice(0, -1).forEach((leg) => {
+			elapsedMinutes += leg.durationMinutes;
+			stops.push(new Date(departure + Math.round(elapsedMinutes) * 60000));
+		});
+
+		return {
+			stops,
+			arrival: new Date(departure + route.durationMinutes * 60000),
+		};
+	}
+}
+
+module.exports = new RoutingService();
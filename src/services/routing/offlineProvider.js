@@ -0,0 +1,33 @@
+const { calculateDistance } = require('../../utils/priceCalculator');
+
+/**
+ * Provider offline: ước tính đường bộ từ khoảng cách Haversine, không gọi mạng
+ * Dùng cho môi trường dev/test và làm fallback khi provider thật lỗi
+ */
+class OfflineProvider {
+	constructor({ name = 'offline', roadFactor = 1, averageSpeedKmh = 30 } = {}) {
+		this.name = name;
+		this.roadFactor = roadFactor;
+		this.averageSpeedKmh = averageSpeedKmh;
+	}
+
+	async route(points) {
+		const legs = [];
+		for (let i = 1; i < points.length; i++) {
+			const distance = calculateDistance(points[i - 1], points[i]) * 1000 * this.roadFactor;
+			legs.push({
+				distance,
+				duration: (distance / 1000 / this.averageSpeedKmh) * 3600,
+			});
+		}
+
+		return {
+			distance: legs.reduce((total, leg) => total + leg.distance, 0),
+			duration: legs.reduce((total, leg) => total + leg.duration, 0),
+			coordinates: points.map((point) => [point.lng, point.lat]),
+			legs,
+		};
+	}
+}
+
+module.exports = OfflineProvider;
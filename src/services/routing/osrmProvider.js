@@ -0,0 +1,38 @@
+const axios = require('axios');
+
+/**
+ * Provider cho OSRM HTTP API (/route/v1/{profile}/{coordinates})
+ */
+class OsrmProvider {
+	constructor({ baseUrl, profile = 'driving', timeout = 5000 }) {
+		this.name = 'osrm';
+		this.baseUrl = baseUrl.replace(/\/$/, '');
+		this.profile = profile;
+		this.timeout = timeout;
+	}
+
+	async route(points) {
+		const coordinates = points.map((point) => `${point.lng},${point.lat}`).join(';');
+		const url = `${this.baseUrl}/route/v1/${this.profile}/${coordinates}`;
+
+		const { data } = await axios.get(url, {
+			params: { overview: 'simplified', geometries: 'geojson', steps: false },
+			timeout: this.timeout,
+		});
+
+		if (data.code !== 'Ok' || !data.routes || data.routes.length === 0) {
+			throw new Error(`OSRM error: ${data.code || 'no route found'}`);
+		}
+
+		const route = data.routes[0];
+
+		return {
+			distance: route.distance, // mét
+			duration: route.duration, // giây
+			coordinates: route.geometry.coordinates,
+			legs: route.legs.map((leg) => ({ distance: leg.distance, duration: leg.duration })),
+		};
+	}
+}
+
+module.exports = OsrmProvider;
@@ -0,0 +1,144 @@
+const Trip = require('../models/Trip');
+const surgeConfig = require('../config/surge');
+
+const NO_SURGE = { multiplier: 1 };
+
+class SurgeService {
+	constructor() {
+		// cellId -> { value, expiresAt }
+		this.cache = new Map();
+	}
+
+	/**
+	 * Ô lưới chứa điểm { lat, lng }
+	 */
+	getCell(coords) {
+		const size = surgeConfig.cellSizeDeg;
+		const row = Math.floor(coords.lat / size);
+		const col = Math.floor(coords.lng / size);
+		return { id: `${row}:${col}`, row, col };
+	}
+
+	/**
+	 * Polygon bao ô hiện tại và các ô xung quanh
+	 */
+	getAreaPolygon(cell) {
+		const size = surgeConfig.cellSizeDeg;
+		const rings = surgeConfig.neighborRings;
+		const south = (cell.row - rings) * size;
+		const north = (cell.row + rings + 1) * size;
+		const west = (cell.col - rings) * size;
+		const east = (cell.col + rings + 1) * size;
+
+		return {
+			type: 'Polygon',
+			coordinates: [
+				[
+					[west, south],
+					[east, south],
+					[east, north],
+					[west, north],
+					[west, south],
+				],
+			],
+		};
+	}
+
+	/**
+	 * Cầu: số booking request đang chờ driver được tạo trong sliding window
+	 * Cung: số driver khác nhau đang hoạt động trong khu vực (gửi request nhận chuyến hoặc có chuyến offer sắp chạy)
+	 */
+	async countSupplyAndDemand(cell, now = new Date()) {
+		const area = { $geoWithin: { $geometry: this.getAreaPolygon(cell) } };
+		const windowStart = new Date(now.getTime() - surgeConfig.windowMinutes * 60 * 1000);
+		const horizonEnd = new Date(now.getTime() + surgeConfig.horizonMinutes * 60 * 1000);
+
+		const demand = await Trip.countDocuments({
+			tripType: { $ne: 'offer' },
+			status: 'pending_driver',
+			'startLocation.coordinates': area,
+			createdAt: { $gte: windowStart },
+		});
+
+		const [respondingDrivers, offeringDrivers] = await Promise.all([
+			Trip.distinct('driverRequests.driver', {
+				'startLocation.coordinates': area,
+				driverRequests: { $elemMatch: { requestedAt: { $gte: windowStart } } },
+			}),
+			Trip.distinct('driver', {
+				tripType: 'offer',
+				status: 'confirmed',
+				'startLocation.coordinates': area,
+				departureTime: { $gte: now, $lte: horizonEnd },
+			}),
+		]);
+
+		const drivers = new Set([...respondingDrivers, ...offeringDrivers].map((id) => id.toString()));
+
+		return { demand, supply: drivers.size };
+	}
+
+	/**
+	 * Hệ số surge từ tỉ lệ cầu/cung, có giới hạn trên
+	 */
+	computeMultiplier(demand, supply) {
+		if (demand < surgeConfig.minDemand) {
+			return 1;
+		}
+
+		const ratio = demand / Math.max(supply, 1);
+		if (ratio <= surgeConfig.ratioThreshold) {
+			return 1;
+		}
+
+		const multiplier = 1 + (ratio - surgeConfig.ratioThreshold) * surgeConfig.sensitivity;
+		// Làm tròn 0.1 để giá không nhảy liên tục
+		return Math.min(Math.round(multiplier * 10) / 10, surgeConfig.maxMultiplier);
+	}
+
+	/**
+	 * Surge áp dụng cho chuyến khởi hành từ điểm đón tại thời điểm departureTime
+	 * Trả về { multiplier, cellId, demand, supply, computedAt }
+	 */
+	async getSurge(coords, departureTime, now = new Date()) {
+		if (!surgeConfig.enabled || !coords || coords.lat === undefined || coords.lng === undefined) {
+			return NO_SURGE;
+		}
+
+		// Chuyến đặt trước quá xa không bị ảnh hưởng bởi cung/cầu hiện tại
+		const departure = departureTime ? new Date(departureTime) : now;
+		if (departure.getTime() - now.getTime() > surgeConfig.horizonMinutes * 60 * 1000) {
+			return NO_SURGE;
+		}
+
+		const cell = this.getCell(coords);
+		const cached = this.cache.get(cell.id);
+		if (cached && cached.expiresAt > now.getTime()) {
+			return cached.value;
+		}
+
+		const { demand, supply } = await this.countSupplyAndDemand(cell, now);
+		const value = {
+			multiplier: this.computeMultiplier(demand, supply),
+			cellId: cell.id,
+			demand,
+			supply,
+			computedAt: now,
+		};
+
+		this.cache.set(cell.id, { value, expiresAt: now.getTime() + surgeConfig.cacheTtlSeconds * 1000 });
+		this.pruneCache(now);
+
+		return value;
+	}
+
+	pruneCache(now = new Date()) {
+		for (const [cellId, entry] of this.cache) {
+			if (entry.expiresAt <= now.getTime()) {
+				this.cache.delete(cellId);
+			}
+		}
+	}
+}
+
+module.exports = new SurgeService();
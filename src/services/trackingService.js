@@ -0,0 +1,320 @@
+const mongoose = require('mongoose');
+const Trip = require('../models/Trip');
+const TripLocation = require('../models/TripLocation');
+const routingService = require('./routing');
+const realtimeService = require('./realtimeService');
+const driverAvailabilityService = require('./driverAvailabilityService');
+const trackingConfig = require('../config/tracking');
+const { calculateDistance } = require('../utils/priceCalculator');
+const { fromGeoPoint } = require('../utils/routeMatcher');
+
+// Driver gửi vị trí từ lúc nhận chuyến (đang tới điểm đón) đến khi kết thúc chuyến
+const TRACKABLE_STATUSES = ['confirmed', 'paid', 'in_progress'];
+
+const createError = (message, statusCode = 400) => {
+	const error = new Error(message);
+	error.statusCode = statusCode;
+	return error;
+};
+
+const isSameUser = (a, b) => Boolean(a && b) && String(a._id || a) === String(b._id || b);
+
+const round = (value, precision = 2) => Math.round(value * 10 ** precision) / 10 ** precision;
+
+const toOptionalNumber = (value, min, max) => {
+	if (value === undefined || value === null || value === '') return undefined;
+	const number = Number(value);
+	return Number.isFinite(number) && number >= min && number <= max ? number : undefined;
+};
+
+// Tổng quãng đường (km) đi qua các điểm theo thứ tự
+const getPathDistance = (points) =>
+	points.reduce((total, point, index) => (index === 0 ? 0 : total + calculateDistance(points[index - 1], point)), 0);
+
+// Giữ tối đa maxPoints điểm cách đều nhau, luôn giữ điểm đầu và điểm cuối
+const downsample = (points, maxPoints) => {
+	if (points.length <= maxPoints) {
+		return points;
+	}
+	const step = (points.length - 1) / (maxPoints - 1);
+	return Array.from({ length: maxPoints }, (_, index) => points[Math.round(index * step)]);
+};
+
+const toTrackPoint = (point) => ({ lat: point.lat, lng: point.lng, recordedAt: point.recordedAt });
+
+class TrackingService {
+	/**
+	 * Người được xem vị trí driver: passenger tạo booking, người chia tiền, passenger đã được nhận ghế, driver và admin
+	 */
+	canViewTrip(trip, user) {
+		return (
+			user.role === 'admin' ||
+			isSameUser(trip.driver, user._id) ||
+			isSameUser(trip.requestedBy, user._id) ||
+			trip.passengers.some(
+				(passenger) => passenger.status === 'accepted' && isSameUser(passenger.user, user._id)
+			) ||
+			((trip.fareSplit && trip.fareSplit.shares) || []).some((share) => isSameUser(share.user, user._id))
+		);
+	}
+
+	async getViewableTrip(tripId, user) {
+		if (!mongoose.Types.ObjectId.isValid(tripId)) {
+			throw createError('Trip not found', 404);
+		}
+
+		const trip = await Trip.findById(tripId);
+		if (!trip) {
+			throw createError('Trip not found', 404);
+		}
+
+		if (!this.canViewTrip(trip, user)) {
+			throw createError('Not authorized to view the location of this trip', 403);
+		}
+
+		return trip;
+	}
+
+	/**
+	 * Kiểm tra và chuẩn hóa một điểm GPS, trả về null nếu điểm không hợp lệ
+	 */
+	normalizePoint(raw, now = new Date()) {
+		if (!raw || typeof raw !== 'object') {
+			return null;
+		}
+
+		const lat = toOptionalNumber(raw.lat, -90, 90);
+		const lng = toOptionalNumber(raw.lng, -180, 180);
+		const recordedAt = raw.recordedAt ? new Date(raw.recordedAt) : now;
+		if (
+			lat === undefined ||
+			lng === undefined ||
+			Number.isNaN(recordedAt.getTime()) ||
+			recordedAt.getTime() > now.getTime() + trackingConfig.maxClockSkewSeconds * 1000
+		) {
+			return null;
+		}
+
+		return {
+			lat,
+			lng,
+			heading: toOptionalNumber(raw.heading, 0, 360),
+			speed: toOptionalNumber(raw.speed, 0, 500),
+			accuracy: toOptionalNumber(raw.accuracy, 0, 100000),
+			recordedAt,
+		};
+	}
+
+	/**
+	 * Driver gửi một hoặc nhiều điểm GPS (REST gửi gộp hoặc từng điểm qua socket)
+	 * Điểm không hợp lệ, gửi trùng hoặc quá dày bị bỏ qua. Trả về { accepted, skipped, lastLocation }
+	 */
+	async recordLocations(tripId, driverId, rawPoints) {
+		const points = Array.isArray(rawPoints) ? rawPoints : [rawPoints];
+		if (points.length === 0) {
+			throw createError('Please provide at least one location point');
+		}
+		if (points.length > trackingConfig.maxBatchSize) {
+			throw createError(`A batch can contain at most ${trackingConfig.maxBatchSize} location points`);
+		}
+
+		if (!mongoose.Types.ObjectId.isValid(tripId)) {
+			throw createError('Trip not found', 404);
+		}
+
+		const trip = await Trip.findById(tripId).select(
+			'status driver requestedBy passengers.user passengers.status fareSplit.shares.user lastLocation'
+		);
+		if (!trip) {
+			throw createError('Trip not found', 404);
+		}
+		if (!isSameUser(trip.driver, driverId)) {
+			throw createError('Only the trip driver can share their location', 403);
+		}
+		if (!TRACKABLE_STATUSES.includes(trip.status)) {
+			throw createError(`Location cannot be shared for a ${trip.status} trip`);
+		}
+
+		const now = new Date();
+		const minIntervalMs = trackingConfig.minIntervalSeconds * 1000;
+		const valid = points
+			.map((point) => this.normalizePoint(point, now))
+			.filter(Boolean)
+			.sort((a, b) => a.recordedAt - b.recordedAt);
+		const kept = valid.filter(
+			(point, index) => index === 0 || point.recordedAt - valid[index - 1].recordedAt >= minIntervalMs
+		);
+
+		let accepted = kept.length;
+		if (kept.length > 0) {
+			try {
+				await TripLocation.insertMany(
+					kept.map((point) => ({ ...point, trip: trip._id, driver: trip.driver })),
+					{ ordered: false }
+				);
+			} catch (error) {
+				// Điểm đã được lưu ở lần gửi trước (retry): bỏ qua, các điểm còn lại vẫn được lưu
+				if (!error.writeErrors || error.writeErrors.some((writeError) => writeError.code !== 11000)) {
+					throw error;
+				}
+				accepted -= error.writeErrors.length;
+			}
+		}
+
+		// Chỉ cập nhật vị trí hiện tại khi điểm mới nhất mới hơn vị trí đang lưu (các điểm gửi bù khi mất mạng có thể cũ hơn)
+		let { lastLocation } = trip;
+		const latest = kept[kept.length - 1];
+		if (latest) {
+			const updated = await Trip.findOneAndUpdate(
+				{
+					_id: trip._id,
+					$or: [
+						{ 'lastLocation.recordedAt': null },
+						{ 'lastLocation.recordedAt': { $lt: latest.recordedAt } },
+					],
+				},
+				{ $set: { lastLocation: latest } },
+				{ new: true, projection: { lastLocation: 1 } }
+			);
+
+			if (updated) {
+				lastLocation = updated.lastLocation;
+				await driverAvailabilityService.touchLocation(trip.driver, latest);
+				realtimeService.emit(
+					'trip:location',
+					{ tripId: trip._id, location: latest },
+					{ users: this.getViewerIds(trip), trips: [trip._id] }
+				);
+			}
+		}
+
+		return { accepted, skipped: points.length - accepted, lastLocation };
+	}
+
+	// Những người nhận vị trí realtime (ngoài driver)
+	getViewerIds(trip) {
+		return [
+			trip.requestedBy,
+			...trip.passengers
+				.filter((passenger) => passenger.status === 'accepted')
+				.map((passenger) => passenger.user),
+			...((trip.fareSplit && trip.fareSplit.shares) || []).map((share) => share.user),
+		].filter(Boolean);
+	}
+
+	/**
+	 * Điểm đón/trả của người đang xem: passenger chuyến offer dùng điểm đón/trả riêng, còn lại là điểm đầu/cuối chuyến
+	 */
+	getRiderStops(trip, user) {
+		const passenger =
+			trip.tripType === 'offer'
+				? trip.passengers.find((item) => item.status === 'accepted' && isSameUser(item.user, user._id))
+				: null;
+
+		return {
+			pickup:
+				(passenger && passenger.pickupLocation && fromGeoPoint(passenger.pickupLocation.coordinates)) ||
+				fromGeoPoint(trip.startLocation.coordinates),
+			dropoff:
+				(passenger && passenger.dropoffLocation && fromGeoPoint(passenger.dropoffLocation.coordinates)) ||
+				fromGeoPoint(trip.endLocation.coordinates),
+		};
+	}
+
+	/**
+	 * Vị trí hiện tại của driver và thời gian đến dự kiến (tính lại từ vị trí hiện tại)
+	 * Trước khi bắt đầu chuyến: ETA tới điểm đón rồi điểm trả. Đang trong chuyến: ETA tới điểm trả
+	 */
+	async getLiveLocation(tripId, user) {
+		const trip = await this.getViewableTrip(tripId, user);
+		const location = trip.lastLocation && trip.lastLocation.recordedAt ? trip.lastLocation : null;
+
+		const result = {
+			tripId: trip._id,
+			status: trip.status,
+			location,
+			isStale: location
+				? Date.now() - location.recordedAt.getTime() > trackingConfig.staleAfterSeconds * 1000
+				: undefined,
+			eta: null,
+		};
+
+		if (!location || !TRACKABLE_STATUSES.includes(trip.status)) {
+			return result;
+		}
+
+		const { pickup, dropoff } = this.getRiderStops(trip, user);
+		const hasStarted = trip.status === 'in_progress';
+		const points = [{ lat: location.lat, lng: location.lng }, ...(hasStarted ? [] : [pickup]), dropoff];
+		const route = await routingService.getRoute(points);
+		const now = Date.now();
+
+		const pickupLeg = hasStarted ? null : route.legs[0];
+		result.eta = {
+			provider: route.provider,
+			pickup: pickupLeg && {
+				distanceKm: pickupLeg.distanceKm,
+				durationMinutes: Math.round(pickupLeg.durationMinutes),
+				at: new Date(now + Math.round(pickupLeg.durationMinutes) * 60000),
+			},
+			dropoff: {
+				distanceKm: route.distanceKm,
+				durationMinutes: route.durationMinutes,
+				at: new Date(now + route.durationMinutes * 60000),
+			},
+		};
+
+		return result;
+	}
+
+	/**
+	 * Lộ trình của chuyến: lộ trình đã lưu khi hoàn thành, hoặc các điểm đã nhận nếu chuyến chưa kết thúc
+	 */
+	async getTrack(tripId, user) {
+		const trip = await this.getViewableTrip(tripId, user);
+
+		if (trip.track && trip.track.recordedAt) {
+			return { tripId: trip._id, status: trip.status, ...trip.toObject().track };
+		}
+
+		return { tripId: trip._id, status: trip.status, ...(await this.buildTrack(trip._id)) };
+	}
+
+	async buildTrack(tripId) {
+		const locations = await TripLocation.find({ trip: tripId })
+			.sort({ recordedAt: 1 })
+			.select('lat lng recordedAt')
+			.lean();
+		if (locations.length === 0) {
+			return { points: [], pointCount: 0, distanceKm: 0 };
+		}
+
+		return {
+			points: downsample(locations, trackingConfig.maxTrackPoints).map(toTrackPoint),
+			pointCount: locations.length,
+			distanceKm: round(getPathDistance(locations)),
+			startedAt: locations[0].recordedAt,
+			endedAt: locations[locations.length - 1].recordedAt,
+		};
+	}
+
+	/**
+	 * Chuyến hoàn thành: lưu lộ trình rút gọn lên trip (điểm GPS thô sẽ hết hạn theo retentionDays)
+	 */
+	async attachTrack(trip) {
+		const track = await this.buildTrack(trip._id);
+		if (track.pointCount === 0) {
+			return null;
+		}
+
+		const updated = await Trip.findOneAndUpdate(
+			{ _id: trip._id, status: 'completed', 'track.recordedAt': null },
+			{ $set: { track: { ...track, recordedAt: new Date() } } },
+			{ new: true, projection: { track: 1 } }
+		);
+
+		return updated ? updated.track : null;
+	}
+}
+
+module.exports = new TrackingService();
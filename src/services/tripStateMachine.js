@@ -0,0 +1,473 @@
+const Trip = require('../models/Trip');
+const Notification = require('../models/Notification');
+const walletService = require('./walletService');
+const refundService = require('./refundService');
+const corporateBillingService = require('./corporateBillingService');
+const driverEarningsService = require('./driverEarningsService');
+const referralService = require('./referralService');
+const trackingService = require('./trackingService');
+const dispatchService = require('./dispatchService');
+const driverAvailabilityService = require('./driverAvailabilityService');
+const realtimeService = require('./realtimeService');
+const pickupPinService = require('./pickupPinService');
+
+// Trạng thái hiện tại -> { trạng thái mới: vai trò được chuyển }
+// passenger: người tạo booking, system: thanh toán online và job hết hạn booking
+const TRANSITIONS = {
+	pending_driver: {
+		confirmed: ['passenger'],
+		cancelled: ['passenger', 'admin', 'system'],
+	},
+	confirmed: {
+		paid: ['system'],
+		in_progress: ['driver'],
+		cancelled: ['passenger', 'driver', 'admin', 'system'],
+	},
+	paid: {
+		in_progress: ['driver'],
+		cancelled: ['passenger', 'driver', 'admin'],
+	},
+	in_progress: {
+		completed: ['driver'],
+		cancelled: ['passenger', 'driver', 'admin'],
+	},
+	completed: {},
+	cancelled: {},
+};
+
+// Driver đã nhập đúng PIN của passenger khi đón (chuyến không có PIN thì bỏ qua)
+const checkPickupPin = (trip) =>
+	trip.pickupPin && trip.pickupPin.generatedAt && !trip.pickupPin.verifiedAt
+		? 'Enter the pickup PIN shown to the passenger to start the trip'
+		: null;
+
+// Điều kiện thêm của một chuyển trạng thái: trả về lý do không được chuyển, null nếu hợp lệ
+const GUARDS = {
+	'pending_driver:confirmed': (trip) => (trip.driver ? null : 'A driver must be assigned to confirm the booking'),
+	// Booking thanh toán online phải trả tiền trước khi đi; tiền mặt/ví/tổ chức được thu riêng
+	// Chuyến offer: ghế online chưa thanh toán bị hủy khi bắt đầu chuyến (xem releaseUnpaidSeats)
+	'confirmed:in_progress': (trip) =>
+		trip.tripType !== 'offer' && trip.paymentMethod === 'online'
+			? 'The trip must be paid before it can be started'
+			: checkPickupPin(trip),
+	'paid:in_progress': checkPickupPin,
+};
+
+// Thời điểm được ghi lại khi chuyến vào trạng thái
+const TIMESTAMP_FIELDS = {
+	confirmed: 'confirmedAt',
+	paid: 'paidAt',
+	in_progress: 'actualDepartureTime',
+	completed: 'actualArrivalTime',
+	cancelled: 'cancelledAt',
+};
+
+// Lý do hủy lưu trên trip được đánh dấu theo người hủy
+const CANCELLATION_REASON_PREFIXES = {
+	admin: '[ADMIN]',
+	system: '[EXPIRED]',
+};
+
+const createError = (message, statusCode = 400) => {
+	const error = new Error(message);
+	error.statusCode = statusCode;
+	return error;
+};
+
+const isSameUser = (a, b) => Boolean(a && b) && String(a._id || a) === String(b._id || b);
+
+const formatStatus = (status) => status.replace('_', ' ');
+
+// Ghế thanh toán online chưa trả tiền (hoặc thanh toán lỗi) không được đi cùng chuyến
+const isUnpaidOnlineSeat = (passenger) =>
+	passenger.status === 'accepted' &&
+	passenger.paymentMethod === 'online' &&
+	['pending', 'failed'].includes(passenger.paymentStatus);
+
+class TripStateMachine {
+	/**
+	 * Vai trò của user với chuyến: driver, passenger (người tạo booking), admin hoặc null
+	 */
+	getActorRole(trip, user) {
+		if (isSameUser(trip.driver, user)) return 'driver';
+		if (isSameUser(trip.requestedBy, user)) return 'passenger';
+		if (user && user.role === 'admin') return 'admin';
+		return null;
+	}
+
+	/**
+	 * Các trạng thái chuyến có thể chuyển sang (theo vai trò nếu có)
+	 */
+	getAllowedTransitions(status, role) {
+		return Object.entries(TRANSITIONS[status] || {})
+			.filter(([, roles]) => !role || roles.includes(role))
+			.map(([to]) => to);
+	}
+
+	/**
+	 * Lý do không được chuyển trạng thái (kèm statusCode), null nếu hợp lệ
+	 */
+	checkTransition(trip, to, role) {
+		const from = trip.status;
+
+		if (!TRANSITIONS[to]) {
+			return { message: `Invalid trip status: ${to}`, statusCode: 400 };
+		}
+		if (from === to) {
+			return { message: `Trip is already ${formatStatus(to)}`, statusCode: 400 };
+		}
+
+		const roles = TRANSITIONS[from] && TRANSITIONS[from][to];
+		if (!roles) {
+			const allowed = this.getAllowedTransitions(from);
+			return {
+				message:
+					to === 'cancelled'
+						? `Cannot cancel a ${formatStatus(from)} trip`
+						: `Cannot change a ${formatStatus(from)} trip to ${formatStatus(to)}${allowed.length > 0 ? ` (allowed: ${allowed.join(', ')})` : ''}`,
+				statusCode: 400,
+			};
+		}
+		if (!roles.includes(role)) {
+			return { message: `Not authorized to change this trip to ${formatStatus(to)}`, statusCode: 403 };
+		}
+
+		const guard = GUARDS[`${from}:${to}`];
+		const reason = guard && guard(trip);
+		return reason ? { message: reason, statusCode: 400 } : null;
+	}
+
+	assertTransition(trip, to, role) {
+		const failure = this.checkTransition(trip, to, role);
+		if (failure) {
+			throw createError(failure.message, failure.statusCode);
+		}
+	}
+
+	/**
+	 * Các field được set cùng trạng thái mới
+	 */
+	getTransitionFields(trip, to, { actorRole, reason }, now) {
+		const fields = { status: to, [TIMESTAMP_FIELDS[to]]: now };
+		// Booking có driver: tạo PIN đón khách (booking xác nhận trước khi có PIN thì tạo khi thanh toán)
+		if (
+			['confirmed', 'paid'].includes(to) &&
+			pickupPinService.requiresPin(trip) &&
+			!(trip.pickupPin && trip.pickupPin.generatedAt)
+		) {
+			fields.pickupPin = pickupPinService.generate(now);
+		}
+		if (to === 'cancelled') {
+			const prefix = CANCELLATION_REASON_PREFIXES[actorRole];
+			fields.cancelledBy = actorRole;
+			fields.cancellationReason = prefix && reason ? `${prefix} ${reason}` : reason;
+		}
+		return fields;
+	}
+
+	buildHistoryEntry(from, to, { actor, actorRole, reason }, now) {
+		return { from, to, actor: actor ? actor._id || actor : undefined, actorRole, reason, at: now };
+	}
+
+	/**
+	 * Kiểm tra rồi áp dụng chuyển trạng thái lên document (chưa lưu)
+	 * Lần save tiếp theo chỉ thành công nếu trạng thái trong DB vẫn là trạng thái cũ
+	 * opts: { actor, actorRole, reason } - actorRole mặc định suy ra từ actor
+	 */
+	apply(trip, to, opts = {}) {
+		const change = this.resolveChange(trip, to, opts);
+		const now = new Date();
+
+		trip.set(this.getTransitionFields(trip, to, change, now));
+		// Booking bị hủy: các yêu cầu nhận chuyến còn chờ không còn hiệu lực
+		if (to === 'cancelled') {
+			trip.driverRequests
+				.filter((request) => request.status === 'pending')
+				.forEach((request) => {
+					request.status = 'declined';
+					request.respondedAt = now;
+				});
+		}
+		trip.statusHistory.push(this.buildHistoryEntry(change.from, to, change, now));
+		trip.$where = { status: change.from };
+		if (to === 'in_progress') {
+			change.releasedSeats = this.releaseUnpaidSeats(trip, now);
+		}
+
+		return change;
+	}
+
+	/**
+	 * Chuyến offer bắt đầu: hủy ghế online đã được nhận nhưng chưa thanh toán và trả lại số ghế
+	 * Lần save chỉ thành công nếu các ghế này vẫn chưa được thanh toán trong lúc đó
+	 * Payment đến muộn của ghế đã hủy được hoàn tiền (paymentSettlementService)
+	 */
+	releaseUnpaidSeats(trip, now) {
+		if (trip.tripType !== 'offer') {
+			return [];
+		}
+
+		const unpaid = trip.passengers.filter(isUnpaidOnlineSeat);
+		if (unpaid.length === 0) {
+			return [];
+		}
+
+		unpaid.forEach((passenger) => {
+			passenger.status = 'cancelled';
+			passenger.responseMessage = 'Seat released: not paid before departure';
+			passenger.updatedAt = now;
+		});
+		const seats = unpaid.reduce((total, passenger) => total + (passenger.seats || 1), 0);
+		trip.bookedSeats = Math.max((trip.bookedSeats || 0) - seats, 0);
+		trip.$where.passengers = {
+			$not: {
+				$elemMatch: {
+					_id: { $in: unpaid.map((passenger) => passenger._id) },
+					paymentStatus: 'completed',
+				},
+			},
+		};
+
+		return unpaid.map((passenger) => String(passenger.user._id || passenger.user));
+	}
+
+	resolveChange(trip, to, { actor, actorRole, reason } = {}) {
+		const role = actorRole || (actor ? this.getActorRole(trip, actor) : null);
+		this.assertTransition(trip, to, role);
+
+		return {
+			from: trip.status,
+			to,
+			actor,
+			actorRole: role,
+			reason,
+			// Driver đang chờ passenger trả lời yêu cầu nhận chuyến (được báo khi booking bị hủy)
+			pendingDriverIds: trip.driverRequests
+				.filter((request) => request.status === 'pending')
+				.map((request) => request.driver._id || request.driver),
+		};
+	}
+
+	/**
+	 * Lưu trip sau apply. Trạng thái đã bị đổi bởi request khác thì báo lỗi 409
+	 */
+	async save(trip) {
+		try {
+			await trip.save();
+		} catch (error) {
+			if (error.name === 'DocumentNotFoundError') {
+				throw createError('The trip status has just been changed. Please reload and try again', 409);
+			}
+			throw error;
+		} finally {
+			trip.$where = undefined;
+		}
+		return trip;
+	}
+
+	/**
+	 * Chuyển trạng thái: kiểm tra, lưu rồi chạy các side effect. Trả về kết quả side effect
+	 * opts: { actor, actorRole, reason, ipAddr }
+	 */
+	async transition(trip, to, opts = {}) {
+		const change = this.apply(trip, to, opts);
+		await this.save(trip);
+		return this.runSideEffects(trip, change, opts);
+	}
+
+	/**
+	 * Chuyển trạng thái bằng một update có điều kiện (thanh toán, job), không lỗi nếu trạng thái đã đổi
+	 * filter: điều kiện thêm của update. Trả về { trip, effects } hoặc null nếu không chuyển
+	 */
+	async transitionAtomically(trip, to, { filter = {}, ...opts } = {}) {
+		const role = opts.actorRole || (opts.actor ? this.getActorRole(trip, opts.actor) : null);
+		if (this.checkTransition(trip, to, role)) {
+			return null;
+		}
+
+		const change = this.resolveChange(trip, to, { ...opts, actorRole: role });
+		const now = new Date();
+		const update = {
+			$set: this.getTransitionFields(trip, to, change, now),
+			$push: { statusHistory: this.buildHistoryEntry(change.from, to, change, now) },
+		};
+		const options = { new: true };
+		if (to === 'cancelled') {
+			update.$set['driverRequests.$[request].status'] = 'declined';
+			update.$set['driverRequests.$[request].respondedAt'] = now;
+			options.arrayFilters = [{ 'request.status': 'pending' }];
+		}
+
+		const updated = await Trip.findOneAndUpdate({ ...filter, _id: trip._id, status: change.from }, update, options);
+		if (!updated) {
+			return null;
+		}
+
+		return { trip: updated, effects: await this.runSideEffects(updated, change, opts) };
+	}
+
+	/**
+	 * Side effect sau khi trạng thái đã được lưu: realtime, trạng thái driver, ví/hoàn tiền/thu nhập và thông báo
+	 * Mỗi side effect chạy độc lập: lỗi được ghi log và vào effects.failed, các side effect còn lại vẫn chạy
+	 */
+	async runSideEffects(trip, change, { ipAddr } = {}) {
+		const { from, to, actor, actorRole, reason } = change;
+		const effects = { failed: [] };
+
+		const run = async (name, effect) => {
+			try {
+				return await effect();
+			} catch (error) {
+				effects.failed.push(name);
+				console.error(`❌ Trip ${trip._id} ${from} -> ${to}: ${name} failed:`, error.message);
+				return undefined;
+			}
+		};
+
+		await run('realtime', () =>
+			realtimeService.emitTripStatus(trip, {
+				from,
+				...(to === 'cancelled' && { cancelledBy: actorRole, reason }),
+			})
+		);
+
+		// Đã có driver hoặc booking bị hủy: không gửi booking tới driver khác nữa
+		if (from === 'pending_driver') {
+			await run('stopDispatch', () => dispatchService.stopDispatch(trip._id));
+		}
+
+		// Driver chuyển sang busy khi bắt đầu chuyến, quay lại online khi chuyến kết thúc
+		if (['in_progress', 'completed', 'cancelled'].includes(to)) {
+			await run('driverAvailability', () => driverAvailabilityService.syncTripStatus(trip.driver));
+		}
+
+		if (to === 'completed') {
+			// Trừ tiền đang giữ trong ví, tính tiền cho tổ chức, rồi ghi nhận thu nhập của driver
+			effects.walletPayments = await run('captureTripHolds', () => walletService.captureTripHolds(trip));
+			effects.corporatePayments = await run('chargeTrip', () => corporateBillingService.chargeTrip(trip));
+			effects.earning = await run('recordTripEarnings', () => driverEarningsService.recordTripEarnings(trip));
+			// Thưởng giới thiệu cho passenger hoàn thành chuyến đầu tiên
+			await run('rewardFirstTrip', () => referralService.rewardFirstTrip(trip));
+			// Lưu lộ trình thực tế lên trip để giải quyết khiếu nại
+			effects.track = await run('attachTrack', () => trackingService.attachTrack(trip));
+		}
+
+		if (to === 'cancelled') {
+			// Hoàn tiền các payment đã thanh toán theo chính sách hủy, trả lại tiền đang giữ trong ví
+			effects.refund = await run('refundTripPayments', () =>
+				refundService.refundTripPayments(trip, {
+					cancelledBy: actorRole,
+					initiatedBy: actor ? actor._id || actor : undefined,
+					reason: trip.cancellationReason,
+					ipAddr,
+				})
+			);
+			effects.releasedHolds = await run('releaseTripHolds', () => walletService.releaseTripHolds(trip));
+		}
+
+		await run('notify', () => this.notify(trip, change, effects));
+		return effects;
+	}
+
+	/**
+	 * Passenger của chuyến: người tạo booking, passenger đã được nhận ghế và người cùng chia tiền
+	 */
+	getRiderIds(trip) {
+		const ids = [
+			trip.requestedBy,
+			...trip.passengers
+				.filter((passenger) => passenger.status === 'accepted')
+				.map((passenger) => passenger.user),
+			...((trip.fareSplit && trip.fareSplit.shares) || [])
+				.filter((share) => share.status !== 'declined')
+				.map((share) => share.user),
+		];
+		return [...new Set(ids.filter(Boolean).map((id) => String(id._id || id)))];
+	}
+
+	buildNotification(trip, { to, actorRole, reason }, recipientId, effects) {
+		const route = `from ${trip.startLocation.address} to ${trip.endLocation.address}`;
+
+		if (to === 'in_progress') {
+			return {
+				title: 'Trip Started',
+				message: `Your driver has started the trip ${route}.`,
+				type: 'trip_started',
+			};
+		}
+
+		if (to === 'completed') {
+			return {
+				title: 'Trip Completed',
+				message: `Your trip ${route} has been completed.`,
+				type: 'trip_completed',
+			};
+		}
+
+		const refunded = ((effects.refund && effects.refund.refunds) || []).some((refund) =>
+			isSameUser(refund.user, recipientId)
+		);
+		const released = (effects.releasedHolds || []).some((release) => isSameUser(release.user, recipientId));
+		const outcome = `${refunded ? ' Your payment will be refunded.' : ''}${released ? ' The amount held in your wallet has been released.' : ''}`;
+
+		if (actorRole === 'system') {
+			return {
+				title: 'Booking Expired',
+				message: `The booking ${route} has expired and was cancelled automatically.${reason ? ` ${reason}.` : ''}${outcome}`,
+				type: 'booking_expired',
+			};
+		}
+
+		const cancelledBy = {
+			passenger: 'the passenger',
+			driver: 'the driver',
+			admin: 'an administrator',
+		}[actorRole];
+		return {
+			title: actorRole === 'admin' ? 'Trip Cancelled by Admin' : 'Trip Cancelled',
+			message: `The trip ${route} has been cancelled by ${cancelledBy}.${reason ? ` Reason: ${reason}` : ''}${outcome}`,
+			type: 'trip_cancelled',
+		};
+	}
+
+	/**
+	 * Thông báo cho những người bị ảnh hưởng (trừ người thực hiện)
+	 */
+	async notify(trip, change, effects) {
+		for (const recipientId of change.releasedSeats || []) {
+			await Notification.create({
+				recipient: recipientId,
+				title: 'Seat Released',
+				message: `Your seat on the trip from ${trip.startLocation.address} to ${trip.endLocation.address} was released because it was not paid before departure.`,
+				type: 'request_declined',
+				relatedId: trip._id,
+				relatedModel: 'Trip',
+				metadata: { from: change.from, to: change.to },
+			});
+		}
+
+		let recipients = [];
+		if (['in_progress', 'completed'].includes(change.to)) {
+			recipients = this.getRiderIds(trip);
+		} else if (change.to === 'cancelled') {
+			recipients = [
+				...new Set([
+					...this.getRiderIds(trip),
+					...[trip.driver, ...change.pendingDriverIds].filter(Boolean).map((id) => String(id._id || id)),
+				]),
+			];
+		}
+
+		for (const recipientId of recipients.filter((id) => !isSameUser(id, change.actor))) {
+			await Notification.create({
+				recipient: recipientId,
+				...this.buildNotification(trip, change, recipientId, effects),
+				relatedId: trip._id,
+				relatedModel: 'Trip',
+				metadata: { from: change.from, to: change.to },
+			});
+		}
+	}
+}
+
+module.exports = new TripStateMachine();
@@ -0,0 +1,625 @@
+const Wallet = require('../models/Wallet');
+const WalletTransaction = require('../models/WalletTransaction');
+const Payment = require('../models/Payment');
+const Trip = require('../models/Trip');
+const Notification = require('../models/Notification');
+const walletConfig = require('../config/wallet');
+const timezoneConfig = require('../config/timezone');
+const paymentGateways = require('./paymentGateways');
+const { getZonedParts, zonedTimeToUtc } = require('../utils/timezone');
+
+// Bút toán của từng loại giao dịch: tài khoản ghi nợ (debit) và tài khoản ghi có (credit)
+const POSTING_RULES = {
+	topup: { debit: 'gateway_clearing', credit: 'wallet_available' },
+	hold: { debit: 'wallet_available', credit: 'wallet_held' },
+	capture: { debit: 'wallet_held', credit: 'trip_revenue' },
+	release: { debit: 'wallet_held', credit: 'wallet_available' },
+	refund: { debit: 'trip_revenue', credit: 'wallet_available' },
+	bonus: { debit: 'promotion_expense', credit: 'wallet_available' },
+};
+
+// Field số dư trên Wallet của các tài khoản sổ cái thuộc ví (credit làm tăng, debit làm giảm)
+const WALLET_FIELDS = { wallet_available: 'balance', wallet_held: 'heldBalance' };
+
+const MAX_STATEMENT_DAYS = 366;
+
+// Số giao dịch gần nhất được ghi lại trên ví để nhận biết giao dịch đã cộng/trừ vào số dư
+const APPLIED_TRANSACTIONS_KEPT = 100;
+
+// Khoản giữ dừng giữa chừng khi capture/release quá khoảng này thì được tiếp tục
+const STALE_SETTLEMENT_MS = 60 * 1000;
+
+const HOLD_STATUSES = { capture: 'captured', release: 'released' };
+
+const createError = (message, statusCode = 400) => {
+	const error = new Error(message);
+	error.statusCode = statusCode;
+	return error;
+};
+
+const describeRoute = (trip) => `${trip.startLocation.address} den ${trip.endLocation.address}`;
+
+class WalletService {
+	/**
+	 * Ví của user, tự tạo ở lần truy cập đầu tiên
+	 */
+	async getWallet(userId) {
+		try {
+			return await Wallet.findOneAndUpdate(
+				{ user: userId },
+				{ $setOnInsert: { currency: walletConfig.currency } },
+				{ new: true, upsert: true }
+			);
+		} catch (error) {
+			// Hai request đồng thời cùng tạo ví
+			if (error.code === 11000) {
+				return Wallet.findOne({ user: userId });
+			}
+			throw error;
+		}
+	}
+
+	/**
+	 * Ghi một giao dịch vào sổ cái rồi cập nhật số dư ví
+	 * Idempotent theo reference: giao dịch đã ghi trước đó được trả về với duplicate = true,
+	 * giao dịch còn pending (lần ghi trước dừng giữa chừng) được tiếp tục
+	 */
+	async post(type, { userId, amount, reference, description, trip, payment, hold }) {
+		const rule = POSTING_RULES[type];
+		const wallet = await this.getWallet(userId);
+
+		let transaction;
+		try {
+			transaction = await WalletTransaction.create({
+				wallet: wallet._id,
+				user: userId,
+				type,
+				amount,
+				currency: wallet.currency,
+				entries: [
+					{ account: rule.debit, direction: 'debit', amount },
+					{ account: rule.credit, direction: 'credit', amount },
+				],
+				reference,
+				description,
+				trip,
+				payment,
+				hold,
+				holdStatus: type === 'hold' ? 'held' : undefined,
+			});
+		} catch (error) {
+			if (error.code === 11000) {
+				const existing = await WalletTransaction.findOne({ reference });
+				if (existing && existing.status === 'pending') {
+					return this.apply(existing);
+				}
+				if (existing) {
+					return { transaction: existing, duplicate: true };
+				}
+			}
+			throw error;
+		}
+
+		return this.apply(transaction);
+	}
+
+	/**
+	 * Cập nhật số dư ví theo giao dịch pending rồi đánh dấu posted
+	 * Id giao dịch được ghi vào appliedTransactions cùng lần cập nhật số dư: tiếp tục một giao dịch
+	 * đã cập nhật số dư nhưng chưa kịp posted thì chỉ đánh dấu posted, không cộng/trừ lần nữa
+	 */
+	async apply(transaction) {
+		const rule = POSTING_RULES[transaction.type];
+		const { amount } = transaction;
+
+		// Update có điều kiện: số dư không bao giờ âm kể cả khi có nhiều giao dịch đồng thời
+		const conditions = { _id: transaction.wallet, appliedTransactions: { $ne: transaction._id } };
+		const inc = {};
+		[
+			[rule.debit, -amount],
+			[rule.credit, amount],
+		].forEach(([account, change]) => {
+			const field = WALLET_FIELDS[account];
+			if (!field) return;
+			inc[field] = (inc[field] || 0) + change;
+			if (change < 0) conditions[field] = { $gte: amount };
+		});
+
+		let updated = await Wallet.findOneAndUpdate(
+			conditions,
+			{
+				$inc: inc,
+				$set: { lastTransactionAt: new Date() },
+				$push: { appliedTransactions: { $each: [transaction._id], $slice: -APPLIED_TRANSACTIONS_KEPT } },
+			},
+			{ new: true }
+		);
+
+		if (!updated) {
+			updated = await Wallet.findOne({ _id: transaction.wallet, appliedTransactions: transaction._id });
+		}
+
+		if (!updated) {
+			transaction.status = 'failed';
+			transaction.failureReason = 'Insufficient wallet balance';
+			transaction.reference = undefined;
+			await transaction.save();
+			throw createError(
+				transaction.type === 'hold'
+					? 'Insufficient wallet balance. Please top up your wallet'
+					: 'Insufficient wallet balance'
+			);
+		}
+
+		transaction.status = 'posted';
+		transaction.postedAt = new Date();
+		transaction.balanceAfter = { balance: updated.balance, heldBalance: updated.heldBalance };
+		await transaction.save();
+
+		return { transaction, wallet: updated, duplicate: false };
+	}
+
+	/**
+	 * Tạo payment nạp tiền qua cổng thanh toán; ví được cộng tiền khi payment thành công (IPN, return URL hoặc đối soát)
+	 */
+	async createTopup(userId, { amount, provider, returnUrl, baseUrl, ipAddr }) {
+		const topupAmount = Math.round(Number(amount));
+
+		if (
+			!Number.isFinite(topupAmount) ||
+			topupAmount < walletConfig.minTopup ||
+			topupAmount > walletConfig.maxTopup
+		) {
+			throw createError(
+				`Top-up amount must be between ${walletConfig.minTopup} and ${walletConfig.maxTopup} ${walletConfig.currency}`
+			);
+		}
+
+		const wallet = await this.getWallet(userId);
+		if (wallet.totalBalance + topupAmount > walletConfig.maxBalance) {
+			throw createError(`Wallet balance cannot exceed ${walletConfig.maxBalance} ${walletConfig.currency}`);
+		}
+
+		const gateway = paymentGateways.get(provider);
+		const payment = await Payment.create({
+			user: userId,
+			purpose: 'wallet_topup',
+			amount: topupAmount,
+			currency: wallet.currency,
+			provider,
+			txnRef: gateway.generateTxnRef(),
+			orderInfo: `Nap tien vao vi ${topupAmount} ${wallet.currency}`,
+			returnUrl,
+			status: 'pending',
+		});
+
+		let gatewayPayment;
+		try {
+			gatewayPayment = await gateway.createPayment({
+				payment,
+				returnUrl: returnUrl || `${baseUrl}/return`,
+				ipnUrl: `${baseUrl}/ipn`,
+				ipAddr,
+			});
+		} catch (error) {
+			await Payment.updateOne(
+				{ _id: payment._id, status: 'pending' },
+				{ $set: { status: 'failed', note: `Gateway error: ${error.message}` } }
+			);
+			throw error;
+		}
+
+		payment.providerData = { ...payment.providerData, ...gatewayPayment.providerData };
+		await payment.save();
+
+		return { payment, gatewayPayment };
+	}
+
+	/**
+	 * Cộng tiền vào ví khi payment nạp tiền thành công (gọi từ paymentSettlementService)
+	 */
+	async creditTopup(payment) {
+		const userId = payment.user._id || payment.user;
+		const { transaction, duplicate } = await this.post('topup', {
+			userId,
+			amount: payment.amount,
+			reference: `topup:${payment._id}`,
+			payment: payment._id,
+			description: `Nap tien qua ${payment.provider}`,
+		});
+
+		if (!duplicate) {
+			await Notification.create({
+				recipient: userId,
+				title: 'Wallet Topped Up',
+				message: `${payment.amount.toLocaleString('vi-VN')} ${payment.currency} has been added to your wallet.`,
+				type: 'payment_received',
+				metadata: { paymentId: payment._id, walletTransactionId: transaction._id },
+			});
+		}
+
+		return transaction;
+	}
+
+	/**
+	 * Cộng tiền thưởng của nền tảng vào ví (idempotent theo reference)
+	 */
+	async creditBonus(userId, { amount, reference, description }) {
+		const { transaction, duplicate } = await this.post('bonus', { userId, amount, reference, description });
+		return duplicate ? null : transaction;
+	}
+
+	/**
+	 * Giữ tiền trong ví khi booking thanh toán bằng ví được xác nhận
+	 * bookingId: _id của passenger (chuyến offer) hoặc của trip (booking request), nên xác nhận lại
+	 * cùng một booking không giữ tiền hai lần
+	 */
+	async holdForBooking(trip, { userId, amount, bookingId }) {
+		if (!amount || amount <= 0) {
+			return null;
+		}
+
+		let reference = `hold:${bookingId}`;
+		for (;;) {
+			const { transaction } = await this.post('hold', {
+				userId,
+				amount,
+				reference,
+				trip: trip._id,
+				description: `Giu tien chuyen di ${describeRoute(trip)}`,
+			});
+
+			// Khoản giữ trước đó của booking đã được trả lại (vd: accept thất bại vì hết ghế) thì giữ lại lần nữa
+			if (transaction.holdStatus !== 'released') {
+				return transaction;
+			}
+			reference = `hold:${bookingId}:${transaction._id}`;
+		}
+	}
+
+	/**
+	 * Chuyển khoản giữ tiền sang captured/released (có điều kiện nên mỗi khoản chỉ được xử lý một lần)
+	 * Khoản giữ đã chuyển trạng thái nhưng dừng trước khi ghi xong giao dịch capture/release (settlingAt còn)
+	 * được tiếp tục ở lần gọi sau hoặc bởi resumeStaleHolds
+	 * onPosted (tùy chọn): ghi nhận sau khi giao dịch đã posted, chạy trước khi bỏ settlingAt nên lỗi ở bước này
+	 * cũng được tiếp tục (phải idempotent)
+	 */
+	async settleHold(hold, type, description, onPosted) {
+		const now = new Date();
+		const claimed = await WalletTransaction.findOneAndUpdate(
+			{ _id: hold._id, type: 'hold', status: 'posted', holdStatus: 'held' },
+			{ $set: { holdStatus: HOLD_STATUSES[type], settlingAt: now } },
+			{ new: true }
+		);
+		const resumed =
+			!claimed &&
+			(await WalletTransaction.findOneAndUpdate(
+				{
+					_id: hold._id,
+					holdStatus: HOLD_STATUSES[type],
+					settlingAt: { $lte: new Date(now.getTime() - STALE_SETTLEMENT_MS) },
+				},
+				{ $set: { settlingAt: now } },
+				{ new: true }
+			));
+
+		if (!claimed && !resumed) {
+			return null;
+		}
+
+		let result;
+		try {
+			result = await this.post(type, {
+				userId: hold.user,
+				amount: hold.amount,
+				reference: `${type}:${hold._id}`,
+				trip: hold.trip,
+				hold: hold._id,
+				description,
+			});
+		} catch (error) {
+			// Bị từ chối (không đủ số dư đang giữ): khoản giữ vẫn còn. Lỗi khác: để lần sau tiếp tục
+			if (claimed && error.statusCode === 400) {
+				await WalletTransaction.updateOne(
+					{ _id: hold._id },
+					{ $set: { holdStatus: 'held' }, $unset: { settlingAt: 1 } }
+				);
+			}
+			throw error;
+		}
+
+		if (onPosted) {
+			await onPosted(result.transaction);
+		}
+
+		await WalletTransaction.updateOne({ _id: hold._id }, { $unset: { settlingAt: 1 } });
+		return result.transaction;
+	}
+
+	/**
+	 * Các khoản đang giữ, lọc theo trip và/hoặc user
+	 * settling: kèm các khoản dừng giữa chừng khi capture/release (để settleHold tiếp tục)
+	 */
+	getActiveHolds({ tripId, userId, settling = false } = {}) {
+		const query = { type: 'hold', status: 'posted', holdStatus: 'held' };
+		if (settling) {
+			delete query.holdStatus;
+			query.$or = [{ holdStatus: 'held' }, { settlingAt: { $ne: null } }];
+		}
+		if (tripId) {
+			query.trip = tripId;
+		}
+		if (userId) {
+			query.user = userId;
+		}
+		return WalletTransaction.find(query);
+	}
+
+	/**
+	 * Trừ các khoản đang giữ khi chuyến hoàn thành; mỗi khoản tạo một Payment (provider wallet, completed)
+	 */
+	async captureTripHolds(trip) {
+		const holds = await this.getActiveHolds({ tripId: trip._id, settling: true });
+		const payments = [];
+
+		for (const hold of holds) {
+			const payment = await this.captureHold(trip, hold);
+			if (payment) {
+				payments.push(payment);
+			}
+		}
+
+		return payments;
+	}
+
+	/**
+	 * Capture một khoản giữ và ghi nhận Payment của nó; null nếu khoản giữ đã được xử lý xong trước đó
+	 */
+	async captureHold(trip, hold) {
+		let payment = null;
+		await this.settleHold(hold, 'capture', `Thanh toan chuyen di ${describeRoute(trip)}`, async (capture) => {
+			payment = await this.recordCapture(trip, hold, capture);
+		});
+		return payment;
+	}
+
+	/**
+	 * Payment của giao dịch capture và trạng thái thanh toán trên trip
+	 * Idempotent theo giao dịch capture: chạy lại khi tiếp tục một capture dừng giữa chừng không tạo Payment thứ hai
+	 */
+	async recordCapture(trip, hold, capture) {
+		const now = new Date();
+		let payment = await Payment.findOne({ provider: 'wallet', providerTxnId: capture._id.toString() });
+		const created = !payment;
+
+		if (!payment) {
+			const txnRef = `WALLET${capture._id}`;
+			try {
+				payment = await Payment.create({
+					user: hold.user,
+					trip: trip._id,
+					amount: hold.amount,
+					currency: hold.currency,
+					provider: 'wallet',
+					txnRef,
+					orderInfo: `Thanh toan bang vi chuyen di ${describeRoute(trip)}`,
+					providerTxnId: capture._id.toString(),
+					status: 'completed',
+					completedAt: now,
+					expiredAt: now,
+				});
+			} catch (error) {
+				if (error.code !== 11000) throw error;
+				payment = await Payment.findOne({ txnRef });
+			}
+		}
+		await WalletTransaction.updateOne({ _id: capture._id }, { $set: { payment: payment._id } });
+
+		await (trip.tripType === 'offer'
+			? Trip.updateOne(
+					{
+						_id: trip._id,
+						passengers: {
+							$elemMatch: { user: hold.user, status: 'accepted', paymentMethod: 'wallet' },
+						},
+					},
+					{ $set: { 'passengers.$.paymentStatus': 'completed', 'passengers.$.paymentId': payment._id } }
+				)
+			: Trip.updateOne({ _id: trip._id, paidAt: null }, { $set: { paidAt: payment.completedAt || now } }));
+
+		if (created) {
+			await Notification.create({
+				recipient: hold.user,
+				title: 'Wallet Payment Completed',
+				message: `${hold.amount.toLocaleString('vi-VN')} ${hold.currency} was charged to your wallet for your completed trip.`,
+				type: 'payment_received',
+				relatedId: trip._id,
+				relatedModel: 'Trip',
+			});
+		}
+
+		return payment;
+	}
+
+	/**
+	 * Trả lại tiền đang giữ khi chuyến bị hủy hoặc passenger rời chuyến
+	 * userId (tùy chọn): chỉ trả lại khoản giữ của user này
+	 */
+	async releaseTripHolds(trip, { userId } = {}) {
+		const holds = await this.getActiveHolds({ tripId: trip._id, userId, settling: true });
+		const released = [];
+
+		for (const hold of holds) {
+			const release = await this.settleHold(hold, 'release', `Tra lai tien giu chuyen di ${describeRoute(trip)}`);
+			if (release) {
+				released.push(release);
+			}
+		}
+
+		return released;
+	}
+
+	/**
+	 * Tiếp tục capture/release của các khoản giữ dừng giữa chừng quá STALE_SETTLEMENT_MS (gọi từ job định kỳ)
+	 */
+	async resumeStaleHolds(now = new Date()) {
+		const holds = await WalletTransaction.find({
+			type: 'hold',
+			holdStatus: { $in: ['captured', 'released'] },
+			settlingAt: { $lte: new Date(now.getTime() - STALE_SETTLEMENT_MS) },
+		})
+			.sort({ settlingAt: 1 })
+			.limit(100);
+		const summary = { captured: 0, released: 0, errors: 0 };
+
+		for (const hold of holds) {
+			try {
+				// Chuyến có thể đã bị xóa (deleteTrip) khi khoản giữ được trả lại
+				const trip = hold.trip && (await Trip.findById(hold.trip));
+				if (hold.holdStatus === 'captured') {
+					if (!trip) {
+						throw createError('Trip not found', 404);
+					}
+					await this.captureHold(trip, hold);
+				} else {
+					await this.settleHold(
+						hold,
+						'release',
+						trip ? `Tra lai tien giu chuyen di ${describeRoute(trip)}` : 'Tra lai tien giu chuyen di'
+					);
+				}
+				summary[hold.holdStatus] += 1;
+			} catch (error) {
+				summary.errors += 1;
+				console.error(`❌ Resume wallet hold ${hold._id} failed:`, error.message);
+			}
+		}
+
+		return summary;
+	}
+
+	/**
+	 * Hoàn tiền payment đã trừ từ ví về ví (cùng format kết quả với refund() của payment gateway)
+	 */
+	async refundPayment(payment, { requestId, amount }) {
+		const { transaction } = await this.post('refund', {
+			userId: payment.user._id || payment.user,
+			amount,
+			reference: `refund:${requestId}`,
+			trip: payment.trip && (payment.trip._id || payment.trip),
+			payment: payment._id,
+			description: `Hoan tien giao dich ${payment.txnRef}`,
+		});
+
+		return {
+			success: true,
+			responseCode: '00',
+			message: 'Refunded to wallet',
+			transactionNo: transaction._id.toString(),
+			rawData: { walletTransaction: transaction._id, balanceAfter: transaction.balanceAfter },
+		};
+	}
+
+	/**
+	 * Lịch sử giao dịch đã ghi nhận của ví
+	 */
+	async getTransactions(userId, { type, page, limit }) {
+		const wallet = await this.getWallet(userId);
+		const query = { wallet: wallet._id, status: 'posted' };
+		if (type) {
+			query.type = type;
+		}
+
+		const [transactions, total] = await Promise.all([
+			WalletTransaction.find(query)
+				.populate('trip', 'startLocation endLocation departureTime')
+				.sort({ postedAt: -1 })
+				.skip((page - 1) * limit)
+				.limit(limit),
+			WalletTransaction.countDocuments(query),
+		]);
+
+		return { transactions, total };
+	}
+
+	/**
+	 * Số dư của ví tại một thời điểm, tính lại từ sổ cái (tổng credit - debit của từng tài khoản ví)
+	 */
+	async getLedgerBalances(walletId, at) {
+		const rows = await WalletTransaction.aggregate([
+			{ $match: { wallet: walletId, status: 'posted', postedAt: { $lt: at } } },
+			{ $unwind: '$entries' },
+			{ $match: { 'entries.account': { $in: Object.keys(WALLET_FIELDS) } } },
+			{
+				$group: {
+					_id: '$entries.account',
+					amount: {
+						$sum: {
+							$cond: [
+								{ $eq: ['$entries.direction', 'credit'] },
+								'$entries.amount',
+								{ $multiply: ['$entries.amount', -1] },
+							],
+						},
+					},
+				},
+			},
+		]);
+
+		const balances = { balance: 0, heldBalance: 0 };
+		rows.forEach((row) => {
+			balances[WALLET_FIELDS[row._id]] = row.amount;
+		});
+		return balances;
+	}
+
+	/**
+	 * Sao kê ví trong một khoảng thời gian (mặc định: từ đầu tháng hiện tại theo múi giờ kinh doanh đến hiện tại)
+	 */
+	async getStatement(userId, { from, to } = {}) {
+		const now = new Date();
+		const { year, month } = getZonedParts(now);
+		const periodStart = from
+			? new Date(from)
+			: zonedTimeToUtc({ year, month, day: 1 }, timezoneConfig.businessTimezone);
+		const periodEnd = to ? new Date(to) : now;
+
+		if (Number.isNaN(periodStart.getTime()) || Number.isNaN(periodEnd.getTime()) || periodStart >= periodEnd) {
+			throw createError('Invalid statement period');
+		}
+
+		if (periodEnd - periodStart > MAX_STATEMENT_DAYS * 24 * 60 * 60 * 1000) {
+			throw createError(`Statement period cannot exceed ${MAX_STATEMENT_DAYS} days`);
+		}
+
+		const wallet = await this.getWallet(userId);
+		const [openingBalance, closingBalance, transactions] = await Promise.all([
+			this.getLedgerBalances(wallet._id, periodStart),
+			this.getLedgerBalances(wallet._id, periodEnd),
+			WalletTransaction.find({
+				wallet: wallet._id,
+				status: 'posted',
+				postedAt: { $gte: periodStart, $lt: periodEnd },
+			})
+				.populate('trip', 'startLocation endLocation departureTime')
+				.sort({ postedAt: 1 }),
+		]);
+
+		const totals = Object.keys(POSTING_RULES).reduce((sum, type) => ({ ...sum, [type]: 0 }), {});
+		transactions.forEach((transaction) => {
+			totals[transaction.type] += transaction.amount;
+		});
+
+		return {
+			currency: wallet.currency,
+			periodStart,
+			periodEnd,
+			openingBalance,
+			closingBalance,
+			totals,
+			transactions,
+		};
+	}
+}
+
+module.exports = new WalletService();
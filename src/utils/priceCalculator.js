@@ -1,4 +1,5 @@
 // Tạo file mới: src/utils/priceCalculator.js
+const { getTimezone, getZonedParts, formatDateKey } = require('./timezone');
 
 const calculateDistance = (start, end) => {
 	// Tính khoảng cách giữa 2 tọa độ sử dụng công thức Haversine
@@ -53,55 +54,190 @@ const getBaseRateByVehicleType = (vehicleType) => {
 	return VEHICLE_TYPES[vehicleType]?.baseRate || VEHICLE_TYPES.car.baseRate;
 };
 
-// Hệ số cho giờ cao điểm
-const getPeakHourMultiplier = (departureTime) => {
-	const hour = new Date(departureTime).getHours();
-	// Giờ cao điểm: 7-9h sáng và 16-19h chiều
-	if ((hour >= 7 && hour <= 9) || (hour >= 16 && hour <= 19)) {
-		return 1.2; // Tăng 20% cho giờ cao điểm
+// Xác định loại xe từ thông tin xe của driver
+const getVehicleTypeFromVehicle = (vehicle) => {
+	if (!vehicle) return 'car';
+
+	let vehicleType = 'car';
+	if (vehicle.seats <= 2) vehicleType = 'motorcycle';
+	else if (vehicle.seats > 5) vehicleType = 'suv';
+
+	// Xe sang dựa vào brand
+	const luxuryBrands = ['mercedes', 'bmw', 'audi', 'lexus'];
+	if (vehicle.brand && luxuryBrands.some((brand) => vehicle.brand.toLowerCase().includes(brand))) {
+		vehicleType = 'luxury';
 	}
-	return 1.0;
+
+	return vehicleType;
+};
+
+// Bảng giá mặc định (dùng khi chưa có pricing rule nào trong database)
+const DEFAULT_PRICING_RULE = {
+	_id: null,
+	code: 'default',
+	name: 'Built-in default pricing',
+	version: 0,
+	vehicleRates: Object.entries(VEHICLE_TYPES).map(([vehicleType, type]) => ({
+		vehicleType,
+		baseFare: 0,
+		perKm: type.baseRate,
+		perMinute: 0,
+		minimumFare: 0,
+	})),
+	// Giờ cao điểm: 7-9h sáng và 16-19h chiều (endHour không bao gồm)
+	peakHours: [
+		{ startHour: 7, endHour: 10, multiplier: 1.2 },
+		{ startHour: 16, endHour: 20, multiplier: 1.2 },
+	],
+	nightSurcharge: { startHour: 22, endHour: 5, multiplier: 1 },
+	weekendMultiplier: 1,
+	holidays: [],
+	// Xe mới (0-2 năm): +10%, xe trung bình (3-5 năm): giá chuẩn, xe cũ hơn: -10%
+	qualityMultipliers: [
+		{ maxVehicleAge: 2, multiplier: 1.1 },
+		{ maxVehicleAge: 5, multiplier: 1.0 },
+	],
+	oldVehicleMultiplier: 0.9,
+	roundTo: 1000,
+};
+
+// Giờ, thứ trong tuần và ngày (YYYY-MM-DD) của thời điểm khởi hành theo múi giờ của bảng giá
+const getTimeParts = (departureTime, rule = DEFAULT_PRICING_RULE) => {
+	const date = departureTime ? new Date(departureTime) : new Date();
+	const timeZone = getTimezone(rule);
+	const { hour, weekday } = getZonedParts(date, timeZone);
+	return {
+		hour,
+		day: weekday, // 0 = Chủ nhật, 6 = Thứ bảy
+		dateKey: formatDateKey(date, timeZone),
+	};
+};
+
+// Kiểm tra giờ nằm trong khoảng [startHour, endHour), hỗ trợ khoảng qua nửa đêm (vd: 22h-5h)
+const isWithinHours = (hour, { startHour, endHour }) =>
+	startHour <= endHour ? hour >= startHour && hour < endHour : hour >= startHour || hour < endHour;
+
+// Đơn giá theo loại xe của pricing rule
+const getVehicleRate = (vehicleType, rule = DEFAULT_PRICING_RULE) => {
+	const rates = rule.vehicleRates || [];
+	return (
+		rates.find((rate) => rate.vehicleType === vehicleType) ||
+		rates.find((rate) => rate.vehicleType === 'car') ||
+		rates[0] ||
+		DEFAULT_PRICING_RULE.vehicleRates.find((rate) => rate.vehicleType === 'car')
+	);
+};
+
+// Hệ số cho giờ cao điểm
+const getPeakHourMultiplier = (departureTime, rule = DEFAULT_PRICING_RULE) => {
+	const { hour } = getTimeParts(departureTime, rule);
+	const peak = (rule.peakHours || []).find((range) => isWithinHours(hour, range));
+	return peak ? peak.multiplier : 1.0;
+};
+
+// Phụ phí ban đêm, cuối tuần và ngày lễ (ngày lễ thay thế phụ phí cuối tuần)
+const getTimeSurcharges = (departureTime, rule = DEFAULT_PRICING_RULE) => {
+	const { hour, day, dateKey } = getTimeParts(departureTime, rule);
+	const night = rule.nightSurcharge;
+	const holiday = (rule.holidays || []).find((item) => item.date === dateKey);
+	const isWeekend = day === 0 || day === 6;
+
+	return {
+		nightMultiplier: night && isWithinHours(hour, night) ? night.multiplier : 1,
+		weekendMultiplier: !holiday && isWeekend ? rule.weekendMultiplier || 1 : 1,
+		holidayMultiplier: holiday ? holiday.multiplier : 1,
+		holiday: holiday ? holiday.name : undefined,
+	};
 };
 
 // Hệ số chất lượng xe
-const getVehicleQualityMultiplier = (vehicleYear) => {
+const getVehicleQualityMultiplier = (vehicleYear, rule = DEFAULT_PRICING_RULE) => {
 	const currentYear = new Date().getFullYear();
 	const age = currentYear - vehicleYear;
 
-	if (age <= 2)
-		return 1.1; // Xe mới (0-2 năm): +10%
-	else if (age <= 5)
-		return 1.0; // Xe trung bình (3-5 năm): giá chuẩn
-	else return 0.9; // Xe cũ (>5 năm): -10%
+	const tiers = [...(rule.qualityMultipliers || [])].sort((a, b) => a.maxVehicleAge - b.maxVehicleAge);
+	const tier = tiers.find((item) => age <= item.maxVehicleAge);
+	if (tier) return tier.multiplier;
+
+	return rule.oldVehicleMultiplier !== undefined ? rule.oldVehicleMultiplier : 1.0;
 };
 
 // Hàm tính giá chính
-const calculatePrice = (startCoords, endCoords, vehicle, departureTime) => {
+// route (tùy chọn): kết quả từ routingService, dùng quãng đường đường bộ thay cho Haversine
+// rule (tùy chọn): pricing rule từ database, mặc định là bảng giá built-in
+// surge (tùy chọn): kết quả từ surgeService cho ô lưới của điểm đón
+const calculatePrice = (
+	startCoords,
+	endCoords,
+	vehicle,
+	departureTime,
+	route,
+	rule = DEFAULT_PRICING_RULE,
+	surge = null
+) => {
 	// Tính khoảng cách
-	const distanceInKm = calculateDistance(startCoords, endCoords);
+	const distanceInKm = route ? route.distanceKm : calculateDistance(startCoords, endCoords);
+	const durationMinutes = route ? route.durationMinutes : 0;
 
 	// Xác định loại phương tiện và năm sản xuất
 	const vehicleType = vehicle?.type || 'car';
 	const vehicleYear = vehicle?.year || new Date().getFullYear() - 3; // Mặc định 3 năm tuổi
 
 	// Tính các yếu tố ảnh hưởng đến giá
-	const baseRate = getBaseRateByVehicleType(vehicleType);
-	const peakMultiplier = getPeakHourMultiplier(departureTime);
-	const qualityMultiplier = getVehicleQualityMultiplier(vehicleYear);
+	const rate = getVehicleRate(vehicleType, rule);
+	const peakMultiplier = getPeakHourMultiplier(departureTime, rule);
+	const surcharges = getTimeSurcharges(departureTime, rule);
+	const qualityMultiplier = getVehicleQualityMultiplier(vehicleYear, rule);
+	const surgeMultiplier = surge ? surge.multiplier : 1;
 
 	// Tính giá cuối cùng
-	let finalPrice = distanceInKm * baseRate * peakMultiplier * qualityMultiplier;
+	const meteredFare = (rate.baseFare || 0) + distanceInKm * rate.perKm + durationMinutes * (rate.perMinute || 0);
+	let finalPrice =
+		meteredFare *
+		peakMultiplier *
+		surcharges.nightMultiplier *
+		surcharges.weekendMultiplier *
+		surcharges.holidayMultiplier *
+		qualityMultiplier *
+		surgeMultiplier;
+
+	const minimumFareApplied = finalPrice < (rate.minimumFare || 0);
+	if (minimumFareApplied) {
+		finalPrice = rate.minimumFare;
+	}
 
-	// Làm tròn đến 1000 VND
-	finalPrice = Math.ceil(finalPrice / 1000) * 1000;
+	// Làm tròn (mặc định đến 1000 VND)
+	const roundTo = rule.roundTo || 1000;
+	finalPrice = Math.ceil(finalPrice / roundTo) * roundTo;
 
 	return {
 		price: finalPrice,
 		breakdown: {
 			distanceInKm: Math.round(distanceInKm * 10) / 10,
-			baseRate,
+			durationMinutes: route ? route.durationMinutes : undefined,
+			distanceSource: route ? route.provider : 'haversine',
+			baseFare: rate.baseFare || 0,
+			baseRate: rate.perKm,
+			perMinuteRate: rate.perMinute || 0,
 			peakHourMultiplier: peakMultiplier,
+			nightMultiplier: surcharges.nightMultiplier,
+			weekendMultiplier: surcharges.weekendMultiplier,
+			holidayMultiplier: surcharges.holidayMultiplier,
+			holiday: surcharges.holiday,
 			qualityMultiplier,
+			surgeMultiplier,
+			surge:
+				surge && surge.cellId
+					? { cellId: surge.cellId, demand: surge.demand, supply: surge.supply }
+					: undefined,
+			minimumFare: rate.minimumFare || 0,
+			minimumFareApplied,
+			timezone: getTimezone(rule),
+			pricingRule: {
+				id: rule._id || null,
+				code: rule.code,
+				version: rule.version,
+			},
 		},
 	};
 };
@@ -110,5 +246,11 @@ module.exports = {
 	calculatePrice,
 	calculateDistance,
 	VEHICLE_TYPES,
+	DEFAULT_PRICING_RULE,
 	getBaseRateByVehicleType,
+	getVehicleTypeFromVehicle,
+	getVehicleRate,
+	getPeakHourMultiplier,
+	getTimeSurcharges,
+	getVehicleQualityMultiplier,
 };
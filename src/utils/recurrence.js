@@ -0,0 +1,56 @@
+const { addDays, getZonedParts } = require('./timezone');
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+const RECURRING_PATTERNS = ['daily', 'weekdays', 'weekends', 'weekly'];
+
+// Kiểm tra một ngày có khớp với pattern hay không (thứ trong tuần tính theo múi giờ kinh doanh)
+const matchesPattern = (date, pattern, anchorDate, timeZone) => {
+	const day = getZonedParts(date, timeZone).weekday; // 0 = Chủ nhật, 6 = Thứ bảy
+
+	switch (pattern) {
+		case 'daily':
+			return true;
+		case 'weekdays':
+			return day >= 1 && day <= 5;
+		case 'weekends':
+			return day === 0 || day === 6;
+		case 'weekly':
+			return day === getZonedParts(anchorDate, timeZone).weekday;
+		default:
+			return false;
+	}
+};
+
+// Liệt kê các ngày occurrence sau anchorDate (không bao gồm anchorDate), trong khoảng (from, until]
+// Giờ khởi hành (giờ địa phương của timeZone) được giữ nguyên theo anchorDate
+const getOccurrenceDates = (anchorDate, pattern, from, until, timeZone) => {
+	const anchor = new Date(anchorDate);
+	const lowerBound = new Date(Math.max(anchor.getTime(), new Date(from).getTime()));
+	const upperBound = new Date(until);
+	const dates = [];
+
+	if (!RECURRING_PATTERNS.includes(pattern) || upperBound <= lowerBound) {
+		return dates;
+	}
+
+	// Bắt đầu từ ngày đầu tiên sau lowerBound, cùng giờ với anchor
+	let dayOffset = Math.max(Math.floor((lowerBound.getTime() - anchor.getTime()) / DAY_IN_MS), 0);
+	let cursor = addDays(anchor, dayOffset, timeZone);
+
+	while (cursor <= upperBound) {
+		if (cursor > lowerBound && matchesPattern(cursor, pattern, anchor, timeZone)) {
+			dates.push(cursor);
+		}
+		dayOffset += 1;
+		cursor = addDays(anchor, dayOffset, timeZone);
+	}
+
+	return dates;
+};
+
+module.exports = {
+	RECURRING_PATTERNS,
+	matchesPattern,
+	getOccurrenceDates,
+};
@@ -0,0 +1,144 @@
+const { calculateDistance } = require('./priceCalculator');
+const routingConfig = require('../config/routing');
+
+const EARTH_RADIUS_M = 6371000;
+
+// Tốc độ trung bình trong thành phố dùng để ước tính thời gian đi vòng
+const AVERAGE_SPEED_KMH = routingConfig.averageSpeedKmh;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// Khoảng cách giữa 2 điểm { lat, lng } theo mét
+const distanceInMeters = (start, end) => calculateDistance(start, end) * 1000;
+
+// Chuyển GeoJSON Point ([lng, lat]) sang { lat, lng }
+const fromGeoPoint = (point) => {
+	if (!point || !Array.isArray(point.coordinates) || point.coordinates.length !== 2) {
+		return null;
+	}
+	return { lat: point.coordinates[1], lng: point.coordinates[0] };
+};
+
+// Danh sách điểm của lộ trình: điểm đi, các điểm dừng, điểm đến
+const getTripRoutePoints = (trip) => {
+	const locations = [trip.startLocation, ...(trip.stops || []), trip.endLocation];
+	return locations.map((location) => location && fromGeoPoint(location.coordinates)).filter(Boolean);
+};
+
+// Đường đi dùng để so khớp: polyline đường bộ từ routing provider nếu có, ngược lại là các điểm của lộ trình
+const getTripPath = (trip) => {
+	if (trip.routeInfo && trip.routeInfo.provider && trip.routePath && trip.routePath.coordinates) {
+		return trip.routePath.coordinates.map(([lng, lat]) => ({ lat, lng }));
+	}
+	return getTripRoutePoints(trip);
+};
+
+// Tổng chiều dài lộ trình (mét)
+const getRouteLength = (points) => {
+	let length = 0;
+	for (let i = 1; i < points.length; i++) {
+		length += distanceInMeters(points[i - 1], points[i]);
+	}
+	return length;
+};
+
+// Chiếu điểm lên đoạn thẳng AB (xấp xỉ phẳng, đủ chính xác ở phạm vi đô thị)
+const projectOnSegment = (point, start, end) => {
+	const meanLat = toRadians((start.lat + end.lat) / 2);
+	const toXY = (p) => ({
+		x: toRadians(p.lng) * Math.cos(meanLat) * EARTH_RADIUS_M,
+		y: toRadians(p.lat) * EARTH_RADIUS_M,
+	});
+
+	const a = toXY(start);
+	const b = toXY(end);
+	const p = toXY(point);
+	const dx = b.x - a.x;
+	const dy = b.y - a.y;
+	const lengthSq = dx * dx + dy * dy;
+
+	let fraction = lengthSq === 0 ? 0 : ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq;
+	fraction = Math.min(Math.max(fraction, 0), 1);
+
+	return {
+		fraction,
+		distance: Math.hypot(p.x - (a.x + fraction * dx), p.y - (a.y + fraction * dy)),
+	};
+};
+
+/**
+ * Tìm vị trí gần nhất của điểm trên lộ trình, chỉ xét các vị trí sau minProgress (mét)
+ * Trả về { segmentIndex, distance, progress } hoặc null
+ */
+const locateOnRoute = (points, point, minProgress = -1) => {
+	let best = null;
+	let travelled = 0;
+
+	for (let i = 0; i < points.length - 1; i++) {
+		const segmentLength = distanceInMeters(points[i], points[i + 1]);
+		const projection = projectOnSegment(point, points[i], points[i + 1]);
+		const progress = travelled + projection.fraction * segmentLength;
+
+		if (progress > minProgress && (!best || projection.distance < best.distance)) {
+			best = { segmentIndex: i, distance: projection.distance, progress };
+		}
+
+		travelled += segmentLength;
+	}
+
+	return best;
+};
+
+/**
+ * Kiểm tra lộ trình có đi qua điểm đón rồi đến điểm trả (đúng chiều) trong bán kính radius (mét)
+ * Trả về thông tin match kèm quãng đường/thời gian phải đi vòng, hoặc null nếu không khớp
+ */
+const matchRoute = (points, pickup, dropoff, radius) => {
+	if (points.length < 2) {
+		return null;
+	}
+
+	const pickupMatch = locateOnRoute(points, pickup);
+	if (!pickupMatch || pickupMatch.distance > radius) {
+		return null;
+	}
+
+	// Điểm trả phải nằm sau điểm đón theo chiều đi của driver
+	const dropoffMatch = locateOnRoute(points, dropoff, pickupMatch.progress);
+	if (!dropoffMatch || dropoffMatch.distance > radius) {
+		return null;
+	}
+
+	// Chèn điểm đón/trả vào lộ trình để tính quãng đường phát sinh
+	const detourPoints = [
+		...points.slice(0, pickupMatch.segmentIndex + 1),
+		pickup,
+		...points.slice(pickupMatch.segmentIndex + 1, dropoffMatch.segmentIndex + 1),
+		dropoff,
+		...points.slice(dropoffMatch.segmentIndex + 1),
+	];
+
+	const routeLength = getRouteLength(points);
+	const detourDistance = Math.max(getRouteLength(detourPoints) - routeLength, 0);
+	const detourKm = detourDistance / 1000;
+
+	return {
+		pickupDistance: Math.round(pickupMatch.distance),
+		dropoffDistance: Math.round(dropoffMatch.distance),
+		pickupProgress: Math.round(pickupMatch.progress),
+		dropoffProgress: Math.round(dropoffMatch.progress),
+		sharedDistanceKm: Math.round(((dropoffMatch.progress - pickupMatch.progress) / 1000) * 10) / 10,
+		detourDistanceKm: Math.round(detourKm * 10) / 10,
+		detourMinutes: Math.round((detourKm / AVERAGE_SPEED_KMH) * 60),
+	};
+};
+
+module.exports = {
+	AVERAGE_SPEED_KMH,
+	fromGeoPoint,
+	getTripRoutePoints,
+	getTripPath,
+	getRouteLength,
+	locateOnRoute,
+	matchRoute,
+};
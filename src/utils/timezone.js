@@ -0,0 +1,119 @@
+const timezoneConfig = require('../config/timezone');
+
+const formatters = new Map();
+
+// Intl.DateTimeFormat khá tốn kém khi khởi tạo nên được cache theo múi giờ
+const getFormatter = (timeZone) => {
+	if (!formatters.has(timeZone)) {
+		formatters.set(
+			timeZone,
+			new Intl.DateTimeFormat('en-US', {
+				timeZone,
+				hourCycle: 'h23',
+				year: 'numeric',
+				month: '2-digit',
+				day: '2-digit',
+				hour: '2-digit',
+				minute: '2-digit',
+				second: '2-digit',
+				weekday: 'short',
+			})
+		);
+	}
+	return formatters.get(timeZone);
+};
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+const isValidTimezone = (timeZone) => {
+	try {
+		new Intl.DateTimeFormat('en-US', { timeZone });
+		return true;
+	} catch (error) {
+		return false;
+	}
+};
+
+// Múi giờ áp dụng: múi giờ chỉ định -> múi giờ của thành phố -> múi giờ kinh doanh mặc định
+const getTimezone = ({ timezone, city } = {}) => {
+	if (timezone && isValidTimezone(timezone)) {
+		return timezone;
+	}
+	const cityTimezone = city && timezoneConfig.cityTimezones[city.trim().toLowerCase()];
+	if (cityTimezone && isValidTimezone(cityTimezone)) {
+		return cityTimezone;
+	}
+	return timezoneConfig.businessTimezone;
+};
+
+// Các thành phần ngày giờ của một thời điểm theo múi giờ (weekday: 0 = Chủ nhật, 6 = Thứ bảy)
+const getZonedParts = (date, timeZone = timezoneConfig.businessTimezone) => {
+	const parts = {};
+	getFormatter(timeZone)
+		.formatToParts(new Date(date))
+		.forEach(({ type, value }) => {
+			parts[type] = value;
+		});
+
+	return {
+		year: parseInt(parts.year, 10),
+		month: parseInt(parts.month, 10),
+		day: parseInt(parts.day, 10),
+		hour: parseInt(parts.hour, 10),
+		minute: parseInt(parts.minute, 10),
+		second: parseInt(parts.second, 10),
+		weekday: WEEKDAYS[parts.weekday],
+	};
+};
+
+// Độ lệch (ms) giữa giờ địa phương và UTC tại thời điểm date
+const getOffset = (date, timeZone) => {
+	const parts = getZonedParts(date, timeZone);
+	const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+	return asUtc - Math.floor(new Date(date).getTime() / 1000) * 1000;
+};
+
+// Chuyển giờ địa phương (wall clock) của múi giờ sang Date (UTC)
+const zonedTimeToUtc = ({ year, month, day, hour = 0, minute = 0, second = 0, millisecond = 0 }, timeZone) => {
+	const wallTime = Date.UTC(year, month - 1, day, hour, minute, second, millisecond);
+	let result = wallTime - getOffset(wallTime, timeZone);
+
+	// Kiểm tra lại một lần cho trường hợp thời điểm nằm sát lúc đổi giờ (DST)
+	const correctedOffset = getOffset(result, timeZone);
+	if (wallTime - correctedOffset !== result) {
+		result = wallTime - correctedOffset;
+	}
+
+	return new Date(result);
+};
+
+// Cộng số ngày theo lịch của múi giờ, giữ nguyên giờ địa phương
+const addDays = (date, days, timeZone = timezoneConfig.businessTimezone) => {
+	const source = new Date(date);
+	const parts = getZonedParts(source, timeZone);
+	return zonedTimeToUtc({ ...parts, day: parts.day + days, millisecond: source.getUTCMilliseconds() }, timeZone);
+};
+
+// YYYY-MM-DD theo múi giờ
+const formatDateKey = (date, timeZone = timezoneConfig.businessTimezone) => {
+	const { year, month, day } = getZonedParts(date, timeZone);
+	return `${year}-${pad(month)}-${pad(day)}`;
+};
+
+// YYYYMMDDHHmmss theo múi giờ
+const formatCompactDateTime = (date, timeZone = timezoneConfig.businessTimezone) => {
+	const { year, month, day, hour, minute, second } = getZonedParts(date, timeZone);
+	return `${year}${pad(month)}${pad(day)}${pad(hour)}${pad(minute)}${pad(second)}`;
+};
+
+module.exports = {
+	isValidTimezone,
+	getTimezone,
+	getZonedParts,
+	zonedTimeToUtc,
+	addDays,
+	formatDateKey,
+	formatCompactDateTime,
+};